@@ -0,0 +1,28 @@
+// Copies the MediaPipe wasm/tflite assets out of node_modules into public/models/mediapipe
+// so the app can run without reaching the jsdelivr CDN.
+const fs = require('fs');
+const path = require('path');
+
+const SOLUTIONS = ['face_detection', 'face_mesh'];
+const SKIP = new Set(['package.json', 'README.md', 'index.d.ts']);
+
+const root = path.resolve(__dirname, '..');
+const targetRoot = path.join(root, 'public', 'models', 'mediapipe');
+
+for (const solution of SOLUTIONS) {
+    const source = path.join(root, 'node_modules', '@mediapipe', solution);
+    const target = path.join(targetRoot, solution);
+
+    if (!fs.existsSync(source)) {
+        console.error(`@mediapipe/${solution} is not installed; run npm install first.`);
+        process.exit(1);
+    }
+
+    fs.mkdirSync(target, { recursive: true });
+    for (const file of fs.readdirSync(source)) {
+        // The solution's own entry script is bundled by webpack, only its runtime assets are fetched
+        if (SKIP.has(file) || file === `${solution}.js`) continue;
+        fs.copyFileSync(path.join(source, file), path.join(target, file));
+    }
+    console.log(`Copied MediaPipe ${solution} assets to ${path.relative(root, target)}`);
+}
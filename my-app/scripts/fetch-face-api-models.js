@@ -0,0 +1,48 @@
+// Downloads the face-api.js weights of the default identity backend (faceapi-ssd) that are
+// too large to keep in git: SsdMobilenetv1 and the face recognition net, into public/models.
+// Without them enrollment and recognition fail offline unless the CDN fallback is enabled.
+// Existing files are kept; pass --force to download again.
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE = 'https://cdn.jsdelivr.net/gh/cgarciagl/face-api.js/weights';
+const MANIFESTS = [
+    'ssd_mobilenetv1_model-weights_manifest.json',
+    'face_recognition_model-weights_manifest.json'
+];
+
+const root = path.resolve(__dirname, '..');
+const target = path.join(root, 'public', 'models');
+const force = process.argv.includes('--force');
+
+async function download(file) {
+    const destination = path.join(target, file);
+    if (!force && fs.existsSync(destination)) return fs.readFileSync(destination);
+
+    const response = await fetch(`${SOURCE}/${file}`);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} for ${SOURCE}/${file}`);
+    }
+    const data = Buffer.from(await response.arrayBuffer());
+    fs.writeFileSync(destination, data);
+    console.log(`Downloaded ${file} (${data.length} bytes)`);
+    return data;
+}
+
+async function main() {
+    fs.mkdirSync(target, { recursive: true });
+    for (const manifestFile of MANIFESTS) {
+        const manifest = JSON.parse(await download(manifestFile));
+        for (const group of manifest) {
+            for (const shard of group.paths) {
+                await download(shard);
+            }
+        }
+    }
+    console.log(`face-api.js weights ready in ${path.relative(root, target)}`);
+}
+
+main().catch(error => {
+    console.error(`Failed to fetch the face-api.js weights: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,41 @@
+// Downloads the COCO-SSD (lite MobileNet v2) graph model into public/models/coco-ssd
+// so object detection can run without reaching the TF.js model CDN.
+// Existing files are kept; pass --force to download again.
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE = 'https://storage.googleapis.com/tfjs-models/savedmodel/ssdlite_mobilenet_v2';
+
+const root = path.resolve(__dirname, '..');
+const target = path.join(root, 'public', 'models', 'coco-ssd');
+const force = process.argv.includes('--force');
+
+async function download(file) {
+    const destination = path.join(target, file);
+    if (!force && fs.existsSync(destination)) return fs.readFileSync(destination);
+
+    const response = await fetch(`${SOURCE}/${file}`);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} for ${SOURCE}/${file}`);
+    }
+    const data = Buffer.from(await response.arrayBuffer());
+    fs.writeFileSync(destination, data);
+    console.log(`Downloaded ${file} (${data.length} bytes)`);
+    return data;
+}
+
+async function main() {
+    fs.mkdirSync(target, { recursive: true });
+    const model = JSON.parse(await download('model.json'));
+    for (const group of model.weightsManifest) {
+        for (const shard of group.paths) {
+            await download(shard);
+        }
+    }
+    console.log(`COCO-SSD model ready in ${path.relative(root, target)}`);
+}
+
+main().catch(error => {
+    console.error(`Failed to fetch the object detection model: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,99 @@
+// Writes the WAV fixtures used by the audio analysis tests into
+// src/Components/audio/__fixtures__. The signals are synthetic but speech-like:
+// harmonic voices with formant shaping, intonation and syllable pauses over room noise.
+const fs = require('fs');
+const path = require('path');
+
+const SAMPLE_RATE = 8000;
+const NOISE_LEVEL = 0.003;
+const target = path.resolve(__dirname, '..', 'src', 'Components', 'audio', '__fixtures__');
+
+// Deterministic PRNG so regenerated fixtures are byte-identical
+function mulberry32(seed) {
+    return () => {
+        seed |= 0;
+        seed = (seed + 0x6d2b79f5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Vowel-like spectral envelope with formants around 600, 1400 and 2500 Hz
+function formantGain(hz) {
+    return [[600, 1], [1400, 0.5], [2500, 0.25]]
+        .reduce((gain, [center, weight]) => gain + weight * Math.exp(-(((hz - center) / 250) ** 2)), 0.05);
+}
+
+function voice(t, f0, phase) {
+    let value = 0;
+    for (let harmonic = 1; harmonic * f0 < SAMPLE_RATE / 2; harmonic++) {
+        value += formantGain(harmonic * f0) * Math.sin(harmonic * phase);
+    }
+    // Syllables at about 4 per second with short pauses between them
+    const envelope = Math.max(0, Math.sin(2 * Math.PI * 4 * t)) ** 0.5;
+    return value * envelope;
+}
+
+function render(seconds, speakerAt) {
+    const random = mulberry32(42);
+    const samples = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+    let phase = 0;
+    let smoothed = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const t = i / SAMPLE_RATE;
+        // Low-passed noise sounds like a quiet room rather than hiss
+        smoothed = 0.8 * smoothed + 0.2 * (random() * 2 - 1);
+        let value = NOISE_LEVEL * smoothed * 3;
+
+        const speaker = speakerAt(t);
+        if (speaker) {
+            // Gentle intonation of +-1.5 semitones
+            const f0 = speaker.f0 * 2 ** ((1.5 * Math.sin(2 * Math.PI * 0.7 * t)) / 12);
+            phase += (2 * Math.PI * f0) / SAMPLE_RATE;
+            value += speaker.gain * voice(t, f0, phase);
+        }
+        samples[i] = Math.max(-1, Math.min(1, value));
+    }
+    return samples;
+}
+
+function encodeWav(samples) {
+    const buffer = Buffer.alloc(44 + samples.length * 2);
+    buffer.write('RIFF', 0);
+    buffer.writeUInt32LE(36 + samples.length * 2, 4);
+    buffer.write('WAVE', 8);
+    buffer.write('fmt ', 12);
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(1, 20);
+    buffer.writeUInt16LE(1, 22);
+    buffer.writeUInt32LE(SAMPLE_RATE, 24);
+    buffer.writeUInt32LE(SAMPLE_RATE * 2, 28);
+    buffer.writeUInt16LE(2, 32);
+    buffer.writeUInt16LE(16, 34);
+    buffer.write('data', 36);
+    buffer.writeUInt32LE(samples.length * 2, 40);
+    samples.forEach((value, i) => buffer.writeInt16LE(Math.round(value * 32767), 44 + i * 2));
+    return buffer;
+}
+
+const CANDIDATE = { f0: 115, gain: 0.05 };
+const HELPER = { f0: 235, gain: 0.04 };
+
+const fixtures = {
+    // Room noise only
+    'ambient.wav': render(3, () => null),
+    // 1.5 s of room noise, 4 s of one person talking, 1 s of room noise
+    'single-speaker.wav': render(6.5, t => (t >= 1.5 && t < 5.5 ? CANDIDATE : null)),
+    // Same timing, two voices taking turns every 0.75 s
+    'two-speakers.wav': render(6.5, t => {
+        if (t < 1.5 || t >= 5.5) return null;
+        return Math.floor((t - 1.5) / 0.75) % 2 === 0 ? CANDIDATE : HELPER;
+    })
+};
+
+fs.mkdirSync(target, { recursive: true });
+for (const [name, samples] of Object.entries(fixtures)) {
+    fs.writeFileSync(path.join(target, name), encodeWav(samples));
+    console.log(`Wrote ${name} (${(samples.length / SAMPLE_RATE).toFixed(1)} s)`);
+}
@@ -1,5 +1,5 @@
 import React from "react";
-import { BrowserRouter as Router, Routes, Route } from "react-router-dom";
+import { BrowserRouter as Router, Routes, Route, Navigate } from "react-router-dom";
 import EnrollmentPage from "./EnrollmentPage";
 import CornerWebcam from "./CornerWebcam";
 
@@ -8,7 +8,9 @@ const App = () => {
     <Router>
       <Routes>
         <Route path="/" element={<EnrollmentPage />} />
-        <Route path="/proctoring" element={<CornerWebcam />} />
+        <Route path="/proctoring/:candidateId" element={<CornerWebcam />} />
+        {/* Sessions need a candidate to verify against */}
+        <Route path="/proctoring" element={<Navigate to="/" replace />} />
       </Routes>
     </Router>
   );
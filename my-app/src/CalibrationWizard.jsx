@@ -0,0 +1,164 @@
+import React, { useEffect, useRef, useState } from "react";
+import GazeCalibration, { CALIBRATION_TARGETS, TARGET_INSTRUCTIONS } from "./Components/analysis/GazeCalibration.js";
+
+const SAMPLE_INTERVAL_MS = 50;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Full-screen multi-point calibration run before monitoring starts.
+// Shows each target in turn, samples gaze through the proctoring system and only
+// hands an acceptable result to onComplete.
+const CalibrationWizard = ({ system, onComplete }) => {
+    const [phase, setPhase] = useState('intro');
+    const [targetIndex, setTargetIndex] = useState(0);
+    const [sampling, setSampling] = useState(false);
+    const [result, setResult] = useState(null);
+    const cancelledRef = useRef(false);
+
+    useEffect(() => {
+        cancelledRef.current = false;
+        return () => {
+            cancelledRef.current = true;
+        };
+    }, []);
+
+    const runCalibration = async () => {
+        const settings = system.config.CALIBRATION;
+        const calibration = new GazeCalibration(system.config);
+        setResult(null);
+        setPhase('running');
+
+        for (let i = 0; i < CALIBRATION_TARGETS.length; i++) {
+            setTargetIndex(i);
+            setSampling(false);
+            await delay(settings.TARGET_SETTLE_MS);
+            setSampling(true);
+
+            const samples = [];
+            for (let k = 0; k < settings.TARGET_SAMPLES; k++) {
+                if (cancelledRef.current) return;
+                try {
+                    samples.push(await system.sampleGaze());
+                } catch (error) {
+                    // Detector load failures and worker errors end the run; the candidate can retry
+                    console.error('Gaze sampling failed:', error);
+                    if (cancelledRef.current) return;
+                    setResult({ acceptable: false, validation_error: null, reason: `Gaze sampling failed: ${error.message}` });
+                    setPhase('done');
+                    return;
+                }
+                await delay(SAMPLE_INTERVAL_MS);
+            }
+            calibration.addTarget(CALIBRATION_TARGETS[i], samples);
+        }
+
+        if (cancelledRef.current) return;
+        setResult(calibration.result());
+        setPhase('done');
+    };
+
+    const target = CALIBRATION_TARGETS[targetIndex];
+
+    return (
+        <div className="calibration-wizard">
+            {phase === 'intro' && (
+                <div className="calibration-panel">
+                    <h3>Gaze calibration</h3>
+                    <p>Sit as you will during the exam. Dots will appear in the centre and the corners of the screen; follow each one with your eyes until it moves.</p>
+                    <button onClick={runCalibration} className="calibration-button">Start calibration</button>
+                </div>
+            )}
+
+            {phase === 'running' && (
+                <>
+                    <div
+                        className={`calibration-target ${sampling ? 'sampling' : ''}`}
+                        style={{ left: `${(target.x + 1) * 50}%`, top: `${(target.y + 1) * 50}%` }}
+                    />
+                    <div className="calibration-instruction">
+                        {TARGET_INSTRUCTIONS[target.id]} ({targetIndex + 1}/{CALIBRATION_TARGETS.length})
+                    </div>
+                </>
+            )}
+
+            {phase === 'done' && result && (
+                <div className="calibration-panel">
+                    <h3>{result.acceptable ? 'Calibration complete' : 'Calibration failed'}</h3>
+                    {result.validation_error !== null && (
+                        <p>Validation error: {result.validation_error} (maximum {system.config.CALIBRATION.MAX_ERROR})</p>
+                    )}
+                    {!result.acceptable && <p className="calibration-error">{result.reason}. Please try again.</p>}
+                    {result.acceptable
+                        ? <button onClick={() => onComplete(result)} className="calibration-button">Start exam</button>
+                        : <button onClick={runCalibration} className="calibration-button">Retry calibration</button>}
+                </div>
+            )}
+
+            <style jsx>{`
+                .calibration-wizard {
+                    position: fixed;
+                    inset: 0;
+                    z-index: 2000;
+                    background: #fafafa;
+                }
+
+                .calibration-panel {
+                    position: absolute;
+                    top: 50%;
+                    left: 50%;
+                    transform: translate(-50%, -50%);
+                    width: 420px;
+                    background: white;
+                    border-radius: 8px;
+                    box-shadow: 0 4px 12px rgba(0,0,0,0.2);
+                    padding: 20px;
+                    text-align: center;
+                }
+
+                .calibration-panel h3 {
+                    margin-top: 0;
+                    color: #333;
+                }
+
+                .calibration-button {
+                    background: #1976d2;
+                    color: white;
+                    border: none;
+                    padding: 8px 16px;
+                    border-radius: 4px;
+                    cursor: pointer;
+                    font-size: 14px;
+                }
+
+                .calibration-error {
+                    color: #d32f2f;
+                }
+
+                .calibration-target {
+                    position: absolute;
+                    width: 24px;
+                    height: 24px;
+                    margin: -12px 0 0 -12px;
+                    border-radius: 50%;
+                    background: #1976d2;
+                    transition: left 0.4s, top 0.4s;
+                }
+
+                .calibration-target.sampling {
+                    background: #d32f2f;
+                }
+
+                .calibration-instruction {
+                    position: absolute;
+                    bottom: 30%;
+                    width: 100%;
+                    text-align: center;
+                    font-size: 16px;
+                    color: #333;
+                }
+            `}</style>
+        </div>
+    );
+};
+
+export default CalibrationWizard;
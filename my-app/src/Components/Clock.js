@@ -0,0 +1,27 @@
+// Time sources for ProctoringSystem.
+// The live system reads the wall clock; replays drive a virtual clock frame by frame.
+
+export const systemClock = {
+    now: () => Date.now()
+};
+
+export class VirtualClock {
+    constructor(startTime = 0) {
+        this.time = startTime;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    set(time) {
+        if (time < this.time) {
+            throw new Error(`Virtual clock cannot move backwards (${time} < ${this.time})`);
+        }
+        this.time = time;
+    }
+
+    advance(ms) {
+        this.set(this.time + ms);
+    }
+}
@@ -0,0 +1,54 @@
+// FaceMesh landmark indices used by the analysis pipeline.
+// Landmark recordings only keep these points, so any new index an analyzer reads
+// must be added here or replays will not see it.
+
+export const LANDMARKS = {
+    NOSE_TIP: 1,
+    LEFT_EYE_OUTER: 33,
+    LEFT_EYE_INNER: 133,
+    LEFT_EYE_UPPER_1: 160,
+    LEFT_EYE_UPPER_2: 158,
+    LEFT_EYE_LOWER_1: 144,
+    LEFT_EYE_LOWER_2: 153,
+    RIGHT_EYE_OUTER: 263,
+    RIGHT_EYE_INNER: 362,
+    RIGHT_EYE_UPPER_1: 387,
+    RIGHT_EYE_UPPER_2: 385,
+    RIGHT_EYE_LOWER_1: 373,
+    RIGHT_EYE_LOWER_2: 380,
+    UPPER_LIP_INNER: 13,
+    LOWER_LIP_INNER: 14,
+    MOUTH_LEFT: 61,
+    MOUTH_RIGHT: 291,
+    CHIN: 152,
+    LEFT_IRIS: 468,
+    RIGHT_IRIS: 473
+};
+
+// Eye contours in the order GeometryUtils.eyeAspectRatio expects
+export const LEFT_EYE_CONTOUR = [
+    LANDMARKS.LEFT_EYE_OUTER, LANDMARKS.LEFT_EYE_UPPER_1, LANDMARKS.LEFT_EYE_UPPER_2,
+    LANDMARKS.LEFT_EYE_INNER, LANDMARKS.LEFT_EYE_LOWER_2, LANDMARKS.LEFT_EYE_LOWER_1
+];
+
+export const RIGHT_EYE_CONTOUR = [
+    LANDMARKS.RIGHT_EYE_OUTER, LANDMARKS.RIGHT_EYE_UPPER_1, LANDMARKS.RIGHT_EYE_UPPER_2,
+    LANDMARKS.RIGHT_EYE_INNER, LANDMARKS.RIGHT_EYE_LOWER_2, LANDMARKS.RIGHT_EYE_LOWER_1
+];
+
+// Generic 3D head model for head pose estimation, origin at the nose tip. The coordinates are
+// the arbitrary units of the OpenCV head pose sample model, not millimetres; only the
+// proportions matter, since the pose angles do not depend on the model's scale.
+// Image axes as in FaceMesh: x to the right, y down, z away from the camera.
+export const HEAD_MODEL = {
+    [LANDMARKS.NOSE_TIP]: [0, 0, 0],
+    [LANDMARKS.CHIN]: [0, 330, 65],
+    [LANDMARKS.LEFT_EYE_OUTER]: [-225, -170, 135],
+    [LANDMARKS.RIGHT_EYE_OUTER]: [225, -170, 135],
+    [LANDMARKS.MOUTH_LEFT]: [-150, 150, 125],
+    [LANDMARKS.MOUTH_RIGHT]: [150, 150, 125]
+};
+
+export const FACE_MESH_LANDMARK_COUNT = 478;
+
+export const TRACKED_LANDMARK_INDICES = [...new Set(Object.values(LANDMARKS))].sort((a, b) => a - b);
@@ -0,0 +1,159 @@
+// Utility functions for geometry calculations on normalized FaceMesh landmarks
+export default class GeometryUtils {
+    static distance(a, b) {
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    static calculateEyeCenter(leftEye, rightEye) {
+        return {
+            x: (leftEye.x + rightEye.x) / 2,
+            y: (leftEye.y + rightEye.y) / 2
+        };
+    }
+
+    /**
+     * Eye aspect ratio from six eye contour points [outer, upper1, upper2, inner, lower2, lower1]
+     * Drops towards zero as the eyelids close
+     */
+    static eyeAspectRatio([outer, upper1, upper2, inner, lower2, lower1]) {
+        const width = this.distance(outer, inner);
+        if (width === 0) return 0;
+        return (this.distance(upper1, lower1) + this.distance(upper2, lower2)) / (2 * width);
+    }
+
+    /**
+     * Mouth aspect ratio: inner lip gap relative to mouth width
+     */
+    static mouthAspectRatio(upperLip, lowerLip, leftCorner, rightCorner) {
+        const width = this.distance(leftCorner, rightCorner);
+        if (width === 0) return 0;
+        return this.distance(upperLip, lowerLip) / width;
+    }
+
+    /**
+     * Horizontal nose offset from the eye midpoint, normalized by the distance between the eyes
+     * Independent of how far the face is from the camera
+     */
+    static normalizedYaw(noseTip, leftEye, rightEye) {
+        const interocular = this.distance(leftEye, rightEye);
+        if (interocular === 0) return 0;
+        return (noseTip.x - this.calculateEyeCenter(leftEye, rightEye).x) / interocular;
+    }
+
+    /**
+     * Head pose in degrees from FaceMesh landmarks fitted to a 3D head model (index -> [x, y, z])
+     * aspectRatio (frame width / height) undoes the separate normalization of x and y.
+     * Returns { yaw, pitch, roll }, all zero when facing the camera upright, or null with
+     * fewer than three model points available. Yaw is positive when the face turns to image
+     * right, pitch when it tilts down, roll when it leans clockwise in the image.
+     */
+    static estimateHeadPose(landmarks, model, aspectRatio = 1) {
+        const modelPoints = [];
+        const observedPoints = [];
+        for (const [index, point] of Object.entries(model)) {
+            const landmark = landmarks[index];
+            if (!landmark) continue;
+            modelPoints.push(point);
+            // FaceMesh z uses roughly the scale of x, so measure everything in frame widths
+            observedPoints.push([landmark.x, landmark.y / aspectRatio, landmark.z]);
+        }
+        if (modelPoints.length < 3) return null;
+
+        const r = this.fitRotation(modelPoints, observedPoints);
+        const degrees = 180 / Math.PI;
+        // r = Ry(yaw) * Rx(pitch) * Rz(roll); the fitted rotation maps model space to image space
+        return {
+            yaw: Math.atan2(-r[0][2], r[2][2]) * degrees,
+            pitch: Math.asin(Math.max(-1, Math.min(1, -r[1][2]))) * degrees,
+            roll: Math.atan2(r[1][0], r[1][1]) * degrees
+        };
+    }
+
+    /**
+     * Best-fit rotation from model to observed points (Horn's quaternion method)
+     * Returns a 3x3 rotation matrix as rows
+     */
+    static fitRotation(modelPoints, observedPoints) {
+        const centroid = (points) => [0, 1, 2].map(axis => points.reduce((sum, p) => sum + p[axis], 0) / points.length);
+        const modelCenter = centroid(modelPoints);
+        const observedCenter = centroid(observedPoints);
+
+        // Cross-covariance S[a][b] = sum of model[a] * observed[b]
+        const S = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        modelPoints.forEach((m, i) => {
+            const o = observedPoints[i];
+            for (let a = 0; a < 3; a++) {
+                for (let b = 0; b < 3; b++) {
+                    S[a][b] += (m[a] - modelCenter[a]) * (o[b] - observedCenter[b]);
+                }
+            }
+        });
+
+        const [[xx, xy, xz], [yx, yy, yz], [zx, zy, zz]] = S;
+        const N = [
+            [xx + yy + zz, yz - zy, zx - xz, xy - yx],
+            [yz - zy, xx - yy - zz, xy + yx, zx + xz],
+            [zx - xz, xy + yx, -xx + yy - zz, yz + zy],
+            [xy - yx, zx + xz, yz + zy, -xx - yy + zz]
+        ];
+        const [w, x, y, z] = this.largestEigenvector(N);
+
+        return [
+            [w * w + x * x - y * y - z * z, 2 * (x * y - w * z), 2 * (x * z + w * y)],
+            [2 * (x * y + w * z), w * w - x * x + y * y - z * z, 2 * (y * z - w * x)],
+            [2 * (x * z - w * y), 2 * (y * z + w * x), w * w - x * x - y * y + z * z]
+        ];
+    }
+
+    /**
+     * Unit eigenvector of the largest eigenvalue of a symmetric matrix (cyclic Jacobi)
+     */
+    static largestEigenvector(matrix) {
+        const n = matrix.length;
+        const a = matrix.map(row => [...row]);
+        const v = a.map((row, i) => row.map((_, j) => (i === j ? 1 : 0)));
+
+        for (let sweep = 0; sweep < 50; sweep++) {
+            let offDiagonal = 0;
+            for (let p = 0; p < n; p++) {
+                for (let q = p + 1; q < n; q++) offDiagonal += a[p][q] * a[p][q];
+            }
+            if (offDiagonal < 1e-20) break;
+
+            for (let p = 0; p < n; p++) {
+                for (let q = p + 1; q < n; q++) {
+                    if (Math.abs(a[p][q]) < 1e-30) continue;
+                    const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                    const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                    const c = 1 / Math.sqrt(t * t + 1);
+                    const s = t * c;
+
+                    for (let k = 0; k < n; k++) {
+                        const akp = a[k][p];
+                        const akq = a[k][q];
+                        a[k][p] = c * akp - s * akq;
+                        a[k][q] = s * akp + c * akq;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const apk = a[p][k];
+                        const aqk = a[q][k];
+                        a[p][k] = c * apk - s * aqk;
+                        a[q][k] = s * apk + c * aqk;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const vkp = v[k][p];
+                        const vkq = v[k][q];
+                        v[k][p] = c * vkp - s * vkq;
+                        v[k][q] = s * vkp + c * vkq;
+                    }
+                }
+            }
+        }
+
+        let best = 0;
+        for (let i = 1; i < n; i++) {
+            if (a[i][i] > a[best][best]) best = i;
+        }
+        return v.map(row => row[best]);
+    }
+}
@@ -0,0 +1,61 @@
+import GeometryUtils from './GeometryUtils';
+import { HEAD_MODEL, LANDMARKS } from './FaceLandmarks';
+
+const ASPECT = 4 / 3;
+const radians = (degrees) => degrees * Math.PI / 180;
+
+// Head model turned by yaw, pitch and roll (degrees, GeometryUtils conventions), projected
+// orthographically into normalized FaceMesh coordinates at the given distance scale
+const posedFace = ({ yaw = 0, pitch = 0, roll = 0 }, scale = 0.0004) => {
+    const [a, b, g] = [radians(-yaw), radians(pitch), radians(roll)];
+    const rotate = ([x, y, z]) => {
+        // Rz(roll), then Rx(pitch towards the ground), then Ry(yaw)
+        [x, y] = [x * Math.cos(g) - y * Math.sin(g), x * Math.sin(g) + y * Math.cos(g)];
+        [y, z] = [y * Math.cos(b) - z * Math.sin(b), y * Math.sin(b) + z * Math.cos(b)];
+        [x, z] = [x * Math.cos(a) + z * Math.sin(a), -x * Math.sin(a) + z * Math.cos(a)];
+        return [x, y, z];
+    };
+
+    const landmarks = new Array(478);
+    for (const [index, point] of Object.entries(HEAD_MODEL)) {
+        const [x, y, z] = rotate(point);
+        landmarks[index] = { x: 0.5 + x * scale, y: 0.5 + y * scale * ASPECT, z: z * scale };
+    }
+    return landmarks;
+};
+
+test('a frontal face has zero pose', () => {
+    const pose = GeometryUtils.estimateHeadPose(posedFace({}), HEAD_MODEL, ASPECT);
+    expect(pose.yaw).toBeCloseTo(0, 3);
+    expect(pose.pitch).toBeCloseTo(0, 3);
+    expect(pose.roll).toBeCloseTo(0, 3);
+});
+
+test('recovers yaw, pitch and roll in degrees', () => {
+    for (const expected of [{ yaw: 30 }, { pitch: -20 }, { roll: 15 }, { yaw: -25, pitch: 15, roll: -10 }]) {
+        const pose = GeometryUtils.estimateHeadPose(posedFace(expected), HEAD_MODEL, ASPECT);
+        expect(pose.yaw).toBeCloseTo(expected.yaw || 0, 1);
+        expect(pose.pitch).toBeCloseTo(expected.pitch || 0, 1);
+        expect(pose.roll).toBeCloseTo(expected.roll || 0, 1);
+    }
+});
+
+test('the angle does not depend on distance from the camera or head roll', () => {
+    const near = GeometryUtils.estimateHeadPose(posedFace({ yaw: 20 }, 0.0008), HEAD_MODEL, ASPECT);
+    const far = GeometryUtils.estimateHeadPose(posedFace({ yaw: 20 }, 0.0002), HEAD_MODEL, ASPECT);
+    const tilted = GeometryUtils.estimateHeadPose(posedFace({ yaw: 20, roll: 25 }), HEAD_MODEL, ASPECT);
+    expect(near.yaw).toBeCloseTo(20, 1);
+    expect(far.yaw).toBeCloseTo(20, 1);
+    expect(tilted.yaw).toBeCloseTo(20, 1);
+});
+
+test('needs at least three model points', () => {
+    const face = posedFace({});
+    delete face[LANDMARKS.CHIN];
+    delete face[LANDMARKS.MOUTH_LEFT];
+    delete face[LANDMARKS.MOUTH_RIGHT];
+    expect(GeometryUtils.estimateHeadPose(face, HEAD_MODEL, ASPECT)).not.toBeNull();
+
+    delete face[LANDMARKS.NOSE_TIP];
+    expect(GeometryUtils.estimateHeadPose(face, HEAD_MODEL, ASPECT)).toBeNull();
+});
@@ -0,0 +1,266 @@
+// Shared model loading for enrollment and proctoring.
+// Assets are resolved from the bundled /models directory first; the public CDN is
+// only used when explicitly enabled (REACT_APP_MODEL_CDN_FALLBACK=true).
+
+const MODEL_SOURCES = {
+    LOCAL_BASE_PATH: process.env.REACT_APP_MODEL_BASE_PATH || `${process.env.PUBLIC_URL || ''}/models`,
+    CDN_FALLBACK_ENABLED: process.env.REACT_APP_MODEL_CDN_FALLBACK === 'true',
+    FACE_API_CDN: 'https://cdn.jsdelivr.net/gh/cgarciagl/face-api.js/weights',
+    MEDIAPIPE_CDN: 'https://cdn.jsdelivr.net/npm/@mediapipe',
+    TFJS_MODELS_CDN: 'https://storage.googleapis.com/tfjs-models/savedmodel'
+};
+
+// face-api.js net name -> weights manifest file shipped under /models
+const FACE_API_MANIFESTS = {
+    ssdMobilenetv1: 'ssd_mobilenetv1_model-weights_manifest.json',
+    tinyFaceDetector: 'tiny_face_detector_model-weights_manifest.json',
+    faceLandmark68Net: 'face_landmark_68_model-weights_manifest.json',
+    faceRecognitionNet: 'face_recognition_model-weights_manifest.json',
+    faceExpressionNet: 'face_expression_model-weights_manifest.json'
+};
+
+// MediaPipe solution -> files its loader requests through locateFile.
+// Copied into /models/mediapipe by scripts/copy-mediapipe-assets.js.
+const MEDIAPIPE_ASSETS = {
+    face_detection: [
+        'face_detection_full.binarypb',
+        'face_detection_full_range_sparse.tflite',
+        'face_detection_short.binarypb',
+        'face_detection_short_range.tflite',
+        'face_detection_solution_simd_wasm_bin.js',
+        'face_detection_solution_simd_wasm_bin.wasm',
+        'face_detection_solution_simd_wasm_bin.data',
+        'face_detection_solution_wasm_bin.js',
+        'face_detection_solution_wasm_bin.wasm'
+    ],
+    face_mesh: [
+        'face_mesh.binarypb',
+        'face_mesh_solution_packed_assets.data',
+        'face_mesh_solution_packed_assets_loader.js',
+        'face_mesh_solution_simd_wasm_bin.js',
+        'face_mesh_solution_simd_wasm_bin.wasm',
+        'face_mesh_solution_simd_wasm_bin.data',
+        'face_mesh_solution_wasm_bin.js',
+        'face_mesh_solution_wasm_bin.wasm'
+    ]
+};
+
+// TF.js graph model -> model.json below /models and below the TF.js model CDN.
+// Fetched into /models by scripts/fetch-object-model.js.
+const GRAPH_MODELS = {
+    'coco-ssd': { local: 'coco-ssd/model.json', cdn: 'ssdlite_mobilenet_v2/model.json' }
+};
+
+export class ModelAssetError extends Error {
+    constructor(message, asset) {
+        super(message);
+        this.name = 'ModelAssetError';
+        this.asset = asset;
+    }
+}
+
+export default class ModelLoader {
+    static pendingNets = new Map();
+    static resolvedMediaPipeBases = new Map();
+    static resolvedGraphModelUrls = new Map();
+
+    static get sources() {
+        return MODEL_SOURCES;
+    }
+
+    /**
+     * Check that a URL resolves to a real file.
+     * The dev server answers unknown paths with index.html, so HTML responses count as missing.
+     */
+    static async assetExists(url) {
+        try {
+            const response = await fetch(url, { method: 'HEAD', cache: 'no-store' });
+            if (!response.ok) return false;
+            const contentType = response.headers.get('content-type') || '';
+            return !contentType.includes('text/html');
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Verify a face-api weights manifest and every shard it references.
+     * Throws ModelAssetError naming the first missing or malformed asset.
+     */
+    static async verifyFaceApiManifest(netName, basePath = MODEL_SOURCES.LOCAL_BASE_PATH) {
+        const manifestFile = FACE_API_MANIFESTS[netName];
+        if (!manifestFile) {
+            throw new ModelAssetError(`Unknown face-api net: ${netName}`, netName);
+        }
+
+        const manifestUrl = `${basePath}/${manifestFile}`;
+        let manifest;
+        try {
+            const response = await fetch(manifestUrl, { cache: 'no-store' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            manifest = await response.json();
+        } catch (error) {
+            throw new ModelAssetError(`Missing or unreadable manifest for ${netName}: ${manifestUrl}`, manifestUrl);
+        }
+
+        if (!Array.isArray(manifest) || manifest.length === 0) {
+            throw new ModelAssetError(`Malformed manifest for ${netName}: ${manifestUrl}`, manifestUrl);
+        }
+
+        for (const group of manifest) {
+            if (!Array.isArray(group.paths) || group.paths.length === 0 || !Array.isArray(group.weights)) {
+                throw new ModelAssetError(`Manifest for ${netName} has a weight group without shards: ${manifestUrl}`, manifestUrl);
+            }
+            for (const shard of group.paths) {
+                const shardUrl = `${basePath}/${shard}`;
+                if (!(await this.assetExists(shardUrl))) {
+                    throw new ModelAssetError(`Missing weight shard for ${netName}: ${shardUrl}`, shardUrl);
+                }
+            }
+        }
+    }
+
+    /**
+     * Load face-api nets from the local model directory, falling back to the CDN only when enabled.
+     * Loads are shared, so enrollment and proctoring never fetch the same net twice.
+     */
+    static loadFaceApiModels(faceapi, netNames, options = {}) {
+        return Promise.all(netNames.map(netName => this.loadFaceApiNet(faceapi, netName, options)));
+    }
+
+    static loadFaceApiNet(faceapi, netName, options = {}) {
+        const net = faceapi.nets[netName];
+        if (!net) {
+            return Promise.reject(new ModelAssetError(`Unknown face-api net: ${netName}`, netName));
+        }
+        if (net.isLoaded) {
+            return Promise.resolve();
+        }
+        if (!this.pendingNets.has(netName)) {
+            const pending = this.loadNetFromSources(net, netName, options).catch(error => {
+                this.pendingNets.delete(netName);
+                throw error;
+            });
+            this.pendingNets.set(netName, pending);
+        }
+        return this.pendingNets.get(netName);
+    }
+
+    static async loadNetFromSources(net, netName, options) {
+        const basePath = options.basePath || MODEL_SOURCES.LOCAL_BASE_PATH;
+        const allowCdn = options.allowCdnFallback ?? MODEL_SOURCES.CDN_FALLBACK_ENABLED;
+
+        try {
+            await this.verifyFaceApiManifest(netName, basePath);
+            await net.loadFromUri(basePath);
+            console.log(`Face-API model loaded from ${basePath}: ${netName}`);
+        } catch (error) {
+            if (!allowCdn) {
+                throw error;
+            }
+            console.warn(`Local model unavailable (${error.message}), using CDN for ${netName}`);
+            await net.loadFromUri(MODEL_SOURCES.FACE_API_CDN);
+        }
+    }
+
+    /**
+     * Resolve the base URL MediaPipe should load a solution's wasm/tflite assets from.
+     * Local assets are verified up front because locateFile itself must be synchronous.
+     */
+    static async resolveMediaPipeBase(solution, options = {}) {
+        const files = MEDIAPIPE_ASSETS[solution];
+        if (!files) {
+            throw new ModelAssetError(`Unknown MediaPipe solution: ${solution}`, solution);
+        }
+        if (this.resolvedMediaPipeBases.has(solution)) {
+            return this.resolvedMediaPipeBases.get(solution);
+        }
+
+        const localBase = `${options.basePath || MODEL_SOURCES.LOCAL_BASE_PATH}/mediapipe/${solution}`;
+        const allowCdn = options.allowCdnFallback ?? MODEL_SOURCES.CDN_FALLBACK_ENABLED;
+
+        let resolved = localBase;
+        for (const file of files) {
+            const url = `${localBase}/${file}`;
+            if (!(await this.assetExists(url))) {
+                if (!allowCdn) {
+                    throw new ModelAssetError(`Missing MediaPipe asset for ${solution}: ${url}`, url);
+                }
+                console.warn(`Missing MediaPipe asset ${url}, using CDN for ${solution}`);
+                resolved = `${MODEL_SOURCES.MEDIAPIPE_CDN}/${solution}`;
+                break;
+            }
+        }
+
+        this.resolvedMediaPipeBases.set(solution, resolved);
+        return resolved;
+    }
+
+    /**
+     * Verify a TF.js graph model.json and every weight shard it references.
+     * Shard paths are relative to the model.json location.
+     */
+    static async verifyGraphModel(modelUrl) {
+        let model;
+        try {
+            const response = await fetch(modelUrl, { cache: 'no-store' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            model = await response.json();
+        } catch (error) {
+            throw new ModelAssetError(`Missing or unreadable graph model: ${modelUrl}`, modelUrl);
+        }
+
+        if (!Array.isArray(model?.weightsManifest) || model.weightsManifest.length === 0) {
+            throw new ModelAssetError(`Malformed graph model: ${modelUrl}`, modelUrl);
+        }
+
+        const baseUrl = modelUrl.slice(0, modelUrl.lastIndexOf('/'));
+        for (const group of model.weightsManifest) {
+            for (const shard of group.paths || []) {
+                const shardUrl = `${baseUrl}/${shard}`;
+                if (!(await this.assetExists(shardUrl))) {
+                    throw new ModelAssetError(`Missing weight shard for ${modelUrl}: ${shardUrl}`, shardUrl);
+                }
+            }
+        }
+    }
+
+    /**
+     * Resolve the model.json URL of a TF.js graph model, local first
+     */
+    static async resolveGraphModelUrl(name, options = {}) {
+        const model = GRAPH_MODELS[name];
+        if (!model) {
+            throw new ModelAssetError(`Unknown graph model: ${name}`, name);
+        }
+        if (this.resolvedGraphModelUrls.has(name)) {
+            return this.resolvedGraphModelUrls.get(name);
+        }
+
+        const localUrl = `${options.basePath || MODEL_SOURCES.LOCAL_BASE_PATH}/${model.local}`;
+        const allowCdn = options.allowCdnFallback ?? MODEL_SOURCES.CDN_FALLBACK_ENABLED;
+
+        let resolved = localUrl;
+        try {
+            await this.verifyGraphModel(localUrl);
+        } catch (error) {
+            if (!allowCdn) {
+                throw error;
+            }
+            console.warn(`Local model unavailable (${error.message}), using CDN for ${name}`);
+            resolved = `${MODEL_SOURCES.TFJS_MODELS_CDN}/${model.cdn}`;
+        }
+
+        this.resolvedGraphModelUrls.set(name, resolved);
+        return resolved;
+    }
+
+    static async createLocateFile(solution, options = {}) {
+        const base = await this.resolveMediaPipeBase(solution, options);
+        return (file) => `${base}/${file}`;
+    }
+}
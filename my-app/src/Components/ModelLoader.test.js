@@ -0,0 +1,80 @@
+import ModelLoader, { ModelAssetError } from './ModelLoader';
+
+const response = (body, { ok = true, contentType = 'application/octet-stream' } = {}) => ({
+    ok,
+    status: ok ? 200 : 404,
+    headers: { get: () => contentType },
+    json: async () => body
+});
+
+const serve = (files) => {
+    global.fetch = jest.fn(async (url) => {
+        const name = url.split('/').pop();
+        if (!(name in files)) return response(null, { ok: true, contentType: 'text/html' });
+        return response(files[name]);
+    });
+};
+
+const manifest = [{ paths: ['face_recognition_model-shard1', 'face_recognition_model-shard2'], weights: [] }];
+
+afterEach(() => {
+    delete global.fetch;
+    ModelLoader.pendingNets.clear();
+    ModelLoader.resolvedMediaPipeBases.clear();
+    ModelLoader.resolvedGraphModelUrls.clear();
+});
+
+test('reports the missing shard of an incomplete manifest', async () => {
+    serve({
+        'face_recognition_model-weights_manifest.json': manifest,
+        'face_recognition_model-shard1': null
+    });
+
+    const error = await ModelLoader.verifyFaceApiManifest('faceRecognitionNet', '/models').catch(e => e);
+    expect(error).toBeInstanceOf(ModelAssetError);
+    expect(error.asset).toBe('/models/face_recognition_model-shard2');
+});
+
+test('loads from the local path without touching the CDN', async () => {
+    serve({
+        'face_recognition_model-weights_manifest.json': manifest,
+        'face_recognition_model-shard1': null,
+        'face_recognition_model-shard2': null
+    });
+    const net = { isLoaded: false, loadFromUri: jest.fn(async () => {}) };
+
+    await ModelLoader.loadFaceApiModels({ nets: { faceRecognitionNet: net } }, ['faceRecognitionNet'], { basePath: '/models' });
+    expect(net.loadFromUri).toHaveBeenCalledTimes(1);
+    expect(net.loadFromUri).toHaveBeenCalledWith('/models');
+});
+
+test('uses the CDN only when the fallback is enabled', async () => {
+    serve({});
+    const net = { isLoaded: false, loadFromUri: jest.fn(async () => {}) };
+    const faceapi = { nets: { ssdMobilenetv1: net } };
+
+    await expect(ModelLoader.loadFaceApiModels(faceapi, ['ssdMobilenetv1'], { allowCdnFallback: false }))
+        .rejects.toThrow(ModelAssetError);
+    expect(net.loadFromUri).not.toHaveBeenCalled();
+
+    await ModelLoader.loadFaceApiModels(faceapi, ['ssdMobilenetv1'], { allowCdnFallback: true });
+    expect(net.loadFromUri).toHaveBeenCalledWith(ModelLoader.sources.FACE_API_CDN);
+});
+
+test('names the missing MediaPipe asset', async () => {
+    serve({ 'face_mesh.binarypb': null });
+
+    await expect(ModelLoader.resolveMediaPipeBase('face_mesh', { basePath: '/models', allowCdnFallback: false }))
+        .rejects.toThrow('/models/mediapipe/face_mesh/face_mesh_solution_packed_assets.data');
+});
+
+test('resolves a complete local graph model and names a missing shard', async () => {
+    const model = { modelTopology: {}, weightsManifest: [{ paths: ['group1-shard1of2', 'group1-shard2of2'], weights: [] }] };
+    serve({ 'model.json': model, 'group1-shard1of2': null, 'group1-shard2of2': null });
+    await expect(ModelLoader.resolveGraphModelUrl('coco-ssd', { basePath: '/models' })).resolves.toBe('/models/coco-ssd/model.json');
+
+    ModelLoader.resolvedGraphModelUrls.clear();
+    serve({ 'model.json': model, 'group1-shard1of2': null });
+    await expect(ModelLoader.resolveGraphModelUrl('coco-ssd', { basePath: '/models', allowCdnFallback: false }))
+        .rejects.toThrow('/models/coco-ssd/group1-shard2of2');
+});
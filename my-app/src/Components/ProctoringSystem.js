@@ -1,78 +1,31 @@
-import { FaceMesh } from "@mediapipe/face_mesh";
-import { FaceDetection } from "@mediapipe/face_detection";
 import * as faceapi from "face-api.js";
 import JSZip from "jszip";
-
-// Configuration constants
-const CONFIG = {
-    FACE_RECOGNITION: {
-        THRESHOLD: 0.50,
-        MIN_CONFIDENCE: 0.5,
-        INTERVAL_MS: 10000, // Run face recognition every 10 seconds
-        INITIAL_DELAY_MS: 1000 // Initial delay before first recognition
-    },
-    CALIBRATION: {
-        MAX_FRAMES: 45,
-        EMA_ALPHA: 0.1
-    },
-    STABILIZATION: {
-        THRESHOLD: 3,
-        EMA_ALPHA: 0.25
-    },
-    ATTENTION: {
-        MIN_DISTRACTION_DURATION: 2000,
-        HISTORY_SIZE: 8,
-        YAW_THRESHOLD_BASE: 0.08,
-        YAW_THRESHOLD_MULTIPLIER: 2,
-        YAW_THRESHOLD_OFFSET: 0.05,
-        PITCH_THRESHOLD_BASE: 0.12,
-        PITCH_THRESHOLD_MULTIPLIER: 2,
-        PITCH_THRESHOLD_OFFSET: 0.06
-    },
-    GAZE: {
-        MIN_EYE_WIDTH: 0.01,
-        THRESHOLD_BASE: 0.18,  // 0.25
-        THRESHOLD_MULTIPLIER: 0.5, // 0.8
-        THRESHOLD_OFFSET: 0.12 // 0.2
-    },
-    FRAME_CAPTURE: {
-        SAVE_INTERVAL: 4000,
-        CANVAS_WIDTH: 640,
-        CANVAS_HEIGHT: 480
-    },
-    MEDIAPIPE: {
-        MIN_DETECTION_CONFIDENCE: 0.7,
-        MIN_TRACKING_CONFIDENCE: 0.7,
-        MAX_NUM_FACES: 3
-    }
-};
-
-// Utility functions for geometry calculations
-class GeometryUtils {
-    static calculateEyeCenter(leftEye, rightEye) {
-        return {
-            x: (leftEye.x + rightEye.x) / 2,
-            y: (leftEye.y + rightEye.y) / 2
-        };
-    }
-
-    static calculateHeadAngles(noseTip, eyeCenter) {
-        return {
-            yaw: noseTip.x - eyeCenter.x,
-            pitch: noseTip.y - eyeCenter.y
-        };
-    }
-
-    static calculateGaze(iris, eyeInner, eyeOuter) {
-        const eyeWidth = Math.abs(eyeInner.x - eyeOuter.x);
-        if (eyeWidth < CONFIG.GAZE.MIN_EYE_WIDTH) return null;
-        return (iris.x - eyeOuter.x) / eyeWidth;
-    }
-}
+import { createDetectors, uniqueProviders, CAPABILITIES } from "./detectors/index.js";
+import { systemClock } from "./Clock.js";
+import { HEAD_MODEL } from "./FaceLandmarks.js";
+import GeometryUtils from "./GeometryUtils.js";
+import { DEFAULT_POLICY } from "./policy/PolicyProfiles.js";
+import EnrollmentRepository from "./storage/EnrollmentRepository.js";
+import BrowserEnvironmentAnalyzer, { ENVIRONMENT_CONDITIONS } from "./environment/BrowserEnvironmentAnalyzer.js";
+import BrowserEnvironmentMonitor from "./environment/BrowserEnvironmentMonitor.js";
+import InputActivityMonitor, { INPUT_ACTIONS } from "./environment/InputActivityMonitor.js";
+import VoiceActivityAnalyzer from "./audio/VoiceActivityAnalyzer.js";
+import AudioMonitor from "./audio/AudioMonitor.js";
+import MouthMovementAnalyzer from "./analysis/MouthMovementAnalyzer.js";
+import EyeClosureAnalyzer from "./analysis/EyeClosureAnalyzer.js";
+import SessionVideoRecorder, { locateInRecording } from "./media/SessionVideoRecorder.js";
+import { StoreRecordingSink } from "./media/RecordingSinks.js";
+import ViolationClipRecorder from "./media/ViolationClipRecorder.js";
+import IntegrityScoreEngine from "./scoring/IntegrityScoreEngine.js";
+import FrameScheduler from "./pipeline/FrameScheduler.js";
+import { VIOLATION_CATEGORIES, VIOLATION_CODES, DEFAULT_LOCALE, getViolation, formatViolationMessage } from "./violations/ViolationRegistry.js";
+import PostureDriftAnalyzer from "./analysis/PostureDriftAnalyzer.js";
+import ProhibitedObjectAnalyzer from "./analysis/ProhibitedObjectAnalyzer.js";
+import GazeRegionAnalyzer, { GAZE_REGIONS } from "./analysis/GazeRegionAnalyzer.js";
 
 // Clean ProctoringSystem class for React
 export default class ProctoringSystem {
-    constructor(stream, video, onLogEvent, onViolationUpdate) {
+    constructor(stream, video, onLogEvent, onViolationUpdate, options = {}) {
         // Input validation
         this.validateInputs(stream, video, onLogEvent, onViolationUpdate);
         
@@ -80,16 +33,78 @@ export default class ProctoringSystem {
         this.isMonitoring = false;
         this.enrolledDescriptors = null;
         this.sessionStartTime = null;
+
+        // Candidate whose enrolled template is verified during the session
+        this.candidateId = options.candidateId || null;
+        this.enrollment = options.enrollment || null;
         
         // Violation tracking
         this.totalViolations = 0;
         this.attentionViolations = 0;
+        // Browser environment violations (focus, fullscreen, split screen) are counted separately
+        this.environmentViolations = 0;
+        this.audioViolations = 0;
+        // Violation counts keyed by registry code and by category
+        this.violationCounts = { by_code: {}, by_category: {} };
+        // Locale of violation messages; see violations/ViolationRegistry.js
+        this.locale = options.locale || DEFAULT_LOCALE;
         this.sessionEvents = [];
         this.sessionLogs = [];
         
-        // MediaPipe instances
-        this.faceDetection = null;
-        this.faceMesh = null;
+        // Exam policy profile; all thresholds are read from its resolved settings
+        this.policy = options.policy || DEFAULT_POLICY;
+        this.config = this.policy.config;
+
+        // Detector backends per capability (face count, landmarks, identity, optional objects)
+        this.detectors = createDetectors({
+            ...(this.config.OBJECTS.ENABLED ? {} : { [CAPABILITIES.OBJECTS]: null }),
+            ...options.detectors
+        }, this.config);
+
+        // Tab visibility, window focus, fullscreen and split-screen tracking
+        this.environmentAnalyzer = new BrowserEnvironmentAnalyzer(this.config.ENVIRONMENT);
+
+        // Microphone voice activity
+        this.audioAnalyzer = new VoiceActivityAnalyzer(this.config.AUDIO);
+        this.audioMonitor = null;
+        this.audioAvailable = false;
+        this.voiceIntervals = [];
+
+        // Webcam clips around violations, where MediaRecorder is available
+        this.clipRecorder = null;
+
+        // Optional full-session recording; chunk index entries of the current session
+        this.videoRecorder = options.videoRecorder || null;
+        this.recordingChunks = [];
+        this.recordingStopped = Promise.resolve();
+
+        // Talking detection from lip landmarks
+        this.mouthAnalyzer = new MouthMovementAnalyzer(this.config);
+
+        // Gaze point on the screen from head pose, horizontal and vertical iris position
+        this.gazeAnalyzer = new GazeRegionAnalyzer(this.config);
+
+        // Blinks, prolonged eye closure and drowsiness from the eyelid landmarks
+        this.eyeAnalyzer = new EyeClosureAnalyzer(this.config);
+
+        // Phones, books and extra screens from the sampled object detector
+        this.objectAnalyzer = new ProhibitedObjectAnalyzer(this.config.OBJECTS);
+
+        // Steady head pose offsets with the gaze on screen, e.g. after leaning back
+        this.driftAnalyzer = new PostureDriftAnalyzer(this.config.DRIFT);
+
+        // Weighted, decaying 0-100 integrity score over all violations; its changes are
+        // persisted so a resumed session keeps the durations of earlier violations
+        this.integrityScore = new IntegrityScoreEngine(this.config.SCORING, {
+            onChange: (change) => {
+                if (this.persistence) this.persistence.appendScore(change);
+            }
+        });
+
+        // Detection stages with target rates, frame dropping under load and latency telemetry
+        this.frameScheduler = new FrameScheduler(this.config.SCHEDULER);
+        this.registerFrameStages();
+        this.lastTelemetryTime = 0;
         
         // State tracking variables
         this.lastFaceCount = 0;
@@ -99,7 +114,6 @@ export default class ProctoringSystem {
         // Attention analysis with exponential moving average
         this.yawHistory = [];
         this.pitchHistory = [];
-        this.gazeHistory = [];
         
         // Stabilization counters
         this.distractionCounter = 0;
@@ -110,15 +124,18 @@ export default class ProctoringSystem {
         // Frame capture control
         this.lastViolationFrameSave = 0;
         
-        // Face recognition timing control
-        this.lastFaceRecogTime = 0;
-        this.faceRecognitionStarted = false;
-        
         // Calibration system
         this.calibrationFrames = 0;
+        // Accepted multi-point calibration (GazeCalibration result), required before monitoring by default
+        this.calibration = null;
+        // Baseline recalibration in progress: { reason, before }
+        this.recalibration = null;
+        this.recalibrationCount = 0;
+        // Head pose baselines in degrees
         this.baselineYaw = 0;
         this.baselinePitch = 0;
-        this.baselineGaze = 0;
+        this.baselineRoll = 0;
+        this.lastHeadPose = null;
 
         // Distraction timing controls
         this.distractionStartTime = null;
@@ -128,19 +145,90 @@ export default class ProctoringSystem {
         this.video = video;
         this.onLogEvent = onLogEvent;
         this.onViolationUpdate = onViolationUpdate;
-        
-        // Create canvas for frame processing
-        this.canvas = document.createElement('canvas');
-        this.canvas.width = CONFIG.FRAME_CAPTURE.CANVAS_WIDTH;
-        this.canvas.height = CONFIG.FRAME_CAPTURE.CANVAS_HEIGHT;
-        this.ctx = this.canvas.getContext('2d');
+
+        // Time source; every handler pins one timestamp per frame so recordings replay exactly
+        this.clock = options.clock || systemClock;
+        this.frameTime = null;
+
+        // Optional landmark recorder for deterministic replay
+        this.recorder = options.recorder || null;
+
+        // Optional crash-safe copy of the session (SessionPersistence), and a session loaded
+        // from it to resume instead of starting a new one
+        this.persistence = options.persistence || null;
+        this.resumeFrom = options.resume || null;
+
+        // Frame width / height for head pose; read from the video when the session starts
+        this.configuredFrameAspect = options.frameAspect || null;
+        this.frameAspect = null;
+
+        if (options.calibration) {
+            this.applyCalibration(options.calibration);
+        }
+
+        // Headless mode (replay, tests) runs the analysis handlers without DOM or storage access
+        this.headless = Boolean(options.headless);
 
         // Store violation frames for download
         this.violationFrames = []; 
-        
+        this.canvas = null;
+        this.ctx = null;
+
+        if (!this.headless) {
+            // Create canvas for frame processing
+            this.canvas = document.createElement('canvas');
+            this.canvas.width = this.config.FRAME_CAPTURE.CANVAS_WIDTH;
+            this.canvas.height = this.config.FRAME_CAPTURE.CANVAS_HEIGHT;
+            this.ctx = this.canvas.getContext('2d');
+
+            this.environmentMonitor = new BrowserEnvironmentMonitor(state => this.onEnvironmentState(state));
+            this.inputMonitor = new InputActivityMonitor(activity => this.onInputActivity(activity), this.config.INPUT);
+            if (this.config.AUDIO.ENABLED) {
+                this.audioMonitor = new AudioMonitor(features => this.onAudioFeatures(features), this.config.AUDIO);
+            }
+            if (this.config.CLIPS.ENABLED && ViolationClipRecorder.isSupported()) {
+                this.clipRecorder = new ViolationClipRecorder(stream, this.config.CLIPS, {
+                    onClip: clip => this.onViolationClip(clip),
+                    onEvict: clip => this.onViolationClipEvicted(clip)
+                });
+            }
+            if (this.config.RECORDING.ENABLED && !this.videoRecorder && SessionVideoRecorder.isSupported()) {
+                // Chunks go to IndexedDB unless a sink such as UploadRecordingSink is given
+                this.videoRecorder = new SessionVideoRecorder(stream, this.config.RECORDING, options.recordingSink || new StoreRecordingSink(), {
+                    onChunk: chunk => this.onRecordingChunk(chunk)
+                });
+            }
+        }
+
+        this.enrollmentRepository = options.enrollmentRepository || (this.headless ? null : new EnrollmentRepository());
+        this.enrollmentReady = this.loadEnrolledFace();
+
         // Initialize system
-        this.loadEnrolledFace();
-        this.setupMediaPipe();
+        this.detectorsReady = this.setupDetectors();
+    }
+
+    now() {
+        return this.frameTime ?? this.clock.now();
+    }
+
+    isoNow() {
+        return new Date(this.now()).toISOString();
+    }
+
+    /**
+     * Run a callback with the clock pinned to a single timestamp
+     * Keeps every log entry of one frame on the same time, live and in replay
+     */
+    atFrameTime(callback) {
+        if (this.frameTime !== null) {
+            return callback();
+        }
+        this.frameTime = this.clock.now();
+        try {
+            return callback();
+        } finally {
+            this.frameTime = null;
+        }
     }
 
     validateInputs(stream, video, onLogEvent, onViolationUpdate) {
@@ -158,77 +246,88 @@ export default class ProctoringSystem {
         }
     }
 
-    async loadFaceApiModels() {
-        const MODEL_URL = 'https://cdn.jsdelivr.net/gh/cgarciagl/face-api.js/weights/';
-        //console.log('Loading Face-API models...');
-
+    /**
+     * Load the enrolled template of the session candidate
+     * Missing enrollments are reported when the session starts
+     */
+    async loadEnrolledFace() {
+        if (!this.candidateId || !this.enrollmentRepository) {
+            return;
+        }
         try {
-            await Promise.all([
-                faceapi.nets.ssdMobilenetv1.loadFromUri(MODEL_URL),
-                faceapi.nets.faceLandmark68Net.loadFromUri(MODEL_URL),
-                faceapi.nets.faceRecognitionNet.loadFromUri(MODEL_URL),
-            ]);
-            console.log('Face-API models loaded.');
+            const record = await this.enrollmentRepository.get(this.candidateId);
+            if (record) {
+                this.enrolledDescriptors = record.descriptors;
+                this.enrollment = {
+                    enrolled_at: record.enrolledAt,
+                    updated_at: record.updatedAt,
+                    expires_at: new Date(record.expiresAt).toISOString(),
+                    descriptor_count: record.descriptors.length,
+                    model_version: record.modelVersion,
+                    model_mismatch: record.modelMismatch
+                };
+                console.log(`Enrolled face descriptors loaded for ${this.candidateId}:`, this.enrolledDescriptors.length);
+            }
         } catch (error) {
-            console.error('Failed to load Face-API models:', error);
-            throw error;
+            console.error('Error loading enrolled face:', error);
         }
     }
 
-    loadEnrolledFace() {
-        const stored = localStorage.getItem('enrolledDescriptors');
-        if (stored) {
-            try {
-                const parsed = JSON.parse(stored);
-                this.enrolledDescriptors = parsed.map(d => new Float32Array(d));
-                console.log('Enrolled face descriptors loaded:', this.enrolledDescriptors.length);
-            } catch (error) {
-                console.error('Error loading enrolled face:', error);
-            }
-        } else {
-            this.logEvent('No enrolled face found. Please enroll first.', 'error');
+    async setupDetectors() {
+        try {
+            await Promise.all(uniqueProviders(this.detectors).map(provider => provider.initialize()));
+            console.log('Detectors ready:', Object.entries(this.detectors).map(([capability, provider]) => `${capability}=${provider.name}`).join(', '));
+        } catch (error) {
+            console.error('Failed to setup detectors:', error);
+            throw error;
         }
     }
 
-    setupMediaPipe() {
+    async startMonitoring() {
         try {
-            // Face Detection setup - detects presence and count of faces
-            this.faceDetection = new FaceDetection({
-                locateFile: (file) => `https://cdn.jsdelivr.net/npm/@mediapipe/face_detection/${file}`
-            });
-
-            this.faceDetection.setOptions({
-                model: 'full',
-                minDetectionConfidence: CONFIG.MEDIAPIPE.MIN_DETECTION_CONFIDENCE,
-            });
-
-            this.faceDetection.onResults(this.onFaceDetectionResults.bind(this));
-
-            // Face Mesh setup - provides detailed facial landmarks for attention analysis
-            this.faceMesh = new FaceMesh({
-                locateFile: (file) => `https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/${file}`
-            });
-
-            this.faceMesh.setOptions({
-                maxNumFaces: CONFIG.MEDIAPIPE.MAX_NUM_FACES,
-                refineLandmarks: true,
-                minDetectionConfidence: CONFIG.MEDIAPIPE.MIN_DETECTION_CONFIDENCE,
-                minTrackingConfidence: CONFIG.MEDIAPIPE.MIN_TRACKING_CONFIDENCE
-            });
-
-            this.faceMesh.onResults(this.onFaceMeshResults.bind(this));
-        
+            if (this.config.CALIBRATION.REQUIRE_TARGETS && !this.calibration) {
+                throw new Error('Gaze calibration is required before monitoring');
+            }
+            await this.enrollmentReady;
+            this.beginSession();
+            if (this.environmentMonitor) {
+                this.environmentMonitor.start();
+                this.inputMonitor.start();
+            }
+            if (this.clipRecorder) {
+                this.clipRecorder.start();
+            }
+            if (this.videoRecorder) {
+                this.videoRecorder.start(this.sessionStartTime, this.recordingChunks);
+            }
+            if (this.audioMonitor) {
+                // Not awaited: the microphone prompt must not hold up video monitoring
+                this.audioMonitor.start().catch(error => {
+                    console.error('Failed to start audio monitoring:', error);
+                    this.onAudioUnavailable(error.message);
+                });
+            }
+            await this.detectorsReady;
+            this.processVideo();
+            
         } catch (error) {
-            console.error('Failed to setup MediaPipe:', error);
+            console.error('Failed to start monitoring:', error);
+            this.logEvent(`Failed to start monitoring: ${error.message}`, 'error');
             throw error;
         }
     }
 
-    async startMonitoring() {
-        try {
+    /**
+     * Reset tracking state and open a new session log, or continue the resumed one
+     */
+    beginSession() {
+        this.atFrameTime(() => {
+            const resumed = this.resumeFrom;
+            this.resumeFrom = null;
+
             // Reset all tracking states
             this.isMonitoring = true;
-            this.sessionStartTime = Date.now();
+            this.sessionStartTime = resumed ? resumed.session.session_id : this.now();
             this.lastAttentionState = 'unknown';
             this.lastPersonState = 'unknown';
             this.calibrationFrames = 0;
@@ -238,58 +337,203 @@ export default class ProctoringSystem {
             this.authorizedCounter = 0;
             this.sessionEvents = [];
             this.sessionLogs = [];
-            this.lastFaceRecogTime = 0;
-            this.faceRecognitionStarted = false;
+            this.totalViolations = 0;
+            this.attentionViolations = 0;
+            this.environmentViolations = 0;
+            this.audioViolations = 0;
+            this.violationCounts = { by_code: {}, by_category: {} };
+            this.recordingChunks = [];
             this.violationFrames = [];
+            this.environmentAnalyzer.reset();
+            this.audioAnalyzer.reset();
+            this.audioAvailable = false;
+            this.voiceIntervals = [];
+            this.frameAspect = this.configuredFrameAspect || this.videoAspectRatio();
+            this.lastHeadPose = null;
+            this.mouthAnalyzer.reset();
+            this.eyeAnalyzer.reset();
+            this.gazeAnalyzer.reset();
+            this.objectAnalyzer.reset();
+            this.frameScheduler.reset(this.now());
+            this.lastTelemetryTime = this.now();
+            this.driftAnalyzer.reset();
+            this.integrityScore.reset(this.sessionStartTime);
+            this.recalibration = null;
+            this.recalibrationCount = 0;
+            this.applyCalibrationBaseline();
+
+            if (this.recorder) {
+                this.recorder.start(this.sessionStartTime, this.getConfigurationSummary(), {
+                    candidateId: this.candidateId,
+                    enrollment: this.enrollment,
+                    frameAspect: this.frameAspect,
+                    calibration: this.calibration,
+                    // Frames from before the interruption are gone; a replay restores the same state instead
+                    resumed: resumed && {
+                        resumed_at: this.now(),
+                        session: resumed.session,
+                        logs: resumed.logs,
+                        events: resumed.events,
+                        scores: resumed.scores
+                    }
+                });
+            }
             
-            this.logEvent('Monitoring session started - Calibrating...', 'info');
-            this.addToSessionLog({
-                type: 'session_start',
-                timestamp: new Date().toISOString(),
-                session_id: this.sessionStartTime
-            });
-            
-            await this.loadFaceApiModels();
-            this.processVideo();
-            
-        } catch (error) {
-            console.error('Failed to start monitoring:', error);
-            this.logEvent('Failed to start monitoring', 'error');
-            throw error;
-        }
+            if (resumed) {
+                this.restoreSession(resumed);
+            } else {
+                if (this.persistence) {
+                    this.persistence.begin(this.sessionStartTime, this.candidateId, this.now());
+                }
+                this.logEvent('Monitoring session started - Calibrating...', 'info');
+                this.addToSessionLog({
+                    type: 'session_start',
+                    timestamp: this.isoNow(),
+                    session_id: this.sessionStartTime,
+                    candidate_id: this.candidateId,
+                    enrollment: this.enrollment
+                });
+            }
+            if (this.calibration) {
+                this.addToSessionLog({
+                    type: 'gaze_calibration',
+                    timestamp: this.isoNow(),
+                    validation_error: this.calibration.validation_error,
+                    max_point_error: this.calibration.max_point_error,
+                    points: this.calibration.points.map(point => ({ target: point.target, error: point.error }))
+                });
+            }
+
+            if (!this.enrollment) {
+                this.logEvent(`No enrolled face found for candidate ${this.candidateId || '(none)'}. Please enroll first.`, 'error');
+            } else if (this.enrollment.model_mismatch) {
+                this.logEvent(`Enrollment of ${this.candidateId} was made with ${this.enrollment.model_version}; re-enrollment recommended`, 'warning');
+            }
+        });
     }
 
-    stopMonitoring() {
-        this.isMonitoring = false;
-        
-        this.logEvent('Monitoring session stopped', 'info');
+    /**
+     * Continue a session loaded from SessionPersistence: its logs, events, frames, counts and
+     * integrity score come back from storage and the time it was gone is logged as an interruption
+     */
+    restoreSession(snapshot) {
+        this.sessionLogs = [...snapshot.logs];
+        this.sessionEvents = [...snapshot.events];
+        this.violationFrames = [...snapshot.frames];
+        this.recordingChunks = [...snapshot.chunks];
+        for (const entry of snapshot.logs) {
+            if (entry.type === 'event' && entry.event_type === 'violation') {
+                this.countViolation(entry.code);
+            }
+        }
+        // Before persistence resumes, so the restored changes are not stored twice
+        snapshot.scores.forEach(change => this.integrityScore.apply(change));
+
+        const interruptedAt = snapshot.session.last_seen_at;
+        if (this.persistence) {
+            this.persistence.resume(snapshot, this.now());
+        }
+        // The analyzers start over and cannot end what was open at the crash, so those
+        // violations end where the session was interrupted
+        this.integrityScore.finish(interruptedAt);
+        const gapMs = Math.max(0, this.now() - interruptedAt);
+        this.logEvent(`Session resumed after a ${(gapMs / 1000).toFixed(0)}s interruption`, 'warning');
         this.addToSessionLog({
-            type: 'session_end',
-            timestamp: new Date().toISOString(),
-            session_duration: this.sessionStartTime ? Date.now() - this.sessionStartTime : 0,
-            total_violations: this.totalViolations,
-            attention_violations: this.attentionViolations
+            type: 'interruption',
+            timestamp: this.isoNow(),
+            interrupted_at: new Date(interruptedAt).toISOString(),
+            resumed_at: this.isoNow(),
+            gap_ms: gapMs
         });
+        this.onViolationUpdate(this.totalViolations, this.attentionViolations, this.environmentViolations, this.audioViolations, this.getViolationCounts());
+    }
+
+    /**
+     * End the running session and export it; does nothing while no session runs, e.g. when
+     * the page is left during calibration
+     */
+    stopMonitoring() {
+        if (!this.isMonitoring) return;
+        const sessionId = this.sessionStartTime;
+        this.endSession();
 
         // Auto-download session logs and violation frames
-        setTimeout(() => {
+        setTimeout(async () => {
+            // The export references the recording, so its last chunk must be indexed first
+            await this.recordingStopped;
             this.downloadSessionLogs();
-            this.downloadViolationFrames();
+            await this.downloadViolationFrames();
+            this.downloadLandmarkRecording();
+            const recordingSaved = await this.downloadSessionRecording();
+
+            // Exported; the crash-safe copy is no longer needed
+            if (this.persistence && sessionId) {
+                await this.persistence.discard(sessionId);
+            }
+            if (this.videoRecorder && sessionId && recordingSaved) {
+                await this.videoRecorder.sink.discard(sessionId);
+            }
         }, 1000);
     }
 
+    endSession() {
+        if (this.environmentMonitor) {
+            this.environmentMonitor.stop();
+            this.inputMonitor.stop();
+        }
+        if (this.audioMonitor) {
+            this.audioMonitor.stop();
+        }
+        if (this.clipRecorder) {
+            this.clipRecorder.stop();
+        }
+        if (this.videoRecorder) {
+            this.recordingStopped = this.videoRecorder.stop();
+        }
+
+        this.atFrameTime(() => {
+            // Close intervals still open, e.g. a candidate who never came back to the tab
+            this.environmentAnalyzer.finish(this.now()).forEach(transition => this.reportEnvironmentTransition(transition));
+            this.audioAnalyzer.finish().forEach(transition => this.reportAudioTransition(transition));
+            this.mouthAnalyzer.finish().forEach(transition => this.reportMouthTransition(transition));
+            this.eyeAnalyzer.finish(this.now()).forEach(transition => this.reportEyeTransition(transition));
+            this.gazeAnalyzer.finish(this.now()).forEach(transition => this.reportGazeTransition(transition));
+            this.objectAnalyzer.finish(this.now()).forEach(transition => this.reportObjectTransition(transition));
+            this.integrityScore.finish(this.now());
+            // Telemetry of the last partial window, for sessions whose frames went through the scheduler
+            if (this.frameScheduler.totalFrames > 0) {
+                this.logPipelineTelemetry();
+            }
+            this.isMonitoring = false;
+            
+            this.logEvent('Monitoring session stopped', 'info');
+            this.addToSessionLog({
+                type: 'session_end',
+                timestamp: this.isoNow(),
+                session_duration: this.sessionStartTime ? this.now() - this.sessionStartTime : 0,
+                total_violations: this.totalViolations,
+                attention_violations: this.attentionViolations,
+                environment_violations: this.environmentViolations,
+                audio_violations: this.audioViolations,
+                violations_by_code: this.violationCounts.by_code,
+                violations_by_category: this.violationCounts.by_category,
+                integrity_score: this.getIntegrityScore()
+            });
+            if (this.persistence) {
+                this.persistence.finish(this.now());
+            }
+
+            if (this.recorder) {
+                this.recorder.stop(this.now(), this.sessionLogs);
+            }
+        });
+    }
+
     dispose() {
         this.stopMonitoring();
         
-        // Clean up MediaPipe resources
-        if (this.faceDetection) {
-            this.faceDetection.close();
-            this.faceDetection = null;
-        }
-        if (this.faceMesh) {
-            this.faceMesh.close();
-            this.faceMesh = null;
-        }
+        // Clean up detector resources
+        uniqueProviders(this.detectors).forEach(provider => provider.dispose());
 
         // Clean up canvas
         if (this.canvas) {
@@ -304,6 +548,41 @@ export default class ProctoringSystem {
         console.log('ProctoringSystem disposed');
     }
 
+    /**
+     * Detection stages run by the frame scheduler, in priority order
+     */
+    registerFrameStages() {
+        // Face count and landmarks from the configured detector backends
+        this.frameScheduler.register('face_count', {
+            rateHz: this.config.SCHEDULER.FACE_COUNT_HZ,
+            priority: 0,
+            run: async () => this.onFaceDetectionResults(await this.detectors.faceCount.detectFaces(this.video))
+        });
+        this.frameScheduler.register('landmarks', {
+            rateHz: this.config.SCHEDULER.LANDMARKS_HZ,
+            priority: 1,
+            run: async () => this.onFaceMeshResults(await this.detectors.landmarks.detectLandmarks(this.video))
+        });
+
+        // Face recognition once INITIAL_DELAY_MS into the session, then every INTERVAL_MS
+        this.frameScheduler.register('recognition', {
+            rateHz: 1000 / this.config.FACE_RECOGNITION.INTERVAL_MS,
+            priority: 2,
+            enabled: (time) => Boolean(this.enrolledDescriptors && this.enrolledDescriptors.length > 0) &&
+                time - this.sessionStartTime >= this.config.FACE_RECOGNITION.INITIAL_DELAY_MS,
+            run: () => this.performFaceRecognition()
+        });
+
+        // Object detection runs on the CPU, so it is only sampled
+        if (this.detectors.objects) {
+            this.frameScheduler.register('objects', {
+                rateHz: 1000 / this.config.OBJECTS.SAMPLE_INTERVAL_MS,
+                priority: 3,
+                run: async () => this.onObjectDetectionResults(await this.detectors.objects.detectObjects(this.video))
+            });
+        }
+    }
+
     async processVideo() {
         if (!this.isMonitoring) return;
 
@@ -311,32 +590,47 @@ export default class ProctoringSystem {
             // // Draw video frame to canvas for processing
             this.ctx.drawImage(this.video, 0, 0, this.canvas.width, this.canvas.height);
             
-            // Process with MediaPipe
-            await this.faceDetection.send({ image: this.video});
-            await this.faceMesh.send({ image: this.video });
-    
-            // Run face recognition at controlled intervals
-            const now = Date.now();
-            if (this.enrolledDescriptors && this.enrolledDescriptors.length > 0) {
-                // Initial run after delay, then every 10 seconds
-                const shouldRunInitial = !this.faceRecognitionStarted && now - this.sessionStartTime >= CONFIG.FACE_RECOGNITION.INITIAL_DELAY_MS;
-                const shouldRunPeriodic = this.faceRecognitionStarted && now - this.lastFaceRecogTime >= CONFIG.FACE_RECOGNITION.INTERVAL_MS;
-                
-                if (shouldRunInitial || shouldRunPeriodic) {
-                    this.lastFaceRecogTime = now;
-                    this.faceRecognitionStarted = true;
-                    await this.performFaceRecognition();
-                }
+            if (this.persistence) {
+                this.persistence.heartbeat(this.now());
             }
-            
+
+            await this.analyzeFrame();
         } catch (error) {
             console.error('Error processing video frame:', error);
         }
 
-        // Continue processing at ~30fps
+        // The scheduler decides which stages each animation frame runs
         requestAnimationFrame(() => this.processVideo());
     }
 
+    /**
+     * Run the detection stages due on this frame and log pipeline telemetry when it is due
+     */
+    async analyzeFrame() {
+        const now = this.now();
+        await this.frameScheduler.runFrame(now);
+        if (this.isMonitoring && now - this.lastTelemetryTime >= this.config.SCHEDULER.TELEMETRY_INTERVAL_MS) {
+            this.logPipelineTelemetry();
+        }
+    }
+
+    /**
+     * Write the scheduler's latency and rate telemetry to the session log, so a quiet
+     * session can be told apart from a starved detection pipeline
+     */
+    logPipelineTelemetry() {
+        this.atFrameTime(() => {
+            const report = this.frameScheduler.report(this.now());
+            this.lastTelemetryTime = this.now();
+            this.addToSessionLog({ type: 'pipeline_telemetry', ...report });
+            // Only noted in the telemetry entry: replays never run the scheduler, so a dashboard
+            // event here would not be reproduced
+            if (report.starved.length > 0) {
+                console.warn(`Detection running below its target rate: ${report.starved.join(', ')}`);
+            }
+        });
+    }
+
     resetFaceRecognitionCounters() {
         this.unauthorizedCounter = 0;
         this.authorizedCounter = 0;
@@ -344,7 +638,7 @@ export default class ProctoringSystem {
     }
 
     /**
-     * Perform face recognition using Face-API.js
+     * Perform face recognition using the identity detector backend
      * Compares detected faces against enrolled reference
      */
     async performFaceRecognition() {
@@ -355,184 +649,200 @@ export default class ProctoringSystem {
         }
         
         try {
-            const detection = await faceapi
-                .detectSingleFace(this.video, new faceapi.SsdMobilenetv1Options({ minConfidence: CONFIG.FACE_RECOGNITION.MIN_CONFIDENCE }))
-                .withFaceLandmarks()
-                .withFaceDescriptor();
+            const descriptor = await this.detectors.identity.computeDescriptor(this.video);
+
+            // Find best match among enrolled descriptors
+            let bestDistance = null;
+            if (descriptor) {
+                bestDistance = Infinity;
+                for (const refDescriptor of this.enrolledDescriptors) {
+                    const distance = faceapi.euclideanDistance(refDescriptor, descriptor);
+                    bestDistance = Math.min(bestDistance, distance);
+                }
+            }
+
+            this.onFaceRecognitionResult(bestDistance);
+        } catch (error) {
+            console.error('Face recognition error:', error);
+            this.resetFaceRecognitionCounters();
+        }
+    }
+
+    /**
+     * Handle the best enrolled-descriptor distance of one recognition pass
+     * A null distance means no face was found for recognition
+     */
+    onFaceRecognitionResult(bestDistance) {
+        if (!this.isMonitoring) return;
+
+        this.atFrameTime(() => {
+            if (this.recorder) {
+                this.recorder.recordRecognition(this.now(), bestDistance);
+            }
 
-            if (!detection) {
+            if (bestDistance === null) {
                 console.log('No face detected for recognition');
                 this.resetFaceRecognitionCounters();
                 return;
             }
 
-            // Find best match among enrolled descriptors
-            let bestDistance = Infinity;
-            for (const refDescriptor of this.enrolledDescriptors) {
-                const distance = faceapi.euclideanDistance(refDescriptor, detection.descriptor);
-                bestDistance = Math.min(bestDistance, distance);
-            }
-
-            console.log(`Face recognition distance: ${bestDistance.toFixed(3)}, threshold: ${CONFIG.FACE_RECOGNITION.THRESHOLD}`);
-            
+            console.log(`Face recognition distance: ${bestDistance.toFixed(3)}, threshold: ${this.config.FACE_RECOGNITION.THRESHOLD}`);
+        
             // Check if face is unauthorized
-            if (bestDistance > CONFIG.FACE_RECOGNITION.THRESHOLD) {
+            if (bestDistance > this.config.FACE_RECOGNITION.THRESHOLD) {
                 this.unauthorizedCounter++;
                 this.authorizedCounter = 0;
-                
+            
                 // Confirm unauthorized person after stabilization
-                if (this.unauthorizedCounter >= CONFIG.STABILIZATION.THRESHOLD && this.lastPersonState !== 'unauthorized') {
-                    this.logEvent(`Wrong person detected (distance: ${bestDistance.toFixed(3)})`, 'violation');
+                if (this.unauthorizedCounter >= this.config.STABILIZATION.THRESHOLD && this.lastPersonState !== 'unauthorized') {
+                    this.reportViolation(VIOLATION_CODES.WRONG_PERSON, { distance: bestDistance.toFixed(3) });
+                    this.integrityScore.start(VIOLATION_CODES.WRONG_PERSON, this.now());
                     this.lastPersonState = 'unauthorized';
-                    
+                
                     // Log recognition event
                     this.addToSessionLog({
                         type: 'face_recognition',
-                        timestamp: new Date().toISOString(),
+                        timestamp: this.isoNow(),
                         result: 'unauthorized',
                         distance: bestDistance,
-                        threshold: CONFIG.FACE_RECOGNITION.THRESHOLD
+                        threshold: this.config.FACE_RECOGNITION.THRESHOLD
                     });
                 }
             } else {
                 this.authorizedCounter++;
                 this.unauthorizedCounter = 0;
-                
+            
                 // Confirm authorized person after stabilization
-                if (this.authorizedCounter >= CONFIG.STABILIZATION.THRESHOLD && this.lastPersonState !== 'authorized') {
+                if (this.authorizedCounter >= this.config.STABILIZATION.THRESHOLD && this.lastPersonState !== 'authorized') {
                     this.logEvent(`Authorized person verified (distance: ${bestDistance.toFixed(3)})`, 'info');
+                    this.integrityScore.end(VIOLATION_CODES.WRONG_PERSON, this.now());
                     this.lastPersonState = 'authorized';
-                    
+                
                     // Log recognition event
                     this.addToSessionLog({
                         type: 'face_recognition',
-                        timestamp: new Date().toISOString(),
+                        timestamp: this.isoNow(),
                         result: 'authorized',
                         distance: bestDistance,
-                        threshold: CONFIG.FACE_RECOGNITION.THRESHOLD
+                        threshold: this.config.FACE_RECOGNITION.THRESHOLD
                     });
                 }
             }
-        } catch (error) {
-            console.error('Face recognition error:', error);
-            this.resetFaceRecognitionCounters();
+        });
+    }
+
+    /**
+     * Video frame width / height, or the capture canvas ratio before the video has a size
+     */
+    videoAspectRatio() {
+        if (this.video.videoWidth > 0 && this.video.videoHeight > 0) {
+            return this.video.videoWidth / this.video.videoHeight;
         }
+        return this.config.FRAME_CAPTURE.CANVAS_WIDTH / this.config.FRAME_CAPTURE.CANVAS_HEIGHT;
+    }
+
+    /**
+     * Head yaw, pitch and roll in degrees, or null without enough head model landmarks
+     */
+    estimateHeadPose(landmarks) {
+        return GeometryUtils.estimateHeadPose(landmarks, HEAD_MODEL, this.frameAspect);
     }
 
     /**
      * Analyze attention based on head movement
-     * Uses deviation from calibrated baseline with EMA smoothing
+     * Uses deviation from the calibrated head pose in degrees with EMA smoothing
      */
     analyzeAttention(landmarks) {
-        const noseTip = landmarks[1];
-        const leftEye = landmarks[33];
-        const rightEye = landmarks[263];
-
-        const eyeCenter = GeometryUtils.calculateEyeCenter(leftEye, rightEye);
-        const { yaw: rawYaw, pitch: rawPitch } = GeometryUtils.calculateHeadAngles(noseTip, eyeCenter);
+        const pose = this.estimateHeadPose(landmarks);
+        if (!pose) {
+            return 'unknown';
+        }
+        this.lastHeadPose = pose;
 
         // Calculate deviation from baseline
-        const yawDeviation = Math.abs(rawYaw - this.baselineYaw);
-        const pitchDeviation = Math.abs(rawPitch - this.baselinePitch);
+        const yawDeviation = Math.abs(pose.yaw - this.baselineYaw);
+        const pitchDeviation = Math.abs(pose.pitch - this.baselinePitch);
 
         // Apply EMA smoothing
         const lastYaw = this.yawHistory.length > 0 ? this.yawHistory[this.yawHistory.length - 1] : yawDeviation;
         const lastPitch = this.pitchHistory.length > 0 ? this.pitchHistory[this.pitchHistory.length - 1] : pitchDeviation;
 
-        const smoothedYaw = CONFIG.STABILIZATION.EMA_ALPHA * yawDeviation + (1 - CONFIG.STABILIZATION.EMA_ALPHA) * lastYaw;
-        const smoothedPitch = CONFIG.STABILIZATION.EMA_ALPHA * pitchDeviation + (1 - CONFIG.STABILIZATION.EMA_ALPHA) * lastPitch;
+        const smoothedYaw = this.config.STABILIZATION.EMA_ALPHA * yawDeviation + (1 - this.config.STABILIZATION.EMA_ALPHA) * lastYaw;
+        const smoothedPitch = this.config.STABILIZATION.EMA_ALPHA * pitchDeviation + (1 - this.config.STABILIZATION.EMA_ALPHA) * lastPitch;
 
         // Maintain history for smoothing
         this.yawHistory.push(smoothedYaw);
         this.pitchHistory.push(smoothedPitch);
 
-        if (this.yawHistory.length > CONFIG.ATTENTION.HISTORY_SIZE) this.yawHistory.shift();
-        if (this.pitchHistory.length > CONFIG.ATTENTION.HISTORY_SIZE) this.pitchHistory.shift();
+        if (this.yawHistory.length > this.config.ATTENTION.HISTORY_SIZE) this.yawHistory.shift();
+        if (this.pitchHistory.length > this.config.ATTENTION.HISTORY_SIZE) this.pitchHistory.shift();
 
-        // Adaptive thresholds based on calibration
-        const yawThreshold = Math.max(CONFIG.ATTENTION.YAW_THRESHOLD_BASE, this.baselineYaw * CONFIG.ATTENTION.YAW_THRESHOLD_MULTIPLIER + CONFIG.ATTENTION.YAW_THRESHOLD_OFFSET);
-        const pitchThreshold = Math.max(CONFIG.ATTENTION.PITCH_THRESHOLD_BASE, this.baselinePitch * CONFIG.ATTENTION.PITCH_THRESHOLD_MULTIPLIER + CONFIG.ATTENTION.PITCH_THRESHOLD_OFFSET);
-
-        return (smoothedYaw > yawThreshold || smoothedPitch > pitchThreshold) ? 'distracted' : 'focused';
+        return (smoothedYaw > this.config.ATTENTION.YAW_THRESHOLD_DEG || smoothedPitch > this.config.ATTENTION.PITCH_THRESHOLD_DEG) ? 'distracted' : 'focused';
     }
 
     /**
-     * Analyze gaze direction using iris tracking
-     * Determines if user is looking at screen or away
+     * Analyze gaze direction from head pose and iris position
+     * The user is distracted while the gaze point is outside the screen
      */
     analyzeGaze(landmarks) {
-        // Check if iris landmarks are available
-        if (!landmarks[468] || !landmarks[473]) {
-            return 'focused'; // Default to focused if iris data unavailable
+        // Closed eyes have no usable gaze; they are tracked by the eye closure analyzer instead
+        if (this.eyeAnalyzer.eyesClosed) {
+            return 'eyes_closed';
         }
 
-        const leftIris = landmarks[468];
-        const leftEyeInner = landmarks[133];
-        const leftEyeOuter = landmarks[33];
-        const rightIris = landmarks[473];
-        const rightEyeInner = landmarks[362];
-        const rightEyeOuter = landmarks[263];
-
-        // Calculate gaze direction
-        const leftGaze = GeometryUtils.calculateGaze(leftIris, leftEyeInner, leftEyeOuter);
-        const rightGaze = GeometryUtils.calculateGaze(rightIris, rightEyeInner, rightEyeOuter);
+        this.gazeAnalyzer.update(landmarks, this.estimateHeadPose(landmarks), this.now())
+            .forEach(transition => this.reportGazeTransition(transition));
 
-        // Skip if eyes are too small (likely closed)
-        if (leftGaze === null || rightGaze === null) {
-            return 'focused';
+        if (!this.gazeAnalyzer.measured || this.gazeAnalyzer.region === null) {
+            return 'unknown';
         }
-
-        const avgGaze = (leftGaze + rightGaze) / 2;
-
-        // Calculate deviation from baseline
-        const gazeDeviation = Math.abs(avgGaze - this.baselineGaze);
-
-        // Apply EMA smoothing
-        const lastGaze = this.gazeHistory.length > 0 ? this.gazeHistory[this.gazeHistory.length - 1] : gazeDeviation;
-        const smoothedGaze = CONFIG.STABILIZATION.EMA_ALPHA * gazeDeviation + (1 - CONFIG.STABILIZATION.EMA_ALPHA) * lastGaze;
-
-        this.gazeHistory.push(smoothedGaze);
-        if (this.gazeHistory.length > CONFIG.ATTENTION.HISTORY_SIZE) this.gazeHistory.shift();
-
-        // Adaptive threshold
-        const gazeThreshold = Math.max(CONFIG.GAZE.THRESHOLD_BASE, this.baselineGaze * CONFIG.GAZE.THRESHOLD_MULTIPLIER + CONFIG.GAZE.THRESHOLD_OFFSET);
-
-        return (smoothedGaze > gazeThreshold) ? 'distracted' : 'focused';
+        return this.gazeAnalyzer.region === GAZE_REGIONS.ON_SCREEN ? 'focused' : 'distracted';
     }
 
     onFaceDetectionResults(results) {
         if (!this.isMonitoring) return;
 
-        const faceCount = results.detections.length;
-        
-        if (faceCount === 0) {
-            if (this.lastFaceCount !== 0) {
-                this.logEvent('No face detected', 'violation');
-            }
-            // Reset face recognition counters when no face detected
-            this.resetFaceRecognitionCounters();
-        } else if (faceCount > 1) {
-            if (this.lastFaceCount <= 1) {
-                this.logEvent('Multiple faces detected', 'violation');
+        this.atFrameTime(() => {
+            if (this.recorder) {
+                this.recorder.recordDetection(this.now(), results);
             }
-            // Reset face recognition counters when multiple faces detected
-            this.resetFaceRecognitionCounters();
-        } else {
-            if (this.lastFaceCount !== 1) {
-                this.logEvent('Single face detected - OK', 'info');
+
+            const faceCount = results.detections.length;
+        
+            if (faceCount === 0) {
+                if (this.lastFaceCount !== 0) {
+                    this.reportViolation(VIOLATION_CODES.NO_FACE);
+                    this.integrityScore.start(VIOLATION_CODES.NO_FACE, this.now());
+                }
+                // Reset face recognition counters when no face detected
+                this.resetFaceRecognitionCounters();
+            } else if (faceCount > 1) {
+                if (this.lastFaceCount <= 1) {
+                    this.reportViolation(VIOLATION_CODES.MULTIPLE_FACES);
+                    this.integrityScore.start(VIOLATION_CODES.MULTIPLE_FACES, this.now());
+                }
+                // Reset face recognition counters when multiple faces detected
+                this.resetFaceRecognitionCounters();
+            } else {
+                if (this.lastFaceCount !== 1) {
+                    this.logEvent('Single face detected - OK', 'info');
+                }
             }
-        }
         
-        if (this.lastFaceCount !== faceCount) {
-            this.addToSessionLog({
-                type: 'face_count_change',
-                timestamp: new Date().toISOString(),
-                previous_count: this.lastFaceCount,
-                current_count: faceCount
-            });
-        }
+            if (faceCount !== 0) this.integrityScore.end(VIOLATION_CODES.NO_FACE, this.now());
+            if (faceCount <= 1) this.integrityScore.end(VIOLATION_CODES.MULTIPLE_FACES, this.now());
+        
+            if (this.lastFaceCount !== faceCount) {
+                this.addToSessionLog({
+                    type: 'face_count_change',
+                    timestamp: this.isoNow(),
+                    previous_count: this.lastFaceCount,
+                    current_count: faceCount
+                });
+            }
         
-        this.lastFaceCount = faceCount;
+            this.lastFaceCount = faceCount;
+        });
     }
     
     /**
@@ -542,134 +852,312 @@ export default class ProctoringSystem {
     onFaceMeshResults(results) {
         if (!this.isMonitoring) return;
 
-        if (results.multiFaceLandmarks.length > 0) {
-            const landmarks = results.multiFaceLandmarks[0];
-            
-            // Calibration phase - establish baseline measurements
-            if (this.calibrationFrames < CONFIG.CALIBRATION.MAX_FRAMES) {
-                this.calibrateBaseline(landmarks);
-                this.calibrationFrames++;
-                return;
+        this.atFrameTime(() => {
+            if (this.recorder) {
+                // Analyze the recorded form of the landmarks so replays match exactly
+                results = this.recorder.recordMesh(this.now(), results);
             }
 
-            // Transition from calibration to monitoring
-            if (this.calibrationFrames === CONFIG.CALIBRATION.MAX_FRAMES) {
-                this.logEvent('Calibration complete - Monitoring attention', 'info');
-                this.addToSessionLog({
-                    type: 'calibration_complete',
-                    timestamp: new Date().toISOString(),
-                    baseline_yaw: this.baselineYaw,
-                    baseline_pitch: this.baselinePitch,
-                    baseline_gaze: this.baselineGaze
-                });
-                this.calibrationFrames++; // Move past calibration
-            }
+            if (results.multiFaceLandmarks.length > 0) {
+                const landmarks = results.multiFaceLandmarks[0];
+            
+                // Calibration phase - establish baseline measurements
+                if (this.calibrationFrames < this.config.CALIBRATION.MAX_FRAMES) {
+                    this.calibrateBaseline(landmarks);
+                    this.calibrationFrames++;
+                    return;
+                }
+
+                // Transition from calibration to monitoring
+                if (this.calibrationFrames === this.config.CALIBRATION.MAX_FRAMES && this.recalibration) {
+                    this.completeRecalibration();
+                    this.calibrationFrames++;
+                } else if (this.calibrationFrames === this.config.CALIBRATION.MAX_FRAMES) {
+                    this.logEvent('Calibration complete - Monitoring attention', 'info');
+                    this.addToSessionLog({
+                        type: 'calibration_complete',
+                        timestamp: this.isoNow(),
+                        baseline_yaw: this.baselineYaw,
+                        baseline_pitch: this.baselinePitch,
+                        baseline_roll: this.baselineRoll,
+                        baseline_gaze: this.gazeAnalyzer.baseline && {
+                            horizontal: this.gazeAnalyzer.baseline.horizontal,
+                            vertical: this.gazeAnalyzer.baseline.vertical
+                        }
+                    });
+                    this.calibrationFrames++; // Move past calibration
+                }
+
+                this.mouthAnalyzer.update(landmarks, this.now()).forEach(transition => this.reportMouthTransition(transition));
+                this.eyeAnalyzer.update(landmarks, this.now()).forEach(transition => this.reportEyeTransition(transition));
 
-            // Analyze attention and gaze
-            const attention = this.analyzeAttention(landmarks);
-            const gaze = this.analyzeGaze(landmarks);
+                // Analyze attention and gaze
+                const attention = this.analyzeAttention(landmarks);
+                const gaze = this.analyzeGaze(landmarks);
 
-            // Process distraction detection with stabilization
-            if (attention === 'distracted' || gaze === 'distracted') {
-                this.distractionCounter++;
-                this.focusCounter = 0;
+                // Process distraction detection with stabilization
+                if (attention === 'distracted' || gaze === 'distracted') {
+                    this.distractionCounter++;
+                    this.focusCounter = 0;
                 
-                // Start timing distraction
-                if (this.distractionStartTime === null) {
-                    this.distractionStartTime = Date.now();
-                }
+                    // Start timing distraction
+                    if (this.distractionStartTime === null) {
+                        this.distractionStartTime = this.now();
+                    }
                 
-                // Confirm distraction after meeting both time and frame thresholds
-                if (this.distractionCounter >= CONFIG.STABILIZATION.THRESHOLD) {
-                    const distractionDuration = Date.now() - this.distractionStartTime;
+                    // Confirm distraction after meeting both time and frame thresholds
+                    if (this.distractionCounter >= this.config.STABILIZATION.THRESHOLD) {
+                        const distractionDuration = this.now() - this.distractionStartTime;
                     
-                    if (distractionDuration >= CONFIG.ATTENTION.MIN_DISTRACTION_DURATION && this.lastAttentionState !== 'distracted') {
-                        this.logEvent('Sustained distraction detected', 'violation');
-                        this.lastAttentionState = 'distracted';
+                        if (distractionDuration >= this.config.ATTENTION.MIN_DISTRACTION_DURATION && this.lastAttentionState !== 'distracted') {
+                            this.reportViolation(VIOLATION_CODES.SUSTAINED_DISTRACTION);
+                            this.integrityScore.start(VIOLATION_CODES.SUSTAINED_DISTRACTION, this.distractionStartTime);
+                            this.lastAttentionState = 'distracted';
                         
+                            // Log attention event
+                            this.addToSessionLog({
+                                type: 'attention_change',
+                                timestamp: this.isoNow(),
+                                state: 'distracted',
+                                duration: distractionDuration,
+                                trigger: attention === 'distracted' ? 'head_movement' : 'gaze_shift',
+                                gaze_region: this.gazeAnalyzer.region,
+                                head_pose: this.lastHeadPose && {
+                                    yaw: Number(this.lastHeadPose.yaw.toFixed(1)),
+                                    pitch: Number(this.lastHeadPose.pitch.toFixed(1)),
+                                    roll: Number(this.lastHeadPose.roll.toFixed(1))
+                                }
+                            });
+                        }
+                    }
+                } else if (gaze !== 'eyes_closed' && gaze !== 'unknown') {
+                    // Focus detected; closed eyes or an unreadable gaze confirm neither state
+                    this.focusCounter++;
+                    this.distractionCounter = 0;
+                    this.distractionStartTime = null;
+                
+                    if (this.focusCounter >= this.config.STABILIZATION.THRESHOLD && this.lastAttentionState !== 'focused') {
+                        this.logEvent('Focus restored', 'info');
+                        this.integrityScore.end(VIOLATION_CODES.SUSTAINED_DISTRACTION, this.now());
+                        this.lastAttentionState = 'focused';
+                    
                         // Log attention event
                         this.addToSessionLog({
                             type: 'attention_change',
-                            timestamp: new Date().toISOString(),
-                            state: 'distracted',
-                            duration: distractionDuration,
-                            trigger: attention === 'distracted' ? 'head_movement' : 'gaze_shift'
+                            timestamp: this.isoNow(),
+                            state: 'focused'
                         });
                     }
                 }
-            } else {
-                // Focus detected
-                this.focusCounter++;
-                this.distractionCounter = 0;
-                this.distractionStartTime = null;
-                
-                if (this.focusCounter >= CONFIG.STABILIZATION.THRESHOLD && this.lastAttentionState !== 'focused') {
-                    this.logEvent('Focus restored', 'info');
-                    this.lastAttentionState = 'focused';
-                    
-                    // Log attention event
-                    this.addToSessionLog({
-                        type: 'attention_change',
-                        timestamp: new Date().toISOString(),
-                        state: 'focused'
-                    });
+
+                if (this.config.DRIFT.ENABLED && attention !== 'unknown') {
+                    this.driftAnalyzer.update(this.headPoseOffset(this.lastHeadPose), gaze === 'focused', this.now())
+                        .forEach(transition => this.reportDriftTransition(transition));
                 }
+            } else if (this.calibrationFrames > this.config.CALIBRATION.MAX_FRAMES) {
+                this.mouthAnalyzer.update(null, this.now()).forEach(transition => this.reportMouthTransition(transition));
             }
-        }
+        });
     }
 
     /**
      * Calibrate baseline measurements for attention analysis
-     * Establishes user's normal head position and gaze direction
+     * Establishes user's normal head position and gaze direction, unless the
+     * multi-point calibration already measured them at the centre target
      */
     calibrateBaseline(landmarks) {
-        const noseTip = landmarks[1];
-        const leftEye = landmarks[33];
-        const rightEye = landmarks[263];
-
-        // Calculate head position using utility
-        const eyeCenter = GeometryUtils.calculateEyeCenter(leftEye, rightEye);
-        const { yaw, pitch } = GeometryUtils.calculateHeadAngles(noseTip, eyeCenter);
-
-        // Calculate gaze direction using iris landmarks
-        const leftIris = landmarks[468];
-        const leftEyeInner = landmarks[133];
-        const leftEyeOuter = landmarks[33];
-        const rightIris = landmarks[473];
-        const rightEyeInner = landmarks[362];
-        const rightEyeOuter = landmarks[263];
-
-        if (leftIris && rightIris) {
-            const leftGaze = GeometryUtils.calculateGaze(leftIris, leftEyeInner, leftEyeOuter);
-            const rightGaze = GeometryUtils.calculateGaze(rightIris, rightEyeInner, rightEyeOuter);
-            
-            if (leftGaze !== null && rightGaze !== null) {
-                const avgGaze = (leftGaze + rightGaze) / 2;
-                // Update baseline using exponential moving average
-                this.baselineGaze = this.baselineGaze * (1 - CONFIG.CALIBRATION.EMA_ALPHA) + avgGaze * CONFIG.CALIBRATION.EMA_ALPHA;
+        // A recalibration after a posture change only moves the head pose and gaze baselines
+        if (!this.recalibration) {
+            this.mouthAnalyzer.calibrate(landmarks);
+            this.eyeAnalyzer.calibrate(landmarks);
+            if (this.calibration) return;
+        }
+
+        // Update the head pose baseline (degrees) using exponential moving average
+        const pose = this.estimateHeadPose(landmarks);
+        if (!this.calibration) {
+            this.gazeAnalyzer.calibrate(landmarks, pose);
+        }
+        if (pose) {
+            this.baselineYaw = this.baselineYaw * (1 - this.config.CALIBRATION.EMA_ALPHA) + pose.yaw * this.config.CALIBRATION.EMA_ALPHA;
+            this.baselinePitch = this.baselinePitch * (1 - this.config.CALIBRATION.EMA_ALPHA) + pose.pitch * this.config.CALIBRATION.EMA_ALPHA;
+            this.baselineRoll = this.baselineRoll * (1 - this.config.CALIBRATION.EMA_ALPHA) + pose.roll * this.config.CALIBRATION.EMA_ALPHA;
+        }
+    }
+
+    headPoseOffset(pose) {
+        return { yaw: pose.yaw - this.baselineYaw, pitch: pose.pitch - this.baselinePitch, roll: pose.roll - this.baselineRoll };
+    }
+
+    baselineSnapshot() {
+        return {
+            yaw: this.baselineYaw,
+            pitch: this.baselinePitch,
+            roll: this.baselineRoll,
+            gaze: this.gazeAnalyzer.baseline && { ...this.gazeAnalyzer.baseline }
+        };
+    }
+
+    /**
+     * Re-measure the head pose and gaze baselines over the next CALIBRATION.MAX_FRAMES frames,
+     * e.g. from the dashboard after the candidate moved their seat
+     * Returns false while a calibration is already running
+     */
+    recalibrate() {
+        if (!this.isMonitoring || this.calibrationFrames <= this.config.CALIBRATION.MAX_FRAMES) {
+            return false;
+        }
+        this.atFrameTime(() => {
+            if (this.recorder) {
+                this.recorder.recordRecalibration(this.now());
             }
+            this.startRecalibration('manual');
+        });
+        return true;
+    }
+
+    startRecalibration(reason) {
+        this.recalibration = { reason, before: this.baselineSnapshot() };
+        this.calibrationFrames = 0;
+
+        // Smoothed deviations and pending distraction refer to the old baseline
+        this.yawHistory = [];
+        this.pitchHistory = [];
+        this.distractionCounter = 0;
+        this.focusCounter = 0;
+        this.distractionStartTime = null;
+        this.driftAnalyzer.clearWindow();
+
+        this.logEvent('Recalibrating - please look at the centre of the screen', 'info');
+    }
+
+    completeRecalibration() {
+        const { reason, before } = this.recalibration;
+        if (this.calibration) {
+            // The multi-point mapping keeps its shape; only its centre follows the head
+            this.gazeAnalyzer.shiftCentre(this.baselineYaw - before.yaw, this.baselinePitch - before.pitch);
+        }
+        const after = this.baselineSnapshot();
+        this.recalibration = null;
+        this.recalibrationCount++;
+
+        this.logEvent(`Recalibration complete (${reason.replace('_', ' ')})`, 'info');
+        this.addToSessionLog({
+            type: 'baseline_change',
+            timestamp: this.isoNow(),
+            reason,
+            before,
+            after
+        });
+    }
+
+    reportDriftTransition(transition) {
+        const offset = `yaw ${transition.offset.yaw}°, pitch ${transition.offset.pitch}°`;
+        const recalibrating = transition.type === 'drift_detected';
+
+        this.logEvent(recalibrating
+            ? `Posture change detected (${offset})`
+            : `Posture change detected (${offset}) - automatic recalibration limit reached`, 'warning');
+        this.addToSessionLog({
+            type: 'posture_drift',
+            action: recalibrating ? 'recalibrate' : 'rate_limited',
+            offset: transition.offset,
+            spread: transition.spread,
+            on_screen_share: transition.onScreenShare
+        });
+
+        if (recalibrating) {
+            this.startRecalibration('posture_drift');
+        }
+    }
+
+    /**
+     * Live integrity score, 0-100
+     */
+    getIntegrityScore() {
+        return Math.round(this.integrityScore.scoreAt(this.now()));
+    }
+
+    /**
+     * Head pose and iris offsets of the current video frame for the calibration wizard,
+     * or null when no face with visible eyes is found
+     */
+    async sampleGaze() {
+        await this.detectorsReady;
+        if (!this.frameAspect) {
+            this.frameAspect = this.configuredFrameAspect || this.videoAspectRatio();
+        }
+
+        const results = await this.detectors.landmarks.detectLandmarks(this.video);
+        const landmarks = results.multiFaceLandmarks.length === 1 ? results.multiFaceLandmarks[0] : null;
+        const pose = landmarks && this.estimateHeadPose(landmarks);
+        const offsets = pose && this.gazeAnalyzer.measure(landmarks);
+        if (!offsets) {
+            return null;
         }
+        return { head_pose: pose, offsets, gaze: this.gazeAnalyzer.gazeAngles(offsets, pose) };
+    }
+
+    /**
+     * Use an acceptable multi-point calibration for the gaze mapping and head pose baseline
+     */
+    applyCalibration(calibration) {
+        if (!calibration.acceptable) {
+            throw new Error(`Calibration quality is not acceptable: ${calibration.reason}`);
+        }
+        this.calibration = calibration;
+        this.gazeAnalyzer.setMapping(calibration.mapping);
+        this.applyCalibrationBaseline();
+    }
+
+    applyCalibrationBaseline() {
+        if (!this.calibration) return;
 
-        // Update baseline using exponential moving average
-        this.baselineYaw = this.baselineYaw * (1 - CONFIG.CALIBRATION.EMA_ALPHA) + yaw * CONFIG.CALIBRATION.EMA_ALPHA;
-        this.baselinePitch = this.baselinePitch * (1 - CONFIG.CALIBRATION.EMA_ALPHA) + pitch * CONFIG.CALIBRATION.EMA_ALPHA;
+        const { head_pose: pose, offsets } = this.calibration.center;
+        this.baselineYaw = pose.yaw;
+        this.baselinePitch = pose.pitch;
+        this.baselineRoll = pose.roll;
+        this.gazeAnalyzer.baseline = { ...offsets, yaw: pose.yaw, pitch: pose.pitch };
     }
 
     async downloadViolationFrames() {
-        if (this.violationFrames.length === 0) {
+        const clips = this.clipRecorder ? this.clipRecorder.clips : [];
+        if (this.violationFrames.length === 0 && clips.length === 0) {
             console.log('No violation frames to download');
             return;
         }
 
-        console.log(`Zipping ${this.violationFrames.length} violation frames...`);
+        console.log(`Zipping ${this.violationFrames.length} violation frames and ${clips.length} clips...`);
 
         const zip = new JSZip();
 
-        // Add each violation frame to zip with proper naming
+        // Frames are named by event ID and violation code so they sort by type whatever the
+        // message locale, and pair up with the clip of the same event
         for (const frame of this.violationFrames) {
-            const sanitizedMessage = frame.message.replace(/[^a-zA-Z0-9]/g, '_');
-            const filename = `violation_${sanitizedMessage}_${frame.timestamp}.png`;
-            zip.file(filename, frame.blob);
+            const filename = `violation_${frame.event_id}_${frame.code}_${frame.timestamp}`;
+            zip.file(`${filename}.png`, frame.blob);
+            if (frame.details) {
+                zip.file(`${filename}.json`, JSON.stringify({ event_id: frame.event_id, code: frame.code, message: frame.message, ...frame.details }, null, 2));
+            }
+        }
+
+        // Each clip part is a playable segment; the sidecar lists them in order
+        for (const clip of clips) {
+            const filename = `clip_${clip.eventId}_${clip.code}`;
+            const extension = clip.parts[0].type.includes('mp4') ? 'mp4' : 'webm';
+            const parts = clip.parts.map((part, index) => {
+                const name = `${filename}_part${index + 1}.${extension}`;
+                zip.file(name, part);
+                return name;
+            });
+            zip.file(`${filename}.json`, JSON.stringify({
+                event_id: clip.eventId,
+                code: clip.code,
+                violation_at: new Date(clip.violationAt).toISOString(),
+                started_at: new Date(clip.startedAt).toISOString(),
+                ended_at: new Date(clip.endedAt).toISOString(),
+                parts
+            }, null, 2));
         }
 
         try {
@@ -694,34 +1182,55 @@ export default class ProctoringSystem {
         }
     }
 
-    async saveViolationFrame(message) {
-        const now = Date.now();
+    async saveViolationFrame(event, details = null) {
+        if (!this.canvas) return;
+
+        const now = this.now();
         
-        if (now - this.lastViolationFrameSave < CONFIG.FRAME_CAPTURE.SAVE_INTERVAL) {
+        // Frames with detection details are always kept; their detector is already sampled
+        if (!details && now - this.lastViolationFrameSave < this.config.FRAME_CAPTURE.SAVE_INTERVAL) {
             return;
         }
         this.lastViolationFrameSave = now;
 
         try {
+            if (details?.bbox) {
+                // Outline the detection on the frame captured this cycle
+                const [x, y, width, height] = details.bbox;
+                this.ctx.strokeStyle = '#ff0000';
+                this.ctx.lineWidth = 3;
+                this.ctx.strokeRect(x * this.canvas.width, y * this.canvas.height, width * this.canvas.width, height * this.canvas.height);
+            }
+
             this.canvas.toBlob(async (blob) => {
                 if (!blob) return;
 
                 const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
 
                 // Store for download with proper structure
-                this.violationFrames.push({
+                const frame = {
                     blob: blob,
-                    message: message,
-                    timestamp: timestamp
-                });
+                    event_id: event.event_id,
+                    code: event.code,
+                    message: event.message,
+                    timestamp: timestamp,
+                    details: details
+                };
+                this.violationFrames.push(frame);
+                if (this.persistence) {
+                    this.persistence.appendFrame(frame);
+                }
 
-                console.log(`Violation frame captured: ${message} at ${timestamp}`);
+                console.log(`Violation frame captured: ${event.message} at ${timestamp}`);
                 
                 this.addToSessionLog({
                     type: 'frame_saved',
-                    timestamp: new Date().toISOString(),
-                    reason: message,
-                    frame_timestamp: timestamp
+                    timestamp: this.isoNow(),
+                    reason: event.message,
+                    event_id: event.event_id,
+                    code: event.code,
+                    frame_timestamp: timestamp,
+                    ...(details && { details })
                 });
             }, 'image/png');
         } catch (error) {
@@ -729,39 +1238,458 @@ export default class ProctoringSystem {
         }
     }
 
-    logEvent(message, type = 'info') {
-        const timestamp = new Date().toLocaleTimeString();
-        const event = { timestamp, message, type };
-        this.sessionEvents.push(event);
-        
+    onViolationClip(clip) {
+        console.log(`Violation clip saved for event ${clip.eventId}: ${clip.parts.length} parts, ${clip.bytes} bytes`);
+        this.addToSessionLog({
+            type: 'clip_saved',
+            event_id: clip.eventId,
+            code: clip.code,
+            started_at: new Date(clip.startedAt).toISOString(),
+            ended_at: new Date(clip.endedAt).toISOString(),
+            parts: clip.parts.length,
+            bytes: clip.bytes
+        });
+    }
+
+    /**
+     * A clip dropped to stay under CLIPS.MAX_MEMORY_MB; its frame and log entries remain
+     */
+    onViolationClipEvicted(clip) {
+        console.log(`Violation clip for event ${clip.eventId} evicted to free ${clip.bytes} bytes`);
+        this.addToSessionLog({
+            type: 'clip_evicted',
+            event_id: clip.eventId,
+            code: clip.code,
+            bytes: clip.bytes
+        });
+    }
+
+    /**
+     * Handle one object detection sample
+     */
+    onObjectDetectionResults(results) {
+        if (!this.isMonitoring) return;
+
+        this.atFrameTime(() => {
+            if (this.recorder) {
+                this.recorder.recordObjects(this.now(), results.objects);
+            }
+            this.objectAnalyzer.update(results.objects, this.now()).forEach(transition => this.reportObjectTransition(transition));
+        });
+    }
+
+    reportObjectTransition(transition) {
+        if (transition.type === 'object_detected') {
+            const detection = {
+                object: transition.object,
+                label: transition.label,
+                confidence: Number(transition.score.toFixed(3)),
+                bbox: transition.bbox.map(value => Number(value.toFixed(4)))
+            };
+            this.reportViolation(VIOLATION_CODES.PROHIBITED_OBJECT, { object: transition.object, percent: Math.round(transition.score * 100) }, detection);
+            this.integrityScore.start(VIOLATION_CODES.PROHIBITED_OBJECT, this.now(), `object:${transition.object}`);
+            this.addToSessionLog({
+                type: 'object_detected',
+                state: 'start',
+                ...detection
+            });
+        } else if (transition.type === 'object_cleared') {
+            this.logEvent(`Prohibited object no longer in view: ${transition.object}`, 'info', 'object');
+            this.integrityScore.end(`object:${transition.object}`, this.now());
+            this.addToSessionLog({
+                type: 'object_detected',
+                state: 'end',
+                object: transition.object,
+                duration_ms: transition.durationMs
+            });
+        }
+    }
+
+    /**
+     * Browser environment snapshot from BrowserEnvironmentMonitor (or a recording)
+     */
+    onEnvironmentState(state) {
+        if (!this.isMonitoring) return;
+
+        this.atFrameTime(() => {
+            if (this.recorder) {
+                this.recorder.recordEnvironment(this.now(), state);
+            }
+            this.environmentAnalyzer.update(state, this.now()).forEach(transition => this.reportEnvironmentTransition(transition));
+        });
+    }
+
+    reportEnvironmentTransition(transition) {
+        const reasons = transition.reasons ? transition.reasons.join(', ').replace(/_/g, ' ') : '';
+
+        if (transition.phase === 'enter') {
+            this.logEvent('Entered fullscreen', 'info', 'environment');
+            this.addToSessionLog({ type: 'environment_change', condition: transition.condition, state: 'enter' });
+            return;
+        }
+
+        if (transition.phase === 'start') {
+            const messages = {
+                [ENVIRONMENT_CONDITIONS.AWAY]: `Exam window left (${reasons})`,
+                [ENVIRONMENT_CONDITIONS.FULLSCREEN_EXIT]: 'Fullscreen exited',
+                [ENVIRONMENT_CONDITIONS.SPLIT_SCREEN]: 'Window resized - possible split screen'
+            };
+            this.logEvent(messages[transition.condition], 'warning', 'environment');
+            this.addToSessionLog({
+                type: 'environment_change',
+                condition: transition.condition,
+                state: 'start',
+                reasons: transition.reasons
+            });
+            return;
+        }
+
+        const counted = this.environmentAnalyzer.isViolation(transition);
+        const codes = {
+            [ENVIRONMENT_CONDITIONS.AWAY]: VIOLATION_CODES.LEFT_EXAM_WINDOW,
+            [ENVIRONMENT_CONDITIONS.FULLSCREEN_EXIT]: VIOLATION_CODES.FULLSCREEN_EXIT,
+            [ENVIRONMENT_CONDITIONS.SPLIT_SCREEN]: VIOLATION_CODES.SPLIT_SCREEN
+        };
+        const code = codes[transition.condition];
+        const params = { seconds: (transition.durationMs / 1000).toFixed(1), reasons };
+        if (counted) {
+            this.reportViolation(code, params);
+            this.integrityScore.add(code, transition.startedAt, transition.startedAt + transition.durationMs);
+        } else {
+            // Too short to count; logged with the same wording
+            this.logEvent(formatViolationMessage(code, params, this.locale), 'info', 'environment');
+        }
+        this.addToSessionLog({
+            type: 'environment_change',
+            condition: transition.condition,
+            state: 'end',
+            reasons: transition.reasons,
+            started_at: new Date(transition.startedAt).toISOString(),
+            duration_ms: transition.durationMs,
+            counted_as_violation: counted
+        });
+    }
+
+    /**
+     * Clipboard, context-menu or shortcut activity from InputActivityMonitor (or a recording)
+     */
+    onInputActivity(activity) {
+        if (!this.isMonitoring) return;
+
+        this.atFrameTime(() => {
+            if (this.recorder) {
+                this.recorder.recordInput(this.now(), activity);
+            }
+
+            const codes = {
+                [INPUT_ACTIONS.COPY]: VIOLATION_CODES.CLIPBOARD_COPY,
+                [INPUT_ACTIONS.CUT]: VIOLATION_CODES.CLIPBOARD_CUT,
+                [INPUT_ACTIONS.PASTE]: VIOLATION_CODES.CLIPBOARD_PASTE,
+                [INPUT_ACTIONS.PRINT_SCREEN]: VIOLATION_CODES.PRINT_SCREEN,
+                [INPUT_ACTIONS.DEVTOOLS]: VIOLATION_CODES.DEVTOOLS_SHORTCUT,
+                [INPUT_ACTIONS.APP_SWITCH]: VIOLATION_CODES.APP_SWITCH_SHORTCUT
+            };
+            const details = [];
+            if (activity.shortcut) details.push(activity.shortcut);
+            if (activity.contentLength !== null && activity.contentLength !== undefined) details.push(`${activity.contentLength} characters`);
+            if (activity.blocked) details.push('blocked');
+            const detailText = details.length > 0 ? ` (${details.join(', ')})` : '';
+
+            // A right-click alone is common and harmless; everything else counts
+            if (activity.action === INPUT_ACTIONS.CONTEXT_MENU) {
+                this.logEvent(`Right-click menu detected${detailText}`, 'warning', 'environment');
+            } else {
+                const code = codes[activity.action];
+                this.reportViolation(code, { details: detailText });
+                this.integrityScore.add(code, this.now());
+            }
+            this.addToSessionLog({
+                type: 'input_activity',
+                action: activity.action,
+                shortcut: activity.shortcut,
+                content_length: activity.contentLength,
+                blocked: activity.blocked
+            });
+        });
+    }
+
+    /**
+     * Audio features of one analysis frame from AudioMonitor (or a recording)
+     */
+    onAudioFeatures(features) {
+        if (!this.isMonitoring) return;
+
+        this.atFrameTime(() => {
+            if (this.recorder) {
+                this.recorder.recordAudio(this.now(), features);
+            }
+            this.audioAnalyzer.processFrame(features, this.now()).forEach(transition => this.reportAudioTransition(transition));
+        });
+    }
+
+    onAudioUnavailable(reason) {
+        if (!this.isMonitoring) return;
+
+        this.atFrameTime(() => {
+            if (this.recorder) {
+                this.recorder.recordAudioUnavailable(this.now(), reason);
+            }
+            this.logEvent(`Audio monitoring unavailable: ${reason}`, 'warning', 'audio');
+            this.audioAvailable = false;
+            this.addToSessionLog({ type: 'audio_unavailable', reason });
+        });
+    }
+
+    reportAudioTransition(transition) {
+        const seconds = ((transition.durationMs || 0) / 1000).toFixed(1);
+
+        if (transition.type === 'calibrated') {
+            this.audioAvailable = true;
+            this.logEvent(`Microphone calibrated (ambient ${transition.noiseFloorDb} dB)`, 'info', 'audio');
+            this.addToSessionLog({ type: 'audio_calibration', noise_floor_db: transition.noiseFloorDb });
+        } else if (transition.type === 'voice_start') {
+            this.voiceIntervals.push({ startedAt: transition.startedAt, endedAt: null });
+        } else if (transition.type === 'voice_sustained') {
+            this.reportViolation(VIOLATION_CODES.SUSTAINED_SPEECH, { seconds });
+            this.integrityScore.start(VIOLATION_CODES.SUSTAINED_SPEECH, transition.startedAt);
+        } else if (transition.type === 'voice_end') {
+            const interval = this.voiceIntervals.find(candidate => candidate.startedAt === transition.startedAt);
+            if (interval) interval.endedAt = transition.startedAt + transition.durationMs;
+            this.integrityScore.end(VIOLATION_CODES.SUSTAINED_SPEECH, transition.startedAt + transition.durationMs);
+            if (transition.multipleSpeakers) {
+                this.reportViolation(VIOLATION_CODES.MULTIPLE_VOICES, { seconds });
+                this.integrityScore.add(VIOLATION_CODES.MULTIPLE_VOICES, transition.startedAt, transition.startedAt + transition.durationMs);
+            }
+            this.addToSessionLog({
+                type: 'audio_activity',
+                started_at: new Date(transition.startedAt).toISOString(),
+                duration_ms: transition.durationMs,
+                mean_level_db: transition.meanLevelDb,
+                peak_level_db: transition.peakLevelDb,
+                noise_floor_db: transition.noiseFloorDb,
+                median_pitch_hz: transition.medianPitchHz,
+                sustained: transition.sustained,
+                multiple_speakers: transition.multipleSpeakers
+            });
+        }
+    }
+
+    /**
+     * Share of [startedAt, endedAt] covered by voice activity, or null without a calibrated microphone
+     */
+    voiceOverlap(startedAt, endedAt) {
+        if (!this.audioAvailable) return null;
+        const duration = endedAt - startedAt;
+        if (duration <= 0) return 0;
+
+        const covered = this.voiceIntervals.reduce((sum, interval) => {
+            const overlapStart = Math.max(startedAt, interval.startedAt);
+            const overlapEnd = Math.min(endedAt, interval.endedAt ?? this.now());
+            return sum + Math.max(0, overlapEnd - overlapStart);
+        }, 0);
+        // Keep only intervals that can still overlap a future speaking interval
+        this.voiceIntervals = this.voiceIntervals.filter(interval => interval.endedAt === null || interval.endedAt >= startedAt);
+        return Math.min(1, covered / duration);
+    }
+
+    reportMouthTransition(transition) {
+        const seconds = ((transition.durationMs || 0) / 1000).toFixed(1);
+
+        if (transition.type === 'speaking_start') {
+            this.logEvent('Lip movement consistent with speaking', 'warning');
+            this.addToSessionLog({
+                type: 'speaking_detected',
+                state: 'start',
+                started_at: new Date(transition.startedAt).toISOString()
+            });
+        } else if (transition.type === 'speaking_end') {
+            const audioOverlap = this.voiceOverlap(transition.startedAt, transition.endedAt);
+            const readingAloud = audioOverlap !== null && audioOverlap >= this.config.MOUTH.MIN_AUDIO_OVERLAP;
+            if (readingAloud) {
+                this.reportViolation(VIOLATION_CODES.SPEAKING_ALOUD, { seconds });
+                this.integrityScore.add(VIOLATION_CODES.SPEAKING_ALOUD, transition.startedAt, transition.endedAt);
+            }
+            this.addToSessionLog({
+                type: 'speaking_detected',
+                state: 'end',
+                started_at: new Date(transition.startedAt).toISOString(),
+                duration_ms: transition.durationMs,
+                audio_overlap: audioOverlap === null ? null : Number(audioOverlap.toFixed(2)),
+                reading_aloud: readingAloud
+            });
+        } else if (transition.type === 'yawn') {
+            this.addToSessionLog({
+                type: 'yawn_detected',
+                started_at: new Date(transition.startedAt).toISOString(),
+                duration_ms: transition.durationMs
+            });
+        }
+    }
+
+    reportGazeTransition(transition) {
+        if (transition.type === 'offscreen_start') {
+            this.addToSessionLog({
+                type: 'gaze_offscreen',
+                state: 'start',
+                region: transition.region,
+                // "|| 0" drops negative zero, which a JSON round trip would not keep
+                gaze_point: {
+                    x: Number(transition.point.x.toFixed(2)) || 0,
+                    y: Number(transition.point.y.toFixed(2)) || 0
+                }
+            });
+        } else if (transition.type === 'offscreen_end') {
+            this.addToSessionLog({
+                type: 'gaze_offscreen',
+                state: 'end',
+                region: transition.region,
+                started_at: new Date(transition.startedAt).toISOString(),
+                dwell_ms: transition.dwellMs
+            });
+        }
+    }
+
+    reportEyeTransition(transition) {
+        const seconds = ((transition.durationMs || 0) / 1000).toFixed(1);
+
+        if (transition.type === 'closure_start') {
+            this.reportViolation(VIOLATION_CODES.PROLONGED_EYE_CLOSURE);
+            this.integrityScore.start(VIOLATION_CODES.PROLONGED_EYE_CLOSURE, transition.startedAt);
+            this.addToSessionLog({
+                type: 'eye_closure',
+                state: 'start',
+                started_at: new Date(transition.startedAt).toISOString()
+            });
+        } else if (transition.type === 'closure_end') {
+            this.logEvent(`Eyes reopened after ${seconds}s`, 'info');
+            this.integrityScore.end(VIOLATION_CODES.PROLONGED_EYE_CLOSURE, transition.startedAt + transition.durationMs);
+            this.addToSessionLog({
+                type: 'eye_closure',
+                state: 'end',
+                started_at: new Date(transition.startedAt).toISOString(),
+                duration_ms: transition.durationMs
+            });
+        } else if (transition.type === 'drowsy_start') {
+            this.reportViolation(VIOLATION_CODES.DROWSINESS, { percent: Math.round(transition.perclos * 100) });
+            this.integrityScore.start(VIOLATION_CODES.DROWSINESS, this.now());
+            this.addToSessionLog({
+                type: 'drowsiness',
+                state: 'start',
+                perclos: Number(transition.perclos.toFixed(3)),
+                blink_rate_per_min: Number(transition.blinkRate.toFixed(1))
+            });
+        } else if (transition.type === 'drowsy_end') {
+            this.logEvent(`Drowsiness ended after ${seconds}s`, 'info');
+            this.integrityScore.end(VIOLATION_CODES.DROWSINESS, this.now());
+            this.addToSessionLog({
+                type: 'drowsiness',
+                state: 'end',
+                duration_ms: transition.durationMs,
+                perclos: Number(transition.perclos.toFixed(3))
+            });
+        } else if (transition.type === 'metrics') {
+            this.addToSessionLog({
+                type: 'eye_metrics',
+                perclos: Number(transition.perclos.toFixed(3)),
+                blink_rate_per_min: Number(transition.blinkRate.toFixed(1))
+            });
+        }
+    }
+
+    /**
+     * Log an event that is not a violation; violations go through reportViolation
+     * Details (e.g. an object's bounding box) are stored with the event
+     */
+    logEvent(message, type = 'info', category = 'face', details = null) {
         if (type === 'violation') {
+            throw new Error('Violations must be reported with a violation code');
+        }
+        this.emitEvent({ message, type, category, ...(details && { details }) });
+    }
+
+    /**
+     * Log a violation by its registry code, e.g. reportViolation('PROHIBITED_OBJECT', { object, percent }, detection)
+     * 'environment' and 'audio' violations are counted apart from the others, which form the
+     * total; 'attention' violations are also counted on their own
+     */
+    reportViolation(code, params = {}, details = null) {
+        const { category, severity } = getViolation(code);
+        const message = formatViolationMessage(code, params, this.locale);
+        this.countViolation(code);
+
+        const event = this.emitEvent({ message, type: 'violation', category, code, severity, params, ...(details && { details }) });
+        this.saveViolationFrame(event, details);
+        if (this.clipRecorder) {
+            this.clipRecorder.requestClip(event.event_id, code, this.now());
+        }
+        this.onViolationUpdate(this.totalViolations, this.attentionViolations, this.environmentViolations, this.audioViolations, this.getViolationCounts());
+    }
+
+    countViolation(code) {
+        const { category } = getViolation(code);
+        if (category === VIOLATION_CATEGORIES.ENVIRONMENT) {
+            this.environmentViolations++;
+        } else if (category === VIOLATION_CATEGORIES.AUDIO) {
+            this.audioViolations++;
+        } else {
             this.totalViolations++;
-            
-            if (message.includes('distraction') || message.includes('looking away')) {
-                this.attentionViolations++;
-            }
-            
-            this.saveViolationFrame(message);
-            this.onViolationUpdate(this.totalViolations, this.attentionViolations);
+            if (category === VIOLATION_CATEGORIES.ATTENTION) this.attentionViolations++;
         }
-        
-        console.log(`[${timestamp}] ${type.toUpperCase()}: ${message}`);
+        this.violationCounts.by_code[code] = (this.violationCounts.by_code[code] || 0) + 1;
+        this.violationCounts.by_category[category] = (this.violationCounts.by_category[category] || 0) + 1;
+    }
+
+    getViolationCounts() {
+        return {
+            by_code: { ...this.violationCounts.by_code },
+            by_category: { ...this.violationCounts.by_category }
+        };
+    }
+
+    /**
+     * Record an event under the next event ID of the session and return it
+     */
+    emitEvent(fields) {
+        const timestamp = new Date(this.now()).toLocaleTimeString();
+        const event = { event_id: this.sessionEvents.length, timestamp, ...fields };
+        this.sessionEvents.push(event);
+        if (this.persistence) {
+            this.persistence.appendEvent(event);
+        }
+
+        console.log(`[${timestamp}] ${event.type.toUpperCase()}: ${event.message}`);
         this.onLogEvent(event);
-        
+
+        const { type, ...entry } = fields;
         this.addToSessionLog({
             type: 'event',
-            timestamp: new Date().toISOString(),
+            timestamp: this.isoNow(),
+            event_id: event.event_id,
             event_type: type,
-            message: message
+            ...entry
         });
+        return event;
     }
 
     addToSessionLog(logEntry) {
-        this.sessionLogs.push({
+        const entry = {
             ...logEntry,
             session_id: this.sessionStartTime,
-            timestamp: logEntry.timestamp || new Date().toISOString()
-        });
+            timestamp: logEntry.timestamp || this.isoNow()
+        };
+        this.sessionLogs.push(entry);
+        if (this.persistence) {
+            this.persistence.appendLog(entry);
+        }
+    }
+
+    getConfigurationSummary() {
+        return {
+            profile: this.policy.name,
+            description: this.policy.description,
+            hash: this.policy.hash,
+            settings: this.config
+        };
     }
 
     downloadSessionLogs() {
@@ -773,22 +1701,41 @@ export default class ProctoringSystem {
         const sessionSummary = {
             session_info: {
                 session_id: this.sessionStartTime,
+                candidate_id: this.candidateId,
+                enrollment: this.enrollment,
                 start_time: new Date(this.sessionStartTime).toISOString(),
-                end_time: new Date().toISOString(),
-                duration_ms: this.sessionStartTime ? Date.now() - this.sessionStartTime : 0
+                end_time: this.isoNow(),
+                duration_ms: this.sessionStartTime ? this.now() - this.sessionStartTime : 0
             },
             statistics: {
                 total_violations: this.totalViolations,
                 attention_violations: this.attentionViolations,
-                total_events: this.sessionEvents.length
+                environment_violations: this.environmentViolations,
+                audio_violations: this.audioViolations,
+                violations_by_code: this.violationCounts.by_code,
+                violations_by_category: this.violationCounts.by_category,
+                total_events: this.sessionEvents.length,
+                interruptions: this.sessionLogs.filter(entry => entry.type === 'interruption').length,
+                eye_activity: this.eyeAnalyzer.getSummary(),
+                gaze_offscreen: this.gazeAnalyzer.getSummary(),
+                prohibited_objects: this.objectAnalyzer.getSummary(),
+                posture_drift: { ...this.driftAnalyzer.getSummary(), recalibrations: this.recalibrationCount }
             },
+            integrity: this.integrityScore.getSummary(this.now()),
             calibration_data: {
                 baseline_yaw: this.baselineYaw,
                 baseline_pitch: this.baselinePitch,
-                baseline_gaze: this.baselineGaze
+                baseline_roll: this.baselineRoll,
+                baseline_gaze: this.gazeAnalyzer.baseline,
+                frame_aspect: this.frameAspect,
+                validation_error: this.calibration ? this.calibration.validation_error : null,
+                max_point_error: this.calibration ? this.calibration.max_point_error : null,
+                gaze_mapping: this.calibration ? this.calibration.mapping : null,
+                points: this.calibration ? this.calibration.points : []
             },
-            configuration: CONFIG,
-            events: this.sessionLogs
+            configuration: this.getConfigurationSummary(),
+            recording: this.getRecordingReference(),
+            events: this.sessionLogs.map(entry => this.withVideoPosition(entry))
         };
 
         const jsonString = JSON.stringify(sessionSummary, null, 2);
@@ -810,4 +1757,97 @@ export default class ProctoringSystem {
         console.log(`Session logs downloaded: ${fileName}`);
     }
 
-}
\ No newline at end of file
+    /**
+     * Full-session recording in the export: sink, parts with their download file names and the
+     * chunk index; null when the session was not recorded
+     */
+    getRecordingReference() {
+        if (!this.videoRecorder || this.recordingChunks.length === 0) return null;
+        const manifest = SessionVideoRecorder.manifest(this.recordingChunks, this.videoRecorder.sink);
+        return {
+            ...manifest,
+            parts: manifest.parts.map(part => ({ ...part, file: this.recordingFileName(part) }))
+        };
+    }
+
+    recordingFileName(part) {
+        return `session-video-${this.sessionStartTime}-part${part.part}.${part.mime_type.includes('mp4') ? 'mp4' : 'webm'}`;
+    }
+
+    /**
+     * Log entry with its position in the full-session recording, so a reviewer can jump to it
+     */
+    withVideoPosition(entry) {
+        const position = locateInRecording(this.recordingChunks, Date.parse(entry.timestamp));
+        return position ? { ...entry, video: position } : entry;
+    }
+
+    onRecordingChunk(chunk) {
+        this.recordingChunks.push(chunk);
+        if (this.persistence) {
+            this.persistence.appendChunk(chunk);
+        }
+    }
+
+    /**
+     * Download each recorded part as one video file; uploaded recordings stay with the upload service
+     * Returns false when the stored chunks could not be exported and must be kept
+     */
+    async downloadSessionRecording() {
+        const reference = this.getRecordingReference();
+        if (!reference) return true;
+
+        try {
+            for (const part of reference.parts) {
+                const chunks = await this.videoRecorder.sink.read(part.chunks.map(chunk => chunk.key));
+                if (!chunks) return true;
+
+                const a = document.createElement('a');
+                a.href = URL.createObjectURL(new Blob(chunks, { type: part.mime_type }));
+                a.download = part.file;
+                a.style.display = 'none';
+                document.body.appendChild(a);
+                a.click();
+
+                URL.revokeObjectURL(a.href);
+                document.body.removeChild(a);
+
+                console.log(`Session recording downloaded: ${part.file}`);
+            }
+            return true;
+        } catch (error) {
+            console.error('Error downloading session recording:', error);
+            return false;
+        }
+    }
+
+    async downloadLandmarkRecording() {
+        if (!this.recorder || this.recorder.frames.length === 0) {
+            return;
+        }
+
+        try {
+            // Landmark frames compress well, ship the recording zipped
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const zip = new JSZip();
+            zip.file(`landmark-recording-${timestamp}.json`, JSON.stringify(this.recorder.toJSON()));
+            const content = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+
+            const fileName = `landmark-recording-${timestamp}.zip`;
+            const a = document.createElement('a');
+            a.href = URL.createObjectURL(content);
+            a.download = fileName;
+            a.style.display = 'none';
+            document.body.appendChild(a);
+            a.click();
+
+            URL.revokeObjectURL(a.href);
+            document.body.removeChild(a);
+
+            console.log(`Landmark recording downloaded: ${fileName}`);
+        } catch (error) {
+            console.error('Error exporting landmark recording:', error);
+        }
+    }
+
+}
@@ -0,0 +1,171 @@
+import { LEFT_EYE_CONTOUR, RIGHT_EYE_CONTOUR } from "../FaceLandmarks.js";
+import GeometryUtils from "../GeometryUtils.js";
+
+// Eye closure, blink rate and drowsiness from the eye aspect ratio (EAR) of the FaceMesh
+// eyelid landmarks. Thresholds are relative to the candidate's open-eye EAR measured during
+// calibration, so narrow and wide eyes are treated alike. Drowsiness uses PERCLOS: the share
+// of recent time the eyes were closed.
+
+export default class EyeClosureAnalyzer {
+    constructor(config) {
+        this.config = config;
+        this.reset();
+    }
+
+    reset() {
+        this.baselineEar = null;
+        this.eyesClosed = false;
+        this.closureStart = null;
+        this.lastClosedTime = null;
+        this.prolonged = false;
+
+        // Sliding PERCLOS window of { time, closed } samples
+        this.samples = [];
+        this.blinkTimes = [];
+        this.firstSampleTime = null;
+        this.drowsyStart = null;
+        this.lastMetricsTime = null;
+
+        this.summary = {
+            blinks: 0,
+            prolonged_closures: 0,
+            total_closed_ms: 0,
+            longest_closure_ms: 0,
+            drowsy_periods: 0,
+            drowsy_ms: 0
+        };
+    }
+
+    /**
+     * Mean EAR of both eyes, or null when the eyelid landmarks are unavailable
+     */
+    measure(landmarks) {
+        const left = LEFT_EYE_CONTOUR.map(index => landmarks[index]);
+        const right = RIGHT_EYE_CONTOUR.map(index => landmarks[index]);
+        if ([...left, ...right].some(point => !point)) return null;
+        return (GeometryUtils.eyeAspectRatio(left) + GeometryUtils.eyeAspectRatio(right)) / 2;
+    }
+
+    /**
+     * Update the candidate's open-eye EAR during the calibration phase
+     */
+    calibrate(landmarks) {
+        const ear = this.measure(landmarks);
+        if (ear === null) return;
+        const alpha = this.config.CALIBRATION.EMA_ALPHA;
+        this.baselineEar = this.baselineEar === null ? ear : this.baselineEar * (1 - alpha) + ear * alpha;
+    }
+
+    /**
+     * Analyze one frame; frames without a face or eyelid landmarks are skipped
+     * Returns transitions: closure_start, closure_end, drowsy_start, drowsy_end, metrics
+     */
+    update(landmarks, now) {
+        const ear = landmarks ? this.measure(landmarks) : null;
+        if (ear === null || !this.baselineEar) return [];
+
+        const transitions = [];
+        const eyes = this.config.EYES;
+
+        // Hysteresis: close below CLOSED_RATIO, reopen only above OPEN_RATIO of the open-eye EAR
+        if (!this.eyesClosed && ear < this.baselineEar * eyes.CLOSED_RATIO) {
+            this.eyesClosed = true;
+            this.closureStart = now;
+        } else if (this.eyesClosed && ear > this.baselineEar * eyes.OPEN_RATIO) {
+            transitions.push(...this.endClosure(now));
+        }
+
+        if (this.eyesClosed) {
+            this.lastClosedTime = now;
+            if (!this.prolonged && now - this.closureStart >= eyes.PROLONGED_CLOSURE_MS) {
+                this.prolonged = true;
+                transitions.push({ type: 'closure_start', startedAt: this.closureStart });
+            }
+        }
+
+        transitions.push(...this.updatePerclos(now));
+        return transitions;
+    }
+
+    endClosure(now) {
+        const durationMs = now - this.closureStart;
+        const transitions = [];
+        this.eyesClosed = false;
+        this.summary.total_closed_ms += durationMs;
+        this.summary.longest_closure_ms = Math.max(this.summary.longest_closure_ms, durationMs);
+
+        if (this.prolonged) {
+            this.summary.prolonged_closures++;
+            transitions.push({ type: 'closure_end', startedAt: this.closureStart, durationMs });
+        } else if (durationMs <= this.config.EYES.BLINK_MAX_MS) {
+            this.summary.blinks++;
+            this.blinkTimes.push(now);
+        }
+        this.prolonged = false;
+        this.closureStart = null;
+        return transitions;
+    }
+
+    perclos() {
+        if (this.samples.length < 2) return 0;
+        let closed = 0;
+        for (let i = 1; i < this.samples.length; i++) {
+            if (this.samples[i - 1].closed) closed += this.samples[i].time - this.samples[i - 1].time;
+        }
+        return closed / (this.samples[this.samples.length - 1].time - this.samples[0].time);
+    }
+
+    blinkRate() {
+        return (this.blinkTimes.length * 60000) / this.config.EYES.PERCLOS_WINDOW_MS;
+    }
+
+    updatePerclos(now) {
+        const eyes = this.config.EYES;
+        const transitions = [];
+
+        this.firstSampleTime = this.firstSampleTime ?? now;
+        this.lastMetricsTime = this.lastMetricsTime ?? now;
+        this.samples.push({ time: now, closed: this.eyesClosed });
+        while (this.samples.length > 0 && now - this.samples[0].time > eyes.PERCLOS_WINDOW_MS) this.samples.shift();
+        while (this.blinkTimes.length > 0 && now - this.blinkTimes[0] > eyes.PERCLOS_WINDOW_MS) this.blinkTimes.shift();
+
+        // Judge drowsiness only once a full window has been observed
+        if (now - this.firstSampleTime < eyes.PERCLOS_WINDOW_MS) return transitions;
+
+        const perclos = this.perclos();
+        if (this.drowsyStart === null && perclos >= eyes.DROWSY_PERCLOS) {
+            this.drowsyStart = now;
+            this.summary.drowsy_periods++;
+            transitions.push({ type: 'drowsy_start', perclos, blinkRate: this.blinkRate() });
+        } else if (this.drowsyStart !== null && perclos < eyes.DROWSY_PERCLOS * eyes.DROWSY_RECOVERY_RATIO) {
+            transitions.push(this.endDrowsiness(now, perclos));
+        }
+
+        if (now - this.lastMetricsTime >= eyes.METRICS_INTERVAL_MS) {
+            this.lastMetricsTime = now;
+            transitions.push({ type: 'metrics', perclos, blinkRate: this.blinkRate() });
+        }
+        return transitions;
+    }
+
+    endDrowsiness(now, perclos) {
+        const durationMs = now - this.drowsyStart;
+        this.summary.drowsy_ms += durationMs;
+        this.drowsyStart = null;
+        return { type: 'drowsy_end', durationMs, perclos };
+    }
+
+    /**
+     * Close a closure or drowsy period still open when the session ends
+     */
+    finish(now) {
+        const transitions = [];
+        if (this.eyesClosed) transitions.push(...this.endClosure(this.lastClosedTime ?? now));
+        if (this.drowsyStart !== null) transitions.push(this.endDrowsiness(now, this.perclos()));
+        return transitions;
+    }
+
+    getSummary() {
+        return { ...this.summary, baseline_ear: this.baselineEar === null ? null : Number(this.baselineEar.toFixed(3)) };
+    }
+}
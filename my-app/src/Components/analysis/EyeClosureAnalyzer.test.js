@@ -0,0 +1,111 @@
+/** @jest-environment node */
+import EyeClosureAnalyzer from './EyeClosureAnalyzer';
+import ProctoringSystem from '../ProctoringSystem';
+import { VirtualClock } from '../Clock';
+import { ScriptedDetector } from '../detectors';
+import { LANDMARKS } from '../FaceLandmarks';
+import { DEFAULT_CONFIG } from '../policy/PolicySchema';
+
+const FRAME_MS = 33;
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+// Frontal face whose eyelids are apart by openness times 0.012 (eye aspect ratio 0.24 when open)
+const face = (openness = 1) => {
+    const landmarks = new Array(478);
+    const eye = (outer, inner, upper1, upper2, lower1, lower2, x0) => {
+        const lid = 0.006 * openness;
+        landmarks[outer] = { x: x0, y: 0.45, z: 0 };
+        landmarks[inner] = { x: x0 + 0.05, y: 0.45, z: 0 };
+        landmarks[upper1] = { x: x0 + 0.017, y: 0.45 - lid, z: 0 };
+        landmarks[upper2] = { x: x0 + 0.033, y: 0.45 - lid, z: 0 };
+        landmarks[lower1] = { x: x0 + 0.017, y: 0.45 + lid, z: 0 };
+        landmarks[lower2] = { x: x0 + 0.033, y: 0.45 + lid, z: 0 };
+    };
+    eye(LANDMARKS.LEFT_EYE_OUTER, LANDMARKS.LEFT_EYE_INNER, LANDMARKS.LEFT_EYE_UPPER_1, LANDMARKS.LEFT_EYE_UPPER_2,
+        LANDMARKS.LEFT_EYE_LOWER_1, LANDMARKS.LEFT_EYE_LOWER_2, 0.42);
+    eye(LANDMARKS.RIGHT_EYE_INNER, LANDMARKS.RIGHT_EYE_OUTER, LANDMARKS.RIGHT_EYE_UPPER_2, LANDMARKS.RIGHT_EYE_UPPER_1,
+        LANDMARKS.RIGHT_EYE_LOWER_2, LANDMARKS.RIGHT_EYE_LOWER_1, 0.53);
+    landmarks[LANDMARKS.NOSE_TIP] = { x: 0.5, y: 0.55, z: -0.05 };
+    landmarks[LANDMARKS.LEFT_IRIS] = { x: 0.445, y: 0.45, z: 0 };
+    landmarks[LANDMARKS.RIGHT_IRIS] = { x: 0.555, y: 0.45, z: 0 };
+    return landmarks;
+};
+
+// Run openness(t) for the given seconds after calibrating on open eyes
+const run = (openness, seconds) => {
+    const analyzer = new EyeClosureAnalyzer(DEFAULT_CONFIG);
+    for (let i = 0; i < DEFAULT_CONFIG.CALIBRATION.MAX_FRAMES; i++) analyzer.calibrate(face(1));
+
+    const transitions = [];
+    let now = 0;
+    for (let frame = 0; frame * FRAME_MS < seconds * 1000; frame++) {
+        now = frame * FRAME_MS;
+        transitions.push(...analyzer.update(face(openness(now / 1000)), now));
+    }
+    transitions.push(...analyzer.finish(now));
+    return { analyzer, transitions };
+};
+
+test('blinks are counted without being reported as closures', () => {
+    // A 150 ms blink every three seconds
+    const { analyzer, transitions } = run(t => (t % 3 > 1 && t % 3 < 1.15 ? 0.1 : 1), 20);
+    expect(transitions).toEqual([]);
+    expect(analyzer.getSummary().blinks).toBeGreaterThanOrEqual(6);
+    expect(analyzer.getSummary().prolonged_closures).toBe(0);
+});
+
+test('eyes held shut are reported as a prolonged closure', () => {
+    const { analyzer, transitions } = run(t => (t >= 2 && t < 5 ? 0.1 : 1), 7);
+    expect(transitions.map(t => t.type)).toEqual(['closure_start', 'closure_end']);
+    expect(transitions[1].durationMs).toBeGreaterThan(2900);
+    expect(analyzer.getSummary().blinks).toBe(0);
+});
+
+test('frames without eyelid landmarks are skipped', () => {
+    const analyzer = new EyeClosureAnalyzer(DEFAULT_CONFIG);
+    analyzer.calibrate(face(1));
+    const noLids = face(0.1);
+    delete noLids[LANDMARKS.LEFT_EYE_UPPER_1];
+
+    for (let now = 0; now < 5000; now += FRAME_MS) {
+        expect(analyzer.update(noLids, now)).toEqual([]);
+        expect(analyzer.update(null, now)).toEqual([]);
+    }
+    expect(analyzer.eyesClosed).toBe(false);
+});
+
+test('a candidate asleep for five minutes is reported as closure and drowsiness, not distraction', () => {
+    const clock = new VirtualClock(Date.UTC(2025, 0, 6, 9, 0, 0));
+    const scripted = new ScriptedDetector();
+    const events = [];
+    const system = new ProctoringSystem({}, {}, event => events.push(event), () => {}, {
+        clock,
+        headless: true,
+        detectors: { faceCount: scripted, landmarks: scripted, identity: scripted }
+    });
+
+    // Coarser frames keep the eight simulated minutes quick
+    const frameMs = 100;
+    system.beginSession();
+    for (let t = 0; t < 480000; t += frameMs) {
+        clock.advance(frameMs);
+        const asleep = t >= 90000 && t < 390000;
+        system.onFaceMeshResults({ multiFaceLandmarks: [face(asleep ? 0.1 : 1)] });
+    }
+    system.endSession();
+
+    const closures = system.sessionLogs.filter(entry => entry.type === 'eye_closure');
+    expect(closures.map(entry => entry.state)).toEqual(['start', 'end']);
+    expect(closures[1].duration_ms).toBeGreaterThanOrEqual(299000);
+
+    const drowsiness = system.sessionLogs.filter(entry => entry.type === 'drowsiness');
+    expect(drowsiness.map(entry => entry.state)).toEqual(['start', 'end']);
+    expect(system.eyeAnalyzer.getSummary().longest_closure_ms).toBeGreaterThanOrEqual(299000);
+
+    expect(events).toContainEqual(expect.objectContaining({ type: 'violation', message: 'Eyes closed for a prolonged period' }));
+    expect(events).toContainEqual(expect.objectContaining({ type: 'violation', message: expect.stringContaining('Drowsiness detected') }));
+    expect(events.map(event => event.message)).not.toContain('Sustained distraction detected');
+});
@@ -0,0 +1,165 @@
+// Multi-point gaze calibration.
+// The candidate looks at a target in the screen centre and near each corner while head pose
+// and iris offsets are sampled. Per target the combined head + eye gaze angles (see
+// GazeRegionAnalyzer.gazeAngles) are reduced to their median, and an affine map from gaze
+// angles to the screen point is fitted for this candidate. Validation error is the
+// leave-one-out distance between each target and the point a map fitted without it predicts.
+
+// Screen points in half-extents: 0, 0 is the centre, x grows to the candidate's right, y downwards
+export const CALIBRATION_TARGETS = [
+    { id: 'center', x: 0, y: 0 },
+    { id: 'top_left', x: -0.8, y: -0.8 },
+    { id: 'top_right', x: 0.8, y: -0.8 },
+    { id: 'bottom_left', x: -0.8, y: 0.8 },
+    { id: 'bottom_right', x: 0.8, y: 0.8 }
+];
+
+export const TARGET_INSTRUCTIONS = {
+    center: 'Look at the dot in the centre of the screen',
+    top_left: 'Look at the dot in the top left corner',
+    top_right: 'Look at the dot in the top right corner',
+    bottom_left: 'Look at the dot in the bottom left corner',
+    bottom_right: 'Look at the dot in the bottom right corner'
+};
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+const round = (value, digits = 3) => Number(value.toFixed(digits));
+
+/**
+ * Least-squares coefficients [c0, c1, c2] of value = c0 + c1 * yaw + c2 * pitch,
+ * or null when the points do not span both gaze directions
+ */
+function fitAxis(points, axis) {
+    // Normal equations, solved by Gaussian elimination with partial pivoting
+    const a = [[0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]];
+    for (const point of points) {
+        const row = [1, point.gaze.yaw, point.gaze.pitch];
+        for (let i = 0; i < 3; i++) {
+            for (let j = 0; j < 3; j++) a[i][j] += row[i] * row[j];
+            a[i][3] += row[i] * point[axis];
+        }
+    }
+
+    for (let column = 0; column < 3; column++) {
+        let pivot = column;
+        for (let row = column + 1; row < 3; row++) {
+            if (Math.abs(a[row][column]) > Math.abs(a[pivot][column])) pivot = row;
+        }
+        if (Math.abs(a[pivot][column]) < 1e-9) return null;
+        [a[column], a[pivot]] = [a[pivot], a[column]];
+
+        for (let row = 0; row < 3; row++) {
+            if (row === column) continue;
+            const factor = a[row][column] / a[column][column];
+            for (let k = column; k < 4; k++) a[row][k] -= factor * a[column][k];
+        }
+    }
+    return a.map((row, i) => row[3] / row[i]);
+}
+
+function fitMapping(points) {
+    const x = fitAxis(points, 'x');
+    const y = fitAxis(points, 'y');
+    return x && y ? { x, y } : null;
+}
+
+/**
+ * Screen point in half-extents for gaze angles in degrees
+ */
+export function applyGazeMapping(mapping, gaze) {
+    return {
+        x: mapping.x[0] + mapping.x[1] * gaze.yaw + mapping.x[2] * gaze.pitch,
+        y: mapping.y[0] + mapping.y[1] * gaze.yaw + mapping.y[2] * gaze.pitch
+    };
+}
+
+export default class GazeCalibration {
+    constructor(config) {
+        this.config = config;
+        this.reset();
+    }
+
+    reset() {
+        this.points = [];
+    }
+
+    /**
+     * Add the samples taken while one target was shown
+     * Samples are { head_pose, offsets, gaze } from ProctoringSystem.sampleGaze; null entries are frames without a usable face
+     */
+    addTarget(target, samples) {
+        const valid = samples.filter(Boolean);
+        const point = { target: target.id, x: target.x, y: target.y, samples: valid.length };
+
+        if (valid.length >= this.config.CALIBRATION.MIN_TARGET_SAMPLES) {
+            const medianOf = (read) => median(valid.map(read));
+            point.gaze = { yaw: medianOf(s => s.gaze.yaw), pitch: medianOf(s => s.gaze.pitch) };
+            point.head_pose = {
+                yaw: medianOf(s => s.head_pose.yaw),
+                pitch: medianOf(s => s.head_pose.pitch),
+                roll: medianOf(s => s.head_pose.roll)
+            };
+            point.offsets = { horizontal: medianOf(s => s.offsets.horizontal), vertical: medianOf(s => s.offsets.vertical) };
+            // Median distance from the target's gaze shows how steadily it was fixated
+            point.spread_deg = round(median(valid.map(s => Math.hypot(s.gaze.yaw - point.gaze.yaw, s.gaze.pitch - point.gaze.pitch))), 2);
+        }
+        this.points.push(point);
+    }
+
+    /**
+     * Fit the mapping and validate it
+     * Returns { acceptable, reason, validation_error, max_point_error, mapping, center, points }
+     */
+    result() {
+        const measured = this.points.filter(point => point.gaze);
+        const missing = CALIBRATION_TARGETS.filter(target => !measured.some(point => point.target === target.id));
+        const failed = (reason) => ({
+            acceptable: false,
+            reason,
+            validation_error: null,
+            max_point_error: null,
+            mapping: null,
+            center: null,
+            points: this.points.map(point => ({ ...point }))
+        });
+
+        if (missing.length > 0) {
+            return failed(`Face or eyes not visible at ${missing.map(target => target.id.replace('_', ' ')).join(', ')}`);
+        }
+
+        const mapping = fitMapping(measured);
+        const validations = measured.map(point => fitMapping(measured.filter(other => other !== point)));
+        if (!mapping || validations.includes(null)) {
+            return failed('Gaze did not follow the targets');
+        }
+
+        const points = measured.map((point, i) => {
+            const predicted = applyGazeMapping(validations[i], point.gaze);
+            return {
+                ...point,
+                predicted: { x: round(predicted.x), y: round(predicted.y) },
+                error: round(Math.hypot(predicted.x - point.x, predicted.y - point.y))
+            };
+        });
+
+        const errors = points.map(point => point.error);
+        const validationError = round(errors.reduce((sum, error) => sum + error, 0) / errors.length);
+        const acceptable = validationError <= this.config.CALIBRATION.MAX_ERROR;
+        const center = points.find(point => point.target === 'center');
+
+        return {
+            acceptable,
+            reason: acceptable ? null : `Calibration error ${validationError} is above ${this.config.CALIBRATION.MAX_ERROR}`,
+            validation_error: validationError,
+            max_point_error: Math.max(...errors),
+            mapping,
+            center: { head_pose: center.head_pose, offsets: center.offsets },
+            points
+        };
+    }
+}
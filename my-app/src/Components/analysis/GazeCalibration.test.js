@@ -0,0 +1,56 @@
+/** @jest-environment node */
+import GazeCalibration, { CALIBRATION_TARGETS, applyGazeMapping } from './GazeCalibration';
+import { DEFAULT_CONFIG } from '../policy/PolicySchema';
+
+// A candidate whose gaze sits 4 degrees right and 3 down of the camera axis at the screen
+// centre; the screen spans 30 degrees of yaw and 20 of pitch each way from there
+const gazeAt = (x, y) => ({ yaw: 4 - 30 * x, pitch: 3 + 20 * y });
+
+// Samples around a gaze direction with a little fixation jitter
+const fixate = ({ yaw, pitch }, count = DEFAULT_CONFIG.CALIBRATION.TARGET_SAMPLES) =>
+    Array.from({ length: count }, (_, i) => {
+        const gaze = { yaw: yaw + 0.5 * Math.sin(i), pitch: pitch + 0.5 * Math.cos(i) };
+        return { head_pose: { yaw: 4, pitch: 3, roll: 1 }, offsets: { horizontal: 0.01, vertical: -0.02 }, gaze };
+    });
+
+const calibrate = (samplesFor) => {
+    const calibration = new GazeCalibration(DEFAULT_CONFIG);
+    CALIBRATION_TARGETS.forEach(target => calibration.addTarget(target, samplesFor(target)));
+    return calibration.result();
+};
+
+test('steady fixations give an accepted per-candidate mapping', () => {
+    const result = calibrate(target => fixate(gazeAt(target.x, target.y)));
+
+    expect(result.acceptable).toBe(true);
+    expect(result.validation_error).toBeLessThan(0.05);
+    expect(result.points.map(point => point.target)).toEqual(CALIBRATION_TARGETS.map(target => target.id));
+    expect(result.center.head_pose).toEqual({ yaw: 4, pitch: 3, roll: 1 });
+
+    // Points between the targets land where the candidate looks
+    const point = applyGazeMapping(result.mapping, gazeAt(0.4, -0.5));
+    expect(point.x).toBeCloseTo(0.4, 1);
+    expect(point.y).toBeCloseTo(-0.5, 1);
+});
+
+test('a target the candidate did not look at fails validation', () => {
+    // Looking at the top edge of the screen while the top right target is shown
+    const result = calibrate(target => fixate(target.id === 'top_right' ? gazeAt(0, -0.8) : gazeAt(target.x, target.y)));
+
+    expect(result.acceptable).toBe(false);
+    expect(result.validation_error).toBeGreaterThan(DEFAULT_CONFIG.CALIBRATION.MAX_ERROR);
+    expect(result.points.find(point => point.target === 'top_right').error).toBeGreaterThan(DEFAULT_CONFIG.CALIBRATION.MAX_ERROR);
+});
+
+test('targets without enough usable frames are reported', () => {
+    // Face lost for most of the bottom left target
+    const result = calibrate(target => {
+        const samples = fixate(gazeAt(target.x, target.y));
+        return target.id === 'bottom_left' ? samples.map((sample, i) => (i < 3 ? sample : null)) : samples;
+    });
+
+    expect(result.acceptable).toBe(false);
+    expect(result.mapping).toBeNull();
+    expect(result.reason).toMatch(/bottom left/);
+    expect(result.points.find(point => point.target === 'bottom_left').samples).toBe(3);
+});
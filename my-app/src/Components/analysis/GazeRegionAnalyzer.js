@@ -0,0 +1,232 @@
+import { LANDMARKS } from "../FaceLandmarks.js";
+import { applyGazeMapping } from "./GazeCalibration.js";
+
+// Screen-region gaze mapping from head pose and iris position.
+// Iris offsets from the eye centre (horizontal from the eye corners, vertical from the
+// eyelids) are turned into eye rotation angles and added to the head pose deviation from
+// calibration, when the candidate looks at the screen centre. The resulting gaze direction
+// is mapped onto the screen, which spans GAZE.SCREEN_HALF_WIDTH_DEG / SCREEN_HALF_HEIGHT_DEG,
+// or through the per-candidate mapping fitted by the multi-point calibration (GazeCalibration).
+
+// Left and right are from the candidate's point of view (the camera image is not mirrored)
+export const GAZE_REGIONS = {
+    ON_SCREEN: 'on_screen',
+    LEFT: 'left',
+    RIGHT: 'right',
+    ABOVE: 'above',
+    BELOW: 'below'
+};
+
+const EYES = [
+    {
+        iris: LANDMARKS.LEFT_IRIS, outer: LANDMARKS.LEFT_EYE_OUTER, inner: LANDMARKS.LEFT_EYE_INNER,
+        lids: [LANDMARKS.LEFT_EYE_UPPER_1, LANDMARKS.LEFT_EYE_UPPER_2, LANDMARKS.LEFT_EYE_LOWER_1, LANDMARKS.LEFT_EYE_LOWER_2]
+    },
+    {
+        iris: LANDMARKS.RIGHT_IRIS, outer: LANDMARKS.RIGHT_EYE_OUTER, inner: LANDMARKS.RIGHT_EYE_INNER,
+        lids: [LANDMARKS.RIGHT_EYE_UPPER_1, LANDMARKS.RIGHT_EYE_UPPER_2, LANDMARKS.RIGHT_EYE_LOWER_1, LANDMARKS.RIGHT_EYE_LOWER_2]
+    }
+];
+
+const DEGREES = 180 / Math.PI;
+
+export default class GazeRegionAnalyzer {
+    constructor(config) {
+        this.config = config;
+        // Per-candidate gaze angle -> screen point mapping; kept across sessions
+        this.mapping = null;
+        this.reset();
+    }
+
+    setMapping(mapping) {
+        this.mapping = mapping;
+    }
+
+    reset() {
+        this.baseline = null;
+        this.smoothed = null;
+        this.point = null;
+        this.measured = false;
+
+        // Region stabilization, as for attention
+        this.region = null;
+        this.candidateRegion = null;
+        this.candidateFrames = 0;
+        this.regionStart = null;
+        this.lastMeasuredTime = null;
+
+        this.dwell = {};
+        for (const region of Object.values(GAZE_REGIONS)) {
+            if (region !== GAZE_REGIONS.ON_SCREEN) this.dwell[region] = { count: 0, total_ms: 0, longest_ms: 0 };
+        }
+    }
+
+    /**
+     * Move the screen centre by a head pose change in degrees, after a recalibration
+     */
+    shiftCentre(yaw, pitch) {
+        if (this.baseline) {
+            this.baseline = { ...this.baseline, yaw: this.baseline.yaw + yaw, pitch: this.baseline.pitch + pitch };
+        }
+        if (this.mapping) {
+            // mapping(gaze - shift) folded into the constant terms
+            const shift = ([c0, c1, c2]) => [c0 - c1 * yaw - c2 * pitch, c1, c2];
+            this.mapping = { x: shift(this.mapping.x), y: shift(this.mapping.y) };
+        }
+    }
+
+    /**
+     * Iris offsets from the eye centre in eye widths (positive towards image right and down),
+     * or null when the iris or eye landmarks are unavailable
+     */
+    measure(landmarks) {
+        const offsets = [];
+        for (const eye of EYES) {
+            const points = [eye.iris, eye.outer, eye.inner, ...eye.lids].map(index => landmarks[index]);
+            if (points.some(point => !point)) return null;
+            const [iris, outer, inner, ...lids] = points;
+
+            const width = Math.abs(inner.x - outer.x);
+            if (width < this.config.GAZE.MIN_EYE_WIDTH) return null;
+
+            // The eyelids follow the iris part of the way, so the vertical reference mixes
+            // the lid centre with the fixed line between the eye corners
+            const lidCentre = lids.reduce((sum, point) => sum + point.y, 0) / lids.length;
+            const cornerCentre = (outer.y + inner.y) / 2;
+            offsets.push({
+                horizontal: (iris.x - (outer.x + inner.x) / 2) / width,
+                vertical: (iris.y - (lidCentre + cornerCentre) / 2) / width
+            });
+        }
+        return {
+            horizontal: (offsets[0].horizontal + offsets[1].horizontal) / 2,
+            vertical: (offsets[0].vertical + offsets[1].vertical) / 2
+        };
+    }
+
+    /**
+     * Record the straight-ahead iris offsets and head pose during calibration
+     */
+    calibrate(landmarks, headPose) {
+        const offsets = this.measure(landmarks);
+        if (!offsets || !headPose) return;
+
+        const sample = { ...offsets, yaw: headPose.yaw, pitch: headPose.pitch };
+        const alpha = this.config.CALIBRATION.EMA_ALPHA;
+        this.baseline = this.baseline === null
+            ? sample
+            : Object.fromEntries(Object.keys(sample).map(key => [key, this.baseline[key] * (1 - alpha) + sample[key] * alpha]));
+    }
+
+    /**
+     * Eye rotation in degrees for an iris offset in eye widths
+     */
+    eyeAngle(offset) {
+        const ratio = offset / this.config.GAZE.EYE_RADIUS_RATIO;
+        return Math.asin(Math.max(-1, Math.min(1, ratio))) * DEGREES;
+    }
+
+    /**
+     * Gaze direction in degrees: head pose plus eye rotation (positive towards image right and down)
+     */
+    gazeAngles(offsets, headPose) {
+        return {
+            yaw: headPose.yaw + this.eyeAngle(offsets.horizontal),
+            pitch: headPose.pitch + this.eyeAngle(offsets.vertical)
+        };
+    }
+
+    /**
+     * Gaze point in screen half-extents (0, 0 is the centre, +-1 the edges, x towards the
+     * candidate's right, y down) for gaze angles in degrees
+     */
+    mapToScreen(gaze) {
+        if (this.mapping) return applyGazeMapping(this.mapping, gaze);
+
+        // Without a calibrated mapping, the baseline gaze is the screen centre.
+        // Gaze towards image right is the candidate's left.
+        const screen = this.config.GAZE;
+        const centre = this.gazeAngles(this.baseline, this.baseline);
+        return {
+            x: -Math.tan((gaze.yaw - centre.yaw) / DEGREES) / Math.tan(screen.SCREEN_HALF_WIDTH_DEG / DEGREES),
+            y: Math.tan((gaze.pitch - centre.pitch) / DEGREES) / Math.tan(screen.SCREEN_HALF_HEIGHT_DEG / DEGREES)
+        };
+    }
+
+    /**
+     * Region of a screen point, allowing GAZE.OFFSCREEN_MARGIN_DEG beyond the edges
+     */
+    screenRegion(point) {
+        const screen = this.config.GAZE;
+        const limit = (halfDeg) => Math.tan((halfDeg + screen.OFFSCREEN_MARGIN_DEG) / DEGREES) / Math.tan(halfDeg / DEGREES);
+        const overshootX = Math.abs(point.x) / limit(screen.SCREEN_HALF_WIDTH_DEG) - 1;
+        const overshootY = Math.abs(point.y) / limit(screen.SCREEN_HALF_HEIGHT_DEG) - 1;
+
+        if (overshootX <= 0 && overshootY <= 0) return GAZE_REGIONS.ON_SCREEN;
+        if (overshootX >= overshootY) return point.x < 0 ? GAZE_REGIONS.LEFT : GAZE_REGIONS.RIGHT;
+        return point.y < 0 ? GAZE_REGIONS.ABOVE : GAZE_REGIONS.BELOW;
+    }
+
+    /**
+     * Analyze one frame; frames without eye landmarks or head pose keep the current region
+     * Returns transitions: offscreen_start, offscreen_end with the region dwell time
+     */
+    update(landmarks, headPose, now) {
+        const offsets = landmarks && headPose && (this.baseline || this.mapping) ? this.measure(landmarks) : null;
+        this.measured = offsets !== null;
+        if (!offsets) return [];
+        this.lastMeasuredTime = now;
+
+        const gaze = this.gazeAngles(offsets, headPose);
+        const alpha = this.config.STABILIZATION.EMA_ALPHA;
+        this.smoothed = this.smoothed === null
+            ? gaze
+            : { yaw: alpha * gaze.yaw + (1 - alpha) * this.smoothed.yaw, pitch: alpha * gaze.pitch + (1 - alpha) * this.smoothed.pitch };
+
+        const point = this.mapToScreen(this.smoothed);
+        const region = this.screenRegion(point);
+        this.point = point;
+
+        if (region !== this.candidateRegion) {
+            this.candidateRegion = region;
+            this.candidateFrames = 0;
+        }
+        this.candidateFrames++;
+        if (region === this.region || this.candidateFrames < this.config.STABILIZATION.THRESHOLD) return [];
+
+        const transitions = this.endRegion(now);
+        this.region = region;
+        this.regionStart = now;
+        if (region !== GAZE_REGIONS.ON_SCREEN) {
+            transitions.push({ type: 'offscreen_start', region, point: { ...point } });
+        }
+        return transitions;
+    }
+
+    endRegion(now) {
+        if (!this.region || this.region === GAZE_REGIONS.ON_SCREEN) return [];
+
+        const dwellMs = now - this.regionStart;
+        const dwell = this.dwell[this.region];
+        dwell.count++;
+        dwell.total_ms += dwellMs;
+        dwell.longest_ms = Math.max(dwell.longest_ms, dwellMs);
+        return [{ type: 'offscreen_end', region: this.region, startedAt: this.regionStart, dwellMs }];
+    }
+
+    /**
+     * Close an off-screen dwell still open when the session ends
+     */
+    finish(now) {
+        const transitions = this.endRegion(this.lastMeasuredTime ?? now);
+        this.region = null;
+        return transitions;
+    }
+
+    /**
+     * Off-screen dwell per region: { left: { count, total_ms, longest_ms }, ... }
+     */
+    getSummary() {
+        return Object.fromEntries(Object.entries(this.dwell).map(([region, dwell]) => [region, { ...dwell }]));
+    }
+}
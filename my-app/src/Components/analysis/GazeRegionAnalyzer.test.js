@@ -0,0 +1,97 @@
+/** @jest-environment node */
+import GazeRegionAnalyzer from './GazeRegionAnalyzer';
+import GazeCalibration, { CALIBRATION_TARGETS } from './GazeCalibration';
+import { LANDMARKS } from '../FaceLandmarks';
+import { DEFAULT_CONFIG } from '../policy/PolicySchema';
+
+const FRAME_MS = 33;
+const FRONTAL = { yaw: 0, pitch: 0, roll: 0 };
+
+// Open eyes 0.05 wide with the irises moved by dx, dy eye widths from the eye centres
+const face = (dx = 0, dy = 0) => {
+    const landmarks = new Array(478);
+    const eye = (outer, inner, uppers, lowers, iris, x0) => {
+        landmarks[outer] = { x: x0, y: 0.45, z: 0 };
+        landmarks[inner] = { x: x0 + 0.05, y: 0.45, z: 0 };
+        uppers.forEach((index, i) => { landmarks[index] = { x: x0 + 0.017 * (i + 1), y: 0.444, z: 0 }; });
+        lowers.forEach((index, i) => { landmarks[index] = { x: x0 + 0.017 * (i + 1), y: 0.456, z: 0 }; });
+        landmarks[iris] = { x: x0 + 0.025 + dx * 0.05, y: 0.45 + dy * 0.05, z: 0 };
+    };
+    eye(LANDMARKS.LEFT_EYE_OUTER, LANDMARKS.LEFT_EYE_INNER, [LANDMARKS.LEFT_EYE_UPPER_1, LANDMARKS.LEFT_EYE_UPPER_2],
+        [LANDMARKS.LEFT_EYE_LOWER_1, LANDMARKS.LEFT_EYE_LOWER_2], LANDMARKS.LEFT_IRIS, 0.42);
+    eye(LANDMARKS.RIGHT_EYE_INNER, LANDMARKS.RIGHT_EYE_OUTER, [LANDMARKS.RIGHT_EYE_UPPER_2, LANDMARKS.RIGHT_EYE_UPPER_1],
+        [LANDMARKS.RIGHT_EYE_LOWER_2, LANDMARKS.RIGHT_EYE_LOWER_1], LANDMARKS.RIGHT_IRIS, 0.53);
+    return landmarks;
+};
+
+// Calibrate looking straight at the screen, then run gaze(t) -> { face, pose } for the given seconds
+const run = (gaze, seconds, mapping = null) => {
+    const analyzer = new GazeRegionAnalyzer(DEFAULT_CONFIG);
+    analyzer.setMapping(mapping);
+    for (let i = 0; i < DEFAULT_CONFIG.CALIBRATION.MAX_FRAMES; i++) analyzer.calibrate(face(), FRONTAL);
+
+    const transitions = [];
+    let now = 0;
+    for (let frame = 0; frame * FRAME_MS < seconds * 1000; frame++) {
+        now = frame * FRAME_MS;
+        const { landmarks, pose } = gaze(now / 1000);
+        transitions.push(...analyzer.update(landmarks, pose, now));
+    }
+    transitions.push(...analyzer.finish(now));
+    return { analyzer, transitions };
+};
+
+test('looking down at the desk with the eyes alone is an off-screen dwell below', () => {
+    // Eyes about 35 degrees down, head still
+    const { analyzer, transitions } = run(t => ({ landmarks: face(0, t >= 1 && t < 4 ? 0.23 : 0), pose: FRONTAL }), 6);
+    expect(transitions.map(t => [t.type, t.region])).toEqual([['offscreen_start', 'below'], ['offscreen_end', 'below']]);
+    expect(transitions[1].dwellMs).toBeGreaterThan(2500);
+    expect(analyzer.getSummary().below.count).toBe(1);
+});
+
+test('head turn and eye movement add up to a side region', () => {
+    // 20 degree head turn towards image right plus 15 degrees of eye rotation the same way
+    const turned = { yaw: 20, pitch: 0, roll: 0 };
+    const { transitions } = run(t => (t >= 1 && t < 3 ? { landmarks: face(0.1), pose: turned } : { landmarks: face(), pose: FRONTAL }), 4);
+    expect(transitions.map(t => t.region)).toEqual(['left', 'left']);
+
+    // Either one alone stays on the screen
+    expect(run(() => ({ landmarks: face(), pose: turned }), 3).transitions).toEqual([]);
+    expect(run(() => ({ landmarks: face(0.1), pose: FRONTAL }), 3).transitions).toEqual([]);
+});
+
+test('gaze above and to the right of the screen is logged per region', () => {
+    const gaze = (t) => {
+        if (t >= 1 && t < 2) return { landmarks: face(0, -0.2), pose: { yaw: 0, pitch: -10, roll: 0 } };
+        if (t >= 3 && t < 5) return { landmarks: face(-0.2), pose: { yaw: -15, pitch: 0, roll: 0 } };
+        return { landmarks: face(), pose: FRONTAL };
+    };
+    const { analyzer } = run(gaze, 6);
+    const summary = analyzer.getSummary();
+    expect(summary.above.count).toBe(1);
+    expect(summary.right.count).toBe(1);
+    expect(summary.right.total_ms).toBeGreaterThan(summary.above.total_ms);
+    expect(summary.left.count + summary.below.count).toBe(0);
+});
+
+test('a multi-point calibration replaces the default screen size', () => {
+    // Seated far from a small screen: its corners are 8 degrees of eye rotation from the centre
+    const analyzer = new GazeRegionAnalyzer(DEFAULT_CONFIG);
+    const offset = (degrees) => DEFAULT_CONFIG.GAZE.EYE_RADIUS_RATIO * Math.sin(degrees * Math.PI / 180);
+    const calibration = new GazeCalibration(DEFAULT_CONFIG);
+    CALIBRATION_TARGETS.forEach(target => {
+        // Eye rotation towards image left is the candidate's right
+        const offsets = { horizontal: offset(-10 * target.x), vertical: offset(10 * target.y) };
+        const sample = { head_pose: FRONTAL, offsets, gaze: analyzer.gazeAngles(offsets, FRONTAL) };
+        calibration.addTarget(target, Array(DEFAULT_CONFIG.CALIBRATION.TARGET_SAMPLES).fill(sample));
+    });
+    const { acceptable, mapping } = calibration.result();
+    expect(acceptable).toBe(true);
+
+    // About 15 degrees to the candidate's right fits the default screen but not the calibrated one
+    const look = t => ({ landmarks: face(t >= 1 && t < 3 ? -0.1 : 0), pose: FRONTAL });
+    expect(run(look, 4).transitions).toEqual([]);
+    const { transitions } = run(look, 4, mapping);
+    expect(transitions.map(t => [t.type, t.region])).toEqual([['offscreen_start', 'right'], ['offscreen_end', 'right']]);
+    expect(transitions[0].point.x).toBeGreaterThan(1);
+});
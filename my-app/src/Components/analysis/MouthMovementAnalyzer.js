@@ -0,0 +1,156 @@
+import { LANDMARKS } from "../FaceLandmarks.js";
+import GeometryUtils from "../GeometryUtils.js";
+
+// Talking detection from FaceMesh lip landmarks.
+// Lip aperture (mouth aspect ratio above the calibrated resting value) is EMA-smoothed like
+// the attention signals. Talking shows as repeated open/close reversals within a short
+// window; a yawn is one wide opening held for a while and is reported separately.
+
+export const MOUTH_STATES = {
+    STILL: 'still',
+    TALKING: 'talking',
+    YAWNING: 'yawning'
+};
+
+export default class MouthMovementAnalyzer {
+    constructor(config) {
+        this.config = config;
+        this.reset();
+    }
+
+    reset() {
+        this.baselineMar = 0;
+        this.smoothedAperture = null;
+
+        // Reversal tracking with hysteresis of MOUTH.MIN_MOVEMENT, starting from a closed mouth
+        this.direction = 1;
+        this.lastExtreme = null;
+        this.reversalTimes = [];
+
+        // Stabilization, as for attention
+        this.talkingCounter = 0;
+        this.stillCounter = 0;
+        this.talkingStartTime = null;
+        this.lastTalkingTime = null;
+        this.speaking = false;
+        this.yawnStartTime = null;
+        this.lastYawnTime = null;
+    }
+
+    /**
+     * Mouth aspect ratio, or null when the lip landmarks are unavailable
+     */
+    measure(landmarks) {
+        const points = [LANDMARKS.UPPER_LIP_INNER, LANDMARKS.LOWER_LIP_INNER, LANDMARKS.MOUTH_LEFT, LANDMARKS.MOUTH_RIGHT]
+            .map(index => landmarks[index]);
+        if (points.some(point => !point)) return null;
+        return GeometryUtils.mouthAspectRatio(...points);
+    }
+
+    /**
+     * Update the resting mouth aperture during the calibration phase
+     */
+    calibrate(landmarks) {
+        const mar = this.measure(landmarks);
+        if (mar === null) return;
+        const alpha = this.config.CALIBRATION.EMA_ALPHA;
+        this.baselineMar = this.baselineMar * (1 - alpha) + mar * alpha;
+    }
+
+    trackReversals(aperture, now) {
+        if (this.lastExtreme === null) {
+            this.lastExtreme = aperture;
+        } else if (this.direction * (aperture - this.lastExtreme) >= 0) {
+            // Still opening (or closing): follow the peak (or trough)
+            this.lastExtreme = aperture;
+        } else if (Math.abs(aperture - this.lastExtreme) >= this.config.MOUTH.MIN_MOVEMENT) {
+            // Moved back far enough from the last peak or trough
+            this.reversalTimes.push(now);
+            this.direction = -this.direction;
+            this.lastExtreme = aperture;
+        }
+
+        while (this.reversalTimes.length > 0 && now - this.reversalTimes[0] > this.config.MOUTH.WINDOW_MS) {
+            this.reversalTimes.shift();
+        }
+    }
+
+    classify(aperture, now) {
+        const alpha = this.config.STABILIZATION.EMA_ALPHA;
+        this.smoothedAperture = this.smoothedAperture === null
+            ? aperture
+            : alpha * aperture + (1 - alpha) * this.smoothedAperture;
+        this.trackReversals(aperture, now);
+
+        if (this.smoothedAperture >= this.config.MOUTH.YAWN_APERTURE) return MOUTH_STATES.YAWNING;
+        if (this.reversalTimes.length >= this.config.MOUTH.MIN_REVERSALS) return MOUTH_STATES.TALKING;
+        return MOUTH_STATES.STILL;
+    }
+
+    /**
+     * Analyze one frame; landmarks is null when no face is visible
+     * Returns transitions: speaking_start, speaking_end, yawn
+     */
+    update(landmarks, now) {
+        const mar = landmarks ? this.measure(landmarks) : null;
+        const state = mar !== null
+            ? this.classify(Math.max(0, mar - this.baselineMar), now)
+            : MOUTH_STATES.STILL;
+        const transitions = [];
+
+        if (state === MOUTH_STATES.YAWNING) {
+            this.yawnStartTime = this.yawnStartTime ?? now;
+            this.lastYawnTime = now;
+        } else if (this.yawnStartTime !== null) {
+            const durationMs = this.lastYawnTime - this.yawnStartTime;
+            if (durationMs >= this.config.MOUTH.MIN_YAWN_MS) {
+                transitions.push({ type: 'yawn', startedAt: this.yawnStartTime, durationMs });
+            }
+            this.yawnStartTime = null;
+            // The opening and closing of a yawn must not count toward talking
+            this.reversalTimes = [];
+        }
+
+        if (state === MOUTH_STATES.TALKING) {
+            this.talkingCounter++;
+            this.stillCounter = 0;
+            this.talkingStartTime = this.talkingStartTime ?? now;
+            this.lastTalkingTime = now;
+
+            if (!this.speaking &&
+                this.talkingCounter >= this.config.STABILIZATION.THRESHOLD &&
+                now - this.talkingStartTime >= this.config.MOUTH.MIN_SPEAKING_MS) {
+                this.speaking = true;
+                transitions.push({ type: 'speaking_start', startedAt: this.talkingStartTime });
+            }
+        } else {
+            this.stillCounter++;
+            this.talkingCounter = 0;
+            if (this.speaking && (this.stillCounter >= this.config.STABILIZATION.THRESHOLD || mar === null)) {
+                transitions.push(this.endSpeaking());
+            } else if (!this.speaking) {
+                this.talkingStartTime = null;
+            }
+        }
+        return transitions;
+    }
+
+    endSpeaking() {
+        const transition = {
+            type: 'speaking_end',
+            startedAt: this.talkingStartTime,
+            endedAt: this.lastTalkingTime,
+            durationMs: this.lastTalkingTime - this.talkingStartTime
+        };
+        this.speaking = false;
+        this.talkingStartTime = null;
+        return transition;
+    }
+
+    /**
+     * Close a speaking interval still open when the session ends
+     */
+    finish() {
+        return this.speaking ? [this.endSpeaking()] : [];
+    }
+}
@@ -0,0 +1,101 @@
+/** @jest-environment node */
+import MouthMovementAnalyzer from './MouthMovementAnalyzer';
+import ProctoringSystem from '../ProctoringSystem';
+import { VirtualClock } from '../Clock';
+import { ScriptedDetector } from '../detectors';
+import { LANDMARKS } from '../FaceLandmarks';
+import { DEFAULT_CONFIG } from '../policy/PolicySchema';
+
+const FRAME_MS = 33;
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+// Frontal face whose inner lips are apart by aperture times the mouth width
+const face = (aperture = 0) => {
+    const landmarks = new Array(478);
+    landmarks[LANDMARKS.NOSE_TIP] = { x: 0.5, y: 0.55, z: -0.05 };
+    landmarks[LANDMARKS.LEFT_EYE_OUTER] = { x: 0.42, y: 0.45, z: 0 };
+    landmarks[LANDMARKS.LEFT_EYE_INNER] = { x: 0.47, y: 0.45, z: 0 };
+    landmarks[LANDMARKS.RIGHT_EYE_OUTER] = { x: 0.58, y: 0.45, z: 0 };
+    landmarks[LANDMARKS.RIGHT_EYE_INNER] = { x: 0.53, y: 0.45, z: 0 };
+    landmarks[LANDMARKS.LEFT_IRIS] = { x: 0.445, y: 0.45, z: 0 };
+    landmarks[LANDMARKS.RIGHT_IRIS] = { x: 0.555, y: 0.45, z: 0 };
+    landmarks[LANDMARKS.MOUTH_LEFT] = { x: 0.45, y: 0.65, z: 0 };
+    landmarks[LANDMARKS.MOUTH_RIGHT] = { x: 0.55, y: 0.65, z: 0 };
+    landmarks[LANDMARKS.UPPER_LIP_INNER] = { x: 0.5, y: 0.65 - aperture * 0.05, z: 0 };
+    landmarks[LANDMARKS.LOWER_LIP_INNER] = { x: 0.5, y: 0.65 + aperture * 0.05, z: 0 };
+    return landmarks;
+};
+
+// Syllable-rate lip movement (about 4 Hz) between closed and 0.25 aperture
+const talking = (t) => 0.125 - 0.125 * Math.cos(2 * Math.PI * 4 * t);
+
+// Run aperture(t) for the given seconds after calibrating on a closed mouth
+const run = (aperture, seconds) => {
+    const analyzer = new MouthMovementAnalyzer(DEFAULT_CONFIG);
+    for (let i = 0; i < DEFAULT_CONFIG.CALIBRATION.MAX_FRAMES; i++) analyzer.calibrate(face(0.02));
+
+    const transitions = [];
+    for (let frame = 0; frame * FRAME_MS < seconds * 1000; frame++) {
+        const now = frame * FRAME_MS;
+        transitions.push(...analyzer.update(face(aperture(now / 1000)), now));
+    }
+    transitions.push(...analyzer.finish());
+    return transitions;
+};
+
+test('sustained lip movement is reported as one speaking interval', () => {
+    const transitions = run(t => (t >= 1 && t < 5 ? talking(t) : 0.02), 7);
+    expect(transitions.map(t => t.type)).toEqual(['speaking_start', 'speaking_end']);
+    expect(transitions[1].durationMs).toBeGreaterThan(3000);
+});
+
+test('a yawn is not talking', () => {
+    // Opens slowly over a second, holds wide open, closes again
+    const yawn = (t) => {
+        if (t < 1 || t > 4.5) return 0.02;
+        if (t < 2) return 0.02 + 0.7 * (t - 1);
+        if (t < 3.5) return 0.72;
+        return 0.72 - 0.7 * (t - 3.5);
+    };
+    const transitions = run(yawn, 6);
+    expect(transitions.map(t => t.type)).toEqual(['yawn']);
+    expect(transitions[0].durationMs).toBeGreaterThan(1000);
+});
+
+test('brief mouth movements stay below the speaking duration', () => {
+    expect(run(t => (t >= 1 && t < 1.6 ? talking(t) : 0.02), 4)).toEqual([]);
+});
+
+test('speaking that coincides with voice audio is flagged as reading aloud', () => {
+    const clock = new VirtualClock(Date.UTC(2025, 0, 6, 9, 0, 0));
+    const scripted = new ScriptedDetector();
+    const events = [];
+    const system = new ProctoringSystem({}, {}, event => events.push(event), () => {}, {
+        clock,
+        headless: true,
+        detectors: { faceCount: scripted, landmarks: scripted, identity: scripted }
+    });
+
+    system.beginSession();
+    for (let frame = 0; frame < 300; frame++) {
+        clock.advance(FRAME_MS);
+        const t = (frame - 100) * FRAME_MS / 1000;
+        const speaking = frame >= 100 && frame < 250;
+        system.onAudioFeatures({
+            levelDb: speaking ? -30 : -55,
+            speechBandRatio: speaking ? 0.9 : 0.4,
+            zeroCrossingRate: 0.1,
+            pitchHz: speaking ? 120 : null
+        });
+        system.onFaceMeshResults({ multiFaceLandmarks: [face(speaking ? talking(t) : 0.02)] });
+    }
+    system.endSession();
+
+    const ended = system.sessionLogs.find(entry => entry.type === 'speaking_detected' && entry.state === 'end');
+    expect(ended.audio_overlap).toBeGreaterThan(0.5);
+    expect(ended.reading_aloud).toBe(true);
+    expect(events).toContainEqual(expect.objectContaining({ type: 'violation', category: 'audio', message: expect.stringContaining('Speaking aloud detected') }));
+});
@@ -0,0 +1,104 @@
+// Long-term posture drift: the head holds steady at an offset from the calibrated baseline
+// while the gaze stays on the screen, as after leaning back or moving the chair.
+// Distraction moves the gaze off the screen or does not hold still, so it never qualifies.
+// Drift over DRIFT.WINDOW_MS asks for a recalibration, at most DRIFT.MAX_PER_SESSION times
+// and no more often than DRIFT.MIN_INTERVAL_MS.
+
+// Frames further apart than this break the continuous observation window
+const MAX_FRAME_GAP_MS = 1000;
+
+function meanAndStdDev(values) {
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / values.length;
+    return { mean, stdDev: Math.sqrt(variance) };
+}
+
+const round = (value) => Number(value.toFixed(1)) || 0; // No negative zero in logs
+
+export default class PostureDriftAnalyzer {
+    constructor(config) {
+        this.config = config;
+        this.reset();
+    }
+
+    reset() {
+        this.clearWindow();
+        this.lastRecalibrationTime = null;
+        this.autoRecalibrations = 0;
+        this.rateLimited = 0;
+    }
+
+    /**
+     * Start a new observation window, e.g. after the baseline changed
+     */
+    clearWindow() {
+        this.samples = [];
+        this.windowStart = null;
+        this.suppressed = false;
+    }
+
+    /**
+     * Analyze one frame: head pose offset from the baseline in degrees and whether the gaze
+     * was found on the screen
+     * Returns transitions: drift_detected when a recalibration is due, drift_rate_limited once
+     * per drift that is not recalibrated
+     */
+    update(offset, gazeOnScreen, now) {
+        const last = this.samples[this.samples.length - 1];
+        if (last && now - last.time > MAX_FRAME_GAP_MS) this.clearWindow();
+
+        if (this.windowStart === null) this.windowStart = now;
+        this.samples.push({ time: now, yaw: offset.yaw, pitch: offset.pitch, roll: offset.roll, onScreen: gazeOnScreen });
+        while (this.samples[0].time < now - this.config.WINDOW_MS) this.samples.shift();
+
+        if (now - this.windowStart < this.config.WINDOW_MS) return [];
+
+        const drift = this.measure();
+        if (!drift) {
+            this.suppressed = false;
+            return [];
+        }
+
+        const limited = this.autoRecalibrations >= this.config.MAX_PER_SESSION ||
+            (this.lastRecalibrationTime !== null && now - this.lastRecalibrationTime < this.config.MIN_INTERVAL_MS);
+        if (limited) {
+            if (this.suppressed) return [];
+            this.suppressed = true;
+            this.rateLimited++;
+            return [{ type: 'drift_rate_limited', ...drift }];
+        }
+
+        this.autoRecalibrations++;
+        this.lastRecalibrationTime = now;
+        this.clearWindow();
+        return [{ type: 'drift_detected', ...drift }];
+    }
+
+    /**
+     * Mean offset and spread of the window when it looks like drift, otherwise null
+     */
+    measure() {
+        const yaw = meanAndStdDev(this.samples.map(sample => sample.yaw));
+        const pitch = meanAndStdDev(this.samples.map(sample => sample.pitch));
+        const roll = meanAndStdDev(this.samples.map(sample => sample.roll));
+        const onScreenShare = this.samples.filter(sample => sample.onScreen).length / this.samples.length;
+        const magnitude = Math.max(Math.abs(yaw.mean), Math.abs(pitch.mean));
+
+        const steady = yaw.stdDev <= this.config.STABLE_STD_DEG && pitch.stdDev <= this.config.STABLE_STD_DEG;
+        const offset = magnitude >= this.config.MIN_OFFSET_DEG && magnitude <= this.config.MAX_OFFSET_DEG;
+        if (!steady || !offset || onScreenShare < this.config.MIN_ON_SCREEN_SHARE) return null;
+
+        return {
+            offset: { yaw: round(yaw.mean), pitch: round(pitch.mean), roll: round(roll.mean) },
+            spread: { yaw: round(yaw.stdDev), pitch: round(pitch.stdDev) },
+            onScreenShare: Number(onScreenShare.toFixed(2))
+        };
+    }
+
+    /**
+     * Counts: { auto_recalibrations, rate_limited }
+     */
+    getSummary() {
+        return { auto_recalibrations: this.autoRecalibrations, rate_limited: this.rateLimited };
+    }
+}
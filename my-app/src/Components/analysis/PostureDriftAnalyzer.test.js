@@ -0,0 +1,51 @@
+/** @jest-environment node */
+import PostureDriftAnalyzer from './PostureDriftAnalyzer';
+import { DEFAULT_CONFIG } from '../policy/PolicySchema';
+
+const FRAME_MS = 33;
+
+// Run pose(t) -> { yaw, pitch, onScreen } for the given seconds and collect the transitions
+const run = (pose, seconds, config = DEFAULT_CONFIG.DRIFT) => {
+    const analyzer = new PostureDriftAnalyzer(config);
+    const transitions = [];
+    for (let frame = 0; frame * FRAME_MS < seconds * 1000; frame++) {
+        const now = frame * FRAME_MS;
+        const { yaw = 0, pitch = 0, onScreen = true } = pose(now / 1000);
+        transitions.push(...analyzer.update({ yaw, pitch, roll: 0 }, onScreen, now).map(t => ({ ...t, at: now })));
+    }
+    return { analyzer, transitions };
+};
+
+// Small natural head movement
+const jitter = (t) => 0.8 * Math.sin(t * 3);
+
+test('leaning back while still reading the screen is drift', () => {
+    const { transitions } = run(t => ({ yaw: jitter(t), pitch: t < 60 ? jitter(t) : -12 + jitter(t) }), 105);
+
+    expect(transitions.map(t => t.type)).toEqual(['drift_detected']);
+    expect(transitions[0].offset.pitch).toBeLessThan(-10);
+    expect(transitions[0].at).toBeGreaterThan(60000 + DEFAULT_CONFIG.DRIFT.WINDOW_MS * 0.8);
+});
+
+test('looking away or a restless head is not drift', () => {
+    // Head down at notes on the desk: steady, but the gaze leaves the screen
+    expect(run(t => ({ pitch: t < 10 ? 0 : 20 + jitter(t), onScreen: t < 10 }), 90).transitions).toEqual([]);
+    // Turning back and forth between screen and window
+    expect(run(t => ({ yaw: 20 * Math.sin(t / 2) }), 90).transitions).toEqual([]);
+    // Turned far beyond any posture change
+    expect(run(t => ({ yaw: 60 + jitter(t) }), 90).transitions).toEqual([]);
+});
+
+test('automatic recalibration is rate limited', () => {
+    // The offset never goes away, as if each recalibration failed
+    const { analyzer, transitions } = run(t => ({ yaw: 15 + jitter(t) }), 700);
+
+    const detected = transitions.filter(t => t.type === 'drift_detected');
+    expect(detected).toHaveLength(DEFAULT_CONFIG.DRIFT.MAX_PER_SESSION);
+    for (let i = 1; i < detected.length; i++) {
+        expect(detected[i].at - detected[i - 1].at).toBeGreaterThanOrEqual(DEFAULT_CONFIG.DRIFT.MIN_INTERVAL_MS);
+    }
+    // Suppressed drift is reported once after each recalibration, not on every frame
+    expect(transitions.filter(t => t.type === 'drift_rate_limited')).toHaveLength(3);
+    expect(analyzer.getSummary()).toEqual({ auto_recalibrations: DEFAULT_CONFIG.DRIFT.MAX_PER_SESSION, rate_limited: 3 });
+});
@@ -0,0 +1,92 @@
+// Prohibited objects (phones, books, laptops, extra screens) from sampled object detections.
+// An object must be seen in OBJECTS.MIN_CONSECUTIVE samples in a row before it is reported,
+// and missed as many times before it counts as gone, so single misdetections are ignored.
+
+// COCO class -> reported object
+export const PROHIBITED_OBJECTS = {
+    'cell phone': 'phone',
+    'book': 'book',
+    'laptop': 'laptop',
+    'tv': 'monitor'
+};
+
+export default class ProhibitedObjectAnalyzer {
+    constructor(config) {
+        this.config = config;
+        this.reset();
+    }
+
+    reset() {
+        // Per reported object: { hits, misses, present, since }
+        this.tracks = {};
+        this.summary = {};
+    }
+
+    track(object) {
+        if (!this.tracks[object]) {
+            this.tracks[object] = { hits: 0, misses: 0, present: false, since: null };
+        }
+        return this.tracks[object];
+    }
+
+    /**
+     * Analyze one detection sample
+     * Returns transitions: object_detected with the best detection, object_cleared with the duration
+     */
+    update(detections, now) {
+        // Most confident detection of each prohibited object in this sample
+        const best = {};
+        for (const detection of detections) {
+            const object = PROHIBITED_OBJECTS[detection.label];
+            if (!object || detection.score < this.config.MIN_CONFIDENCE) continue;
+            if (!best[object] || detection.score > best[object].score) best[object] = detection;
+        }
+
+        const transitions = [];
+        for (const object of new Set([...Object.keys(this.tracks), ...Object.keys(best)])) {
+            const track = this.track(object);
+
+            if (best[object]) {
+                track.hits++;
+                track.misses = 0;
+                if (!track.present && track.hits >= this.config.MIN_CONSECUTIVE) {
+                    track.present = true;
+                    track.since = now;
+                    this.summary[object] = (this.summary[object] || 0) + 1;
+                    transitions.push({ type: 'object_detected', object, ...best[object] });
+                }
+            } else {
+                track.hits = 0;
+                if (track.present && ++track.misses >= this.config.MIN_CONSECUTIVE) {
+                    transitions.push(this.clear(object, now));
+                }
+            }
+        }
+        return transitions;
+    }
+
+    clear(object, now) {
+        const track = this.tracks[object];
+        const durationMs = now - track.since;
+        track.present = false;
+        track.misses = 0;
+        track.since = null;
+        return { type: 'object_cleared', object, durationMs };
+    }
+
+    /**
+     * Clear objects still in view when the session ends
+     */
+    finish(now) {
+        return Object.keys(this.tracks)
+            .filter(object => this.tracks[object].present)
+            .map(object => this.clear(object, now));
+    }
+
+    /**
+     * Number of times each prohibited object appeared
+     */
+    getSummary() {
+        return { ...this.summary };
+    }
+}
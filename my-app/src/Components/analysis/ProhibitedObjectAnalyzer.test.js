@@ -0,0 +1,73 @@
+/** @jest-environment node */
+import ProhibitedObjectAnalyzer from './ProhibitedObjectAnalyzer';
+import ProctoringSystem from '../ProctoringSystem';
+import { VirtualClock } from '../Clock';
+import { ScriptedDetector } from '../detectors';
+import { DEFAULT_POLICY } from '../policy/PolicyProfiles';
+import { DEFAULT_CONFIG } from '../policy/PolicySchema';
+
+const SAMPLE_MS = DEFAULT_CONFIG.OBJECTS.SAMPLE_INTERVAL_MS;
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+const phone = (score = 0.85) => ({ label: 'cell phone', score, bbox: [0.6, 0.55, 0.12, 0.2] });
+
+// Feed one list of detections per sample
+const run = (samples) => {
+    const analyzer = new ProhibitedObjectAnalyzer(DEFAULT_CONFIG.OBJECTS);
+    const transitions = [];
+    samples.forEach((objects, i) => transitions.push(...analyzer.update(objects, i * SAMPLE_MS)));
+    transitions.push(...analyzer.finish(samples.length * SAMPLE_MS));
+    return { analyzer, transitions };
+};
+
+test('a phone seen in consecutive samples is reported once with its box', () => {
+    const { analyzer, transitions } = run([[], [phone(0.7)], [phone(0.9)], [phone()], [], [], []]);
+    expect(transitions).toEqual([
+        { type: 'object_detected', object: 'phone', label: 'cell phone', score: 0.9, bbox: [0.6, 0.55, 0.12, 0.2] },
+        { type: 'object_cleared', object: 'phone', durationMs: 3 * SAMPLE_MS }
+    ]);
+    expect(analyzer.getSummary()).toEqual({ phone: 1 });
+});
+
+test('single misdetections, low confidence and permitted objects are ignored', () => {
+    const cup = { label: 'cup', score: 0.95, bbox: [0.1, 0.1, 0.1, 0.1] };
+    const { transitions } = run([[phone()], [], [phone(0.3)], [phone(0.3)], [cup], [cup]]);
+    expect(transitions).toEqual([]);
+});
+
+test('each detected object is a violation carrying label, confidence and bounding box', () => {
+    const clock = new VirtualClock(Date.UTC(2025, 0, 6, 9, 0, 0));
+    const scripted = new ScriptedDetector({ objects: [[{ label: 'tv', score: 0.8, bbox: [0.05, 0.1, 0.3, 0.25] }, phone()]] });
+    const events = [];
+    const policy = { ...DEFAULT_POLICY, config: { ...DEFAULT_CONFIG, OBJECTS: { ...DEFAULT_CONFIG.OBJECTS, ENABLED: true } } };
+    const system = new ProctoringSystem({}, {}, event => events.push(event), () => {}, {
+        clock,
+        headless: true,
+        policy,
+        detectors: { faceCount: scripted, landmarks: scripted, identity: scripted, objects: scripted }
+    });
+
+    return system.detectorsReady.then(async () => {
+        system.beginSession();
+        for (let sample = 0; sample < 3; sample++) {
+            clock.advance(SAMPLE_MS);
+            system.onObjectDetectionResults(await system.detectors.objects.detectObjects(null));
+        }
+        system.endSession();
+
+        const violations = events.filter(event => event.type === 'violation');
+        expect(violations.map(event => event.details.object).sort()).toEqual(['monitor', 'phone']);
+        expect(violations.find(event => event.details.object === 'monitor').details).toEqual({
+            object: 'monitor', label: 'tv', confidence: 0.8, bbox: [0.05, 0.1, 0.3, 0.25]
+        });
+        expect(violations.map(event => event.code)).toEqual(['PROHIBITED_OBJECT', 'PROHIBITED_OBJECT']);
+        expect(violations[0].severity).toBe('high');
+        expect(system.totalViolations).toBe(2);
+        expect(system.getViolationCounts()).toEqual({ by_code: { PROHIBITED_OBJECT: 2 }, by_category: { object: 2 } });
+        expect(system.sessionLogs.filter(entry => entry.type === 'object_detected').map(entry => entry.state))
+            .toEqual(['start', 'start', 'end', 'end']);
+    });
+});
@@ -0,0 +1,153 @@
+// Per-frame audio features for voice activity detection.
+// Only these features leave the audio pipeline; raw samples are never stored or logged.
+
+export const SPEECH_BAND_HZ = [300, 3400];
+export const PITCH_RANGE_HZ = [70, 400];
+const PITCH_ANALYSIS_RATE = 8000;
+const MIN_PITCH_CORRELATION = 0.5;
+const SILENCE_DB = -100;
+
+export function rms(samples) {
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+        sum += samples[i] * samples[i];
+    }
+    return Math.sqrt(sum / (samples.length || 1));
+}
+
+export function toDecibels(amplitude) {
+    return amplitude > 0 ? Math.max(SILENCE_DB, 20 * Math.log10(amplitude)) : SILENCE_DB;
+}
+
+export function zeroCrossingRate(samples) {
+    let crossings = 0;
+    for (let i = 1; i < samples.length; i++) {
+        if ((samples[i - 1] >= 0) !== (samples[i] >= 0)) crossings++;
+    }
+    return crossings / Math.max(1, samples.length - 1);
+}
+
+/**
+ * Power spectrum of a Hann-windowed frame, zero-padded to a power of two
+ */
+export function powerSpectrum(samples) {
+    let size = 1;
+    while (size < samples.length) size <<= 1;
+
+    const re = new Float64Array(size);
+    const im = new Float64Array(size);
+    for (let i = 0; i < samples.length; i++) {
+        re[i] = samples[i] * (0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (samples.length - 1 || 1)));
+    }
+
+    // Iterative radix-2 FFT
+    for (let i = 1, j = 0; i < size; i++) {
+        let bit = size >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    for (let length = 2; length <= size; length <<= 1) {
+        const angle = (-2 * Math.PI) / length;
+        for (let start = 0; start < size; start += length) {
+            for (let k = 0; k < length / 2; k++) {
+                const cos = Math.cos(angle * k);
+                const sin = Math.sin(angle * k);
+                const a = start + k;
+                const b = a + length / 2;
+                const tre = re[b] * cos - im[b] * sin;
+                const tim = re[b] * sin + im[b] * cos;
+                re[b] = re[a] - tre;
+                im[b] = im[a] - tim;
+                re[a] += tre;
+                im[a] += tim;
+            }
+        }
+    }
+
+    const power = new Float64Array(size / 2);
+    for (let i = 0; i < power.length; i++) {
+        power[i] = re[i] * re[i] + im[i] * im[i];
+    }
+    return { power, size };
+}
+
+/**
+ * Share of the frame's energy inside the speech band
+ */
+export function speechBandRatio(samples, sampleRate) {
+    const { power, size } = powerSpectrum(samples);
+    const binHz = sampleRate / size;
+    let total = 0;
+    let band = 0;
+    for (let i = 1; i < power.length; i++) {
+        const hz = i * binHz;
+        total += power[i];
+        if (hz >= SPEECH_BAND_HZ[0] && hz <= SPEECH_BAND_HZ[1]) band += power[i];
+    }
+    return total > 0 ? band / total : 0;
+}
+
+/**
+ * Fundamental frequency by normalized autocorrelation, or null for unvoiced frames
+ */
+export function estimatePitch(samples, sampleRate) {
+    // Decimate so the lag search stays cheap at 44.1/48 kHz
+    const step = Math.max(1, Math.floor(sampleRate / PITCH_ANALYSIS_RATE));
+    const rate = sampleRate / step;
+    const length = Math.floor(samples.length / step);
+    const x = new Float64Array(length);
+    let mean = 0;
+    for (let i = 0; i < length; i++) {
+        x[i] = samples[i * step];
+        mean += x[i];
+    }
+    mean /= length || 1;
+    for (let i = 0; i < length; i++) x[i] -= mean;
+
+    const minLag = Math.floor(rate / PITCH_RANGE_HZ[1]);
+    const maxLag = Math.min(length - 1, Math.ceil(rate / PITCH_RANGE_HZ[0]));
+    const correlations = new Float64Array(maxLag + 1);
+
+    for (let lag = minLag; lag <= maxLag; lag++) {
+        let product = 0;
+        let energyA = 0;
+        let energyB = 0;
+        for (let i = 0; i + lag < length; i++) {
+            product += x[i] * x[i + lag];
+            energyA += x[i] * x[i];
+            energyB += x[i + lag] * x[i + lag];
+        }
+        correlations[lag] = energyA > 0 && energyB > 0 ? product / Math.sqrt(energyA * energyB) : 0;
+    }
+
+    // The first peak close to the maximum avoids picking a multiple of the period
+    let best = 0;
+    for (let lag = minLag; lag <= maxLag; lag++) best = Math.max(best, correlations[lag]);
+    if (best < MIN_PITCH_CORRELATION) return null;
+
+    for (let lag = minLag + 1; lag < maxLag; lag++) {
+        const isPeak = correlations[lag] >= correlations[lag - 1] && correlations[lag] >= correlations[lag + 1];
+        if (isPeak && correlations[lag] >= 0.9 * best) {
+            return rate / lag;
+        }
+    }
+    return null;
+}
+
+/**
+ * Features of one analysis frame
+ */
+export function extractFeatures(samples, sampleRate) {
+    const levelDb = toDecibels(rms(samples));
+    const pitchHz = estimatePitch(samples, sampleRate);
+    return {
+        levelDb: Number(levelDb.toFixed(1)),
+        speechBandRatio: Number(speechBandRatio(samples, sampleRate).toFixed(3)),
+        zeroCrossingRate: Number(zeroCrossingRate(samples).toFixed(3)),
+        pitchHz: pitchHz === null ? null : Number(pitchHz.toFixed(1))
+    };
+}
@@ -0,0 +1,68 @@
+import { extractFeatures } from "./AudioFeatures.js";
+
+// Web Audio adapter for VoiceActivityAnalyzer.
+// Opens its own microphone stream with gain control and noise suppression off, so levels
+// stay comparable to the calibrated noise floor, and reports features every FRAME_MS.
+
+const FFT_SIZE = 2048;
+
+export default class AudioMonitor {
+    constructor(onFeatures, config, { mediaDevices = navigator.mediaDevices, AudioContextClass = window.AudioContext || window.webkitAudioContext } = {}) {
+        this.onFeatures = onFeatures;
+        this.config = config;
+        this.mediaDevices = mediaDevices;
+        this.AudioContextClass = AudioContextClass;
+        this.stream = null;
+        this.context = null;
+        this.interval = null;
+        // Bumped by stop(), so a start() still waiting for the microphone knows it was cancelled
+        this.generation = 0;
+    }
+
+    /**
+     * Request the microphone and start sampling; throws when audio is unavailable
+     */
+    async start() {
+        if (this.context) return;
+        if (!this.mediaDevices || !this.AudioContextClass) {
+            throw new Error('Web Audio or microphone access is not supported in this browser');
+        }
+
+        const generation = this.generation;
+        const stream = await this.mediaDevices.getUserMedia({
+            audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false },
+            video: false
+        });
+        if (generation !== this.generation) {
+            // Stopped while the permission prompt was open: release the microphone right away
+            stream.getTracks().forEach(track => track.stop());
+            return;
+        }
+        this.stream = stream;
+        this.context = new this.AudioContextClass();
+        const source = this.context.createMediaStreamSource(this.stream);
+        const analyser = this.context.createAnalyser();
+        analyser.fftSize = FFT_SIZE;
+        source.connect(analyser);
+
+        const samples = new Float32Array(analyser.fftSize);
+        this.interval = setInterval(() => {
+            analyser.getFloatTimeDomainData(samples);
+            this.onFeatures(extractFeatures(samples, this.context.sampleRate));
+        }, this.config.FRAME_MS);
+    }
+
+    stop() {
+        this.generation++;
+        clearInterval(this.interval);
+        this.interval = null;
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        if (this.context) {
+            this.context.close();
+            this.context = null;
+        }
+    }
+}
@@ -0,0 +1,85 @@
+/** @jest-environment node */
+import AudioMonitor from './AudioMonitor';
+import { DEFAULT_CONFIG } from '../policy/PolicySchema';
+
+// A microphone whose permission prompt is answered when the test says so
+const deferredMicrophone = () => {
+    const track = { stop: jest.fn() };
+    const mic = { track, requests: 0 };
+    mic.mediaDevices = {
+        getUserMedia: () => {
+            mic.requests++;
+            return new Promise(resolve => {
+                mic.allow = () => resolve({ getTracks: () => [track] });
+            });
+        }
+    };
+    return mic;
+};
+
+class FakeAudioContext {
+    constructor() {
+        this.sampleRate = 16000;
+        FakeAudioContext.opened++;
+    }
+
+    createMediaStreamSource() {
+        return { connect: () => {} };
+    }
+
+    createAnalyser() {
+        return { fftSize: 0, getFloatTimeDomainData: samples => samples.fill(0) };
+    }
+
+    close() {}
+}
+
+beforeEach(() => {
+    FakeAudioContext.opened = 0;
+    jest.useFakeTimers();
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+test('samples the microphone every frame once started', async () => {
+    const mic = deferredMicrophone();
+    const onFeatures = jest.fn();
+    const monitor = new AudioMonitor(onFeatures, DEFAULT_CONFIG.AUDIO, { mediaDevices: mic.mediaDevices, AudioContextClass: FakeAudioContext });
+
+    const started = monitor.start();
+    mic.allow();
+    await started;
+    jest.advanceTimersByTime(DEFAULT_CONFIG.AUDIO.FRAME_MS * 3);
+    expect(onFeatures).toHaveBeenCalledTimes(3);
+
+    monitor.stop();
+    jest.advanceTimersByTime(DEFAULT_CONFIG.AUDIO.FRAME_MS * 3);
+    expect(onFeatures).toHaveBeenCalledTimes(3);
+    expect(mic.track.stop).toHaveBeenCalled();
+});
+
+test('a session ended during the permission prompt leaves the microphone off', async () => {
+    const mic = deferredMicrophone();
+    const onFeatures = jest.fn();
+    const monitor = new AudioMonitor(onFeatures, DEFAULT_CONFIG.AUDIO, { mediaDevices: mic.mediaDevices, AudioContextClass: FakeAudioContext });
+
+    const started = monitor.start();
+    monitor.stop();
+    mic.allow();
+    await started;
+    jest.advanceTimersByTime(DEFAULT_CONFIG.AUDIO.FRAME_MS * 3);
+
+    expect(mic.track.stop).toHaveBeenCalled();
+    expect(FakeAudioContext.opened).toBe(0);
+    expect(monitor.stream).toBeNull();
+    expect(onFeatures).not.toHaveBeenCalled();
+
+    // A later session can still open it
+    const restarted = monitor.start();
+    mic.allow();
+    await restarted;
+    expect(mic.requests).toBe(2);
+    expect(FakeAudioContext.opened).toBe(1);
+});
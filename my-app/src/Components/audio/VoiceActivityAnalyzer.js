@@ -0,0 +1,169 @@
+// Voice activity detection on per-frame audio features (see AudioFeatures.extractFeatures).
+// Calibrates the ambient noise floor first, then tracks voice segments and flags sustained
+// speech and pitch patterns that look like more than one speaker.
+
+export const AUDIO_STATES = {
+    CALIBRATING: 'calibrating',
+    SILENT: 'silent',
+    VOICE: 'voice'
+};
+
+const median = (values) => {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const semitones = (hz) => 12 * Math.log2(hz / 55);
+
+/**
+ * Split 1-D pitch values (in semitones) into two groups at the largest gap
+ * Returns the group centers and the share of the smaller group
+ */
+export function splitPitchClusters(values) {
+    if (values.length < 2) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    let bestGap = 0;
+    let splitAt = 0;
+    for (let i = 1; i < sorted.length; i++) {
+        if (sorted[i] - sorted[i - 1] > bestGap) {
+            bestGap = sorted[i] - sorted[i - 1];
+            splitAt = i;
+        }
+    }
+    if (splitAt === 0) return null;
+
+    const low = sorted.slice(0, splitAt);
+    const high = sorted.slice(splitAt);
+    const mean = (group) => group.reduce((sum, value) => sum + value, 0) / group.length;
+    return {
+        separation: mean(high) - mean(low),
+        minorityShare: Math.min(low.length, high.length) / sorted.length
+    };
+}
+
+export default class VoiceActivityAnalyzer {
+    constructor(config) {
+        this.config = config;
+        this.reset();
+    }
+
+    reset() {
+        this.state = AUDIO_STATES.CALIBRATING;
+        this.calibrationStart = null;
+        this.calibrationLevels = [];
+        this.noiseFloorDb = null;
+        this.candidateStart = null;
+        this.lastVoiceTime = null;
+        this.segment = null;
+    }
+
+    isVoiceFrame(features) {
+        return features.levelDb >= this.noiseFloorDb + this.config.VOICE_MARGIN_DB &&
+            features.speechBandRatio >= this.config.MIN_SPEECH_BAND_RATIO;
+    }
+
+    /**
+     * Apply one frame; returns transitions: calibrated, voice_start, voice_sustained, voice_end
+     */
+    processFrame(features, now) {
+        if (this.state === AUDIO_STATES.CALIBRATING) {
+            return this.calibrate(features, now);
+        }
+
+        const transitions = [];
+        const voiced = this.isVoiceFrame(features);
+
+        if (this.state === AUDIO_STATES.SILENT) {
+            if (!voiced) {
+                // Pauses between syllables do not cancel a starting segment
+                if (this.candidateStart !== null && now - this.lastVoiceTime > this.config.HANGOVER_MS) {
+                    this.candidateStart = null;
+                    this.segment = null;
+                }
+                return transitions;
+            }
+            this.candidateStart = this.candidateStart ?? now;
+            this.lastVoiceTime = now;
+            this.addToSegment(features);
+            if (now - this.candidateStart >= this.config.MIN_VOICE_MS) {
+                this.state = AUDIO_STATES.VOICE;
+                this.segment.startedAt = this.candidateStart;
+                transitions.push({ type: 'voice_start', startedAt: this.candidateStart });
+            }
+            return transitions;
+        }
+
+        // Voice segment: tolerate short pauses between words
+        if (voiced) {
+            this.lastVoiceTime = now;
+            this.addToSegment(features);
+            if (!this.segment.sustained && now - this.segment.startedAt >= this.config.SUSTAINED_VOICE_MS) {
+                this.segment.sustained = true;
+                transitions.push({ type: 'voice_sustained', startedAt: this.segment.startedAt, durationMs: now - this.segment.startedAt });
+            }
+        } else if (now - this.lastVoiceTime > this.config.HANGOVER_MS) {
+            transitions.push(this.endSegment());
+        }
+        return transitions;
+    }
+
+    calibrate(features, now) {
+        this.calibrationStart = this.calibrationStart ?? now;
+        this.calibrationLevels.push(features.levelDb);
+        if (now - this.calibrationStart < this.config.CALIBRATION_MS) {
+            return [];
+        }
+
+        // Median keeps a cough or door slam during calibration from raising the floor
+        this.noiseFloorDb = Math.max(median(this.calibrationLevels), this.config.MIN_NOISE_FLOOR_DB);
+        this.state = AUDIO_STATES.SILENT;
+        this.segment = null;
+        return [{ type: 'calibrated', noiseFloorDb: Number(this.noiseFloorDb.toFixed(1)) }];
+    }
+
+    addToSegment(features) {
+        if (!this.segment) {
+            this.segment = { startedAt: null, levels: [], pitches: [], sustained: false };
+        }
+        this.segment.levels.push(features.levelDb);
+        if (features.pitchHz !== null) this.segment.pitches.push(features.pitchHz);
+    }
+
+    endSegment() {
+        const segment = this.segment;
+        const endedAt = this.lastVoiceTime;
+        this.state = AUDIO_STATES.SILENT;
+        this.segment = null;
+        this.candidateStart = null;
+
+        const clusters = segment.pitches.length >= this.config.MIN_PITCHED_FRAMES
+            ? splitPitchClusters(segment.pitches.map(semitones))
+            : null;
+        const multipleSpeakers = Boolean(clusters) &&
+            clusters.separation >= this.config.SPEAKER_PITCH_SEPARATION &&
+            clusters.minorityShare >= this.config.MIN_SPEAKER_SHARE;
+
+        const meanLevel = segment.levels.reduce((sum, level) => sum + level, 0) / segment.levels.length;
+        const pitch = median(segment.pitches);
+        return {
+            type: 'voice_end',
+            startedAt: segment.startedAt,
+            durationMs: endedAt - segment.startedAt,
+            meanLevelDb: Number(meanLevel.toFixed(1)),
+            peakLevelDb: Math.max(...segment.levels),
+            noiseFloorDb: Number(this.noiseFloorDb.toFixed(1)),
+            medianPitchHz: pitch === null ? null : Number(pitch.toFixed(1)),
+            sustained: segment.sustained,
+            multipleSpeakers
+        };
+    }
+
+    /**
+     * Close a segment still open when the session ends
+     */
+    finish() {
+        return this.state === AUDIO_STATES.VOICE ? [this.endSegment()] : [];
+    }
+}
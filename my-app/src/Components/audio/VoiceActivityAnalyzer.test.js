@@ -0,0 +1,56 @@
+/** @jest-environment node */
+import fs from 'fs';
+import path from 'path';
+import { decodeWav } from './WavDecoder.js';
+import { extractFeatures } from './AudioFeatures.js';
+import VoiceActivityAnalyzer, { AUDIO_STATES } from './VoiceActivityAnalyzer.js';
+import { DEFAULT_CONFIG } from '../policy/PolicySchema.js';
+
+// Fixtures start with 1.5 s of room noise, see scripts/generate-audio-fixtures.js
+const CONFIG = { ...DEFAULT_CONFIG.AUDIO, CALIBRATION_MS: 1000 };
+
+// Feed a fixture through feature extraction and the analyzer frame by frame
+const analyzeFixture = (name, config = CONFIG) => {
+    const { samples, sampleRate } = decodeWav(fs.readFileSync(path.join(__dirname, '__fixtures__', name)));
+    const frameLength = Math.round((sampleRate * config.FRAME_MS) / 1000);
+    const analyzer = new VoiceActivityAnalyzer(config);
+    const transitions = [];
+
+    for (let start = 0; start + frameLength <= samples.length; start += frameLength) {
+        const features = extractFeatures(samples.subarray(start, start + frameLength), sampleRate);
+        transitions.push(...analyzer.processFrame(features, (start / sampleRate) * 1000));
+    }
+    transitions.push(...analyzer.finish());
+    return { analyzer, transitions };
+};
+
+test('room noise only calibrates the noise floor', () => {
+    const { analyzer, transitions } = analyzeFixture('ambient.wav');
+    expect(transitions.map(t => t.type)).toEqual(['calibrated']);
+    expect(analyzer.state).toBe(AUDIO_STATES.SILENT);
+});
+
+test('one person talking is a sustained voice segment', () => {
+    const { transitions } = analyzeFixture('single-speaker.wav');
+    expect(transitions.map(t => t.type)).toEqual(['calibrated', 'voice_start', 'voice_sustained', 'voice_end']);
+
+    const segment = transitions[3];
+    expect(segment.startedAt).toBeGreaterThanOrEqual(1450);
+    expect(segment.durationMs).toBeGreaterThan(3500);
+    expect(segment.meanLevelDb).toBeGreaterThan(segment.noiseFloorDb + CONFIG.VOICE_MARGIN_DB);
+    expect(segment.medianPitchHz).toBeGreaterThan(100);
+    expect(segment.medianPitchHz).toBeLessThan(135);
+    expect(segment.multipleSpeakers).toBe(false);
+});
+
+test('two voices taking turns are flagged as multiple speakers', () => {
+    const { transitions } = analyzeFixture('two-speakers.wav');
+    const segment = transitions.find(t => t.type === 'voice_end');
+    expect(segment.multipleSpeakers).toBe(true);
+});
+
+test('short utterances stay below the sustained-speech threshold', () => {
+    const { transitions } = analyzeFixture('single-speaker.wav', { ...CONFIG, SUSTAINED_VOICE_MS: 10000 });
+    expect(transitions.map(t => t.type)).toEqual(['calibrated', 'voice_start', 'voice_end']);
+    expect(transitions[2].sustained).toBe(false);
+});
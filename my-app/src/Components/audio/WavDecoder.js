@@ -0,0 +1,81 @@
+// Minimal RIFF/WAVE decoder for audio fixtures and offline analysis.
+// Supports PCM 8/16/24/32-bit and IEEE float 32-bit; channels are mixed down to mono.
+
+const FORMAT_PCM = 1;
+const FORMAT_FLOAT = 3;
+const FORMAT_EXTENSIBLE = 0xfffe;
+
+function readTag(view, offset) {
+    return String.fromCharCode(view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3));
+}
+
+function sampleReader(view, format, bitsPerSample) {
+    if (format === FORMAT_FLOAT && bitsPerSample === 32) return (offset) => view.getFloat32(offset, true);
+    if (format !== FORMAT_PCM) return null;
+    switch (bitsPerSample) {
+        case 8: return (offset) => (view.getUint8(offset) - 128) / 128;
+        case 16: return (offset) => view.getInt16(offset, true) / 32768;
+        case 24: return (offset) => {
+            const value = view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getInt8(offset + 2) << 16);
+            return value / 8388608;
+        };
+        case 32: return (offset) => view.getInt32(offset, true) / 2147483648;
+        default: return null;
+    }
+}
+
+/**
+ * Decode a WAV file into { sampleRate, channels, samples } with mono Float32 samples
+ */
+export function decodeWav(buffer) {
+    const bytes = buffer instanceof ArrayBuffer ? new Uint8Array(buffer) : buffer;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (view.byteLength < 12 || readTag(view, 0) !== 'RIFF' || readTag(view, 8) !== 'WAVE') {
+        throw new Error('Not a RIFF/WAVE file');
+    }
+
+    let format = null;
+    let data = null;
+    for (let offset = 12; offset + 8 <= view.byteLength;) {
+        const id = readTag(view, offset);
+        const size = view.getUint32(offset + 4, true);
+        const body = offset + 8;
+        if (id === 'fmt ') {
+            format = {
+                code: view.getUint16(body, true),
+                channels: view.getUint16(body + 2, true),
+                sampleRate: view.getUint32(body + 4, true),
+                blockAlign: view.getUint16(body + 12, true),
+                bitsPerSample: view.getUint16(body + 14, true)
+            };
+            if (format.code === FORMAT_EXTENSIBLE && size >= 26) {
+                format.code = view.getUint16(body + 24, true);
+            }
+        } else if (id === 'data') {
+            data = { offset: body, size: Math.min(size, view.byteLength - body) };
+        }
+        // Chunks are padded to an even size
+        offset = body + size + (size % 2);
+    }
+
+    if (!format) throw new Error('WAV file has no fmt chunk');
+    if (!data) throw new Error('WAV file has no data chunk');
+
+    const read = sampleReader(view, format.code, format.bitsPerSample);
+    if (!read) {
+        throw new Error(`Unsupported WAV encoding: format ${format.code}, ${format.bitsPerSample}-bit`);
+    }
+
+    const bytesPerSample = format.bitsPerSample / 8;
+    const frames = Math.floor(data.size / format.blockAlign);
+    const samples = new Float32Array(frames);
+    for (let frame = 0; frame < frames; frame++) {
+        let sum = 0;
+        for (let channel = 0; channel < format.channels; channel++) {
+            sum += read(data.offset + frame * format.blockAlign + channel * bytesPerSample);
+        }
+        samples[frame] = sum / format.channels;
+    }
+
+    return { sampleRate: format.sampleRate, channels: format.channels, samples };
+}
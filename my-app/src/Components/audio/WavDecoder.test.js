@@ -0,0 +1,60 @@
+/** @jest-environment node */
+import fs from 'fs';
+import path from 'path';
+import { decodeWav } from './WavDecoder.js';
+
+const header = (format, channels, sampleRate, bitsPerSample, dataBytes) => {
+    const buffer = Buffer.alloc(44);
+    buffer.write('RIFF', 0);
+    buffer.writeUInt32LE(36 + dataBytes, 4);
+    buffer.write('WAVE', 8);
+    buffer.write('fmt ', 12);
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(format, 20);
+    buffer.writeUInt16LE(channels, 22);
+    buffer.writeUInt32LE(sampleRate, 24);
+    buffer.writeUInt32LE((sampleRate * channels * bitsPerSample) / 8, 28);
+    buffer.writeUInt16LE((channels * bitsPerSample) / 8, 32);
+    buffer.writeUInt16LE(bitsPerSample, 34);
+    buffer.write('data', 36);
+    buffer.writeUInt32LE(dataBytes, 40);
+    return buffer;
+};
+
+test('decodes the 16-bit mono fixtures', () => {
+    const wav = decodeWav(fs.readFileSync(path.join(__dirname, '__fixtures__', 'single-speaker.wav')));
+    expect(wav.sampleRate).toBe(8000);
+    expect(wav.channels).toBe(1);
+    expect(wav.samples.length).toBe(52000);
+});
+
+test('mixes stereo 16-bit PCM down to mono', () => {
+    const data = Buffer.alloc(8);
+    data.writeInt16LE(16384, 0);
+    data.writeInt16LE(0, 2);
+    data.writeInt16LE(-32768, 4);
+    data.writeInt16LE(-32768, 6);
+    const wav = decodeWav(Buffer.concat([header(1, 2, 44100, 16, 8), data]));
+
+    expect(wav.channels).toBe(2);
+    expect(Array.from(wav.samples)).toEqual([0.25, -1]);
+});
+
+test('decodes 32-bit float data after unknown chunks', () => {
+    const list = Buffer.alloc(11);
+    list.write('LIST', 0);
+    list.writeUInt32LE(3, 4);
+    const data = Buffer.alloc(8);
+    data.writeFloatLE(0.5, 0);
+    data.writeFloatLE(-0.125, 4);
+    const fmt = header(3, 1, 16000, 32, 8);
+    // Odd-sized chunk (padded) between fmt and data
+    const wav = decodeWav(Buffer.concat([fmt.subarray(0, 36), list, Buffer.alloc(1), fmt.subarray(36), data]));
+
+    expect(Array.from(wav.samples)).toEqual([0.5, -0.125]);
+});
+
+test('rejects files it cannot decode', () => {
+    expect(() => decodeWav(Buffer.from('not a wav file at all'))).toThrow('Not a RIFF/WAVE file');
+    expect(() => decodeWav(Buffer.concat([header(2, 1, 8000, 4, 0)]))).toThrow('Unsupported WAV encoding');
+});
@@ -0,0 +1,56 @@
+import DetectorProvider, { CAPABILITIES } from "./DetectorProvider.js";
+import ModelLoader from "../ModelLoader.js";
+
+// TF.js COCO-SSD (lite MobileNet v2) backend for object detection.
+// Runs on the CPU backend so it does not compete with MediaPipe for the WebGL context,
+// which keeps it slow; ProctoringSystem samples it every OBJECTS.SAMPLE_INTERVAL_MS.
+// TF.js is imported on initialize, so sessions without object detection never load it.
+export default class CocoSsdDetector extends DetectorProvider {
+    constructor(config) {
+        super('coco-ssd', [CAPABILITIES.OBJECTS]);
+        this.config = config;
+        this.model = null;
+    }
+
+    async initialize() {
+        if (this.model) return;
+
+        const [tf, cocoSsd, modelUrl] = await Promise.all([
+            import("@tensorflow/tfjs-core"),
+            import("@tensorflow-models/coco-ssd"),
+            ModelLoader.resolveGraphModelUrl('coco-ssd'),
+            import("@tensorflow/tfjs-backend-cpu")
+        ]);
+
+        await tf.setBackend('cpu');
+        await tf.ready();
+        this.model = await cocoSsd.load({ base: 'lite_mobilenet_v2', modelUrl });
+        console.log(`Object detection model loaded from ${modelUrl}`);
+    }
+
+    async detectObjects(image) {
+        const width = image.videoWidth || image.width;
+        const height = image.videoHeight || image.height;
+        const predictions = await this.model.detect(image, this.config.MAX_DETECTIONS, this.config.MIN_CONFIDENCE);
+
+        return {
+            objects: predictions.map(prediction => ({
+                label: prediction.class,
+                score: prediction.score,
+                bbox: [
+                    prediction.bbox[0] / width,
+                    prediction.bbox[1] / height,
+                    prediction.bbox[2] / width,
+                    prediction.bbox[3] / height
+                ]
+            }))
+        };
+    }
+
+    dispose() {
+        if (this.model) {
+            this.model.dispose();
+            this.model = null;
+        }
+    }
+}
@@ -0,0 +1,87 @@
+import { CAPABILITY_METHODS } from "./DetectorProvider.js";
+import { selectedCapabilities } from "./backends.js";
+
+// Worker side of WorkerDetector.
+// Builds the requested backends inside the worker, reports which capabilities it could host
+// and runs detections on the frames posted to it. Kept apart from the worker entry point
+// so it can run in-process in tests.
+
+/**
+ * Draw posted ImageBitmaps onto one reusable OffscreenCanvas, which every backend accepts
+ */
+export function bitmapCanvas() {
+    let canvas = null;
+    return (bitmap) => {
+        if (!canvas || canvas.width !== bitmap.width || canvas.height !== bitmap.height) {
+            canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+        }
+        canvas.getContext('2d').drawImage(bitmap, 0, 0);
+        bitmap.close();
+        return canvas;
+    };
+}
+
+export default class DetectionWorkerHost {
+    constructor(backends, post, { toImage = bitmapCanvas() } = {}) {
+        this.backends = backends;
+        this.post = post;
+        this.toImage = toImage;
+        this.providers = {};
+    }
+
+    async handle(message) {
+        if (message.type === 'init') {
+            await this.initialize(message.backends, message.config);
+        } else if (message.type === 'detect') {
+            await this.detect(message);
+        }
+    }
+
+    /**
+     * Create and initialize a backend per capability; failures are reported per capability
+     * so the main thread only takes over those
+     */
+    async initialize(selection, config) {
+        const instances = new Map();
+        const served = selectedCapabilities(selection);
+        const hosted = [];
+        const errors = {};
+
+        for (const [capability, name] of Object.entries(selection)) {
+            try {
+                if (!this.backends[name]) {
+                    throw new Error(`Unknown detector backend "${name}"`);
+                }
+                if (!instances.has(name)) {
+                    const provider = this.backends[name](config, served[name]);
+                    instances.set(name, provider.initialize().then(() => provider));
+                }
+                const provider = await instances.get(name);
+                if (!provider.supports(capability)) {
+                    throw new Error(`Detector backend "${name}" does not support ${capability}`);
+                }
+                this.providers[capability] = provider;
+                hosted.push(capability);
+            } catch (error) {
+                errors[capability] = error.message;
+            }
+        }
+
+        this.post({ type: 'ready', hosted, errors });
+    }
+
+    async detect({ id, capability, bitmap }) {
+        try {
+            const provider = this.providers[capability];
+            if (!provider) {
+                throw new Error(`${capability} is not hosted by the detection worker`);
+            }
+            const result = await provider[CAPABILITY_METHODS[capability]](this.toImage(bitmap));
+            // Descriptors are typed arrays and clone as they are; other results may hold
+            // class instances or canvases, so only their plain data is posted back
+            this.post({ type: 'result', id, result: result instanceof Float32Array || result === null ? result : JSON.parse(JSON.stringify(result)) });
+        } catch (error) {
+            this.post({ type: 'error', id, message: error.message });
+        }
+    }
+}
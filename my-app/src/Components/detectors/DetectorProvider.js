@@ -0,0 +1,66 @@
+// Common interface for detector backends used by ProctoringSystem.
+// Results use the MediaPipe result shapes so they can be passed straight to the
+// onFaceDetectionResults / onFaceMeshResults handlers regardless of backend.
+
+export const CAPABILITIES = {
+    FACE_COUNT: 'faceCount',
+    LANDMARKS: 'landmarks',
+    IDENTITY: 'identity',
+    OBJECTS: 'objects'
+};
+
+// Provider method that serves each capability
+export const CAPABILITY_METHODS = {
+    [CAPABILITIES.FACE_COUNT]: 'detectFaces',
+    [CAPABILITIES.LANDMARKS]: 'detectLandmarks',
+    [CAPABILITIES.IDENTITY]: 'computeDescriptor',
+    [CAPABILITIES.OBJECTS]: 'detectObjects'
+};
+
+export default class DetectorProvider {
+    constructor(name, capabilities) {
+        this.name = name;
+        this.capabilities = new Set(capabilities);
+    }
+
+    supports(capability) {
+        return this.capabilities.has(capability);
+    }
+
+    async initialize() {}
+
+    /**
+     * Detect faces in a frame
+     * Resolves to { detections: [...] }
+     */
+    async detectFaces(image) {
+        throw new Error(`${this.name} does not support face counting`);
+    }
+
+    /**
+     * Detect FaceMesh-topology landmarks (478 points with iris refinement)
+     * Resolves to { multiFaceLandmarks: [[{ x, y, z }, ...], ...] }
+     */
+    async detectLandmarks(image) {
+        throw new Error(`${this.name} does not support landmarks`);
+    }
+
+    /**
+     * Compute the identity descriptor of the single face in frame
+     * Resolves to a Float32Array, or null when no face is found
+     */
+    async computeDescriptor(image) {
+        throw new Error(`${this.name} does not support identity descriptors`);
+    }
+
+    /**
+     * Detect objects in a frame
+     * Resolves to { objects: [{ label, score, bbox: [x, y, width, height] }, ...] } with the box
+     * normalized to the frame size like MediaPipe landmarks
+     */
+    async detectObjects(image) {
+        throw new Error(`${this.name} does not support object detection`);
+    }
+
+    dispose() {}
+}
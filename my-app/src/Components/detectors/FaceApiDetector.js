@@ -0,0 +1,60 @@
+import * as faceapi from "face-api.js";
+import DetectorProvider, { CAPABILITIES } from "./DetectorProvider.js";
+import ModelLoader from "../ModelLoader.js";
+
+const DETECTOR_NETS = {
+    ssd: 'ssdMobilenetv1',
+    tiny: 'tinyFaceDetector'
+};
+
+const FACE_API_CAPABILITIES = [CAPABILITIES.FACE_COUNT, CAPABILITIES.IDENTITY];
+
+// face-api.js backend for face counting and identity descriptors.
+// 'ssd' is the accurate SsdMobilenetv1 detector, 'tiny' the lighter TinyFaceDetector.
+// Built for the capabilities it serves, so counting faces alone does not download the
+// landmark and recognition nets.
+export default class FaceApiDetector extends DetectorProvider {
+    constructor(detector, config, capabilities = FACE_API_CAPABILITIES) {
+        super(`faceapi-${detector}`, FACE_API_CAPABILITIES.filter(capability => capabilities.includes(capability)));
+        if (!DETECTOR_NETS[detector]) {
+            throw new Error(`Unknown face-api detector: ${detector}`);
+        }
+        this.detector = detector;
+        this.config = config;
+    }
+
+    async initialize() {
+        const nets = [DETECTOR_NETS[this.detector]];
+        if (this.supports(CAPABILITIES.IDENTITY)) {
+            nets.push('faceLandmark68Net', 'faceRecognitionNet');
+        }
+        await ModelLoader.loadFaceApiModels(faceapi, nets);
+    }
+
+    getDetectorOptions() {
+        if (this.detector === 'tiny') {
+            return new faceapi.TinyFaceDetectorOptions({
+                inputSize: this.config.TINY_INPUT_SIZE,
+                scoreThreshold: this.config.MIN_CONFIDENCE
+            });
+        }
+        return new faceapi.SsdMobilenetv1Options({ minConfidence: this.config.MIN_CONFIDENCE });
+    }
+
+    async detectFaces(image) {
+        const faces = await faceapi.detectAllFaces(image, this.getDetectorOptions());
+        return {
+            // Plain boxes, so results survive being posted from the detection worker
+            detections: faces.map(({ score, box }) => ({ score, box: { x: box.x, y: box.y, width: box.width, height: box.height } }))
+        };
+    }
+
+    async computeDescriptor(image) {
+        const detection = await faceapi
+            .detectSingleFace(image, this.getDetectorOptions())
+            .withFaceLandmarks()
+            .withFaceDescriptor();
+
+        return detection ? detection.descriptor : null;
+    }
+}
@@ -0,0 +1,58 @@
+/** @jest-environment node */
+import FaceApiDetector from './FaceApiDetector';
+import DetectionWorkerHost from './DetectionWorkerHost';
+import DETECTOR_BACKENDS from './backends';
+import { CAPABILITIES } from './DetectorProvider';
+import ScriptedDetector from './ScriptedDetector';
+import { createDetectors } from './index';
+import ModelLoader from '../ModelLoader';
+import { DEFAULT_CONFIG } from '../policy/PolicySchema';
+
+const loadedNets = () => ModelLoader.loadFaceApiModels.mock.calls.map(([, nets]) => nets);
+
+beforeEach(() => {
+    jest.spyOn(ModelLoader, 'loadFaceApiModels').mockResolvedValue([]);
+});
+
+test('face counting alone loads only the detector net', async () => {
+    const scripted = new ScriptedDetector({});
+    const detectors = createDetectors({
+        faceCount: 'faceapi-tiny',
+        landmarks: scripted,
+        identity: 'faceapi-ssd',
+        objects: null
+    }, DEFAULT_CONFIG, { worker: false });
+
+    expect(detectors.faceCount.supports(CAPABILITIES.IDENTITY)).toBe(false);
+    await detectors.faceCount.initialize();
+    await detectors.identity.initialize();
+    expect(loadedNets()).toEqual([
+        ['tinyFaceDetector'],
+        ['ssdMobilenetv1', 'faceLandmark68Net', 'faceRecognitionNet']
+    ]);
+});
+
+test('one backend serving both capabilities loads the identity nets once', async () => {
+    const detectors = createDetectors({
+        faceCount: 'faceapi-ssd',
+        landmarks: new ScriptedDetector({}),
+        identity: 'faceapi-ssd',
+        objects: null
+    }, DEFAULT_CONFIG, { worker: false });
+
+    expect(detectors.faceCount).toBe(detectors.identity);
+    await detectors.faceCount.initialize();
+    expect(loadedNets()).toEqual([['ssdMobilenetv1', 'faceLandmark68Net', 'faceRecognitionNet']]);
+});
+
+test('the detection worker builds face-api backends for the capabilities it hosts', async () => {
+    const host = new DetectionWorkerHost(DETECTOR_BACKENDS, () => {});
+    await host.initialize({ faceCount: 'faceapi-tiny' }, DEFAULT_CONFIG);
+    expect(loadedNets()).toEqual([['tinyFaceDetector']]);
+});
+
+test('a detector built without a capability list keeps both capabilities', () => {
+    const detector = new FaceApiDetector('tiny', DEFAULT_CONFIG.FACE_RECOGNITION);
+    expect(detector.supports(CAPABILITIES.FACE_COUNT)).toBe(true);
+    expect(detector.supports(CAPABILITIES.IDENTITY)).toBe(true);
+});
@@ -0,0 +1,82 @@
+import DetectorProvider, { CAPABILITIES } from "./DetectorProvider.js";
+import ModelLoader from "../ModelLoader.js";
+
+// MediaPipe FaceDetection (face count) and FaceMesh (landmarks) backend.
+// The solutions are imported on initialize because they need browser globals at load time,
+// which keeps headless users of the detector registry (replays in Node) free of them.
+export default class MediaPipeDetector extends DetectorProvider {
+    constructor(config) {
+        super('mediapipe', [CAPABILITIES.FACE_COUNT, CAPABILITIES.LANDMARKS]);
+        this.config = config;
+        this.faceDetection = null;
+        this.faceMesh = null;
+        this.lastDetectionResults = null;
+        this.lastMeshResults = null;
+    }
+
+    async initialize() {
+        if (this.faceDetection && this.faceMesh) return;
+
+        // Resolve wasm/tflite assets from the bundled model directory
+        const [{ FaceDetection }, { FaceMesh }, detectionLocateFile, meshLocateFile] = await Promise.all([
+            import("@mediapipe/face_detection"),
+            import("@mediapipe/face_mesh"),
+            ModelLoader.createLocateFile('face_detection'),
+            ModelLoader.createLocateFile('face_mesh')
+        ]);
+
+        // Face Detection setup - detects presence and count of faces
+        this.faceDetection = new FaceDetection({
+            locateFile: detectionLocateFile
+        });
+
+        this.faceDetection.setOptions({
+            model: 'full',
+            minDetectionConfidence: this.config.MIN_DETECTION_CONFIDENCE,
+        });
+
+        this.faceDetection.onResults((results) => {
+            this.lastDetectionResults = results;
+        });
+
+        // Face Mesh setup - provides detailed facial landmarks for attention analysis
+        this.faceMesh = new FaceMesh({
+            locateFile: meshLocateFile
+        });
+
+        this.faceMesh.setOptions({
+            maxNumFaces: this.config.MAX_NUM_FACES,
+            refineLandmarks: true,
+            minDetectionConfidence: this.config.MIN_DETECTION_CONFIDENCE,
+            minTrackingConfidence: this.config.MIN_TRACKING_CONFIDENCE
+        });
+
+        this.faceMesh.onResults((results) => {
+            this.lastMeshResults = results;
+        });
+    }
+
+    // onResults fires before send() resolves, so the latest results belong to this frame
+    async detectFaces(image) {
+        this.lastDetectionResults = null;
+        await this.faceDetection.send({ image });
+        return this.lastDetectionResults || { detections: [] };
+    }
+
+    async detectLandmarks(image) {
+        this.lastMeshResults = null;
+        await this.faceMesh.send({ image });
+        return this.lastMeshResults || { multiFaceLandmarks: [] };
+    }
+
+    dispose() {
+        if (this.faceDetection) {
+            this.faceDetection.close();
+            this.faceDetection = null;
+        }
+        if (this.faceMesh) {
+            this.faceMesh.close();
+            this.faceMesh = null;
+        }
+    }
+}
@@ -0,0 +1,44 @@
+import DetectorProvider, { CAPABILITIES } from "./DetectorProvider.js";
+
+// Scripted backend for tests and demos.
+// Each call consumes the next scripted value for that capability; the last value repeats
+// once the script runs out. A value may also be a function of the input image.
+export default class ScriptedDetector extends DetectorProvider {
+    constructor(script = {}) {
+        super('scripted', [CAPABILITIES.FACE_COUNT, CAPABILITIES.LANDMARKS, CAPABILITIES.IDENTITY, CAPABILITIES.OBJECTS]);
+        this.script = {
+            faceCounts: script.faceCounts || [1],
+            landmarks: script.landmarks || [[]],
+            descriptors: script.descriptors || [null],
+            objects: script.objects || [[]]
+        };
+        this.cursor = { faceCounts: 0, landmarks: 0, descriptors: 0, objects: 0 };
+    }
+
+    next(key, image) {
+        const values = this.script[key];
+        const index = Math.min(this.cursor[key], values.length - 1);
+        this.cursor[key]++;
+        const value = values[index];
+        return typeof value === 'function' ? value(image) : value;
+    }
+
+    async detectFaces(image) {
+        const count = this.next('faceCounts', image);
+        return { detections: Array.from({ length: count }, () => ({ score: 1 })) };
+    }
+
+    async detectLandmarks(image) {
+        const faces = this.next('landmarks', image);
+        return { multiFaceLandmarks: faces };
+    }
+
+    async computeDescriptor(image) {
+        const descriptor = this.next('descriptors', image);
+        return descriptor ? Float32Array.from(descriptor) : null;
+    }
+
+    async detectObjects(image) {
+        return { objects: this.next('objects', image) };
+    }
+}
@@ -0,0 +1,169 @@
+import DetectorProvider, { CAPABILITIES, CAPABILITY_METHODS } from "./DetectorProvider.js";
+
+// Runs detector backends in a Web Worker so recognition does not stall the UI thread.
+// Each frame is captured as an ImageBitmap and transferred to the worker, which draws it
+// onto an OffscreenCanvas for the backend and posts the results back.
+// Capabilities whose backend cannot run in the worker (no OffscreenCanvas WebGL, a solution
+// that needs the DOM, a worker that fails to load) stay on their main-thread provider.
+
+// Longest wait for the worker to load its models before everything falls back
+const READY_TIMEOUT_MS = 60000;
+
+export default class WorkerDetector extends DetectorProvider {
+    /**
+     * backends: { capability: { name, fallback } } with the backend name to build in the worker
+     * and the main-thread provider used when the worker cannot host it
+     */
+    constructor(backends, config, {
+        createWorker = () => import("./createDetectionWorker.js").then(module => module.default()),
+        createBitmap = (image) => createImageBitmap(image)
+    } = {}) {
+        super(`worker(${[...new Set(Object.values(backends).map(backend => backend.name))].join(',')})`, Object.keys(backends));
+        this.backends = backends;
+        this.config = config;
+        this.createWorker = createWorker;
+        this.createBitmap = createBitmap;
+        this.worker = null;
+        this.hosted = new Set();
+        this.pending = new Map();
+        this.nextId = 0;
+        this.ready = null;
+    }
+
+    static isSupported() {
+        return typeof Worker === 'function' &&
+            typeof OffscreenCanvas === 'function' &&
+            typeof createImageBitmap === 'function';
+    }
+
+    initialize() {
+        if (!this.ready) {
+            this.ready = this.startWorker().then(() => this.initializeFallbacks());
+        }
+        return this.ready;
+    }
+
+    async startWorker() {
+        try {
+            this.worker = await this.createWorker();
+        } catch (error) {
+            console.warn('Detection worker unavailable, detecting on the main thread:', error);
+            return;
+        }
+
+        const { hosted, errors } = await new Promise(resolve => {
+            const timeout = setTimeout(() => {
+                resolve({ hosted: [], errors: { worker: `no response within ${READY_TIMEOUT_MS} ms` } });
+            }, READY_TIMEOUT_MS);
+
+            this.worker.onmessage = ({ data }) => {
+                if (data.type === 'ready') {
+                    clearTimeout(timeout);
+                    resolve(data);
+                } else {
+                    this.settle(data);
+                }
+            };
+            this.worker.onerror = (event) => {
+                clearTimeout(timeout);
+                resolve({ hosted: [], errors: { worker: event.message || 'worker failed to load' } });
+            };
+            this.worker.postMessage({
+                type: 'init',
+                backends: Object.fromEntries(Object.entries(this.backends).map(([capability, backend]) => [capability, backend.name])),
+                config: this.config
+            });
+        });
+
+        this.hosted = new Set(hosted);
+        Object.entries(errors).forEach(([capability, message]) => {
+            console.warn(`Detection worker cannot host ${capability}, detecting on the main thread:`, message);
+        });
+        if (this.hosted.size === 0) {
+            this.terminate();
+        } else {
+            this.worker.onerror = (event) => this.failWorker(event.message || 'worker failed');
+        }
+    }
+
+    /**
+     * Initialize the main-thread providers of capabilities the worker does not host
+     */
+    async initializeFallbacks() {
+        const fallbacks = new Set(Object.entries(this.backends)
+            .filter(([capability]) => !this.hosted.has(capability))
+            .map(([, backend]) => backend.fallback));
+        await Promise.all([...fallbacks].map(provider => provider.initialize()));
+    }
+
+    /**
+     * The worker crashed after starting: reject its pending frames and detect on the main thread
+     */
+    failWorker(message) {
+        console.error('Detection worker failed, detecting on the main thread:', message);
+        this.hosted = new Set();
+        this.terminate();
+        this.ready = this.initializeFallbacks();
+    }
+
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.pending.forEach(({ reject }) => reject(new Error('Detection worker stopped')));
+        this.pending.clear();
+    }
+
+    settle({ type, id, result, message }) {
+        const request = this.pending.get(id);
+        if (!request) return;
+        this.pending.delete(id);
+        if (type === 'result') {
+            request.resolve(result);
+        } else {
+            request.reject(new Error(message));
+        }
+    }
+
+    async detect(capability, image) {
+        if (!this.hosted.has(capability)) {
+            await this.ready;
+            return this.backends[capability].fallback[CAPABILITY_METHODS[capability]](image);
+        }
+
+        const bitmap = await this.createBitmap(image);
+        if (!this.worker) {
+            // The worker failed while the frame was captured
+            bitmap.close();
+            return this.detect(capability, image);
+        }
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ type: 'detect', id, capability, bitmap }, [bitmap]);
+        });
+    }
+
+    detectFaces(image) {
+        return this.detect(CAPABILITIES.FACE_COUNT, image);
+    }
+
+    detectLandmarks(image) {
+        return this.detect(CAPABILITIES.LANDMARKS, image);
+    }
+
+    async computeDescriptor(image) {
+        const descriptor = await this.detect(CAPABILITIES.IDENTITY, image);
+        return descriptor && new Float32Array(descriptor);
+    }
+
+    detectObjects(image) {
+        return this.detect(CAPABILITIES.OBJECTS, image);
+    }
+
+    dispose() {
+        this.terminate();
+        new Set(Object.values(this.backends).map(backend => backend.fallback)).forEach(provider => provider.dispose());
+    }
+}
@@ -0,0 +1,136 @@
+/** @jest-environment node */
+import WorkerDetector from './WorkerDetector';
+import DetectionWorkerHost from './DetectionWorkerHost';
+import DetectorProvider, { CAPABILITIES } from './DetectorProvider';
+import ScriptedDetector from './ScriptedDetector';
+import { createDetectors } from './index';
+import { DEFAULT_CONFIG } from '../policy/PolicySchema';
+
+// Runs a DetectionWorkerHost in-process behind the Worker interface; messages are delivered
+// asynchronously as they would be across threads
+class FakeWorker {
+    constructor(backends) {
+        this.terminated = false;
+        this.host = new DetectionWorkerHost(backends, message => setImmediate(() => {
+            if (!this.terminated) this.onmessage({ data: message });
+        }), { toImage: bitmap => bitmap.frame });
+    }
+
+    postMessage(message) {
+        setImmediate(() => this.host.handle(message));
+    }
+
+    crash(message) {
+        this.onerror({ message });
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+}
+
+// A backend that cannot start in the worker, like MediaPipe without a DOM
+class DomOnlyDetector extends DetectorProvider {
+    constructor() {
+        super('dom-only', [CAPABILITIES.LANDMARKS]);
+    }
+
+    async initialize() {
+        throw new Error('document is not defined');
+    }
+}
+
+const fallback = (script) => {
+    const detector = new ScriptedDetector(script);
+    jest.spyOn(detector, 'initialize');
+    return detector;
+};
+
+const createDetector = (backends, workerBackends) => {
+    let worker = null;
+    const detector = new WorkerDetector(backends, DEFAULT_CONFIG, {
+        createWorker: () => {
+            worker = new FakeWorker(workerBackends);
+            return worker;
+        },
+        createBitmap: frame => ({ frame, close: () => {} })
+    });
+    return { detector, worker: () => worker };
+};
+
+beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+test('hosted capabilities run in the worker and the rest fall back per capability', async () => {
+    const identityFallback = fallback({});
+    const landmarksFallback = fallback({ landmarks: [[[{ x: 0.5, y: 0.5, z: 0 }]]] });
+    const { detector } = createDetector({
+        [CAPABILITIES.FACE_COUNT]: { name: 'scripted', fallback: identityFallback },
+        [CAPABILITIES.IDENTITY]: { name: 'scripted', fallback: identityFallback },
+        [CAPABILITIES.LANDMARKS]: { name: 'dom-only', fallback: landmarksFallback }
+    }, {
+        'scripted': () => new ScriptedDetector({ faceCounts: [2], descriptors: [[0.25, 0.5]] }),
+        'dom-only': () => new DomOnlyDetector()
+    });
+
+    await detector.initialize();
+
+    expect([...detector.hosted]).toEqual([CAPABILITIES.FACE_COUNT, CAPABILITIES.IDENTITY]);
+    expect(identityFallback.initialize).not.toHaveBeenCalled();
+    expect(landmarksFallback.initialize).toHaveBeenCalledTimes(1);
+
+    expect((await detector.detectFaces('frame')).detections).toHaveLength(2);
+    const descriptor = await detector.computeDescriptor('frame');
+    expect(descriptor).toBeInstanceOf(Float32Array);
+    expect([...descriptor]).toEqual([0.25, 0.5]);
+    expect(await detector.detectLandmarks('frame')).toEqual({ multiFaceLandmarks: [[{ x: 0.5, y: 0.5, z: 0 }]] });
+});
+
+test('a worker that fails to load or crashes hands detection back to the main thread', async () => {
+    const unavailable = new WorkerDetector({
+        [CAPABILITIES.FACE_COUNT]: { name: 'scripted', fallback: fallback({ faceCounts: [3] }) }
+    }, DEFAULT_CONFIG, {
+        createWorker: () => Promise.reject(new Error('worker scripts are blocked'))
+    });
+    await unavailable.initialize();
+    expect((await unavailable.detectFaces('frame')).detections).toHaveLength(3);
+
+    const faceFallback = fallback({ faceCounts: [0] });
+    const { detector, worker } = createDetector({
+        [CAPABILITIES.FACE_COUNT]: { name: 'scripted', fallback: faceFallback }
+    }, {
+        'scripted': () => new ScriptedDetector({ faceCounts: [1] })
+    });
+    await detector.initialize();
+    expect((await detector.detectFaces('frame')).detections).toHaveLength(1);
+
+    // A frame in flight when the worker dies is rejected; later frames use the fallback
+    worker().host.detect = () => new Promise(() => {});
+    const inFlight = detector.detectFaces('frame');
+    await new Promise(resolve => setImmediate(resolve));
+    worker().crash('out of memory');
+    await expect(inFlight).rejects.toThrow('Detection worker stopped');
+    expect(worker().terminated).toBe(true);
+    expect((await detector.detectFaces('frame')).detections).toHaveLength(0);
+    expect(faceFallback.initialize).toHaveBeenCalledTimes(1);
+});
+
+test('createDetectors routes named backends through one worker detector when enabled', () => {
+    const scripted = new ScriptedDetector();
+    const detectors = createDetectors({ [CAPABILITIES.LANDMARKS]: scripted, [CAPABILITIES.OBJECTS]: null }, DEFAULT_CONFIG, { worker: true });
+
+    expect(detectors.faceCount).toBeInstanceOf(WorkerDetector);
+    expect(detectors.identity).toBe(detectors.faceCount);
+    expect(detectors.landmarks).toBe(scripted);
+    expect(detectors.faceCount.backends.faceCount.name).toBe('mediapipe');
+    expect(detectors.faceCount.backends.identity.fallback.name).toBe('faceapi-ssd');
+
+    // Without worker support every capability keeps its main-thread backend
+    expect(createDetectors({ [CAPABILITIES.OBJECTS]: null }, DEFAULT_CONFIG).faceCount.name).toBe('mediapipe');
+});
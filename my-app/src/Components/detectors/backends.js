@@ -0,0 +1,29 @@
+import MediaPipeDetector from "./MediaPipeDetector.js";
+import FaceApiDetector from "./FaceApiDetector.js";
+import ScriptedDetector from "./ScriptedDetector.js";
+import CocoSsdDetector from "./CocoSsdDetector.js";
+
+// Backend factories by name, each receives the full detector configuration and the
+// capabilities it is selected for.
+// Shared by createDetectors and the detection worker.
+const DETECTOR_BACKENDS = {
+    'mediapipe': (config) => new MediaPipeDetector(config.MEDIAPIPE),
+    'faceapi-ssd': (config, capabilities) => new FaceApiDetector('ssd', config.FACE_RECOGNITION, capabilities),
+    'faceapi-tiny': (config, capabilities) => new FaceApiDetector('tiny', config.FACE_RECOGNITION, capabilities),
+    'coco-ssd': (config) => new CocoSsdDetector(config.OBJECTS),
+    'scripted': () => new ScriptedDetector()
+};
+
+/**
+ * Capabilities selected per backend name, from a { capability: name } selection
+ */
+export function selectedCapabilities(selection) {
+    const capabilities = {};
+    Object.entries(selection).forEach(([capability, name]) => {
+        if (typeof name !== 'string') return;
+        capabilities[name] = [...(capabilities[name] || []), capability];
+    });
+    return capabilities;
+}
+
+export default DETECTOR_BACKENDS;
@@ -0,0 +1,4 @@
+// Kept in its own module so only bundles that start the worker see import.meta
+export default function createDetectionWorker() {
+    return new Worker(new URL('./detection.worker.js', import.meta.url));
+}
@@ -0,0 +1,32 @@
+/* eslint-env worker */
+import * as faceapi from "face-api.js";
+import DetectionWorkerHost from "./DetectionWorkerHost.js";
+import DETECTOR_BACKENDS from "./backends.js";
+
+// Detection worker entry point; see WorkerDetector.
+// face-api.js only recognizes a window or Node.js environment, so it is pointed at
+// OffscreenCanvas here. Frames always arrive as canvases; image and video elements do not
+// exist in a worker and never match.
+class Unavailable {}
+
+faceapi.env.setEnv({
+    Canvas: OffscreenCanvas,
+    CanvasRenderingContext2D: OffscreenCanvasRenderingContext2D,
+    Image: Unavailable,
+    ImageData,
+    Video: Unavailable,
+    createCanvasElement: () => new OffscreenCanvas(1, 1),
+    createImageElement: () => {
+        throw new Error('createImageElement - images are not available in the detection worker');
+    },
+    fetch: (...args) => fetch(...args),
+    readFile: () => {
+        throw new Error('readFile - filesystem not available in the detection worker');
+    }
+});
+
+const host = new DetectionWorkerHost(DETECTOR_BACKENDS, message => postMessage(message));
+
+onmessage = ({ data }) => {
+    host.handle(data);
+};
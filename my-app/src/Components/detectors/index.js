@@ -0,0 +1,77 @@
+import DetectorProvider, { CAPABILITIES } from "./DetectorProvider.js";
+import MediaPipeDetector from "./MediaPipeDetector.js";
+import FaceApiDetector from "./FaceApiDetector.js";
+import ScriptedDetector from "./ScriptedDetector.js";
+import CocoSsdDetector from "./CocoSsdDetector.js";
+import WorkerDetector from "./WorkerDetector.js";
+import DETECTOR_BACKENDS, { selectedCapabilities } from "./backends.js";
+
+// Backend per capability; each deployment can override these through the environment
+const DEFAULT_DETECTORS = {
+    [CAPABILITIES.FACE_COUNT]: process.env.REACT_APP_FACE_COUNT_DETECTOR || 'mediapipe',
+    [CAPABILITIES.LANDMARKS]: process.env.REACT_APP_LANDMARK_DETECTOR || 'mediapipe',
+    [CAPABILITIES.IDENTITY]: process.env.REACT_APP_IDENTITY_DETECTOR || 'faceapi-ssd',
+    [CAPABILITIES.OBJECTS]: process.env.REACT_APP_OBJECT_DETECTOR || 'coco-ssd'
+};
+
+// Capabilities a session can run without; selecting null leaves them out
+const OPTIONAL_CAPABILITIES = new Set([CAPABILITIES.OBJECTS]);
+
+// Backends tried in the detection worker; REACT_APP_DETECTION_WORKER=false keeps all detection
+// on the main thread
+const WORKER_BACKENDS = new Set(['mediapipe', 'faceapi-ssd', 'faceapi-tiny', 'coco-ssd']);
+const DETECTION_WORKER = process.env.REACT_APP_DETECTION_WORKER !== 'false';
+
+/**
+ * Build the provider for each capability
+ * Entries in the selection may be backend names or DetectorProvider instances;
+ * capabilities that share a backend name share one instance. Optional capabilities
+ * selected as null are omitted from the result.
+ * Where workers are supported, capabilities selected by backend name run in the detection
+ * worker, with the backend instance kept as their main-thread fallback.
+ */
+export function createDetectors(selection = {}, config, { worker = DETECTION_WORKER && WorkerDetector.isSupported() } = {}) {
+    const merged = { ...DEFAULT_DETECTORS, ...selection };
+    const served = selectedCapabilities(merged);
+    const instances = new Map();
+    const detectors = {};
+    const workerBackends = {};
+
+    for (const capability of Object.values(CAPABILITIES)) {
+        let provider = merged[capability];
+        if (provider === null && OPTIONAL_CAPABILITIES.has(capability)) continue;
+
+        if (typeof provider === 'string') {
+            if (!DETECTOR_BACKENDS[provider]) {
+                throw new Error(`Unknown detector backend "${provider}" for ${capability}`);
+            }
+            if (!instances.has(provider)) {
+                instances.set(provider, DETECTOR_BACKENDS[provider](config, served[provider]));
+            }
+            if (worker && WORKER_BACKENDS.has(provider)) {
+                workerBackends[capability] = { name: provider, fallback: instances.get(provider) };
+            }
+            provider = instances.get(provider);
+        }
+
+        if (!(provider instanceof DetectorProvider) || !provider.supports(capability)) {
+            throw new Error(`Detector backend "${provider?.name}" does not support ${capability}`);
+        }
+        detectors[capability] = provider;
+    }
+
+    if (Object.keys(workerBackends).length > 0) {
+        const workerDetector = new WorkerDetector(workerBackends, config);
+        Object.keys(workerBackends).forEach(capability => {
+            detectors[capability] = workerDetector;
+        });
+    }
+
+    return detectors;
+}
+
+export function uniqueProviders(detectors) {
+    return [...new Set(Object.values(detectors).filter(Boolean))];
+}
+
+export { CAPABILITIES, DetectorProvider, MediaPipeDetector, FaceApiDetector, CocoSsdDetector, ScriptedDetector, WorkerDetector, DETECTOR_BACKENDS };
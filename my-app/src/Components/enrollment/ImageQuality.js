@@ -0,0 +1,232 @@
+import GeometryUtils from "../GeometryUtils.js";
+
+// Quality gate for enrollment captures.
+// Works on face-api.js detections with 68-point landmarks and the RGBA pixels of the frame.
+
+export const QUALITY_CONFIG = {
+    MIN_CONFIDENCE: 0.6,
+    MIN_FACE_RATIO: 0.2, // Face box width relative to frame width
+    MAX_FACE_RATIO: 0.7,
+    ANALYSIS_WIDTH: 128, // Face crops are resampled to this width before measuring sharpness
+    MIN_SHARPNESS: 40, // Variance of the Laplacian on the resampled crop
+    MIN_BRIGHTNESS: 70, // Mean face luminance, 0-255
+    MAX_BRIGHTNESS: 200,
+    MAX_CLIPPED_FRACTION: 0.15, // Share of face pixels that are pure black or white
+    MIN_REGION_CONTRAST: 6, // Luminance std-dev below which a feature region looks covered
+    MAX_REGION_DEVIATION: 70, // Region mean this far from the face mean looks covered
+    MAX_OCCLUDED_REGIONS: 0,
+    FRONTAL_MAX_YAW: 0.06, // Normalized nose offset, see GeometryUtils.normalizedYaw
+    SIDE_MIN_YAW: 0.09,
+    SIDE_MAX_YAW: 0.25,
+    MIN_DESCRIPTOR_DISTANCE: 0.08 // Closer captures are treated as duplicates
+};
+
+export const POSES = {
+    FRONTAL: 'frontal',
+    LEFT: 'left',
+    RIGHT: 'right'
+};
+
+export const REQUIRED_POSES = [POSES.FRONTAL, POSES.LEFT, POSES.RIGHT];
+
+export const POSE_INSTRUCTIONS = {
+    [POSES.FRONTAL]: 'Look straight at the camera',
+    [POSES.LEFT]: 'Turn your head slightly to your left',
+    [POSES.RIGHT]: 'Turn your head slightly to your right'
+};
+
+// face-api 68-point landmark indices
+const FACE_68 = {
+    NOSE_TIP: 30,
+    LEFT_EYE: [36, 37, 38, 39, 40, 41],
+    RIGHT_EYE: [42, 43, 44, 45, 46, 47],
+    NOSE: [27, 28, 29, 30, 31, 32, 33, 34, 35],
+    MOUTH: [48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59]
+};
+
+/**
+ * Convert RGBA pixels to a luminance array
+ */
+export function toGrayscale(imageData) {
+    const { data, width, height } = imageData;
+    const gray = new Float32Array(width * height);
+    for (let i = 0; i < gray.length; i++) {
+        gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    }
+    return { data: gray, width, height };
+}
+
+/**
+ * Nearest-neighbour crop and resample of a grayscale image to a fixed width
+ */
+export function cropGray(gray, box, targetWidth) {
+    const x0 = Math.max(0, Math.floor(box.x));
+    const y0 = Math.max(0, Math.floor(box.y));
+    const x1 = Math.min(gray.width, Math.ceil(box.x + box.width));
+    const y1 = Math.min(gray.height, Math.ceil(box.y + box.height));
+    const srcWidth = Math.max(1, x1 - x0);
+    const srcHeight = Math.max(1, y1 - y0);
+
+    const width = targetWidth || srcWidth;
+    const scale = srcWidth / width;
+    const height = Math.max(1, Math.round(srcHeight / scale));
+    const data = new Float32Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+        const sy = Math.min(gray.height - 1, y0 + Math.floor(y * scale));
+        for (let x = 0; x < width; x++) {
+            const sx = Math.min(gray.width - 1, x0 + Math.floor(x * scale));
+            data[y * width + x] = gray.data[sy * gray.width + sx];
+        }
+    }
+    return { data, width, height };
+}
+
+/**
+ * Variance of the 4-neighbour Laplacian, low for blurred images
+ */
+export function laplacianVariance(gray) {
+    const { data, width, height } = gray;
+    let sum = 0;
+    let sumSquares = 0;
+    let count = 0;
+
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            const value = data[i - width] + data[i + width] + data[i - 1] + data[i + 1] - 4 * data[i];
+            sum += value;
+            sumSquares += value * value;
+            count++;
+        }
+    }
+
+    if (count === 0) return 0;
+    const mean = sum / count;
+    return sumSquares / count - mean * mean;
+}
+
+export function luminanceStats(gray) {
+    let sum = 0;
+    let sumSquares = 0;
+    let clipped = 0;
+    for (const value of gray.data) {
+        sum += value;
+        sumSquares += value * value;
+        if (value <= 5 || value >= 250) clipped++;
+    }
+    const count = gray.data.length || 1;
+    const mean = sum / count;
+    return {
+        mean,
+        stdDev: Math.sqrt(Math.max(0, sumSquares / count - mean * mean)),
+        clippedFraction: clipped / count
+    };
+}
+
+function regionBox(points, padding) {
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const width = Math.max(...xs) - minX;
+    const height = Math.max(...ys) - minY;
+    return {
+        x: minX - width * padding,
+        y: minY - height * padding,
+        width: width * (1 + 2 * padding),
+        height: Math.max(height * (1 + 2 * padding), width * 0.4)
+    };
+}
+
+export function classifyPose(yaw, config = QUALITY_CONFIG) {
+    const magnitude = Math.abs(yaw);
+    if (magnitude <= config.FRONTAL_MAX_YAW) return POSES.FRONTAL;
+    if (magnitude < config.SIDE_MIN_YAW || magnitude > config.SIDE_MAX_YAW) return null;
+    // The camera image is not mirrored: turning to the candidate's left moves the nose to image right
+    return yaw > 0 ? POSES.LEFT : POSES.RIGHT;
+}
+
+/**
+ * Assess one face detection (face-api result with landmarks) in its frame
+ * Returns measured metrics, the detected pose and the list of issues with guidance messages
+ */
+export function assessFaceQuality(detection, imageData, config = QUALITY_CONFIG) {
+    const issues = [];
+    const box = detection.detection.box;
+    const score = detection.detection.score;
+    const positions = detection.landmarks.positions;
+    const gray = toGrayscale(imageData);
+
+    const faceRatio = box.width / imageData.width;
+    const faceGray = cropGray(gray, box, config.ANALYSIS_WIDTH);
+    const sharpness = laplacianVariance(faceGray);
+    const face = luminanceStats(cropGray(gray, box));
+
+    // Feature regions that look flat or far off the face tone are probably covered
+    const regions = {
+        left_eye: FACE_68.LEFT_EYE,
+        right_eye: FACE_68.RIGHT_EYE,
+        nose: FACE_68.NOSE,
+        mouth: FACE_68.MOUTH
+    };
+    const occludedRegions = Object.entries(regions)
+        .filter(([, indices]) => {
+            const stats = luminanceStats(cropGray(gray, regionBox(indices.map(i => positions[i]), 0.3)));
+            return stats.stdDev < config.MIN_REGION_CONTRAST || Math.abs(stats.mean - face.mean) > config.MAX_REGION_DEVIATION;
+        })
+        .map(([name]) => name);
+
+    const yaw = GeometryUtils.normalizedYaw(positions[FACE_68.NOSE_TIP], positions[FACE_68.LEFT_EYE[0]], positions[FACE_68.RIGHT_EYE[3]]);
+    const pose = classifyPose(yaw, config);
+
+    if (score < config.MIN_CONFIDENCE) issues.push({ code: 'low_confidence', message: 'Face not clearly visible' });
+    if (faceRatio < config.MIN_FACE_RATIO) issues.push({ code: 'too_small', message: 'Move closer to the camera' });
+    if (faceRatio > config.MAX_FACE_RATIO) issues.push({ code: 'too_large', message: 'Move back from the camera' });
+    if (face.mean < config.MIN_BRIGHTNESS) issues.push({ code: 'too_dark', message: 'Too dark - add light in front of you' });
+    if (face.mean > config.MAX_BRIGHTNESS) issues.push({ code: 'too_bright', message: 'Too bright - reduce direct light' });
+    if (face.clippedFraction > config.MAX_CLIPPED_FRACTION) issues.push({ code: 'clipped', message: 'Uneven lighting on your face' });
+    if (sharpness < config.MIN_SHARPNESS) issues.push({ code: 'blurry', message: 'Image is blurry - hold still' });
+    if (occludedRegions.length > config.MAX_OCCLUDED_REGIONS) {
+        issues.push({ code: 'occluded', message: `Face partially covered (${occludedRegions.join(', ').replace(/_/g, ' ')})` });
+    }
+    if (!pose) {
+        issues.push({
+            code: 'pose',
+            message: Math.abs(yaw) > config.SIDE_MAX_YAW ? 'Turn your head back a little' : 'Face the camera or turn clearly to one side'
+        });
+    }
+
+    return {
+        ok: issues.length === 0,
+        pose,
+        issues,
+        metrics: {
+            confidence: Number(score.toFixed(3)),
+            face_ratio: Number(faceRatio.toFixed(3)),
+            sharpness: Number(sharpness.toFixed(1)),
+            brightness: Number(face.mean.toFixed(1)),
+            clipped_fraction: Number(face.clippedFraction.toFixed(3)),
+            occluded_regions: occludedRegions,
+            yaw: Number(yaw.toFixed(3))
+        }
+    };
+}
+
+/**
+ * Smallest descriptor distance to already accepted captures, Infinity when there are none
+ */
+export function nearestDescriptorDistance(descriptor, accepted) {
+    return accepted.reduce((best, other) => {
+        let sum = 0;
+        for (let i = 0; i < descriptor.length; i++) {
+            const diff = descriptor[i] - other[i];
+            sum += diff * diff;
+        }
+        return Math.min(best, Math.sqrt(sum));
+    }, Infinity);
+}
+
+export function missingPoses(capturedPoses) {
+    return REQUIRED_POSES.filter(pose => !capturedPoses.includes(pose));
+}
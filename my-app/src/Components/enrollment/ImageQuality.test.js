@@ -0,0 +1,60 @@
+import { assessFaceQuality, classifyPose, laplacianVariance, nearestDescriptorDistance, POSES } from './ImageQuality';
+
+const WIDTH = 320;
+const HEIGHT = 240;
+
+// RGBA frame with a fine checker texture, or a soft gradient that looks like an out-of-focus image
+const frame = ({ level = 128, blurred = false } = {}) => {
+    const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+    for (let y = 0; y < HEIGHT; y++) {
+        for (let x = 0; x < WIDTH; x++) {
+            const texture = blurred ? 30 * Math.sin(x / 20) : ((x >> 1) + (y >> 1)) % 2 === 0 ? 30 : -30;
+            const value = Math.max(0, Math.min(255, level + texture));
+            data.set([value, value, value, 255], (y * WIDTH + x) * 4);
+        }
+    }
+    return { data, width: WIDTH, height: HEIGHT };
+};
+
+// face-api style detection for a face box at (100, 60) of 120x140 with 68 landmarks
+const detection = ({ noseShift = 0 } = {}) => {
+    const positions = Array.from({ length: 68 }, () => ({ x: 160, y: 130 }));
+    const set = (indices, x0, y0, dx) => indices.forEach((i, k) => { positions[i] = { x: x0 + k * dx, y: y0 + (k % 2) * 6 }; });
+    set([36, 37, 38, 39, 40, 41], 125, 100, 5);
+    set([42, 43, 44, 45, 46, 47], 170, 100, 5);
+    set([27, 28, 29, 30, 31, 32, 33, 34, 35], 150, 110, 2);
+    set([48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59], 135, 160, 4);
+    // Eye outer corners and nose tip drive the pose
+    positions[36] = { x: 125, y: 100 };
+    positions[45] = { x: 195, y: 100 };
+    positions[30] = { x: 160 + noseShift, y: 125 };
+    return { detection: { score: 0.9, box: { x: 100, y: 60, width: 120, height: 140 } }, landmarks: { positions } };
+};
+
+test('accepts a sharp, well exposed frontal capture', () => {
+    const result = assessFaceQuality(detection(), frame());
+    expect(result.issues).toEqual([]);
+    expect(result.pose).toBe(POSES.FRONTAL);
+});
+
+test('guides the candidate on dark or blurry captures', () => {
+    const dark = assessFaceQuality(detection(), frame({ level: 35 }));
+    expect(dark.issues.map(issue => issue.code)).toContain('too_dark');
+
+    const blurry = assessFaceQuality(detection(), frame({ blurred: true }));
+    expect(blurry.issues.map(issue => issue.code)).toContain('blurry');
+});
+
+test('classifies slight turns and rejects strong ones', () => {
+    expect(classifyPose(0.02)).toBe(POSES.FRONTAL);
+    expect(classifyPose(0.15)).toBe(POSES.LEFT);
+    expect(classifyPose(-0.15)).toBe(POSES.RIGHT);
+    expect(classifyPose(0.4)).toBeNull();
+    expect(assessFaceQuality(detection({ noseShift: 10 }), frame()).pose).toBe(POSES.LEFT);
+});
+
+test('measures descriptor distance for duplicate rejection', () => {
+    expect(nearestDescriptorDistance([0, 0], [])).toBe(Infinity);
+    expect(nearestDescriptorDistance([0, 0], [[3, 4], [0.03, 0.04]])).toBeCloseTo(0.05);
+    expect(laplacianVariance({ data: new Float32Array(100).fill(80), width: 10, height: 10 })).toBe(0);
+});
@@ -0,0 +1,260 @@
+import GeometryUtils from "../GeometryUtils.js";
+import { LANDMARKS, LEFT_EYE_CONTOUR, RIGHT_EYE_CONTOUR } from "../FaceLandmarks.js";
+import { DEFAULT_CONFIG } from "../policy/PolicySchema.js";
+import { nearestDescriptorDistance } from "./ImageQuality.js";
+
+export const CHALLENGES = {
+    BLINK: 'blink',
+    TURN_LEFT: 'turn_left',
+    TURN_RIGHT: 'turn_right',
+    OPEN_MOUTH: 'open_mouth'
+};
+
+export const CHALLENGE_INSTRUCTIONS = {
+    [CHALLENGES.BLINK]: 'Blink your eyes',
+    [CHALLENGES.TURN_LEFT]: 'Turn your head to your left',
+    [CHALLENGES.TURN_RIGHT]: 'Turn your head to your right',
+    [CHALLENGES.OPEN_MOUTH]: 'Open your mouth'
+};
+
+export const LIVENESS_CONFIG = {
+    CHALLENGE_COUNT: 3,
+    NEUTRAL_FRAMES: 10, // Frames of a still face used as the per-candidate reference
+    CHALLENGE_TIMEOUT_MS: 7000,
+    TOTAL_TIMEOUT_MS: 30000,
+    HOLD_FRAMES: 3, // Consecutive frames a pose must be held
+    BLINK_CLOSED_RATIO: 0.6, // EAR below this fraction of neutral counts as closed
+    BLINK_OPEN_RATIO: 0.85, // ...and above this fraction as open again
+    TURN_MIN_OFFSET: 0.18, // Normalized yaw change from neutral
+    MOUTH_MIN_OFFSET: 0.25, // Mouth aspect ratio increase from neutral
+    VALIDITY_MS: 120000, // A passed check must be followed by enrollment within this window
+    MAX_FACE_DISTANCE: DEFAULT_CONFIG.FACE_RECOGNITION.THRESHOLD // Captures must match the face that passed
+};
+
+export const LIVENESS_STATES = {
+    IDLE: 'idle',
+    NEUTRAL: 'neutral',
+    RUNNING: 'running',
+    PASSED: 'passed',
+    FAILED: 'failed'
+};
+
+function measure(landmarks) {
+    const leftEar = GeometryUtils.eyeAspectRatio(LEFT_EYE_CONTOUR.map(index => landmarks[index]));
+    const rightEar = GeometryUtils.eyeAspectRatio(RIGHT_EYE_CONTOUR.map(index => landmarks[index]));
+    return {
+        ear: (leftEar + rightEar) / 2,
+        // The camera image is not mirrored: turning to the candidate's left moves the nose to image right
+        yaw: GeometryUtils.normalizedYaw(landmarks[LANDMARKS.NOSE_TIP], landmarks[LANDMARKS.LEFT_EYE_OUTER], landmarks[LANDMARKS.RIGHT_EYE_OUTER]),
+        mar: GeometryUtils.mouthAspectRatio(
+            landmarks[LANDMARKS.UPPER_LIP_INNER], landmarks[LANDMARKS.LOWER_LIP_INNER],
+            landmarks[LANDMARKS.MOUTH_LEFT], landmarks[LANDMARKS.MOUTH_RIGHT]
+        )
+    };
+}
+
+/**
+ * Active liveness check run on FaceMesh landmarks before enrollment captures
+ * Issues a random sequence of challenges; each must be completed within its own timeout
+ * and the whole sequence within the total timeout.
+ */
+export default class LivenessChallenge {
+    constructor(options = {}) {
+        this.config = { ...LIVENESS_CONFIG, ...options.config };
+        this.random = options.random || Math.random;
+        this.state = LIVENESS_STATES.IDLE;
+        this.sequence = [];
+        this.transcript = [];
+        this.startedAt = null;
+        this.finishedAt = null;
+        this.failureReason = null;
+        this.faceDescriptor = null;
+    }
+
+    start(now) {
+        // Fisher-Yates shuffle so the order cannot be anticipated by a prepared video
+        const pool = Object.values(CHALLENGES);
+        for (let i = pool.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [pool[i], pool[j]] = [pool[j], pool[i]];
+        }
+
+        this.sequence = pool.slice(0, this.config.CHALLENGE_COUNT);
+        this.transcript = [];
+        this.neutralSamples = [];
+        this.neutral = null;
+        this.current = null;
+        this.startedAt = now;
+        this.finishedAt = null;
+        this.failureReason = null;
+        this.faceDescriptor = null;
+        this.state = LIVENESS_STATES.NEUTRAL;
+    }
+
+    get currentChallenge() {
+        return this.current ? this.current.challenge : null;
+    }
+
+    get instruction() {
+        if (this.state === LIVENESS_STATES.NEUTRAL) return 'Look straight at the camera and hold still';
+        if (this.state === LIVENESS_STATES.RUNNING) return CHALLENGE_INSTRUCTIONS[this.current.challenge];
+        if (this.state === LIVENESS_STATES.PASSED) return 'Liveness check passed';
+        if (this.state === LIVENESS_STATES.FAILED) return `Liveness check failed: ${this.failureReason}`;
+        return '';
+    }
+
+    /**
+     * Feed one FaceMesh result; returns the current state
+     */
+    processFrame(multiFaceLandmarks, now) {
+        if (this.state !== LIVENESS_STATES.NEUTRAL && this.state !== LIVENESS_STATES.RUNNING) {
+            return this.state;
+        }
+
+        if (now - this.startedAt > this.config.TOTAL_TIMEOUT_MS) {
+            return this.fail('time window expired', now);
+        }
+        if (multiFaceLandmarks.length > 1) {
+            return this.fail('more than one face in view', now);
+        }
+        if (multiFaceLandmarks.length === 0) {
+            // A missing face only counts against the challenge timeouts
+            return this.checkChallengeTimeout(now);
+        }
+
+        const metrics = measure(multiFaceLandmarks[0]);
+
+        if (this.state === LIVENESS_STATES.NEUTRAL) {
+            this.neutralSamples.push(metrics);
+            if (this.neutralSamples.length >= this.config.NEUTRAL_FRAMES) {
+                const average = key => this.neutralSamples.reduce((sum, sample) => sum + sample[key], 0) / this.neutralSamples.length;
+                this.neutral = { ear: average('ear'), yaw: average('yaw'), mar: average('mar') };
+                this.state = LIVENESS_STATES.RUNNING;
+                this.issueNext(now);
+            }
+            return this.state;
+        }
+
+        if (this.isChallengeMet(metrics)) {
+            this.transcript.push({
+                challenge: this.current.challenge,
+                issued_at: new Date(this.current.issuedAt).toISOString(),
+                completed_at: new Date(now).toISOString(),
+                response_ms: now - this.current.issuedAt,
+                passed: true,
+                peak: Number(this.current.peak.toFixed(4))
+            });
+            this.issueNext(now);
+            return this.state;
+        }
+
+        return this.checkChallengeTimeout(now);
+    }
+
+    issueNext(now) {
+        const challenge = this.sequence[this.transcript.length];
+        if (!challenge) {
+            this.state = LIVENESS_STATES.PASSED;
+            this.finishedAt = now;
+            this.current = null;
+            return;
+        }
+        this.current = { challenge, issuedAt: now, holdFrames: 0, eyesClosed: false, peak: 0 };
+    }
+
+    isChallengeMet(metrics) {
+        const { challenge } = this.current;
+        const cfg = this.config;
+
+        if (challenge === CHALLENGES.BLINK) {
+            const ratio = metrics.ear / this.neutral.ear;
+            this.current.peak = Math.max(this.current.peak, 1 - ratio);
+            if (ratio < cfg.BLINK_CLOSED_RATIO) {
+                this.current.eyesClosed = true;
+                return false;
+            }
+            // A blink is a closure followed by the eyes opening again
+            return this.current.eyesClosed && ratio > cfg.BLINK_OPEN_RATIO;
+        }
+
+        let offset;
+        let required;
+        if (challenge === CHALLENGES.TURN_LEFT) {
+            offset = metrics.yaw - this.neutral.yaw;
+            required = cfg.TURN_MIN_OFFSET;
+        } else if (challenge === CHALLENGES.TURN_RIGHT) {
+            offset = this.neutral.yaw - metrics.yaw;
+            required = cfg.TURN_MIN_OFFSET;
+        } else {
+            offset = metrics.mar - this.neutral.mar;
+            required = cfg.MOUTH_MIN_OFFSET;
+        }
+
+        this.current.peak = Math.max(this.current.peak, offset);
+        this.current.holdFrames = offset >= required ? this.current.holdFrames + 1 : 0;
+        return this.current.holdFrames >= cfg.HOLD_FRAMES;
+    }
+
+    checkChallengeTimeout(now) {
+        if (this.state === LIVENESS_STATES.RUNNING && now - this.current.issuedAt > this.config.CHALLENGE_TIMEOUT_MS) {
+            this.transcript.push({
+                challenge: this.current.challenge,
+                issued_at: new Date(this.current.issuedAt).toISOString(),
+                completed_at: null,
+                response_ms: null,
+                passed: false,
+                peak: Number(this.current.peak.toFixed(4))
+            });
+            return this.fail(`"${CHALLENGE_INSTRUCTIONS[this.current.challenge]}" not completed in time`, now);
+        }
+        return this.state;
+    }
+
+    fail(reason, now) {
+        this.state = LIVENESS_STATES.FAILED;
+        this.failureReason = reason;
+        this.finishedAt = now;
+        this.current = null;
+        return this.state;
+    }
+
+    /**
+     * Record the descriptor of the face that just passed, taken from the live feed, so the
+     * enrollment captures can be held to the same person; without a face the check fails
+     */
+    bindFace(descriptor, now) {
+        if (this.state !== LIVENESS_STATES.PASSED) return this.state;
+        if (!descriptor) {
+            return this.fail('face lost before the captures', now);
+        }
+        this.faceDescriptor = descriptor;
+        return this.state;
+    }
+
+    /**
+     * Whether a capture shows the face that passed the check, not a photo or person swapped in afterwards
+     */
+    matchesFace(descriptor) {
+        return this.faceDescriptor !== null &&
+            nearestDescriptorDistance(descriptor, [this.faceDescriptor]) <= this.config.MAX_FACE_DISTANCE;
+    }
+
+    /**
+     * Whether a passed check is still recent enough to accept enrollment
+     */
+    isValidAt(now) {
+        return this.state === LIVENESS_STATES.PASSED && this.faceDescriptor !== null && now - this.finishedAt <= this.config.VALIDITY_MS;
+    }
+
+    getResult() {
+        return {
+            passed: this.state === LIVENESS_STATES.PASSED,
+            state: this.state,
+            failure_reason: this.failureReason,
+            started_at: this.startedAt ? new Date(this.startedAt).toISOString() : null,
+            finished_at: this.finishedAt ? new Date(this.finishedAt).toISOString() : null,
+            sequence: this.sequence,
+            transcript: this.transcript
+        };
+    }
+}
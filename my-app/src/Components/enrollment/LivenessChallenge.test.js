@@ -0,0 +1,106 @@
+import LivenessChallenge, { CHALLENGES, LIVENESS_STATES } from './LivenessChallenge';
+
+// Synthetic FaceMesh frame; eyeOpen scales the eyelid gap, yaw shifts the nose, mouth opens the lips
+const face = ({ eyeOpen = 1, yaw = 0, mouth = 0 } = {}) => {
+    const landmarks = [];
+    const eye = (outer, inner, upper1, upper2, lower2, lower1, x0, x1) => {
+        const gap = 0.012 * eyeOpen;
+        landmarks[outer] = { x: x0, y: 0.45, z: 0 };
+        landmarks[inner] = { x: x1, y: 0.45, z: 0 };
+        landmarks[upper1] = { x: x0 + (x1 - x0) / 3, y: 0.45 - gap, z: 0 };
+        landmarks[upper2] = { x: x0 + 2 * (x1 - x0) / 3, y: 0.45 - gap, z: 0 };
+        landmarks[lower2] = { x: x0 + 2 * (x1 - x0) / 3, y: 0.45 + gap, z: 0 };
+        landmarks[lower1] = { x: x0 + (x1 - x0) / 3, y: 0.45 + gap, z: 0 };
+    };
+    eye(33, 133, 160, 158, 153, 144, 0.40, 0.46);
+    eye(263, 362, 387, 385, 380, 373, 0.60, 0.54);
+    landmarks[1] = { x: 0.5 + yaw, y: 0.55, z: -0.05 };
+    landmarks[13] = { x: 0.5, y: 0.62 - mouth / 2, z: 0 };
+    landmarks[14] = { x: 0.5, y: 0.62 + mouth / 2, z: 0 };
+    landmarks[61] = { x: 0.46, y: 0.62, z: 0 };
+    landmarks[291] = { x: 0.54, y: 0.62, z: 0 };
+    return landmarks;
+};
+
+const RESPONSES = {
+    [CHALLENGES.BLINK]: [face({ eyeOpen: 0.2 }), face({ eyeOpen: 0.2 }), face()],
+    [CHALLENGES.TURN_LEFT]: [face({ yaw: 0.05 }), face({ yaw: 0.05 }), face({ yaw: 0.05 })],
+    [CHALLENGES.TURN_RIGHT]: [face({ yaw: -0.05 }), face({ yaw: -0.05 }), face({ yaw: -0.05 })],
+    [CHALLENGES.OPEN_MOUTH]: [face({ mouth: 0.03 }), face({ mouth: 0.03 }), face({ mouth: 0.03 })]
+};
+
+const startChallenge = (seed = 0.3) => {
+    const challenge = new LivenessChallenge({ random: () => seed });
+    let now = 1000;
+    challenge.start(now);
+    for (let i = 0; i < 10; i++) {
+        challenge.processFrame([face()], now += 33);
+    }
+    return { challenge, now };
+};
+
+const passChallenge = () => {
+    let { challenge, now } = startChallenge();
+    while (challenge.state === LIVENESS_STATES.RUNNING) {
+        for (const frame of RESPONSES[challenge.currentChallenge]) {
+            challenge.processFrame([frame], now += 33);
+        }
+        challenge.processFrame([face()], now += 33);
+    }
+    return { challenge, now };
+};
+
+// 128-d face descriptors; the second differs by well over the recognition threshold
+const CANDIDATE = new Float32Array(128).fill(0.1);
+const OTHER_PERSON = new Float32Array(128).fill(0.2);
+
+test('passes when every issued challenge is performed', () => {
+    const { challenge, now } = passChallenge();
+
+    const result = challenge.getResult();
+    expect(result.passed).toBe(true);
+    expect(result.transcript).toHaveLength(3);
+    expect(result.transcript.every(entry => entry.passed)).toBe(true);
+    // Captures are only accepted once the face that passed is known
+    expect(challenge.isValidAt(now)).toBe(false);
+    challenge.bindFace(CANDIDATE, now);
+    expect(challenge.isValidAt(now)).toBe(true);
+});
+
+test('captures of a face swapped in after the check are refused', () => {
+    const { challenge, now } = passChallenge();
+    challenge.bindFace(CANDIDATE, now);
+
+    expect(challenge.matchesFace(CANDIDATE.map(value => value + 0.01))).toBe(true);
+    expect(challenge.matchesFace(OTHER_PERSON)).toBe(false);
+
+    // Nobody in front of the camera when the check passed: nothing to bind the captures to
+    const lost = passChallenge().challenge;
+    expect(lost.bindFace(null, now)).toBe(LIVENESS_STATES.FAILED);
+    expect(lost.matchesFace(CANDIDATE)).toBe(false);
+    expect(lost.isValidAt(now)).toBe(false);
+});
+
+test('a still photo fails once the challenge times out', () => {
+    let { challenge, now } = startChallenge();
+
+    while (challenge.state === LIVENESS_STATES.RUNNING) {
+        challenge.processFrame([face()], now += 100);
+    }
+
+    const result = challenge.getResult();
+    expect(result.passed).toBe(false);
+    expect(result.transcript[0].passed).toBe(false);
+    expect(result.failure_reason).toMatch(/not completed in time/);
+});
+
+test('rejects a second face in view', () => {
+    const { challenge, now } = startChallenge();
+    challenge.processFrame([face(), face()], now + 33);
+    expect(challenge.state).toBe(LIVENESS_STATES.FAILED);
+});
+
+test('randomizes the challenge order', () => {
+    const orders = new Set([0.05, 0.5, 0.95].map(seed => startChallenge(seed).challenge.sequence.join()));
+    expect(orders.size).toBeGreaterThan(1);
+});
@@ -0,0 +1,99 @@
+// Turns browser state snapshots into away / fullscreen / split-screen intervals.
+// Snapshots come from BrowserEnvironmentMonitor live, or from a recording in replay:
+// { visible, focused, fullscreen, widthRatio, heightRatio }
+
+export const ENVIRONMENT_CONDITIONS = {
+    AWAY: 'away',
+    FULLSCREEN_EXIT: 'fullscreen_exit',
+    SPLIT_SCREEN: 'split_screen'
+};
+
+export const ENVIRONMENT_REASONS = {
+    TAB_HIDDEN: 'tab_hidden',
+    WINDOW_BLUR: 'window_blur',
+    FULLSCREEN_EXIT: 'fullscreen_exit',
+    WINDOW_RESIZED: 'window_resized'
+};
+
+export default class BrowserEnvironmentAnalyzer {
+    constructor(config) {
+        this.config = config;
+        this.reset();
+    }
+
+    reset() {
+        // condition -> { startedAt, reasons }
+        this.active = new Map();
+        this.fullscreenEntered = false;
+        this.lastFullscreen = false;
+    }
+
+    /**
+     * Reasons each condition currently holds for; empty when it does not hold
+     */
+    conditionsOf(snapshot) {
+        const away = [];
+        if (!snapshot.visible) away.push(ENVIRONMENT_REASONS.TAB_HIDDEN);
+        if (!snapshot.focused) away.push(ENVIRONMENT_REASONS.WINDOW_BLUR);
+
+        const split = snapshot.widthRatio < this.config.SPLIT_SCREEN_WIDTH_RATIO ||
+            snapshot.heightRatio < this.config.SPLIT_SCREEN_HEIGHT_RATIO;
+
+        return {
+            [ENVIRONMENT_CONDITIONS.AWAY]: away,
+            // Leaving fullscreen only counts once the candidate has been in fullscreen
+            [ENVIRONMENT_CONDITIONS.FULLSCREEN_EXIT]: this.fullscreenEntered && !snapshot.fullscreen
+                ? [ENVIRONMENT_REASONS.FULLSCREEN_EXIT]
+                : [],
+            // Fullscreen always fills the screen; a hidden window reports stale sizes
+            [ENVIRONMENT_CONDITIONS.SPLIT_SCREEN]: split && !snapshot.fullscreen && snapshot.visible
+                ? [ENVIRONMENT_REASONS.WINDOW_RESIZED]
+                : []
+        };
+    }
+
+    /**
+     * Apply a snapshot; returns the interval starts and ends it causes
+     * Ends carry the interval duration
+     */
+    update(snapshot, now) {
+        const transitions = [];
+
+        if (snapshot.fullscreen && !this.lastFullscreen) {
+            transitions.push({ condition: 'fullscreen', phase: 'enter' });
+        }
+        this.lastFullscreen = snapshot.fullscreen;
+        if (snapshot.fullscreen) this.fullscreenEntered = true;
+
+        for (const [condition, reasons] of Object.entries(this.conditionsOf(snapshot))) {
+            const active = this.active.get(condition);
+            if (reasons.length > 0 && !active) {
+                this.active.set(condition, { startedAt: now, reasons: [...reasons] });
+                transitions.push({ condition, phase: 'start', reasons: [...reasons], startedAt: now });
+            } else if (reasons.length > 0) {
+                reasons.filter(reason => !active.reasons.includes(reason)).forEach(reason => active.reasons.push(reason));
+            } else if (active) {
+                transitions.push(this.end(condition, now));
+            }
+        }
+        return transitions;
+    }
+
+    /**
+     * Close every open interval, e.g. when the session ends while the candidate is away
+     */
+    finish(now) {
+        return [...this.active.keys()].map(condition => this.end(condition, now));
+    }
+
+    end(condition, now) {
+        const { startedAt, reasons } = this.active.get(condition);
+        this.active.delete(condition);
+        return { condition, phase: 'end', reasons, startedAt, durationMs: now - startedAt };
+    }
+
+    isViolation(transition) {
+        if (transition.phase !== 'end' || transition.durationMs < this.config.MIN_AWAY_MS) return false;
+        return transition.condition !== ENVIRONMENT_CONDITIONS.FULLSCREEN_EXIT || this.config.REQUIRE_FULLSCREEN;
+    }
+}
@@ -0,0 +1,49 @@
+import BrowserEnvironmentAnalyzer, { ENVIRONMENT_CONDITIONS } from './BrowserEnvironmentAnalyzer.js';
+import { DEFAULT_CONFIG } from '../policy/PolicySchema.js';
+
+const present = { visible: true, focused: true, fullscreen: false, widthRatio: 1, heightRatio: 0.95 };
+
+test('records how long the candidate was away across blur and tab switches', () => {
+    const analyzer = new BrowserEnvironmentAnalyzer(DEFAULT_CONFIG.ENVIRONMENT);
+    expect(analyzer.update(present, 0)).toEqual([]);
+
+    const [start] = analyzer.update({ ...present, focused: false }, 1000);
+    expect(start).toMatchObject({ condition: ENVIRONMENT_CONDITIONS.AWAY, phase: 'start', reasons: ['window_blur'] });
+    expect(analyzer.update({ ...present, focused: false, visible: false }, 1200)).toEqual([]);
+
+    const [end] = analyzer.update(present, 6000);
+    expect(end).toMatchObject({ condition: ENVIRONMENT_CONDITIONS.AWAY, phase: 'end', durationMs: 5000 });
+    expect(end.reasons).toEqual(['window_blur', 'tab_hidden']);
+    expect(analyzer.isViolation(end)).toBe(true);
+});
+
+test('brief focus losses are not violations', () => {
+    const analyzer = new BrowserEnvironmentAnalyzer(DEFAULT_CONFIG.ENVIRONMENT);
+    analyzer.update({ ...present, focused: false }, 0);
+    const [end] = analyzer.update(present, 300);
+    expect(analyzer.isViolation(end)).toBe(false);
+});
+
+test('fullscreen exits only count once fullscreen was entered and when required', () => {
+    const relaxed = new BrowserEnvironmentAnalyzer(DEFAULT_CONFIG.ENVIRONMENT);
+    const strict = new BrowserEnvironmentAnalyzer({ ...DEFAULT_CONFIG.ENVIRONMENT, REQUIRE_FULLSCREEN: true });
+
+    for (const analyzer of [relaxed, strict]) {
+        expect(analyzer.update(present, 0)).toEqual([]);
+        expect(analyzer.update({ ...present, fullscreen: true }, 100)).toEqual([{ condition: 'fullscreen', phase: 'enter' }]);
+        expect(analyzer.update(present, 200)[0]).toMatchObject({ condition: ENVIRONMENT_CONDITIONS.FULLSCREEN_EXIT, phase: 'start' });
+    }
+
+    const [relaxedEnd] = relaxed.finish(10000);
+    const [strictEnd] = strict.finish(10000);
+    expect(relaxedEnd.durationMs).toBe(9800);
+    expect(relaxed.isViolation(relaxedEnd)).toBe(false);
+    expect(strict.isViolation(strictEnd)).toBe(true);
+});
+
+test('a half-width window is reported as possible split screen', () => {
+    const analyzer = new BrowserEnvironmentAnalyzer(DEFAULT_CONFIG.ENVIRONMENT);
+    const [start] = analyzer.update({ ...present, widthRatio: 0.5 }, 0);
+    expect(start).toMatchObject({ condition: ENVIRONMENT_CONDITIONS.SPLIT_SCREEN, reasons: ['window_resized'] });
+    expect(analyzer.update(present, 4000)[0]).toMatchObject({ phase: 'end', durationMs: 4000 });
+});
@@ -0,0 +1,79 @@
+// DOM adapter for BrowserEnvironmentAnalyzer.
+// Listens for visibility, focus, fullscreen and resize events and reports a state
+// snapshot whenever it changes.
+
+const RATIO_PRECISION = 100;
+
+export default class BrowserEnvironmentMonitor {
+    constructor(onState, { win = window, doc = document } = {}) {
+        this.onState = onState;
+        this.win = win;
+        this.doc = doc;
+        this.focused = true;
+        this.lastSnapshotKey = null;
+        this.handlers = null;
+    }
+
+    ratio(size, available) {
+        if (!available || !size) return 1;
+        return Math.round((size / available) * RATIO_PRECISION) / RATIO_PRECISION;
+    }
+
+    snapshot() {
+        const screen = this.win.screen || {};
+        return {
+            visible: this.doc.visibilityState !== 'hidden',
+            focused: this.focused,
+            fullscreen: Boolean(this.doc.fullscreenElement),
+            widthRatio: this.ratio(this.win.outerWidth, screen.availWidth),
+            heightRatio: this.ratio(this.win.outerHeight, screen.availHeight)
+        };
+    }
+
+    emit() {
+        const snapshot = this.snapshot();
+        const key = JSON.stringify(snapshot);
+        if (key === this.lastSnapshotKey) return;
+        this.lastSnapshotKey = key;
+        this.onState(snapshot);
+    }
+
+    start() {
+        if (this.handlers) return;
+
+        this.focused = this.doc.hasFocus();
+        const update = () => this.emit();
+        this.handlers = {
+            visibilitychange: update,
+            fullscreenchange: update,
+            blur: () => {
+                this.focused = false;
+                this.emit();
+            },
+            focus: () => {
+                this.focused = true;
+                this.emit();
+            },
+            resize: update
+        };
+
+        this.doc.addEventListener('visibilitychange', this.handlers.visibilitychange);
+        this.doc.addEventListener('fullscreenchange', this.handlers.fullscreenchange);
+        this.win.addEventListener('blur', this.handlers.blur);
+        this.win.addEventListener('focus', this.handlers.focus);
+        this.win.addEventListener('resize', this.handlers.resize);
+        this.emit();
+    }
+
+    stop() {
+        if (!this.handlers) return;
+
+        this.doc.removeEventListener('visibilitychange', this.handlers.visibilitychange);
+        this.doc.removeEventListener('fullscreenchange', this.handlers.fullscreenchange);
+        this.win.removeEventListener('blur', this.handlers.blur);
+        this.win.removeEventListener('focus', this.handlers.focus);
+        this.win.removeEventListener('resize', this.handlers.resize);
+        this.handlers = null;
+        this.lastSnapshotKey = null;
+    }
+}
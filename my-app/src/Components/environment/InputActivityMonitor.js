@@ -0,0 +1,144 @@
+// Clipboard, context-menu and keyboard shortcut monitoring.
+// Suspicious actions are reported as { action, shortcut, contentLength, blocked } and
+// optionally blocked according to the policy's INPUT section. Clipboard content itself
+// is never read beyond its length.
+
+export const INPUT_ACTIONS = {
+    COPY: 'copy',
+    CUT: 'cut',
+    PASTE: 'paste',
+    CONTEXT_MENU: 'context_menu',
+    PRINT_SCREEN: 'print_screen',
+    DEVTOOLS: 'devtools_shortcut',
+    APP_SWITCH: 'app_switch_shortcut'
+};
+
+// Blocking has no effect on these; the OS handles them before the page
+const UNBLOCKABLE_ACTIONS = [INPUT_ACTIONS.PRINT_SCREEN];
+
+const DEVTOOLS_KEYS = ['I', 'J', 'C'];
+// The Windows/Super key; on macOS the same key is Cmd, which starts every editing shortcut
+const SYSTEM_KEYS = ['Meta', 'OS'];
+
+// Letters upper-cased; empty for the key-less keydown events autofill dispatches
+function normalizeKey(event) {
+    if (typeof event.key !== 'string') return '';
+    return event.key.length === 1 ? event.key.toUpperCase() : event.key;
+}
+
+function describeShortcut(event) {
+    const parts = [];
+    if (event.ctrlKey) parts.push('Ctrl');
+    if (event.metaKey) parts.push('Meta');
+    if (event.altKey) parts.push('Alt');
+    if (event.shiftKey) parts.push('Shift');
+    const key = normalizeKey(event);
+    if (!['Control', 'Meta', 'Alt', 'Shift'].includes(key)) parts.push(key);
+    return parts.join('+');
+}
+
+/**
+ * Classify a keyboard event as a suspicious shortcut, or null
+ * A system key pressed on its own is not classified here: it only counts once it is released
+ * without another key in between, which InputActivityMonitor tracks.
+ */
+export function classifyShortcut(event) {
+    const key = normalizeKey(event);
+    const command = event.ctrlKey || event.metaKey;
+
+    let action = null;
+    if (key === 'PrintScreen') {
+        action = INPUT_ACTIONS.PRINT_SCREEN;
+    } else if (key === 'F12' ||
+        (event.ctrlKey && event.shiftKey && DEVTOOLS_KEYS.includes(key)) ||
+        (event.metaKey && event.altKey && DEVTOOLS_KEYS.includes(key)) ||
+        (command && !event.shiftKey && key === 'U')) {
+        action = INPUT_ACTIONS.DEVTOOLS;
+    } else if ((key === 'Tab' && (event.altKey || event.metaKey || event.ctrlKey)) ||
+        (command && ['T', 'N', 'W'].includes(key))) {
+        action = INPUT_ACTIONS.APP_SWITCH;
+    }
+
+    return action ? { action, shortcut: describeShortcut(event) } : null;
+}
+
+export default class InputActivityMonitor {
+    constructor(onActivity, config, { doc = document } = {}) {
+        this.onActivity = onActivity;
+        this.config = config;
+        this.doc = doc;
+        this.handlers = null;
+        // A system key is down and no other key was pressed since
+        this.systemKeyAlone = false;
+    }
+
+    shouldBlock(action) {
+        if (UNBLOCKABLE_ACTIONS.includes(action)) return false;
+        if ([INPUT_ACTIONS.COPY, INPUT_ACTIONS.CUT, INPUT_ACTIONS.PASTE].includes(action)) return this.config.BLOCK_CLIPBOARD;
+        if (action === INPUT_ACTIONS.CONTEXT_MENU) return this.config.BLOCK_CONTEXT_MENU;
+        return this.config.BLOCK_SHORTCUTS;
+    }
+
+    report(event, activity) {
+        const blocked = this.shouldBlock(activity.action);
+        if (blocked) {
+            event.preventDefault();
+            event.stopPropagation();
+        }
+        this.onActivity({ shortcut: null, contentLength: null, ...activity, blocked });
+    }
+
+    selectionLength() {
+        const selection = this.doc.getSelection ? this.doc.getSelection() : null;
+        return selection ? selection.toString().length : 0;
+    }
+
+    start() {
+        if (this.handlers) return;
+
+        const clipboard = (action) => (event) => {
+            const contentLength = action === INPUT_ACTIONS.PASTE
+                ? (event.clipboardData ? event.clipboardData.getData('text').length : 0)
+                : this.selectionLength();
+            this.report(event, { action, contentLength });
+        };
+
+        this.handlers = {
+            copy: clipboard(INPUT_ACTIONS.COPY),
+            cut: clipboard(INPUT_ACTIONS.CUT),
+            paste: clipboard(INPUT_ACTIONS.PASTE),
+            contextmenu: (event) => this.report(event, { action: INPUT_ACTIONS.CONTEXT_MENU }),
+            keydown: (event) => {
+                // Held keys repeat; the shortcut was reported on the first press
+                if (event.repeat) return;
+                this.systemKeyAlone = SYSTEM_KEYS.includes(normalizeKey(event));
+                const shortcut = classifyShortcut(event);
+                // PrintScreen only reliably fires keyup
+                if (shortcut && shortcut.action !== INPUT_ACTIONS.PRINT_SCREEN) this.report(event, shortcut);
+            },
+            keyup: (event) => {
+                if (SYSTEM_KEYS.includes(normalizeKey(event))) {
+                    // Released without a shortcut in between: opens the Start menu or launcher
+                    if (this.systemKeyAlone) {
+                        this.systemKeyAlone = false;
+                        this.report(event, { action: INPUT_ACTIONS.APP_SWITCH, shortcut: normalizeKey(event) });
+                    }
+                    return;
+                }
+                const shortcut = classifyShortcut(event);
+                if (shortcut && shortcut.action === INPUT_ACTIONS.PRINT_SCREEN) this.report(event, shortcut);
+            }
+        };
+
+        // Capture phase so page handlers cannot swallow the events first
+        Object.entries(this.handlers).forEach(([type, handler]) => this.doc.addEventListener(type, handler, true));
+    }
+
+    stop() {
+        if (!this.handlers) return;
+
+        Object.entries(this.handlers).forEach(([type, handler]) => this.doc.removeEventListener(type, handler, true));
+        this.handlers = null;
+        this.systemKeyAlone = false;
+    }
+}
@@ -0,0 +1,97 @@
+import InputActivityMonitor, { INPUT_ACTIONS, classifyShortcut } from './InputActivityMonitor.js';
+import { DEFAULT_CONFIG } from '../policy/PolicySchema.js';
+
+const key = (init) => ({ key: '', ctrlKey: false, metaKey: false, altKey: false, shiftKey: false, ...init });
+
+const paste = (text) => {
+    const event = new Event('paste', { bubbles: true, cancelable: true });
+    Object.defineProperty(event, 'clipboardData', { value: { getData: () => text } });
+    return event;
+};
+
+test('classifies devtools, app-switch and print-screen shortcuts', () => {
+    expect(classifyShortcut(key({ key: 'F12' }))).toEqual({ action: INPUT_ACTIONS.DEVTOOLS, shortcut: 'F12' });
+    expect(classifyShortcut(key({ key: 'i', ctrlKey: true, shiftKey: true }))).toEqual({ action: INPUT_ACTIONS.DEVTOOLS, shortcut: 'Ctrl+Shift+I' });
+    expect(classifyShortcut(key({ key: 'j', metaKey: true, altKey: true })).action).toBe(INPUT_ACTIONS.DEVTOOLS);
+    expect(classifyShortcut(key({ key: 'Tab', altKey: true }))).toEqual({ action: INPUT_ACTIONS.APP_SWITCH, shortcut: 'Alt+Tab' });
+    expect(classifyShortcut(key({ key: 't', ctrlKey: true })).action).toBe(INPUT_ACTIONS.APP_SWITCH);
+    expect(classifyShortcut(key({ key: 'PrintScreen' })).action).toBe(INPUT_ACTIONS.PRINT_SCREEN);
+    expect(classifyShortcut(key({ key: 'a' }))).toBeNull();
+    expect(classifyShortcut(key({ key: 'Tab' }))).toBeNull();
+    expect(classifyShortcut(key({ key: 'Meta', metaKey: true }))).toBeNull();
+    // Autofill dispatches keydown events without a key
+    expect(classifyShortcut({ ctrlKey: false, metaKey: false, altKey: false, shiftKey: false })).toBeNull();
+});
+
+test('a system key counts only when released on its own, and held keys only once', () => {
+    const activities = [];
+    const monitor = new InputActivityMonitor(activity => activities.push(activity), DEFAULT_CONFIG.INPUT);
+    monitor.start();
+    const press = (type, init) => document.body.dispatchEvent(new KeyboardEvent(type, { bubbles: true, ...init }));
+
+    // Cmd+C and Cmd+Z on a Mac: the Meta keydown comes first
+    press('keydown', { key: 'Meta', metaKey: true });
+    press('keydown', { key: 'c', metaKey: true });
+    press('keydown', { key: 'z', metaKey: true });
+    press('keyup', { key: 'Meta' });
+    // Autofill's key-less keydown
+    document.body.dispatchEvent(new Event('keydown', { bubbles: true }));
+    expect(activities).toEqual([]);
+
+    // The Windows key alone, held long enough to auto-repeat
+    press('keydown', { key: 'Meta', metaKey: true });
+    press('keydown', { key: 'Meta', metaKey: true, repeat: true });
+    press('keyup', { key: 'Meta' });
+    // Ctrl+T held down
+    press('keydown', { key: 't', ctrlKey: true });
+    press('keydown', { key: 't', ctrlKey: true, repeat: true });
+    press('keydown', { key: 't', ctrlKey: true, repeat: true });
+    monitor.stop();
+
+    expect(activities).toEqual([
+        { action: INPUT_ACTIONS.APP_SWITCH, shortcut: 'Meta', contentLength: null, blocked: false },
+        { action: INPUT_ACTIONS.APP_SWITCH, shortcut: 'Ctrl+T', contentLength: null, blocked: false }
+    ]);
+});
+
+test('reports pastes with their length without blocking by default', () => {
+    const activities = [];
+    const monitor = new InputActivityMonitor(activity => activities.push(activity), DEFAULT_CONFIG.INPUT);
+    monitor.start();
+
+    const event = paste('answer text');
+    document.body.dispatchEvent(event);
+    document.body.dispatchEvent(new KeyboardEvent('keydown', { key: 'a', bubbles: true }));
+    monitor.stop();
+    document.body.dispatchEvent(paste('after stop'));
+
+    expect(event.defaultPrevented).toBe(false);
+    expect(activities).toEqual([{ action: INPUT_ACTIONS.PASTE, shortcut: null, contentLength: 11, blocked: false }]);
+});
+
+test('blocks clipboard, context menu and shortcuts when the policy asks for it', () => {
+    const activities = [];
+    const monitor = new InputActivityMonitor(activity => activities.push(activity), {
+        BLOCK_CLIPBOARD: true,
+        BLOCK_CONTEXT_MENU: true,
+        BLOCK_SHORTCUTS: true
+    });
+    monitor.start();
+
+    const events = [
+        paste('x'),
+        new MouseEvent('contextmenu', { bubbles: true, cancelable: true }),
+        new KeyboardEvent('keydown', { key: 'F12', bubbles: true, cancelable: true }),
+        new KeyboardEvent('keyup', { key: 'PrintScreen', bubbles: true, cancelable: true })
+    ];
+    events.forEach(event => document.body.dispatchEvent(event));
+    monitor.stop();
+
+    expect(events.map(event => event.defaultPrevented)).toEqual([true, true, true, false]);
+    expect(activities.map(activity => [activity.action, activity.blocked])).toEqual([
+        [INPUT_ACTIONS.PASTE, true],
+        [INPUT_ACTIONS.CONTEXT_MENU, true],
+        [INPUT_ACTIONS.DEVTOOLS, true],
+        [INPUT_ACTIONS.PRINT_SCREEN, false]
+    ]);
+});
@@ -0,0 +1,75 @@
+import IndexedDBStore from "../storage/IndexedDBStore.js";
+
+// Destinations for full-session recording chunks.
+// Every sink takes chunks one at a time under keys "<session_id>/<part>/<chunk>", so a chunk
+// is safe as soon as write() resolves.
+
+/**
+ * Keeps chunks in a key-value store, IndexedDB by default (MemoryStore in tests)
+ */
+export class StoreRecordingSink {
+    constructor(store = new IndexedDBStore('recording_chunks')) {
+        this.store = store;
+    }
+
+    write(key, blob) {
+        return this.store.set(key, blob);
+    }
+
+    /**
+     * Stored chunks under the given keys, in the same order
+     */
+    async read(keys) {
+        const blobs = [];
+        for (const key of keys) {
+            const blob = await this.store.get(key);
+            if (!blob) throw new Error(`Recording chunk ${key} is missing`);
+            blobs.push(blob);
+        }
+        return blobs;
+    }
+
+    async discard(sessionId) {
+        for (const key of await this.store.keys()) {
+            if (key.startsWith(`${sessionId}/`)) {
+                await this.store.delete(key);
+            }
+        }
+    }
+
+    describe() {
+        return { type: 'indexeddb', store: 'recording_chunks' };
+    }
+}
+
+/**
+ * Uploads each chunk with PUT <url>/<key> to a local upload service; nothing is kept in the browser
+ */
+export class UploadRecordingSink {
+    constructor(url, { fetchImpl = (...args) => fetch(...args) } = {}) {
+        this.url = url.replace(/\/+$/, '');
+        this.fetch = fetchImpl;
+    }
+
+    async write(key, blob) {
+        const response = await this.fetch(`${this.url}/${key}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': blob.type || 'application/octet-stream' },
+            body: blob
+        });
+        if (!response.ok) {
+            throw new Error(`Upload of recording chunk ${key} failed with status ${response.status}`);
+        }
+    }
+
+    // The upload service keeps the video; there is nothing to read back or clean up locally
+    async read() {
+        return null;
+    }
+
+    async discard() {}
+
+    describe() {
+        return { type: 'upload', url: this.url };
+    }
+}
@@ -0,0 +1,136 @@
+// Full-session webcam recording, for exams that must keep the whole video.
+// One MediaRecorder runs for the session and hands over a chunk every RECORDING.CHUNK_MS;
+// each chunk is written to the sink as it arrives, so a crash loses at most the chunk in
+// progress. The chunks of one recorder run form one playable part; a resumed session starts
+// a new part. The chunk index maps session time to part, chunk and playback offset.
+
+const MIME_TYPES = ['video/webm;codecs=vp8', 'video/webm', 'video/mp4'];
+const CHUNK_DIGITS = 6;
+
+export const chunkKey = (sessionId, part, index) => `${sessionId}/${part}/${String(index).padStart(CHUNK_DIGITS, '0')}`;
+
+/**
+ * Where session time `time` is in the recording: { part, chunk, key, offset_ms, byte_offset }
+ * with offset_ms measured from the start of the part; null when nothing was recording
+ */
+export function locateInRecording(chunks, time) {
+    const chunk = chunks.find(candidate => candidate.started_at <= time && time < candidate.ended_at);
+    if (!chunk) return null;
+    return {
+        part: chunk.part,
+        chunk: chunk.index,
+        key: chunk.key,
+        offset_ms: time - chunk.part_started_at,
+        byte_offset: chunk.offset
+    };
+}
+
+export default class SessionVideoRecorder {
+    constructor(stream, config, sink, { onChunk = () => {}, now = () => Date.now(), MediaRecorderClass = window.MediaRecorder } = {}) {
+        this.stream = stream;
+        this.config = config;
+        this.sink = sink;
+        this.onChunk = onChunk;
+        this.now = now;
+        this.MediaRecorderClass = MediaRecorderClass;
+        this.mimeType = MediaRecorderClass && MediaRecorderClass.isTypeSupported
+            ? MIME_TYPES.find(type => MediaRecorderClass.isTypeSupported(type))
+            : undefined;
+        this.recorder = null;
+        // Chunk writes run in order; stop() resolves once the last one is stored
+        this.queue = Promise.resolve();
+    }
+
+    static isSupported() {
+        return typeof window !== 'undefined' && typeof window.MediaRecorder === 'function';
+    }
+
+    /**
+     * Record a new part of the session; `chunks` are the index entries of earlier parts
+     */
+    start(sessionId, chunks = []) {
+        if (this.recorder) return;
+
+        const part = chunks.reduce((last, chunk) => Math.max(last, chunk.part), -1) + 1;
+        const partStartedAt = this.now();
+        let index = 0;
+        let offset = 0;
+        let chunkStartedAt = partStartedAt;
+
+        const recorder = new this.MediaRecorderClass(this.stream, {
+            ...(this.mimeType && { mimeType: this.mimeType }),
+            videoBitsPerSecond: this.config.VIDEO_BITS_PER_SECOND
+        });
+        recorder.ondataavailable = (event) => {
+            if (!event.data || event.data.size === 0) return;
+            const endedAt = this.now();
+            const chunk = {
+                key: chunkKey(sessionId, part, index),
+                part,
+                index,
+                part_started_at: partStartedAt,
+                started_at: chunkStartedAt,
+                ended_at: endedAt,
+                offset,
+                size: event.data.size,
+                mime_type: event.data.type || recorder.mimeType || this.mimeType || 'video/webm'
+            };
+            index++;
+            offset += event.data.size;
+            chunkStartedAt = endedAt;
+
+            const blob = event.data;
+            this.queue = this.queue
+                .then(() => this.sink.write(chunk.key, blob))
+                .then(() => this.onChunk(chunk))
+                .catch(error => console.error(`Failed to store recording chunk ${chunk.key}:`, error));
+        };
+
+        recorder.start(this.config.CHUNK_MS);
+        this.recorder = recorder;
+        console.log(`Session recording part ${part} started`);
+    }
+
+    /**
+     * Stop recording; resolves once the final chunk is stored
+     */
+    stop() {
+        if (!this.recorder) return this.queue;
+        const recorder = this.recorder;
+        this.recorder = null;
+        return new Promise(resolve => {
+            recorder.onstop = () => resolve();
+            recorder.stop();
+        }).then(() => this.queue);
+    }
+
+    /**
+     * Recording summary for the session export: sink, parts and the chunk index
+     */
+    static manifest(chunks, sink) {
+        const parts = [];
+        for (const chunk of chunks) {
+            let part = parts.find(candidate => candidate.part === chunk.part);
+            if (!part) {
+                part = { part: chunk.part, started_at: chunk.part_started_at, ended_at: chunk.ended_at, mime_type: chunk.mime_type, bytes: 0, chunks: [] };
+                parts.push(part);
+            }
+            part.ended_at = Math.max(part.ended_at, chunk.ended_at);
+            part.bytes += chunk.size;
+            part.chunks.push({ key: chunk.key, index: chunk.index, started_at: chunk.started_at, ended_at: chunk.ended_at, offset: chunk.offset, size: chunk.size });
+        }
+        return {
+            sink: sink.describe(),
+            parts: parts.map(part => ({
+                ...part,
+                started_at: new Date(part.started_at).toISOString(),
+                ended_at: new Date(part.ended_at).toISOString(),
+                chunks: part.chunks.map(chunk => ({
+                    ...chunk,
+                    started_at: new Date(chunk.started_at).toISOString(),
+                    ended_at: new Date(chunk.ended_at).toISOString()
+                }))
+            }))
+        };
+    }
+}
@@ -0,0 +1,133 @@
+/** @jest-environment node */
+import SessionVideoRecorder, { locateInRecording } from './SessionVideoRecorder';
+import { StoreRecordingSink, UploadRecordingSink } from './RecordingSinks';
+import { MemoryStore } from '../storage/IndexedDBStore';
+import ProctoringSystem from '../ProctoringSystem';
+import { VirtualClock } from '../Clock';
+import { ScriptedDetector } from '../detectors';
+import { DEFAULT_CONFIG } from '../policy/PolicySchema';
+import { VIOLATION_CODES } from '../violations/ViolationRegistry';
+
+const START = Date.UTC(2025, 0, 6, 9, 0, 0);
+const CHUNK_MS = DEFAULT_CONFIG.RECORDING.CHUNK_MS;
+
+// Hands over a chunk whenever the test calls emit(), as a recorder does every timeslice
+class FakeMediaRecorder {
+    static instances = [];
+
+    static isTypeSupported(type) {
+        return type === 'video/webm';
+    }
+
+    constructor(stream, options) {
+        this.mimeType = options.mimeType;
+        FakeMediaRecorder.instances.push(this);
+    }
+
+    start(timeslice) {
+        this.timeslice = timeslice;
+    }
+
+    emit(size) {
+        this.ondataavailable({ data: { size, type: this.mimeType } });
+    }
+
+    stop() {
+        this.emit(10);
+        this.onstop();
+    }
+}
+
+const createRecorder = (clock, onChunk = () => {}) => {
+    const sink = new StoreRecordingSink(new MemoryStore());
+    const recorder = new SessionVideoRecorder({}, DEFAULT_CONFIG.RECORDING, sink, {
+        onChunk,
+        now: () => clock.now(),
+        MediaRecorderClass: FakeMediaRecorder
+    });
+    return { recorder, sink };
+};
+
+const lastRecorder = () => FakeMediaRecorder.instances[FakeMediaRecorder.instances.length - 1];
+
+beforeEach(() => {
+    FakeMediaRecorder.instances = [];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+test('chunks are stored as they arrive and indexed by part and time', async () => {
+    const clock = new VirtualClock(START);
+    const chunks = [];
+    const { recorder, sink } = createRecorder(clock, chunk => chunks.push(chunk));
+
+    recorder.start(START);
+    expect(lastRecorder().timeslice).toBe(CHUNK_MS);
+    clock.advance(CHUNK_MS);
+    lastRecorder().emit(100);
+    clock.advance(CHUNK_MS);
+    lastRecorder().emit(200);
+    await recorder.stop();
+
+    expect(chunks.map(chunk => [chunk.part, chunk.index, chunk.offset, chunk.size])).toEqual([[0, 0, 0, 100], [0, 1, 100, 200], [0, 2, 300, 10]]);
+    expect(await sink.read(chunks.map(chunk => chunk.key))).toEqual([{ size: 100, type: 'video/webm' }, { size: 200, type: 'video/webm' }, { size: 10, type: 'video/webm' }]);
+
+    // After an interruption the recording continues in a new part
+    clock.advance(60000);
+    recorder.start(START, chunks);
+    clock.advance(CHUNK_MS);
+    lastRecorder().emit(50);
+    await recorder.stop();
+
+    expect(chunks.slice(3).map(chunk => [chunk.part, chunk.index, chunk.offset])).toEqual([[1, 0, 0], [1, 1, 50]]);
+    expect(locateInRecording(chunks, START + CHUNK_MS + 1200)).toMatchObject({ part: 0, chunk: 1, offset_ms: CHUNK_MS + 1200, byte_offset: 100 });
+    expect(locateInRecording(chunks, START + 2 * CHUNK_MS + 30000)).toBeNull();
+    expect(locateInRecording(chunks, START + 2 * CHUNK_MS + 60000 + 1000)).toMatchObject({ part: 1, chunk: 0, offset_ms: 1000 });
+
+    const manifest = SessionVideoRecorder.manifest(chunks, sink);
+    expect(manifest.sink).toEqual({ type: 'indexeddb', store: 'recording_chunks' });
+    expect(manifest.parts.map(part => [part.part, part.bytes, part.chunks.length])).toEqual([[0, 310, 3], [1, 60, 2]]);
+});
+
+test('the upload sink puts each chunk to the upload service', async () => {
+    const requests = [];
+    const sink = new UploadRecordingSink('http://localhost:8080/recordings/', {
+        fetchImpl: async (url, init) => {
+            requests.push([url, init.method, init.body]);
+            return { ok: !url.endsWith('/000001'), status: 507 };
+        }
+    });
+
+    await sink.write('1/0/000000', { type: 'video/webm' });
+    expect(requests).toEqual([['http://localhost:8080/recordings/1/0/000000', 'PUT', { type: 'video/webm' }]]);
+    await expect(sink.write('1/0/000001', { type: 'video/webm' })).rejects.toThrow('status 507');
+    expect(await sink.read(['1/0/000000'])).toBeNull();
+});
+
+test('exported log entries point into the session recording', async () => {
+    const clock = new VirtualClock(START);
+    const scripted = new ScriptedDetector({});
+    const system = new ProctoringSystem({}, {}, () => {}, () => {}, {
+        clock,
+        headless: true,
+        detectors: { faceCount: scripted, landmarks: scripted, identity: scripted }
+    });
+    system.videoRecorder = createRecorder(clock, chunk => system.onRecordingChunk(chunk)).recorder;
+    await system.detectorsReady;
+
+    system.beginSession();
+    system.videoRecorder.start(system.sessionStartTime, system.recordingChunks);
+    clock.advance(2000);
+    system.atFrameTime(() => system.reportViolation(VIOLATION_CODES.NO_FACE));
+    clock.advance(CHUNK_MS - 2000);
+    lastRecorder().emit(100);
+    clock.advance(1000);
+    system.endSession();
+    await system.recordingStopped;
+
+    const reference = system.getRecordingReference();
+    expect(reference.parts).toHaveLength(1);
+    expect(reference.parts[0].file).toBe(`session-video-${START}-part0.webm`);
+
+    const violation = system.sessionLogs.find(entry => entry.event_type === 'violation');
+    expect(system.withVideoPosition(violation).video).toMatchObject({ part: 0, chunk: 0, offset_ms: 2000 });
+});
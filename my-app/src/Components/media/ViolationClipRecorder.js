@@ -0,0 +1,167 @@
+// Short webcam clips around violations.
+// The webcam stream is recorded in CLIPS.SEGMENT_MS segments by a MediaRecorder that is
+// restarted for every segment, so each segment is a playable file on its own. Segments
+// covering the last CLIPS.PRE_MS stay in memory; when a violation fires, the segments from
+// CLIPS.PRE_MS before it to CLIPS.POST_MS after it become its clip. Kept clips and the
+// rolling buffer are held under CLIPS.MAX_MEMORY_MB by evicting the oldest clips.
+
+const MIME_TYPES = ['video/webm;codecs=vp8', 'video/webm', 'video/mp4'];
+
+export default class ViolationClipRecorder {
+    constructor(stream, config, { onClip = () => {}, onEvict = () => {}, now = () => Date.now(), MediaRecorderClass = window.MediaRecorder, BlobClass = window.Blob } = {}) {
+        this.stream = stream;
+        this.config = config;
+        this.onClip = onClip;
+        this.onEvict = onEvict;
+        this.now = now;
+        this.MediaRecorderClass = MediaRecorderClass;
+        this.BlobClass = BlobClass;
+        this.mimeType = MediaRecorderClass && MediaRecorderClass.isTypeSupported
+            ? MIME_TYPES.find(type => MediaRecorderClass.isTypeSupported(type))
+            : undefined;
+        this.running = false;
+        // Segment being recorded: { recorder, startedAt, endedAt }
+        this.current = null;
+        this.timer = null;
+        this.reset();
+    }
+
+    static isSupported() {
+        return typeof window !== 'undefined' && typeof window.MediaRecorder === 'function';
+    }
+
+    reset() {
+        // { startedAt, endedAt, blob }, oldest first
+        this.segments = [];
+        // Clips waiting for their post-violation segments: { eventId, code, at, from, to }
+        this.pending = [];
+        // { eventId, code, violationAt, startedAt, endedAt, parts, bytes }
+        this.clips = [];
+        this.openSegments = 0;
+    }
+
+    start() {
+        if (this.running) return;
+        this.reset();
+        this.running = true;
+        this.startSegment();
+    }
+
+    /**
+     * Stop recording; clips still waiting are cut short at the last segment
+     */
+    stop() {
+        if (!this.running) return;
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.current) {
+            this.endSegment(this.current);
+            this.current = null;
+        }
+    }
+
+    startSegment() {
+        const recorder = new this.MediaRecorderClass(this.stream, {
+            ...(this.mimeType && { mimeType: this.mimeType }),
+            videoBitsPerSecond: this.config.VIDEO_BITS_PER_SECOND
+        });
+        const segment = { recorder, startedAt: this.now(), endedAt: null };
+        const chunks = [];
+
+        recorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0) chunks.push(event.data);
+        };
+        recorder.onstop = () => {
+            this.openSegments--;
+            const blob = new this.BlobClass(chunks, { type: recorder.mimeType || this.mimeType || 'video/webm' });
+            this.addSegment({ startedAt: segment.startedAt, endedAt: segment.endedAt, blob });
+        };
+
+        recorder.start();
+        this.openSegments++;
+        this.current = segment;
+        this.timer = setTimeout(() => this.rotate(), this.config.SEGMENT_MS);
+    }
+
+    endSegment(segment) {
+        segment.endedAt = this.now();
+        segment.recorder.stop();
+    }
+
+    /**
+     * Start the next segment before stopping the current one so no time is lost between them
+     */
+    rotate() {
+        const previous = this.current;
+        this.startSegment();
+        this.endSegment(previous);
+    }
+
+    addSegment(segment) {
+        if (segment.blob.size > 0) this.segments.push(segment);
+        this.completeClips();
+        this.trimBuffer();
+        this.enforceMemoryCap();
+    }
+
+    /**
+     * Ask for a clip around a violation at time `at`, linked to its event ID
+     */
+    requestClip(eventId, code, at) {
+        if (!this.running) return;
+        this.pending.push({ eventId, code, at, from: at - this.config.PRE_MS, to: at + this.config.POST_MS });
+    }
+
+    completeClips() {
+        const recordedUntil = this.segments.length > 0 ? this.segments[this.segments.length - 1].endedAt : -Infinity;
+        const final = !this.running && this.openSegments === 0;
+
+        const waiting = [];
+        for (const request of this.pending) {
+            if (recordedUntil < request.to && !final) {
+                waiting.push(request);
+                continue;
+            }
+            const parts = this.segments.filter(segment => segment.endedAt > request.from && segment.startedAt < request.to);
+            if (parts.length === 0) continue;
+
+            const clip = {
+                eventId: request.eventId,
+                code: request.code,
+                violationAt: request.at,
+                startedAt: parts[0].startedAt,
+                endedAt: parts[parts.length - 1].endedAt,
+                parts: parts.map(part => part.blob),
+                bytes: parts.reduce((sum, part) => sum + part.blob.size, 0)
+            };
+            this.clips.push(clip);
+            this.onClip(clip);
+        }
+        this.pending = waiting;
+    }
+
+    /**
+     * Drop segments no pending clip or future pre-roll needs
+     */
+    trimBuffer() {
+        const keepFrom = Math.min(this.now() - this.config.PRE_MS, ...this.pending.map(request => request.from));
+        this.segments = this.segments.filter(segment => segment.endedAt >= keepFrom);
+    }
+
+    /**
+     * Bytes held by the buffer and the kept clips; segments shared by clips count once
+     */
+    memoryBytes() {
+        const blobs = new Set(this.segments.map(segment => segment.blob));
+        this.clips.forEach(clip => clip.parts.forEach(part => blobs.add(part)));
+        return [...blobs].reduce((sum, blob) => sum + blob.size, 0);
+    }
+
+    enforceMemoryCap() {
+        const maxBytes = this.config.MAX_MEMORY_MB * 1024 * 1024;
+        while (this.clips.length > 0 && this.memoryBytes() > maxBytes) {
+            this.onEvict(this.clips.shift());
+        }
+    }
+}
@@ -0,0 +1,105 @@
+/** @jest-environment node */
+import ViolationClipRecorder from './ViolationClipRecorder';
+import { DEFAULT_CONFIG } from '../policy/PolicySchema';
+
+const SEGMENT_BYTES = 100000;
+
+class FakeBlob {
+    constructor(parts, { type }) {
+        this.size = parts.reduce((sum, part) => sum + part.size, 0);
+        this.type = type;
+    }
+}
+
+// Delivers one chunk of SEGMENT_BYTES per recording, as a real recorder does on stop
+class FakeMediaRecorder {
+    static isTypeSupported(type) {
+        return type === 'video/webm';
+    }
+
+    constructor(stream, options) {
+        this.mimeType = options.mimeType;
+    }
+
+    start() {}
+
+    stop() {
+        this.ondataavailable({ data: { size: SEGMENT_BYTES } });
+        this.onstop();
+    }
+}
+
+const createRecorder = (config = {}) => {
+    let time = 0;
+    const clips = [];
+    const evicted = [];
+    const recorder = new ViolationClipRecorder({}, { ...DEFAULT_CONFIG.CLIPS, ...config }, {
+        onClip: clip => clips.push(clip),
+        onEvict: clip => evicted.push(clip),
+        now: () => time,
+        MediaRecorderClass: FakeMediaRecorder,
+        BlobClass: FakeBlob
+    });
+    const advance = (ms) => {
+        for (let step = 0; step < ms; step += 100) {
+            time += 100;
+            jest.advanceTimersByTime(100);
+        }
+    };
+    return { recorder, clips, evicted, advance, now: () => time };
+};
+
+beforeEach(() => {
+    jest.useFakeTimers();
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+test('a clip covers the seconds before and after its violation', () => {
+    const { recorder, clips, advance } = createRecorder();
+    recorder.start();
+    advance(10000);
+    recorder.requestClip(7, 'NO_FACE', 10000);
+    advance(4900);
+    expect(clips).toEqual([]);
+
+    advance(100);
+    expect(clips).toHaveLength(1);
+    expect(clips[0]).toMatchObject({ eventId: 7, code: 'NO_FACE', violationAt: 10000, startedAt: 5000, endedAt: 15000, bytes: 4 * SEGMENT_BYTES });
+    expect(clips[0].parts.every(part => part.type === 'video/webm')).toBe(true);
+    recorder.stop();
+});
+
+test('only the pre-violation window is buffered and a stop cuts pending clips short', () => {
+    const { recorder, clips, advance } = createRecorder();
+    recorder.start();
+    advance(60000);
+    const { PRE_MS, SEGMENT_MS } = DEFAULT_CONFIG.CLIPS;
+    expect(recorder.segments.length).toBeLessThanOrEqual(Math.ceil(PRE_MS / SEGMENT_MS) + 1);
+
+    recorder.requestClip(1, 'MULTIPLE_FACES', 60000);
+    advance(1000);
+    recorder.stop();
+    expect(clips).toHaveLength(1);
+    expect(clips[0].endedAt).toBe(61000);
+    expect(clips[0].startedAt).toBe(55000);
+});
+
+test('the oldest clips are evicted beyond the memory cap', () => {
+    // Four segments per clip, so the cap of about ten segments holds two clips
+    const { recorder, clips, evicted, advance, now } = createRecorder({ MAX_MEMORY_MB: 1 });
+    recorder.start();
+    for (const [eventId, at] of [[0, 10000], [1, 30000], [2, 50000]]) {
+        advance(at - now());
+        recorder.requestClip(eventId, 'PROHIBITED_OBJECT', at);
+    }
+    advance(5000);
+
+    expect(clips.map(clip => clip.eventId)).toEqual([0, 1, 2]);
+    expect(evicted.map(clip => clip.eventId)).toEqual([0]);
+    expect(recorder.clips.map(clip => clip.eventId)).toEqual([1, 2]);
+    expect(recorder.memoryBytes()).toBeLessThanOrEqual(1024 * 1024);
+    recorder.stop();
+});
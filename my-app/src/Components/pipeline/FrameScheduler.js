@@ -0,0 +1,199 @@
+// Adaptive scheduling of the per-frame detection stages.
+// Each stage (face count, landmarks, recognition, objects, ...) declares a target rate and a
+// priority. On every animation frame the due stages run in priority order until the frame
+// has used SCHEDULER.FRAME_BUDGET_MS; the rest are dropped and run on a later frame, and a
+// stage is never dropped twice in a row so low priorities cannot starve outright.
+// Every SCHEDULER.ADAPT_INTERVAL_MS the rates follow the measured load: frames over budget
+// slow the lowest-priority stage (down to MIN_RATE_RATIO of its target), frames well within
+// it let the highest-priority slowed stage speed up again.
+// Latency, achieved rate and dropped runs per stage are reported for the session log.
+
+// Factor a stage's rate changes by per adaptation step
+const RATE_STEP = 1.5;
+// Frames using less than this share of the budget (p95) leave room to speed stages up
+const HEADROOM_RATIO = 0.5;
+// Stages achieving less than this share of their target rate are reported as starved
+const STARVED_RATIO = 0.5;
+
+const round = (value, digits = 1) => Number(value.toFixed(digits));
+
+/**
+ * Nearest-rank percentile of `values`, null when there are none
+ */
+export function percentile(values, p) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.max(0, Math.ceil(p / 100 * sorted.length) - 1)];
+}
+
+const emptyStats = () => ({ due: 0, runs: 0, dropped: 0, errors: 0, latencies: [] });
+
+export default class FrameScheduler {
+    constructor(config, { now = () => performance.now() } = {}) {
+        this.config = config;
+        // Clock for latencies; stage timing follows the frame times passed to runFrame
+        this.now = now;
+        this.stages = [];
+        this.reset(0);
+    }
+
+    /**
+     * Add a stage: run(time) does the work, enabled(time) may hold it back (e.g. until a
+     * reference face is enrolled); lower priorities run first
+     */
+    register(name, { rateHz, priority, run, enabled = () => true }) {
+        this.stages.push({ name, rateHz, priority, run, enabled, rateScale: 1, lastRun: -Infinity, droppedLast: false, stats: emptyStats(), adaptRuns: 0 });
+        this.stages.sort((a, b) => a.priority - b.priority);
+    }
+
+    reset(time) {
+        this.stages.forEach(stage => {
+            stage.rateScale = 1;
+            stage.lastRun = -Infinity;
+            stage.droppedLast = false;
+            stage.stats = emptyStats();
+            stage.adaptRuns = 0;
+        });
+        this.windowStart = time;
+        this.totalFrames = 0;
+        this.frames = 0;
+        this.droppedFrames = 0;
+        this.frameTimes = [];
+        this.lastAdapt = time;
+        this.adaptFrameTimes = [];
+        this.adaptDropped = 0;
+    }
+
+    rate(stage) {
+        return stage.rateHz * stage.rateScale;
+    }
+
+    /**
+     * Run the stages due at frame time `time`; resolves once the frame's work is done
+     */
+    async runFrame(time) {
+        const due = this.stages.filter(stage => stage.enabled(time) && time - stage.lastRun >= 1000 / this.rate(stage));
+        if (due.length === 0) return;
+
+        const started = this.now();
+        let dropped = 0;
+        for (const stage of due) {
+            stage.stats.due++;
+            if (stage !== due[0] && !stage.droppedLast && this.now() - started >= this.config.FRAME_BUDGET_MS) {
+                stage.stats.dropped++;
+                stage.droppedLast = true;
+                dropped++;
+                continue;
+            }
+
+            stage.lastRun = time;
+            stage.droppedLast = false;
+            const stageStarted = this.now();
+            try {
+                await stage.run(time);
+            } catch (error) {
+                console.error(`Error in ${stage.name} stage:`, error);
+                stage.stats.errors++;
+            }
+            stage.stats.latencies.push(this.now() - stageStarted);
+            stage.stats.runs++;
+            stage.adaptRuns++;
+        }
+
+        const frameTime = this.now() - started;
+        this.totalFrames++;
+        this.frames++;
+        this.frameTimes.push(frameTime);
+        this.adaptFrameTimes.push(frameTime);
+        if (dropped > 0) {
+            this.droppedFrames++;
+            this.adaptDropped += dropped;
+        }
+
+        if (time - this.lastAdapt >= this.config.ADAPT_INTERVAL_MS) {
+            this.adapt(time);
+        }
+    }
+
+    /**
+     * Slow down or speed up one stage according to the load since the last adaptation
+     */
+    adapt(time) {
+        const p95 = percentile(this.adaptFrameTimes, 95) ?? 0;
+        const active = this.stages.filter(stage => stage.adaptRuns > 0);
+
+        if (this.adaptDropped > 0 || p95 > this.config.FRAME_BUDGET_MS) {
+            const stage = [...active].reverse().find(candidate => candidate.rateScale > this.config.MIN_RATE_RATIO);
+            if (stage) {
+                stage.rateScale = Math.max(this.config.MIN_RATE_RATIO, stage.rateScale / RATE_STEP);
+                console.log(`Frame pipeline overloaded (p95 ${round(p95)} ms), ${stage.name} slowed to ${round(this.rate(stage), 2)} Hz`);
+            }
+        } else if (p95 < this.config.FRAME_BUDGET_MS * HEADROOM_RATIO) {
+            const stage = active.find(candidate => candidate.rateScale < 1);
+            if (stage) {
+                stage.rateScale = Math.min(1, stage.rateScale * RATE_STEP);
+                console.log(`Frame pipeline has headroom (p95 ${round(p95)} ms), ${stage.name} back to ${round(this.rate(stage), 2)} Hz`);
+            }
+        }
+
+        this.lastAdapt = time;
+        this.adaptFrameTimes = [];
+        this.adaptDropped = 0;
+        this.stages.forEach(stage => {
+            stage.adaptRuns = 0;
+        });
+    }
+
+    /**
+     * Telemetry since the previous report, which starts a new window:
+     * frame time and per-stage latency percentiles, achieved rates and dropped runs.
+     * Active stages that ran at under half their target rate are listed as starved, which
+     * includes a frame loop that stalled altogether.
+     */
+    report(time) {
+        const windowMs = time - this.windowStart;
+        const seconds = windowMs / 1000;
+        const stages = {};
+        const starved = [];
+
+        for (const stage of this.stages) {
+            const { due, runs, dropped, errors, latencies } = stage.stats;
+            const achieved = seconds > 0 ? runs / seconds : 0;
+            const p50 = percentile(latencies, 50);
+            const p95 = percentile(latencies, 95);
+            stages[stage.name] = {
+                target_hz: round(stage.rateHz, 2),
+                rate_hz: round(this.rate(stage), 2),
+                achieved_hz: round(achieved, 2),
+                runs,
+                dropped,
+                errors,
+                latency_p50_ms: p50 === null ? null : round(p50),
+                latency_p95_ms: p95 === null ? null : round(p95)
+            };
+            // A window shorter than one interval says nothing about the achieved rate
+            if ((due > 0 || stage.enabled(time)) && windowMs >= 1000 / stage.rateHz && achieved < stage.rateHz * STARVED_RATIO) {
+                starved.push(stage.name);
+            }
+            stage.stats = emptyStats();
+        }
+
+        const frameP50 = percentile(this.frameTimes, 50);
+        const frameP95 = percentile(this.frameTimes, 95);
+        const report = {
+            window_ms: windowMs,
+            frames: this.frames,
+            dropped_frames: this.droppedFrames,
+            frame_p50_ms: frameP50 === null ? null : round(frameP50),
+            frame_p95_ms: frameP95 === null ? null : round(frameP95),
+            stages,
+            starved
+        };
+
+        this.windowStart = time;
+        this.frames = 0;
+        this.droppedFrames = 0;
+        this.frameTimes = [];
+        return report;
+    }
+}
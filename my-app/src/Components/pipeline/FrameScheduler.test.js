@@ -0,0 +1,125 @@
+/** @jest-environment node */
+import FrameScheduler, { percentile } from './FrameScheduler';
+import ProctoringSystem from '../ProctoringSystem';
+import { VirtualClock } from '../Clock';
+import { ScriptedDetector } from '../detectors';
+import { DEFAULT_CONFIG } from '../policy/PolicySchema';
+
+const CONFIG = DEFAULT_CONFIG.SCHEDULER;
+
+// Stage work advances a fake latency clock instead of taking real time
+const createScheduler = () => {
+    const latency = { now: 0 };
+    const scheduler = new FrameScheduler(CONFIG, { now: () => latency.now });
+    const order = [];
+    const stage = (name, rateHz, priority, cost) => {
+        const spec = { cost };
+        scheduler.register(name, {
+            rateHz,
+            priority,
+            run: () => {
+                order.push(name);
+                latency.now += typeof spec.cost === 'function' ? spec.cost() : spec.cost;
+            }
+        });
+        return spec;
+    };
+    const runFrames = async (from, to, step) => {
+        for (let time = from; time <= to; time += step) {
+            await scheduler.runFrame(time);
+        }
+    };
+    return { scheduler, stage, order, runFrames };
+};
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+test('stages run at their own rates in priority order and report latency percentiles', async () => {
+    const { scheduler, stage, order, runFrames } = createScheduler();
+    let run = 0;
+    stage('recognition', 1, 2, 4);
+    stage('face_count', 10, 0, () => (run++ % 10) + 1);
+
+    await runFrames(0, 9980, 20);
+    const report = scheduler.report(10000);
+
+    expect(order.slice(0, 3)).toEqual(['face_count', 'recognition', 'face_count']);
+    expect(report.stages.face_count).toMatchObject({ target_hz: 10, rate_hz: 10, achieved_hz: 10, runs: 100, dropped: 0, latency_p50_ms: 5, latency_p95_ms: 10 });
+    expect(report.stages.recognition).toMatchObject({ achieved_hz: 1, runs: 10, latency_p50_ms: 4 });
+    expect(report).toMatchObject({ window_ms: 10000, frames: 100, dropped_frames: 0, starved: [] });
+    expect(percentile([], 50)).toBeNull();
+});
+
+test('under load due stages are dropped, never twice in a row, and rates adapt', async () => {
+    const { scheduler, stage, runFrames } = createScheduler();
+    const faceCount = stage('face_count', 10, 0, 40);
+    stage('landmarks', 10, 1, 5);
+    const objects = stage('objects', 0.5, 2, 100);
+
+    // Face count alone overruns the frame budget, so the other stages run every other frame
+    await runFrames(0, 5000, 100);
+    let report = scheduler.report(5000);
+    expect(report.stages.face_count).toMatchObject({ runs: 51, dropped: 0 });
+    expect(report.stages.landmarks).toMatchObject({ runs: 25, dropped: 26 });
+    expect(report.stages.objects).toMatchObject({ runs: 3, dropped: 3 });
+    expect(report.dropped_frames).toBe(27);
+    // The lowest-priority stage slowed down first
+    expect(report.stages.objects.rate_hz).toBe(0.33);
+    expect(report.stages.landmarks.rate_hz).toBe(10);
+
+    // Once frames fit the budget again it recovers
+    faceCount.cost = 2;
+    objects.cost = 5;
+    await runFrames(5100, 10000, 100);
+    report = scheduler.report(10000);
+    expect(report.dropped_frames).toBe(0);
+    expect(report.stages.objects.rate_hz).toBe(0.5);
+    expect(report.frame_p95_ms).toBeLessThan(CONFIG.FRAME_BUDGET_MS);
+});
+
+test('a starved pipeline is written to the session log', async () => {
+    const START = Date.UTC(2025, 0, 6, 9, 0, 0);
+    const clock = new VirtualClock(START);
+    const scripted = new ScriptedDetector({});
+    const system = new ProctoringSystem({}, {}, () => {}, () => {}, {
+        clock,
+        headless: true,
+        detectors: { faceCount: scripted, landmarks: scripted, identity: scripted }
+    });
+    await system.detectorsReady;
+    system.beginSession();
+
+    // A machine managing two frames a second
+    for (let elapsed = 0; elapsed <= CONFIG.TELEMETRY_INTERVAL_MS; elapsed += 500) {
+        await system.analyzeFrame();
+        clock.advance(500);
+    }
+
+    let telemetry = system.sessionLogs.filter(entry => entry.type === 'pipeline_telemetry');
+    expect(telemetry).toHaveLength(1);
+    expect(telemetry[0]).toMatchObject({ window_ms: CONFIG.TELEMETRY_INTERVAL_MS, frames: 61, starved: ['face_count', 'landmarks'] });
+    expect(telemetry[0].stages.face_count.achieved_hz).toBeCloseTo(2, 1);
+    expect(console.warn).toHaveBeenCalledWith('Detection running below its target rate: face_count, landmarks');
+    // Telemetry stays out of the dashboard events, which replays must reproduce
+    expect(system.sessionEvents.filter(event => event.type === 'warning')).toEqual([]);
+
+    // At 50 frames a second the stages keep up with their target rate
+    for (let elapsed = 0; elapsed < CONFIG.TELEMETRY_INTERVAL_MS; elapsed += 20) {
+        clock.advance(20);
+        await system.analyzeFrame();
+    }
+    system.endSession();
+
+    telemetry = system.sessionLogs.filter(entry => entry.type === 'pipeline_telemetry');
+    expect(telemetry).toHaveLength(3);
+    expect(telemetry[1].starved).toEqual([]);
+    expect(telemetry[1].stages.face_count.achieved_hz).toBeGreaterThan(CONFIG.FACE_COUNT_HZ / 2);
+    expect(telemetry[1].stages.recognition).toMatchObject({ runs: 0 });
+});
@@ -0,0 +1,164 @@
+import { POLICY_SCHEMA, POLICY_RELATIONS, DEFAULT_CONFIG, isSchemaLeaf } from "./PolicySchema.js";
+import sha256 from "./Sha256.js";
+
+// Named exam policy profiles, loaded from JSON files under /policies.
+// A profile file looks like { "name": "strict", "description": "...", "config": { ...overrides } }.
+
+export const DEFAULT_PROFILE_NAME = 'standard';
+
+const POLICY_BASE_PATH = `${process.env.PUBLIC_URL || ''}/policies`;
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+export class PolicyValidationError extends Error {
+    constructor(profileName, errors) {
+        super(`Invalid policy profile "${profileName}": ${errors.join('; ')}`);
+        this.name = 'PolicyValidationError';
+        this.profileName = profileName;
+        this.errors = errors;
+    }
+}
+
+// Built-in policy used when no profile is given (tests, replays of old recordings)
+export const DEFAULT_POLICY = Object.freeze({
+    name: 'default',
+    description: 'Built-in default thresholds',
+    hash: null,
+    config: DEFAULT_CONFIG
+});
+
+function validateLeaf(path, rule, value, errors) {
+    if (rule.type === 'number' || rule.type === 'integer') {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            errors.push(`${path} must be a number`);
+            return;
+        }
+        if (rule.type === 'integer' && !Number.isInteger(value)) {
+            errors.push(`${path} must be an integer`);
+            return;
+        }
+        if (value < rule.min || value > rule.max) {
+            errors.push(`${path} must be between ${rule.min} and ${rule.max} (got ${value})`);
+        }
+        if (rule.multipleOf && value % rule.multipleOf !== 0) {
+            errors.push(`${path} must be a multiple of ${rule.multipleOf} (got ${value})`);
+        }
+    } else if (rule.type === 'boolean') {
+        if (typeof value !== 'boolean') {
+            errors.push(`${path} must be true or false`);
+        }
+    }
+}
+
+/**
+ * Validate (partial) policy settings against the schema
+ * Returns a list of human-readable errors; unknown keys and out-of-range values are both reported
+ */
+export function validatePolicyConfig(config, schema = POLICY_SCHEMA, path = '') {
+    const errors = [];
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return [`${path || 'config'} must be an object`];
+    }
+
+    for (const [key, value] of Object.entries(config)) {
+        const keyPath = path ? `${path}.${key}` : key;
+        const node = schema[key];
+
+        if (!node) {
+            errors.push(`${keyPath} is not a known setting`);
+        } else if (isSchemaLeaf(node)) {
+            validateLeaf(keyPath, node, value, errors);
+        } else {
+            errors.push(...validatePolicyConfig(value, node, keyPath));
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Check the constraints between settings (POLICY_RELATIONS) on fully resolved settings
+ * Returns a list of human-readable errors like validatePolicyConfig
+ */
+export function validatePolicyRelations(config, relations = POLICY_RELATIONS) {
+    return relations.filter(relation => !relation.holds(config)).map(relation => relation.message(config));
+}
+
+export function mergePolicyConfig(base, overrides) {
+    const result = { ...base };
+    for (const [key, value] of Object.entries(overrides)) {
+        const isSection = value && typeof value === 'object' && !Array.isArray(value);
+        result[key] = isSection ? mergePolicyConfig(base[key] || {}, value) : value;
+    }
+    return result;
+}
+
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * SHA-256 of the profile name and resolved settings, independent of key order
+ * Pages served over plain http have no crypto.subtle and use the bundled implementation
+ */
+export async function hashPolicy(name, config) {
+    const bytes = new TextEncoder().encode(canonicalJson({ name, config }));
+    const digest = typeof crypto !== 'undefined' && crypto.subtle ? await crypto.subtle.digest('SHA-256', bytes) : sha256(bytes);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Validate a profile document and deep-merge it over the defaults
+ */
+export async function resolvePolicyProfile(profile) {
+    const name = profile?.name;
+    if (typeof name !== 'string' || !PROFILE_NAME_PATTERN.test(name)) {
+        throw new PolicyValidationError(String(name), ['name must be lowercase letters, digits, "-" or "_"']);
+    }
+
+    const unknownFields = Object.keys(profile).filter(key => !['name', 'description', 'config'].includes(key));
+    const errors = [
+        ...unknownFields.map(key => `${key} is not a known profile field`),
+        ...validatePolicyConfig(profile.config ?? {})
+    ];
+    if (errors.length > 0) {
+        throw new PolicyValidationError(name, errors);
+    }
+
+    const config = mergePolicyConfig(DEFAULT_CONFIG, profile.config ?? {});
+    const relationErrors = validatePolicyRelations(config);
+    if (relationErrors.length > 0) {
+        throw new PolicyValidationError(name, relationErrors);
+    }
+
+    return Object.freeze({
+        name,
+        description: profile.description || '',
+        hash: await hashPolicy(name, config),
+        config
+    });
+}
+
+export async function loadPolicyProfile(name = DEFAULT_PROFILE_NAME) {
+    if (!PROFILE_NAME_PATTERN.test(name)) {
+        throw new Error(`Invalid policy profile name: ${name}`);
+    }
+
+    const response = await fetch(`${POLICY_BASE_PATH}/${name}.json`, { cache: 'no-store' });
+    const contentType = response.headers.get('content-type') || '';
+    if (!response.ok || contentType.includes('text/html')) {
+        throw new Error(`Policy profile not found: ${name}`);
+    }
+
+    const profile = await response.json();
+    if (profile.name !== name) {
+        throw new PolicyValidationError(name, [`file declares name "${profile.name}"`]);
+    }
+    return resolvePolicyProfile(profile);
+}
@@ -0,0 +1,98 @@
+/**
+ * @jest-environment node
+ */
+import { DEFAULT_CONFIG } from './PolicySchema';
+import { resolvePolicyProfile, validatePolicyConfig, validatePolicyRelations, mergePolicyConfig, hashPolicy, PolicyValidationError } from './PolicyProfiles';
+import sha256 from './Sha256';
+
+test('deep-merges overrides over the defaults', async () => {
+    const policy = await resolvePolicyProfile({
+        name: 'strict',
+        config: { FACE_RECOGNITION: { THRESHOLD: 0.4 } }
+    });
+
+    expect(policy.config.FACE_RECOGNITION.THRESHOLD).toBe(0.4);
+    expect(policy.config.FACE_RECOGNITION.INTERVAL_MS).toBe(DEFAULT_CONFIG.FACE_RECOGNITION.INTERVAL_MS);
+    expect(policy.config.GAZE).toEqual(DEFAULT_CONFIG.GAZE);
+    expect(policy.hash).toMatch(/^[0-9a-f]{64}$/);
+});
+
+test('reports unknown keys and out-of-range values together', () => {
+    const errors = validatePolicyConfig({
+        FACE_RECOGNITION: { THRESHOLD: 5, TRESHOLD: 0.4 },
+        MEDIAPIPE: { MAX_NUM_FACES: 2.5 },
+        SCREEN_SHARE: {}
+    });
+
+    expect(errors).toEqual([
+        'FACE_RECOGNITION.THRESHOLD must be between 0 and 2 (got 5)',
+        'FACE_RECOGNITION.TRESHOLD is not a known setting',
+        'MEDIAPIPE.MAX_NUM_FACES must be an integer',
+        'SCREEN_SHARE is not a known setting'
+    ]);
+});
+
+test('rejects invalid profiles with a PolicyValidationError', async () => {
+    await expect(resolvePolicyProfile({ name: 'quiz', config: { GAZE: { SCREEN_HALF_WIDTH_DEG: -1 } } }))
+        .rejects.toThrow(PolicyValidationError);
+    await expect(resolvePolicyProfile({ name: '../etc', config: {} })).rejects.toThrow('name must be');
+});
+
+test('settings that contradict each other are rejected', async () => {
+    const resolve = overrides => validatePolicyRelations(mergePolicyConfig(DEFAULT_CONFIG, overrides));
+
+    expect(validatePolicyRelations(DEFAULT_CONFIG)).toEqual([]);
+    expect(resolve({
+        EYES: { OPEN_RATIO: 0.5, PROLONGED_CLOSURE_MS: 400 },
+        CALIBRATION: { MIN_TARGET_SAMPLES: 20 },
+        DRIFT: { MAX_OFFSET_DEG: 8 },
+        SCORING: { WEIGHTS: { HIGH: 50 } }
+    })).toEqual([
+        'EYES.OPEN_RATIO must be at least EYES.CLOSED_RATIO (got 0.5 < 0.65)',
+        'EYES.PROLONGED_CLOSURE_MS must be above EYES.BLINK_MAX_MS (got 400 <= 400)',
+        'CALIBRATION.MIN_TARGET_SAMPLES must not exceed CALIBRATION.TARGET_SAMPLES (got 20 > 15)',
+        'DRIFT.MIN_OFFSET_DEG must be below DRIFT.MAX_OFFSET_DEG (got 8 >= 8)',
+        'SCORING.WEIGHTS must not decrease from LOW to CRITICAL'
+    ]);
+
+    // Object confirmation has to fit in the clip pre-roll, but only when both are in use
+    const slowObjects = { OBJECTS: { ENABLED: true, SAMPLE_INTERVAL_MS: 5000, MIN_CONSECUTIVE: 3 } };
+    expect(resolve(slowObjects)).toEqual([
+        'OBJECTS.MIN_CONSECUTIVE samples every OBJECTS.SAMPLE_INTERVAL_MS must fit within CLIPS.PRE_MS (got 10000 ms > 5000 ms)'
+    ]);
+    expect(resolve({ ...slowObjects, CLIPS: { PRE_MS: 10000 } })).toEqual([]);
+    expect(resolve({ ...slowObjects, CLIPS: { ENABLED: false } })).toEqual([]);
+
+    await expect(resolvePolicyProfile({ name: 'drowsy', config: { EYES: { CLOSED_RATIO: 0.9 } } }))
+        .rejects.toThrow('Invalid policy profile "drowsy": EYES.OPEN_RATIO must be at least EYES.CLOSED_RATIO (got 0.8 < 0.9)');
+});
+
+test('hash depends on settings, not on key order', async () => {
+    const a = await resolvePolicyProfile({ name: 'exam', config: { GAZE: { SCREEN_HALF_WIDTH_DEG: 20, OFFSCREEN_MARGIN_DEG: 3 } } });
+    const b = await resolvePolicyProfile({ name: 'exam', config: { GAZE: { OFFSCREEN_MARGIN_DEG: 3, SCREEN_HALF_WIDTH_DEG: 20 } } });
+    const c = await resolvePolicyProfile({ name: 'exam', config: { GAZE: { SCREEN_HALF_WIDTH_DEG: 21, OFFSCREEN_MARGIN_DEG: 3 } } });
+
+    expect(a.hash).toBe(b.hash);
+    expect(a.hash).not.toBe(c.hash);
+});
+
+test('pages without crypto.subtle get the same hash from the bundled SHA-256', async () => {
+    const hex = bytes => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    const encode = text => new TextEncoder().encode(text);
+    expect(hex(sha256(encode('')))).toBe('e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+    expect(hex(sha256(encode('abc')))).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    expect(hex(sha256(encode('abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq'))))
+        .toBe('248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1');
+
+    const secure = await resolvePolicyProfile({ name: 'strict', config: { GAZE: { OFFSCREEN_MARGIN_DEG: 2 } } });
+    const { crypto } = global;
+    // Plain http on a LAN address: crypto exists, subtle does not
+    Object.defineProperty(global, 'crypto', { value: { getRandomValues: crypto.getRandomValues }, configurable: true });
+    try {
+        const insecure = await resolvePolicyProfile({ name: 'strict', config: { GAZE: { OFFSCREEN_MARGIN_DEG: 2 } } });
+        expect(insecure.hash).toBe(secure.hash);
+        expect(await hashPolicy('strict', DEFAULT_CONFIG)).toMatch(/^[0-9a-f]{64}$/);
+    } finally {
+        Object.defineProperty(global, 'crypto', { value: crypto, configurable: true });
+    }
+});
@@ -0,0 +1,201 @@
+// Schema for exam policy settings.
+// Each leaf declares its default and allowed range; the default configuration is derived
+// from it, so a new setting only needs to be added here.
+
+const number = (defaultValue, min, max) => ({ type: 'number', default: defaultValue, min, max });
+const integer = (defaultValue, min, max, multipleOf) => ({ type: 'integer', default: defaultValue, min, max, multipleOf });
+const boolean = (defaultValue) => ({ type: 'boolean', default: defaultValue });
+
+export const POLICY_SCHEMA = {
+    FACE_RECOGNITION: {
+        THRESHOLD: number(0.50, 0, 2),
+        MIN_CONFIDENCE: number(0.5, 0, 1),
+        TINY_INPUT_SIZE: integer(320, 128, 608, 32), // TinyFaceDetector input size, must be divisible by 32
+        INTERVAL_MS: integer(10000, 1000, 600000), // Run face recognition every 10 seconds
+        INITIAL_DELAY_MS: integer(1000, 0, 600000) // Initial delay before first recognition
+    },
+    CALIBRATION: {
+        MAX_FRAMES: integer(45, 1, 1000),
+        EMA_ALPHA: number(0.1, 0.001, 1),
+        REQUIRE_TARGETS: boolean(true), // Monitoring starts only after an acceptable multi-point calibration
+        TARGET_SETTLE_MS: integer(1000, 0, 10000), // Time for the eyes to reach a new target before sampling
+        TARGET_SAMPLES: integer(15, 1, 300),
+        MIN_TARGET_SAMPLES: integer(8, 1, 300), // Frames with a usable face needed per target
+        MAX_ERROR: number(0.3, 0.01, 4) // Mean validation error in screen half-extents
+    },
+    STABILIZATION: {
+        THRESHOLD: integer(3, 1, 100),
+        EMA_ALPHA: number(0.25, 0.001, 1)
+    },
+    ATTENTION: {
+        MIN_DISTRACTION_DURATION: integer(2000, 0, 60000),
+        HISTORY_SIZE: integer(8, 1, 100),
+        YAW_THRESHOLD_DEG: number(25, 1, 90), // Smoothed head turn away from the calibrated pose
+        PITCH_THRESHOLD_DEG: number(20, 1, 90) // Smoothed head tilt up or down from the calibrated pose
+    },
+    DRIFT: {
+        ENABLED: boolean(true), // Recalibrate automatically when the posture shifts for good
+        WINDOW_MS: integer(30000, 1000, 600000), // Head pose must hold its offset this long
+        STABLE_STD_DEG: number(3, 0.1, 30), // Max standard deviation of yaw and pitch over the window
+        MIN_OFFSET_DEG: number(8, 0, 90), // Mean offset from the baseline that counts as a posture change
+        MAX_OFFSET_DEG: number(35, 0, 90),
+        MIN_ON_SCREEN_SHARE: number(0.9, 0, 1), // Share of the window the gaze must stay on the screen
+        MIN_INTERVAL_MS: integer(300000, 0, 7200000), // Between automatic recalibrations
+        MAX_PER_SESSION: integer(3, 0, 100)
+    },
+    GAZE: {
+        MIN_EYE_WIDTH: number(0.01, 0, 0.5),
+        EYE_RADIUS_RATIO: number(0.4, 0.1, 1), // Eyeball radius relative to the eye corner distance, turns iris offsets into angles
+        SCREEN_HALF_WIDTH_DEG: number(25, 1, 80), // Half the screen width as seen from the candidate's seat
+        SCREEN_HALF_HEIGHT_DEG: number(15, 1, 80),
+        OFFSCREEN_MARGIN_DEG: number(5, 0, 45) // Tolerance beyond the screen edges
+    },
+    MOUTH: {
+        WINDOW_MS: integer(1500, 200, 10000), // Lip reversals are counted over this window
+        MIN_MOVEMENT: number(0.04, 0, 1), // Aperture change (mouth aspect ratio) that counts as a reversal
+        MIN_REVERSALS: integer(4, 2, 50), // Reversals within the window that look like talking
+        MIN_SPEAKING_MS: integer(1500, 0, 60000),
+        YAWN_APERTURE: number(0.45, 0, 2), // Smoothed aperture above the resting value for a yawn
+        MIN_YAWN_MS: integer(800, 0, 10000),
+        MIN_AUDIO_OVERLAP: number(0.5, 0, 1) // Share of a speaking interval with voice audio to flag reading aloud
+    },
+    EYES: {
+        CLOSED_RATIO: number(0.65, 0, 1), // Eyes count as closed below this share of the calibrated open-eye EAR
+        OPEN_RATIO: number(0.8, 0, 1.5), // and as open again above this share
+        BLINK_MAX_MS: integer(400, 50, 2000),
+        PROLONGED_CLOSURE_MS: integer(2000, 200, 60000),
+        PERCLOS_WINDOW_MS: integer(60000, 5000, 600000), // Window for the share of time with eyes closed
+        DROWSY_PERCLOS: number(0.15, 0, 1),
+        DROWSY_RECOVERY_RATIO: number(0.5, 0, 1), // Drowsiness ends when PERCLOS falls below this share of DROWSY_PERCLOS
+        METRICS_INTERVAL_MS: integer(60000, 1000, 600000) // Blink rate and PERCLOS are logged this often
+    },
+    OBJECTS: {
+        ENABLED: boolean(false), // Loads the TF.js object detector; runs on the CPU
+        SAMPLE_INTERVAL_MS: integer(2000, 250, 60000),
+        MIN_CONFIDENCE: number(0.6, 0, 1),
+        MAX_DETECTIONS: integer(10, 1, 100),
+        MIN_CONSECUTIVE: integer(2, 1, 20) // Samples in a row before an object is reported or cleared
+    },
+    FRAME_CAPTURE: {
+        SAVE_INTERVAL: integer(4000, 0, 600000),
+        CANVAS_WIDTH: integer(640, 64, 4096),
+        CANVAS_HEIGHT: integer(480, 64, 4096)
+    },
+    CLIPS: {
+        ENABLED: boolean(true),
+        PRE_MS: integer(5000, 0, 60000), // Video kept before each violation
+        POST_MS: integer(5000, 0, 60000), // Video recorded after it
+        SEGMENT_MS: integer(2500, 500, 30000), // Length of each independently playable part
+        VIDEO_BITS_PER_SECOND: integer(250000, 50000, 5000000),
+        MAX_MEMORY_MB: number(50, 1, 1000) // Oldest clips are evicted beyond this
+    },
+    RECORDING: {
+        ENABLED: boolean(false), // Record the whole session, for exams that must keep the full video
+        CHUNK_MS: integer(5000, 1000, 60000), // Chunks are stored as they arrive, so a crash loses at most one
+        VIDEO_BITS_PER_SECOND: integer(500000, 50000, 8000000)
+    },
+    SCHEDULER: {
+        FRAME_BUDGET_MS: integer(33, 5, 1000), // Detection time per animation frame; further due stages wait for a later frame
+        FACE_COUNT_HZ: number(15, 0.1, 60),
+        LANDMARKS_HZ: number(15, 0.1, 60),
+        ADAPT_INTERVAL_MS: integer(5000, 500, 60000), // Stage rates follow the measured load this often
+        MIN_RATE_RATIO: number(0.25, 0.01, 1), // Stages never slow below this share of their target rate
+        TELEMETRY_INTERVAL_MS: integer(30000, 1000, 600000) // Latency and achieved rates are written to the session log this often
+    },
+    MEDIAPIPE: {
+        MIN_DETECTION_CONFIDENCE: number(0.7, 0, 1),
+        MIN_TRACKING_CONFIDENCE: number(0.7, 0, 1),
+        MAX_NUM_FACES: integer(3, 1, 10)
+    },
+    ENVIRONMENT: {
+        MIN_AWAY_MS: integer(1000, 0, 600000), // Shorter focus losses are logged but not counted
+        SPLIT_SCREEN_WIDTH_RATIO: number(0.75, 0, 1), // Window narrower than this share of the screen
+        SPLIT_SCREEN_HEIGHT_RATIO: number(0.6, 0, 1),
+        REQUIRE_FULLSCREEN: boolean(false) // Count time out of fullscreen after it was entered
+    },
+    INPUT: {
+        BLOCK_CLIPBOARD: boolean(false), // Copy, cut and paste
+        BLOCK_CONTEXT_MENU: boolean(false),
+        BLOCK_SHORTCUTS: boolean(false) // Devtools and app/tab-switch shortcuts the browser lets pages cancel
+    },
+    AUDIO: {
+        ENABLED: boolean(true),
+        FRAME_MS: integer(50, 10, 500), // Analysis interval
+        CALIBRATION_MS: integer(3000, 500, 30000), // Ambient noise measured at session start
+        MIN_NOISE_FLOOR_DB: number(-70, -100, 0), // Keeps a silent microphone from making every sound "voice"
+        VOICE_MARGIN_DB: number(12, 0, 60), // Voice must be this far above the noise floor
+        MIN_SPEECH_BAND_RATIO: number(0.5, 0, 1), // Share of energy in 300-3400 Hz
+        MIN_VOICE_MS: integer(300, 0, 10000), // Voice must persist this long to open a segment
+        HANGOVER_MS: integer(400, 0, 5000), // Pauses between words up to this long keep a segment open
+        SUSTAINED_VOICE_MS: integer(3000, 0, 600000), // Segments this long are violations
+        MIN_PITCHED_FRAMES: integer(10, 2, 1000),
+        SPEAKER_PITCH_SEPARATION: number(5, 1, 24), // Semitones between pitch clusters of different speakers
+        MIN_SPEAKER_SHARE: number(0.2, 0, 0.5) // Share of pitched frames the second speaker needs
+    },
+    SCORING: {
+        HALF_LIFE_MS: integer(600000, 1000, 86400000), // A finished violation's cost halves this often
+        DURATION_UNIT_MS: integer(30000, 1000, 3600000), // Each unit a violation lasts costs its weight again
+        WEIGHTS: { // Points per violation at onset, by the severity of its code
+            LOW: number(5, 0, 100),
+            MEDIUM: number(10, 0, 100),
+            HIGH: number(25, 0, 100),
+            CRITICAL: number(40, 0, 100)
+        }
+    }
+};
+
+// Constraints between settings that the per-setting ranges cannot express.
+// They are checked on the resolved settings, so a profile that changes one side is held to
+// the default of the other.
+export const POLICY_RELATIONS = [
+    {
+        // Otherwise an eye aspect ratio between the two flips the eyes closed and open every frame
+        holds: ({ EYES }) => EYES.OPEN_RATIO >= EYES.CLOSED_RATIO,
+        message: ({ EYES }) => `EYES.OPEN_RATIO must be at least EYES.CLOSED_RATIO (got ${EYES.OPEN_RATIO} < ${EYES.CLOSED_RATIO})`
+    },
+    {
+        // Closures up to BLINK_MAX_MS are blinks, so a prolonged closure has to last longer
+        holds: ({ EYES }) => EYES.PROLONGED_CLOSURE_MS > EYES.BLINK_MAX_MS,
+        message: ({ EYES }) => `EYES.PROLONGED_CLOSURE_MS must be above EYES.BLINK_MAX_MS (got ${EYES.PROLONGED_CLOSURE_MS} <= ${EYES.BLINK_MAX_MS})`
+    },
+    {
+        holds: ({ CALIBRATION }) => CALIBRATION.MIN_TARGET_SAMPLES <= CALIBRATION.TARGET_SAMPLES,
+        message: ({ CALIBRATION }) => `CALIBRATION.MIN_TARGET_SAMPLES must not exceed CALIBRATION.TARGET_SAMPLES (got ${CALIBRATION.MIN_TARGET_SAMPLES} > ${CALIBRATION.TARGET_SAMPLES})`
+    },
+    {
+        holds: ({ DRIFT }) => DRIFT.MIN_OFFSET_DEG < DRIFT.MAX_OFFSET_DEG,
+        message: ({ DRIFT }) => `DRIFT.MIN_OFFSET_DEG must be below DRIFT.MAX_OFFSET_DEG (got ${DRIFT.MIN_OFFSET_DEG} >= ${DRIFT.MAX_OFFSET_DEG})`
+    },
+    {
+        // An object is reported MIN_CONSECUTIVE samples after it was first seen; the violation
+        // clip has to reach back that far to show it
+        holds: ({ OBJECTS, CLIPS }) => !OBJECTS.ENABLED || !CLIPS.ENABLED ||
+            (OBJECTS.MIN_CONSECUTIVE - 1) * OBJECTS.SAMPLE_INTERVAL_MS <= CLIPS.PRE_MS,
+        message: ({ OBJECTS, CLIPS }) => `OBJECTS.MIN_CONSECUTIVE samples every OBJECTS.SAMPLE_INTERVAL_MS must fit within CLIPS.PRE_MS (got ${(OBJECTS.MIN_CONSECUTIVE - 1) * OBJECTS.SAMPLE_INTERVAL_MS} ms > ${CLIPS.PRE_MS} ms)`
+    },
+    {
+        holds: ({ SCORING: { WEIGHTS } }) => WEIGHTS.LOW <= WEIGHTS.MEDIUM && WEIGHTS.MEDIUM <= WEIGHTS.HIGH && WEIGHTS.HIGH <= WEIGHTS.CRITICAL,
+        message: () => 'SCORING.WEIGHTS must not decrease from LOW to CRITICAL'
+    }
+];
+
+export function isSchemaLeaf(node) {
+    return typeof node.type === 'string' && 'default' in node;
+}
+
+function defaultsOf(schema) {
+    const result = {};
+    for (const [key, node] of Object.entries(schema)) {
+        result[key] = isSchemaLeaf(node) ? node.default : defaultsOf(node);
+    }
+    return result;
+}
+
+function deepFreeze(object) {
+    Object.values(object).forEach(value => {
+        if (value && typeof value === 'object') deepFreeze(value);
+    });
+    return Object.freeze(object);
+}
+
+export const DEFAULT_CONFIG = deepFreeze(defaultsOf(POLICY_SCHEMA));
@@ -0,0 +1,178 @@
+import { FACE_MESH_LANDMARK_COUNT, TRACKED_LANDMARK_INDICES } from "../FaceLandmarks.js";
+
+export const RECORDING_FORMAT = 'proctoring-landmark-recording';
+export const RECORDING_VERSION = 1;
+
+// Frame kinds, one per ProctoringSystem result handler
+export const FRAME_KINDS = {
+    DETECTION: 'd',
+    MESH: 'm',
+    RECOGNITION: 'r',
+    ENVIRONMENT: 'e',
+    INPUT: 'i',
+    AUDIO: 'a',
+    AUDIO_UNAVAILABLE: 'u',
+    OBJECTS: 'o',
+    RECALIBRATE: 'c'
+};
+
+const FLOATS_PER_POINT = 3;
+
+function encodeFace(landmarks, indices) {
+    const values = new Float32Array(indices.length * FLOATS_PER_POINT);
+    indices.forEach((index, i) => {
+        const point = landmarks[index];
+        // Missing points (e.g. no iris refinement) are stored as NaN
+        values[i * FLOATS_PER_POINT] = point ? point.x : NaN;
+        values[i * FLOATS_PER_POINT + 1] = point ? point.y : NaN;
+        values[i * FLOATS_PER_POINT + 2] = point ? point.z : NaN;
+    });
+
+    const bytes = new Uint8Array(values.buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+}
+
+export function decodeFace(encoded, indices) {
+    const binary = atob(encoded);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    const values = new Float32Array(bytes.buffer);
+
+    // Sparse array with the FaceMesh topology, untracked indices stay empty
+    const landmarks = new Array(FACE_MESH_LANDMARK_COUNT);
+    indices.forEach((index, i) => {
+        const x = values[i * FLOATS_PER_POINT];
+        if (Number.isNaN(x)) return;
+        landmarks[index] = {
+            x,
+            y: values[i * FLOATS_PER_POINT + 1],
+            z: values[i * FLOATS_PER_POINT + 2]
+        };
+    });
+    return landmarks;
+}
+
+/**
+ * Records every detector result frame of a session for deterministic replay
+ * Landmarks are reduced to the tracked indices at float32 precision; recordMesh returns
+ * that reduced form so the live analysis sees exactly what a replay will see.
+ */
+export default class LandmarkRecorder {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.sessionId = null;
+        this.startedAt = null;
+        this.endedAt = null;
+        this.configuration = null;
+        this.candidateId = null;
+        this.enrollment = null;
+        this.frameAspect = null;
+        this.calibration = null;
+        this.resumed = null;
+        this.frames = [];
+        this.sessionLogs = [];
+    }
+
+    get isRecording() {
+        return this.startedAt !== null && this.endedAt === null;
+    }
+
+    start(sessionStartTime, configuration, { candidateId = null, enrollment = null, frameAspect = null, calibration = null, resumed = null } = {}) {
+        this.reset();
+        this.sessionId = sessionStartTime;
+        this.startedAt = sessionStartTime;
+        this.configuration = configuration;
+        // Enrollment summary only; descriptors never enter a recording
+        this.candidateId = candidateId;
+        this.enrollment = enrollment;
+        // Head pose depends on the frame aspect ratio, so replays must reuse it
+        this.frameAspect = frameAspect;
+        // The multi-point calibration sets the gaze mapping and head pose baseline
+        this.calibration = calibration;
+        // A resumed session records from the resume on: { resumed_at, session, logs, events, scores }
+        // is the stored state it continued from
+        this.resumed = resumed;
+    }
+
+    stop(endTime, sessionLogs) {
+        this.endedAt = endTime;
+        this.sessionLogs = sessionLogs.map(entry => ({ ...entry }));
+    }
+
+    recordDetection(time, results) {
+        if (!this.isRecording) return;
+        this.frames.push([time - this.startedAt, FRAME_KINDS.DETECTION, results.detections.length]);
+    }
+
+    recordMesh(time, results) {
+        if (!this.isRecording) return results;
+        const encoded = results.multiFaceLandmarks.map(face => encodeFace(face, TRACKED_LANDMARK_INDICES));
+        this.frames.push([time - this.startedAt, FRAME_KINDS.MESH, encoded]);
+        return {
+            multiFaceLandmarks: encoded.map(face => decodeFace(face, TRACKED_LANDMARK_INDICES))
+        };
+    }
+
+    recordRecognition(time, bestDistance) {
+        if (!this.isRecording) return;
+        this.frames.push([time - this.startedAt, FRAME_KINDS.RECOGNITION, bestDistance]);
+    }
+
+    recordEnvironment(time, snapshot) {
+        if (!this.isRecording) return;
+        this.frames.push([time - this.startedAt, FRAME_KINDS.ENVIRONMENT, { ...snapshot }]);
+    }
+
+    recordInput(time, activity) {
+        if (!this.isRecording) return;
+        this.frames.push([time - this.startedAt, FRAME_KINDS.INPUT, { ...activity }]);
+    }
+
+    recordAudio(time, features) {
+        if (!this.isRecording) return;
+        this.frames.push([time - this.startedAt, FRAME_KINDS.AUDIO, { ...features }]);
+    }
+
+    recordAudioUnavailable(time, reason) {
+        if (!this.isRecording) return;
+        this.frames.push([time - this.startedAt, FRAME_KINDS.AUDIO_UNAVAILABLE, reason]);
+    }
+
+    recordObjects(time, objects) {
+        if (!this.isRecording) return;
+        this.frames.push([time - this.startedAt, FRAME_KINDS.OBJECTS, objects.map(object => ({ ...object, bbox: [...object.bbox] }))]);
+    }
+
+    recordRecalibration(time) {
+        if (!this.isRecording) return;
+        this.frames.push([time - this.startedAt, FRAME_KINDS.RECALIBRATE, null]);
+    }
+
+    toJSON() {
+        return {
+            format: RECORDING_FORMAT,
+            version: RECORDING_VERSION,
+            session_id: this.sessionId,
+            started_at: this.startedAt,
+            ended_at: this.endedAt,
+            landmark_indices: TRACKED_LANDMARK_INDICES,
+            configuration: this.configuration,
+            candidate_id: this.candidateId,
+            enrollment: this.enrollment,
+            frame_aspect: this.frameAspect,
+            calibration: this.calibration,
+            resumed: this.resumed,
+            frames: this.frames,
+            session_logs: this.sessionLogs
+        };
+    }
+}
@@ -0,0 +1,133 @@
+import ProctoringSystem from "../ProctoringSystem.js";
+import { VirtualClock } from "../Clock.js";
+import { ScriptedDetector } from "../detectors/index.js";
+import { RECORDING_FORMAT, RECORDING_VERSION, FRAME_KINDS, decodeFace } from "./LandmarkRecorder.js";
+
+// Log entries produced by media side effects or by the live frame scheduler rather than
+// by the analysis handlers
+const NON_DETERMINISTIC_LOG_TYPES = new Set(['frame_saved', 'clip_saved', 'clip_evicted', 'pipeline_telemetry']);
+
+function comparableLogs(logs) {
+    return logs.filter(entry => !NON_DETERMINISTIC_LOG_TYPES.has(entry.type));
+}
+
+/**
+ * Replays a landmark recording through the ProctoringSystem result handlers
+ * Runs headless on a virtual clock, so it works in Node as well as in the browser.
+ */
+export default class SessionReplayer {
+    static validate(recording) {
+        if (!recording || recording.format !== RECORDING_FORMAT) {
+            throw new Error('Not a landmark recording');
+        }
+        if (recording.version !== RECORDING_VERSION) {
+            throw new Error(`Unsupported recording version: ${recording.version}`);
+        }
+        if (!Array.isArray(recording.frames) || recording.ended_at === null) {
+            throw new Error('Recording is incomplete');
+        }
+    }
+
+    static async replayFile(file, options = {}) {
+        return this.replay(JSON.parse(await file.text()), options);
+    }
+
+    /**
+     * Policy the recording was captured under, so a plain replay reproduces the original run
+     */
+    static recordedPolicy(recording) {
+        const { profile, description, hash, settings } = recording.configuration;
+        return { name: profile, description, hash, config: settings };
+    }
+
+    /**
+     * Feed every recorded frame to a fresh headless ProctoringSystem
+     * Pass options.policy to replay under different thresholds.
+     * Returns the new event log and whether it matches the recorded one
+     */
+    static replay(recording, options = {}) {
+        this.validate(recording);
+
+        // A resumed session continues from its stored state at the time it was resumed
+        const resumed = recording.resumed ?? null;
+        const clock = new VirtualClock(resumed ? resumed.resumed_at : recording.started_at);
+        const scripted = new ScriptedDetector();
+        const events = [];
+        const system = new ProctoringSystem(
+            { replay: true },
+            { replay: true },
+            (event) => events.push(event),
+            () => {},
+            {
+                ...options.systemOptions,
+                policy: options.policy || this.recordedPolicy(recording),
+                candidateId: recording.candidate_id ?? null,
+                enrollment: recording.enrollment ?? null,
+                frameAspect: recording.frame_aspect ?? null,
+                calibration: recording.calibration ?? null,
+                // Violation frames and video chunks are media, not part of the replayed state
+                resume: resumed && { ...resumed, frames: [], chunks: [] },
+                clock,
+                headless: true,
+                detectors: { faceCount: scripted, landmarks: scripted, identity: scripted, objects: scripted }
+            }
+        );
+
+        system.beginSession();
+
+        for (const [offset, kind, payload] of recording.frames) {
+            clock.set(recording.started_at + offset);
+
+            if (kind === FRAME_KINDS.DETECTION) {
+                system.onFaceDetectionResults({ detections: Array.from({ length: payload }, () => ({})) });
+            } else if (kind === FRAME_KINDS.MESH) {
+                system.onFaceMeshResults({
+                    multiFaceLandmarks: payload.map(face => decodeFace(face, recording.landmark_indices))
+                });
+            } else if (kind === FRAME_KINDS.RECOGNITION) {
+                system.onFaceRecognitionResult(payload);
+            } else if (kind === FRAME_KINDS.ENVIRONMENT) {
+                system.onEnvironmentState(payload);
+            } else if (kind === FRAME_KINDS.INPUT) {
+                system.onInputActivity(payload);
+            } else if (kind === FRAME_KINDS.AUDIO) {
+                system.onAudioFeatures(payload);
+            } else if (kind === FRAME_KINDS.AUDIO_UNAVAILABLE) {
+                system.onAudioUnavailable(payload);
+            } else if (kind === FRAME_KINDS.OBJECTS) {
+                system.onObjectDetectionResults({ objects: payload });
+            } else if (kind === FRAME_KINDS.RECALIBRATE) {
+                system.recalibrate();
+            } else {
+                throw new Error(`Unknown frame kind: ${kind}`);
+            }
+        }
+
+        clock.set(recording.ended_at);
+        system.endSession();
+
+        const differences = this.compare(recording.session_logs, system.sessionLogs);
+        return {
+            logs: system.sessionLogs,
+            events,
+            matches: differences.length === 0,
+            differences
+        };
+    }
+
+    /**
+     * List log entries that differ between two runs, ignoring media side effects
+     */
+    static compare(expectedLogs, actualLogs) {
+        const expected = comparableLogs(expectedLogs);
+        const actual = comparableLogs(actualLogs);
+        const differences = [];
+
+        for (let i = 0; i < Math.max(expected.length, actual.length); i++) {
+            if (JSON.stringify(expected[i]) !== JSON.stringify(actual[i])) {
+                differences.push({ index: i, expected: expected[i], actual: actual[i] });
+            }
+        }
+        return differences;
+    }
+}
@@ -0,0 +1,236 @@
+/**
+ * @jest-environment node
+ */
+import ProctoringSystem from '../ProctoringSystem';
+import { VirtualClock } from '../Clock';
+import { ScriptedDetector } from '../detectors';
+import LandmarkRecorder from './LandmarkRecorder';
+import SessionReplayer from './SessionReplayer';
+import { HEAD_MODEL } from '../FaceLandmarks';
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+const START = Date.UTC(2025, 0, 6, 9, 0, 0);
+const FRAME_MS = 33;
+
+// Head model plus eye contours and irises, turned by yaw degrees and projected into a 4:3 frame
+const FACE_MODEL = {
+    ...HEAD_MODEL,
+    133: [-95, -170, 135],
+    362: [95, -170, 135],
+    160: [-182, -200, 135],
+    158: [-138, -200, 135],
+    144: [-182, -140, 135],
+    153: [-138, -140, 135],
+    387: [182, -200, 135],
+    385: [138, -200, 135],
+    373: [182, -140, 135],
+    380: [138, -140, 135],
+    468: [-160, -170, 125],
+    473: [160, -170, 125]
+};
+
+const face = (yaw = 0) => {
+    const angle = -yaw * Math.PI / 180;
+    const landmarks = new Array(478);
+    for (const [index, [x, y, z]] of Object.entries(FACE_MODEL)) {
+        landmarks[index] = {
+            x: 0.5 + 0.0004 * (x * Math.cos(angle) + z * Math.sin(angle)),
+            y: 0.5 + 0.0004 * y * (4 / 3),
+            z: 0.0004 * (-x * Math.sin(angle) + z * Math.cos(angle))
+        };
+    }
+    return landmarks;
+};
+
+// Record a live-style session: calibration, a long look away, a second person, recognition passes
+const recordSession = () => {
+    const clock = new VirtualClock(START);
+    const recorder = new LandmarkRecorder();
+    const scripted = new ScriptedDetector();
+    const system = new ProctoringSystem({}, {}, () => {}, () => {}, {
+        clock,
+        recorder,
+        candidateId: 'cand-042',
+        enrollment: { enrolled_at: '2026-01-05T09:00:00.000Z', descriptor_count: 3, model_version: 'test' },
+        headless: true,
+        detectors: { faceCount: scripted, landmarks: scripted, identity: scripted }
+    });
+
+    system.beginSession();
+    for (let frame = 0; frame < 400; frame++) {
+        clock.advance(FRAME_MS + (frame % 3));
+        const lookingAway = frame >= 100 && frame < 250;
+        const faceCount = frame >= 300 && frame < 330 ? 2 : 1;
+
+        system.onFaceDetectionResults({ detections: Array.from({ length: faceCount }, () => ({})) });
+        system.onFaceMeshResults({ multiFaceLandmarks: [face(lookingAway ? 40 : 0.5 * Math.sin(frame))] });
+        if (frame === 150 || frame === 200) {
+            system.onEnvironmentState({ visible: frame === 200, focused: frame === 200, fullscreen: false, widthRatio: 1, heightRatio: 1 });
+        }
+        const speaking = frame >= 300 && frame < 360 && frame % 8 < 6;
+        system.onAudioFeatures({ levelDb: speaking ? -30 : -55, speechBandRatio: speaking ? 0.9 : 0.4, zeroCrossingRate: 0.1, pitchHz: speaking ? 120 : null });
+        if (frame === 120) {
+            system.onInputActivity({ action: 'paste', shortcut: null, contentLength: 42, blocked: false });
+        }
+        if (frame % 60 === 0) {
+            system.onFaceRecognitionResult(frame < 200 ? 0.32 + frame / 10000 : null);
+        }
+    }
+    clock.advance(500);
+    system.endSession();
+
+    return recorder.toJSON();
+};
+
+test('replaying a recording reproduces the original event log', () => {
+    const recording = JSON.parse(JSON.stringify(recordSession()));
+    const result = SessionReplayer.replay(recording);
+
+    expect(result.differences).toEqual([]);
+    expect(result.matches).toBe(true);
+    expect(result.logs).toEqual(recording.session_logs);
+    expect(result.logs).toContainEqual(expect.objectContaining({ type: 'session_start', candidate_id: 'cand-042' }));
+    const distracted = result.logs.find(entry => entry.type === 'attention_change' && entry.state === 'distracted');
+    expect(distracted.trigger).toBe('head_movement');
+    expect(distracted.head_pose.yaw).toBeCloseTo(40, 0);
+    expect(result.logs).toContainEqual(expect.objectContaining({ type: 'face_count_change', current_count: 2 }));
+    expect(result.logs).toContainEqual(expect.objectContaining({ type: 'environment_change', condition: 'away', state: 'end' }));
+    expect(result.logs).toContainEqual(expect.objectContaining({ type: 'input_activity', action: 'paste', content_length: 42 }));
+    expect(result.logs).toContainEqual(expect.objectContaining({ type: 'audio_activity', multiple_speakers: false }));
+});
+
+test('sessions run through the frame scheduler replay without their telemetry', async () => {
+    const clock = new VirtualClock(START);
+    const recorder = new LandmarkRecorder();
+    let frame = 0;
+    const scripted = new ScriptedDetector({
+        faceCounts: [() => (frame >= 600 && frame < 650 ? 2 : 1)],
+        landmarks: [() => [face(frame >= 200 && frame < 400 ? 40 : 0.5 * Math.sin(frame))]]
+    });
+    const system = new ProctoringSystem({}, {}, () => {}, () => {}, {
+        clock,
+        recorder,
+        headless: true,
+        detectors: { faceCount: scripted, landmarks: scripted, identity: scripted }
+    });
+
+    // Every frame goes through the scheduler as in a live session, long enough for periodic telemetry
+    system.beginSession();
+    for (; frame < 1100; frame++) {
+        clock.advance(FRAME_MS);
+        await system.analyzeFrame();
+    }
+    system.endSession();
+
+    const recording = JSON.parse(JSON.stringify(recorder.toJSON()));
+    expect(recording.session_logs.filter(entry => entry.type === 'pipeline_telemetry')).toHaveLength(2);
+
+    const result = SessionReplayer.replay(recording);
+    expect(result.differences).toEqual([]);
+    expect(result.matches).toBe(true);
+    expect(result.logs).toContainEqual(expect.objectContaining({ type: 'face_count_change', current_count: 2 }));
+    expect(result.logs).toContainEqual(expect.objectContaining({ type: 'attention_change', state: 'distracted' }));
+});
+
+test('posture drift and manual recalibrations are logged and replayed', () => {
+    const clock = new VirtualClock(START);
+    const recorder = new LandmarkRecorder();
+    const scripted = new ScriptedDetector();
+    const system = new ProctoringSystem({}, {}, () => {}, () => {}, {
+        clock,
+        recorder,
+        headless: true,
+        detectors: { faceCount: scripted, landmarks: scripted, identity: scripted }
+    });
+
+    // Calibrated facing the screen, then settled 18 degrees turned for the rest of the session
+    system.beginSession();
+    const requests = [];
+    for (let frame = 0; frame < 1500; frame++) {
+        clock.advance(FRAME_MS);
+        system.onFaceMeshResults({ multiFaceLandmarks: [face((frame >= 100 ? 18 : 0) + 0.5 * Math.sin(frame))] });
+        if (frame === 1300) {
+            // The second request arrives while the first is still measuring
+            requests.push(system.recalibrate(), system.recalibrate());
+        }
+    }
+    system.endSession();
+    expect(requests).toEqual([true, false]);
+
+    const recording = JSON.parse(JSON.stringify(recorder.toJSON()));
+    const result = SessionReplayer.replay(recording);
+    expect(result.differences).toEqual([]);
+
+    expect(result.logs).toContainEqual(expect.objectContaining({ type: 'posture_drift', action: 'recalibrate' }));
+    const changes = result.logs.filter(entry => entry.type === 'baseline_change');
+    expect(changes.map(entry => entry.reason)).toEqual(['posture_drift', 'manual']);
+    expect(Math.abs(changes[0].before.yaw)).toBeLessThan(1);
+    expect(changes[0].after.yaw).toBeCloseTo(18, 0);
+    expect(changes[1].before.yaw).toEqual(changes[0].after.yaw);
+});
+
+test('violation clips saved or evicted after the fact do not break the replay', () => {
+    const clock = new VirtualClock(START);
+    const recorder = new LandmarkRecorder();
+    const scripted = new ScriptedDetector();
+    const system = new ProctoringSystem({}, {}, () => {}, () => {}, {
+        clock,
+        recorder,
+        headless: true,
+        detectors: { faceCount: scripted, landmarks: scripted, identity: scripted }
+    });
+
+    system.beginSession();
+    for (let frame = 0; frame < 300; frame++) {
+        clock.advance(FRAME_MS);
+        const faceCount = frame >= 100 && frame < 150 ? 2 : 1;
+        system.onFaceDetectionResults({ detections: Array.from({ length: faceCount }, () => ({})) });
+        system.onFaceMeshResults({ multiFaceLandmarks: [face(0.5 * Math.sin(frame))] });
+
+        // The clip recorder reports once the post-roll is recorded, and evicts under memory pressure
+        const violation = system.sessionEvents.find(event => event.type === 'violation');
+        if (frame === 250) {
+            const clip = { eventId: violation.event_id, code: violation.code, startedAt: clock.now() - 10000, endedAt: clock.now(), parts: [{}, {}], bytes: 4096 };
+            system.onViolationClip(clip);
+            system.onViolationClipEvicted(clip);
+        }
+    }
+    system.endSession();
+
+    const recording = JSON.parse(JSON.stringify(recorder.toJSON()));
+    expect(recording.session_logs).toContainEqual(expect.objectContaining({ type: 'clip_saved', code: 'MULTIPLE_FACES' }));
+    expect(recording.session_logs).toContainEqual(expect.objectContaining({ type: 'clip_evicted', bytes: 4096 }));
+
+    const result = SessionReplayer.replay(recording);
+    expect(result.differences).toEqual([]);
+    expect(result.matches).toBe(true);
+});
+
+test('reports where a replay diverges from the recording', () => {
+    const recording = recordSession();
+    const tampered = recording.session_logs.filter(entry => entry.type !== 'calibration_complete');
+
+    const differences = SessionReplayer.compare(tampered, SessionReplayer.replay(recording).logs);
+    expect(differences.length).toBeGreaterThan(0);
+});
+
+test('replays under a different policy to check threshold changes', () => {
+    const recording = recordSession();
+    const policy = SessionReplayer.recordedPolicy(recording);
+    const relaxed = {
+        ...policy,
+        name: 'relaxed',
+        config: { ...policy.config, ATTENTION: { ...policy.config.ATTENTION, MIN_DISTRACTION_DURATION: 60000 } }
+    };
+
+    const result = SessionReplayer.replay(recording, { policy: relaxed });
+    expect(result.matches).toBe(false);
+    expect(result.logs).not.toContainEqual(expect.objectContaining({ type: 'attention_change', state: 'distracted' }));
+});
+
+test('rejects files that are not landmark recordings', () => {
+    expect(() => SessionReplayer.replay({ format: 'other' })).toThrow('Not a landmark recording');
+});
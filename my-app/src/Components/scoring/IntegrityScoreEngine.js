@@ -0,0 +1,147 @@
+// Session integrity score for triaging sessions by risk.
+// Every violation costs the SCORING.WEIGHTS points of its code's severity at onset plus the
+// same again for each SCORING.DURATION_UNIT_MS it lasts. Once a violation is over its cost
+// halves every SCORING.HALF_LIFE_MS, so the live score recovers over a clean stretch. The
+// score is 100 minus the faded costs, floored at 0.
+
+import { getViolation } from "../violations/ViolationRegistry.js";
+
+const MINUTE_MS = 60000;
+
+const round = (value) => Number(value.toFixed(1));
+
+export default class IntegrityScoreEngine {
+    /**
+     * onChange receives every start, end and add as a plain change that apply() can replay,
+     * e.g. to keep a crash-safe copy of the score
+     */
+    constructor(config, { onChange = () => {} } = {}) {
+        this.config = config;
+        this.onChange = onChange;
+        this.reset(null);
+    }
+
+    reset(startTime) {
+        this.startTime = startTime;
+        // { code, startedAt, endedAt }; endedAt is null while the violation lasts
+        this.violations = [];
+        this.open = new Map();
+    }
+
+    weight(code) {
+        return this.config.WEIGHTS[getViolation(code).severity.toUpperCase()];
+    }
+
+    /**
+     * Record a violation that is already over (or has no duration)
+     */
+    add(code, startedAt, endedAt = startedAt) {
+        this.violations.push({ code, startedAt, endedAt: Math.max(startedAt, endedAt) });
+        this.onChange({ op: 'add', code, startedAt, endedAt });
+    }
+
+    /**
+     * Open a lasting violation under a key (the code by default); repeated starts are ignored
+     */
+    start(code, startedAt, key = code) {
+        if (this.open.has(key)) return;
+        const violation = { code, startedAt, endedAt: null };
+        this.open.set(key, violation);
+        this.violations.push(violation);
+        this.onChange({ op: 'start', code, startedAt, key });
+    }
+
+    end(key, endedAt) {
+        const violation = this.open.get(key);
+        if (!violation) return;
+        violation.endedAt = Math.max(violation.startedAt, endedAt);
+        this.open.delete(key);
+        this.onChange({ op: 'end', key, endedAt });
+    }
+
+    /**
+     * Replay a change reported through onChange
+     */
+    apply(change) {
+        if (change.op === 'add') {
+            this.add(change.code, change.startedAt, change.endedAt);
+        } else if (change.op === 'start') {
+            this.start(change.code, change.startedAt, change.key);
+        } else if (change.op === 'end') {
+            this.end(change.key, change.endedAt);
+        }
+    }
+
+    /**
+     * Close violations still open when the session ends
+     */
+    finish(now) {
+        for (const key of [...this.open.keys()]) this.end(key, now);
+    }
+
+    /**
+     * Points a violation has cost by time `at`, before fading
+     */
+    cost(violation, at) {
+        if (violation.startedAt > at) return 0;
+        const lastedUntil = violation.endedAt === null ? at : Math.min(violation.endedAt, at);
+        return this.weight(violation.code) * (1 + (lastedUntil - violation.startedAt) / this.config.DURATION_UNIT_MS);
+    }
+
+    scoreAt(at) {
+        let risk = 0;
+        for (const violation of this.violations) {
+            const cost = this.cost(violation, at);
+            if (cost === 0) continue;
+            const over = violation.endedAt === null ? at : Math.min(violation.endedAt, at);
+            risk += cost * Math.pow(0.5, (at - over) / this.config.HALF_LIFE_MS);
+        }
+        return Math.max(0, 100 - risk);
+    }
+
+    /**
+     * Score, its lowest value, per-code components, per-minute breakdown and the weights used
+     */
+    getSummary(now) {
+        const components = {};
+        for (const violation of this.violations) {
+            const component = components[violation.code] || (components[violation.code] = { count: 0, duration_ms: 0, points: 0 });
+            const lastedUntil = violation.endedAt ?? now;
+            component.count++;
+            component.duration_ms += lastedUntil - violation.startedAt;
+            component.points += this.cost(violation, now);
+        }
+        Object.values(components).forEach(component => { component.points = round(component.points); });
+
+        // The score falls while violations last and recovers afterwards, so its lowest
+        // point is at the end of some violation or now
+        const minScore = Math.min(
+            this.scoreAt(now),
+            ...this.violations.filter(violation => violation.endedAt !== null && violation.endedAt <= now).map(violation => this.scoreAt(violation.endedAt))
+        );
+
+        const perMinute = [];
+        const start = this.startTime ?? now;
+        for (let minuteStart = start; minuteStart < now; minuteStart += MINUTE_MS) {
+            const minuteEnd = Math.min(now, minuteStart + MINUTE_MS);
+            const points = this.violations.reduce((sum, violation) => sum + this.cost(violation, minuteEnd) - this.cost(violation, minuteStart), 0);
+            perMinute.push({
+                minute: perMinute.length,
+                violations: this.violations.filter(violation => violation.startedAt >= minuteStart && violation.startedAt < minuteEnd).length,
+                points: round(points),
+                score: round(this.scoreAt(minuteEnd))
+            });
+        }
+
+        return {
+            score: round(this.scoreAt(now)),
+            min_score: round(minScore),
+            total_points: round(this.violations.reduce((sum, violation) => sum + this.cost(violation, now), 0)),
+            components,
+            per_minute: perMinute,
+            weights: { ...this.config.WEIGHTS },
+            half_life_ms: this.config.HALF_LIFE_MS,
+            duration_unit_ms: this.config.DURATION_UNIT_MS
+        };
+    }
+}
@@ -0,0 +1,88 @@
+/** @jest-environment node */
+import IntegrityScoreEngine from './IntegrityScoreEngine';
+import { DEFAULT_CONFIG } from '../policy/PolicySchema';
+import { VIOLATION_CODES } from '../violations/ViolationRegistry';
+
+const START = 1000000;
+const MINUTE = 60000;
+
+const engine = () => {
+    const scoring = new IntegrityScoreEngine(DEFAULT_CONFIG.SCORING);
+    scoring.reset(START);
+    return scoring;
+};
+
+test('a clean session keeps a perfect score', () => {
+    const summary = engine().getSummary(START + 3 * MINUTE);
+
+    expect(summary.score).toBe(100);
+    expect(summary.min_score).toBe(100);
+    expect(summary.components).toEqual({});
+    expect(summary.per_minute.map(minute => minute.score)).toEqual([100, 100, 100]);
+    expect(summary.weights).toEqual(DEFAULT_CONFIG.SCORING.WEIGHTS);
+});
+
+test('violations cost their weight plus their duration and fade afterwards', () => {
+    const { WEIGHTS, DURATION_UNIT_MS, HALF_LIFE_MS } = DEFAULT_CONFIG.SCORING;
+    const scoring = engine();
+    // NO_FACE is a medium-severity violation
+
+    // No face for two duration units: three times the weight
+    scoring.start(VIOLATION_CODES.NO_FACE, START);
+    expect(scoring.scoreAt(START + DURATION_UNIT_MS)).toBeCloseTo(100 - 2 * WEIGHTS.MEDIUM);
+    scoring.end(VIOLATION_CODES.NO_FACE, START + 2 * DURATION_UNIT_MS);
+
+    const ended = START + 2 * DURATION_UNIT_MS;
+    expect(scoring.scoreAt(ended)).toBeCloseTo(100 - 3 * WEIGHTS.MEDIUM);
+    expect(scoring.scoreAt(ended + HALF_LIFE_MS)).toBeCloseTo(100 - 1.5 * WEIGHTS.MEDIUM);
+
+    const summary = scoring.getSummary(ended + HALF_LIFE_MS);
+    expect(summary.components.NO_FACE).toEqual({ count: 1, duration_ms: 2 * DURATION_UNIT_MS, points: 3 * WEIGHTS.MEDIUM });
+    expect(summary.min_score).toBeCloseTo(100 - 3 * WEIGHTS.MEDIUM);
+    expect(summary.score).toBeGreaterThan(summary.min_score);
+});
+
+test('per-minute breakdown places violations in their minute', () => {
+    const scoring = engine();
+    scoring.add(VIOLATION_CODES.CLIPBOARD_COPY, START + 2.5 * MINUTE);
+    scoring.start(VIOLATION_CODES.PROHIBITED_OBJECT, START + 3.2 * MINUTE, 'object:phone');
+    scoring.start(VIOLATION_CODES.PROHIBITED_OBJECT, START + 3.3 * MINUTE, 'object:book');
+    scoring.end('object:phone', START + 3.4 * MINUTE);
+    scoring.finish(START + 3.6 * MINUTE);
+
+    const summary = scoring.getSummary(START + 5 * MINUTE);
+    expect(summary.per_minute.map(minute => minute.violations)).toEqual([0, 0, 1, 2, 0]);
+    expect(summary.per_minute[1].points).toBe(0);
+    expect(summary.per_minute[2].points).toBe(DEFAULT_CONFIG.SCORING.WEIGHTS.MEDIUM);
+    expect(summary.per_minute[3].score).toBeLessThan(summary.per_minute[2].score);
+    expect(summary.components.PROHIBITED_OBJECT.count).toBe(2);
+    expect(summary.total_points).toBeCloseTo(summary.per_minute.reduce((sum, minute) => sum + minute.points, 0), 0);
+});
+
+test('the score floors at zero', () => {
+    const scoring = engine();
+    scoring.start(VIOLATION_CODES.WRONG_PERSON, START);
+    scoring.start(VIOLATION_CODES.MULTIPLE_FACES, START);
+
+    expect(scoring.scoreAt(START + 10 * MINUTE)).toBe(0);
+    expect(scoring.getSummary(START + 10 * MINUTE).min_score).toBe(0);
+});
+
+test('reported changes rebuild the same score in another engine', () => {
+    const changes = [];
+    const live = new IntegrityScoreEngine(DEFAULT_CONFIG.SCORING, { onChange: change => changes.push(change) });
+    live.reset(START);
+    live.start(VIOLATION_CODES.NO_FACE, START + MINUTE);
+    // Repeated starts and unknown ends change nothing
+    live.start(VIOLATION_CODES.NO_FACE, START + MINUTE + 500);
+    live.end('object:phone', START + MINUTE);
+    live.end(VIOLATION_CODES.NO_FACE, START + 2 * MINUTE);
+    live.add(VIOLATION_CODES.CLIPBOARD_PASTE, START + 3 * MINUTE);
+    live.start(VIOLATION_CODES.PROHIBITED_OBJECT, START + 4 * MINUTE, 'object:phone');
+    expect(changes).toHaveLength(4);
+
+    const restored = engine();
+    changes.forEach(change => restored.apply(change));
+    expect(restored.getSummary(START + 5 * MINUTE)).toEqual(live.getSummary(START + 5 * MINUTE));
+    expect([...restored.open.keys()]).toEqual(['object:phone']);
+});
@@ -0,0 +1,286 @@
+import IndexedDBStore from "./IndexedDBStore.js";
+import TemplateCipher from "./TemplateCipher.js";
+
+// Enrollment templates per candidate ID, stored encrypted in IndexedDB.
+// Descriptors and capture metadata are sealed with TemplateCipher; only the summary
+// (dates, counts, model version) is kept in the clear so candidates can be listed.
+
+export const FACE_MODEL_VERSION = 'face-api.js@0.22.2/face_recognition_model';
+
+const DEFAULT_TTL_DAYS = 30;
+
+/**
+ * Template lifetime in days from REACT_APP_TEMPLATE_TTL_DAYS; a missing or malformed value
+ * falls back to the default so templates always expire
+ */
+export function parseTemplateTtlDays(value) {
+    if (value === undefined || value === '') return DEFAULT_TTL_DAYS;
+    const days = Number(value);
+    if (!Number.isFinite(days) || days <= 0) {
+        console.warn(`Invalid REACT_APP_TEMPLATE_TTL_DAYS "${value}", templates expire after ${DEFAULT_TTL_DAYS} days`);
+        return DEFAULT_TTL_DAYS;
+    }
+    return days;
+}
+
+export const TEMPLATE_TTL_MS = parseTemplateTtlDays(process.env.REACT_APP_TEMPLATE_TTL_DAYS) * 24 * 60 * 60 * 1000;
+
+// Candidate ID given to the single-template enrollment written before per-candidate storage
+export const LEGACY_CANDIDATE_ID = 'legacy';
+
+const CANDIDATE_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+const LEGACY_KEY_PREFIX = 'enrollment:';
+const LEGACY_INDEX_KEY = 'enrollment:index';
+const LEGACY_DESCRIPTORS_KEY = 'enrolledDescriptors';
+const LEGACY_METADATA_KEY = 'enrollmentData';
+
+export class EnrollmentError extends Error {
+    constructor(message, candidateId) {
+        super(message);
+        this.name = 'EnrollmentError';
+        this.candidateId = candidateId;
+    }
+}
+
+export function normalizeCandidateId(candidateId) {
+    const normalized = String(candidateId ?? '').trim();
+    if (!CANDIDATE_ID_PATTERN.test(normalized)) {
+        throw new EnrollmentError('Candidate ID must be 1-64 letters, digits, ".", "_" or "-"', normalized);
+    }
+    return normalized;
+}
+
+function readJson(storage, key) {
+    try {
+        return JSON.parse(storage.getItem(key));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Candidate enrollment store
+ * Options: store/keyStore (IndexedDBStore or MemoryStore), legacyStorage to migrate from,
+ * ttlMs until templates expire and now() as time source
+ */
+export default class EnrollmentRepository {
+    constructor(options = {}) {
+        this.store = options.store || new IndexedDBStore('templates');
+        this.cipher = new TemplateCipher(options.keyStore || new IndexedDBStore('keys'));
+        this.legacyStorage = options.legacyStorage !== undefined
+            ? options.legacyStorage
+            : (typeof window !== 'undefined' ? window.localStorage : null);
+        this.ttlMs = options.ttlMs || TEMPLATE_TTL_MS;
+        this.now = options.now || (() => Date.now());
+        this.readyPromise = null;
+    }
+
+    /**
+     * Run the localStorage migration once before the first operation
+     */
+    ready() {
+        if (!this.readyPromise) {
+            this.readyPromise = this.migrateLegacyStorage().catch(error => {
+                this.readyPromise = null;
+                throw error;
+            });
+        }
+        return this.readyPromise;
+    }
+
+    /**
+     * Move plaintext templates from localStorage into encrypted storage, then delete them
+     */
+    async migrateLegacyStorage() {
+        const storage = this.legacyStorage;
+        if (!storage) return;
+
+        const legacy = [];
+        for (const candidateId of readJson(storage, LEGACY_INDEX_KEY) || []) {
+            const record = readJson(storage, LEGACY_KEY_PREFIX + candidateId);
+            if (record) {
+                legacy.push({ key: LEGACY_KEY_PREFIX + candidateId, record });
+            }
+        }
+        const descriptors = readJson(storage, LEGACY_DESCRIPTORS_KEY);
+        if (Array.isArray(descriptors) && descriptors.length > 0) {
+            legacy.push({
+                key: LEGACY_DESCRIPTORS_KEY,
+                record: {
+                    candidateId: LEGACY_CANDIDATE_ID,
+                    descriptors,
+                    metadata: readJson(storage, LEGACY_METADATA_KEY) || {},
+                    modelVersion: FACE_MODEL_VERSION
+                }
+            });
+        }
+
+        for (const { key, record } of legacy) {
+            const candidateId = normalizeCandidateId(record.candidateId);
+            if (!(await this.store.get(candidateId))) {
+                await this.write(candidateId, record.descriptors, record.metadata || {}, {
+                    modelVersion: record.modelVersion,
+                    enrolledAt: record.enrolledAt,
+                    enrollmentCount: record.enrollmentCount
+                });
+            }
+            storage.removeItem(key);
+            console.log(`Migrated enrollment of ${candidateId} from localStorage`);
+        }
+        storage.removeItem(LEGACY_INDEX_KEY);
+        storage.removeItem(LEGACY_METADATA_KEY);
+    }
+
+    isExpired(record) {
+        return record.expiresAt <= this.now();
+    }
+
+    /**
+     * Stored record of a candidate; expired records are wiped and reported as missing
+     */
+    async readRecord(candidateId) {
+        const record = await this.store.get(candidateId);
+        if (record && this.isExpired(record)) {
+            console.log(`Enrollment of ${candidateId} expired at ${new Date(record.expiresAt).toISOString()}`);
+            await this.wipe(candidateId);
+            return null;
+        }
+        return record;
+    }
+
+    /**
+     * Summaries of all enrolled candidates, without descriptors
+     */
+    async list() {
+        await this.ready();
+        const summaries = [];
+        for (const candidateId of (await this.store.keys()).sort()) {
+            const record = await this.readRecord(candidateId);
+            if (record) {
+                summaries.push({
+                    candidateId,
+                    enrolledAt: record.enrolledAt,
+                    updatedAt: record.updatedAt,
+                    expiresAt: record.expiresAt,
+                    enrollmentCount: record.enrollmentCount,
+                    descriptorCount: record.descriptorCount,
+                    modelVersion: record.modelVersion
+                });
+            }
+        }
+        return summaries;
+    }
+
+    /**
+     * Decrypted record with descriptors as Float32Arrays, or null when not enrolled
+     */
+    async get(candidateId) {
+        const id = normalizeCandidateId(candidateId);
+        await this.ready();
+        const record = await this.readRecord(id);
+        if (!record) return null;
+
+        const { descriptors, metadata } = await this.cipher.open(id, record.sealed);
+        return {
+            candidateId: id,
+            descriptors: descriptors.map(d => new Float32Array(d)),
+            metadata,
+            modelVersion: record.modelVersion,
+            modelMismatch: record.modelVersion !== FACE_MODEL_VERSION,
+            enrolledAt: record.enrolledAt,
+            updatedAt: record.updatedAt,
+            expiresAt: record.expiresAt,
+            enrollmentCount: record.enrollmentCount
+        };
+    }
+
+    async exists(candidateId) {
+        const id = normalizeCandidateId(candidateId);
+        await this.ready();
+        return (await this.readRecord(id)) !== null;
+    }
+
+    /**
+     * Enroll a new candidate; refuses to overwrite an existing enrollment
+     */
+    async save(candidateId, { descriptors, metadata = {} }) {
+        const id = normalizeCandidateId(candidateId);
+        await this.ready();
+        if (await this.readRecord(id)) {
+            throw new EnrollmentError(`Candidate ${id} is already enrolled`, id);
+        }
+        return this.write(id, descriptors, metadata, {});
+    }
+
+    /**
+     * Replace the template of an enrolled candidate, keeping the original enrollment date
+     */
+    async reEnroll(candidateId, { descriptors, metadata = {} }) {
+        const id = normalizeCandidateId(candidateId);
+        await this.ready();
+        const previous = await this.readRecord(id);
+        if (!previous) {
+            throw new EnrollmentError(`Candidate ${id} is not enrolled`, id);
+        }
+        return this.write(id, descriptors, metadata, {
+            enrolledAt: previous.enrolledAt,
+            enrollmentCount: previous.enrollmentCount + 1
+        });
+    }
+
+    /**
+     * Delete one candidate's template
+     */
+    async delete(candidateId) {
+        const id = normalizeCandidateId(candidateId);
+        await this.ready();
+        await this.wipe(id);
+    }
+
+    /**
+     * Delete the sealed template. IndexedDB does not overwrite in place, so the old bytes may
+     * stay in the browser's files until compaction; they remain sealed under the master key,
+     * and only wipeAll, which deletes that key, shreds them cryptographically.
+     */
+    async wipe(candidateId) {
+        if (!(await this.store.get(candidateId))) return;
+        await this.store.delete(candidateId);
+        console.log(`Deleted enrollment of ${candidateId}`);
+    }
+
+    /**
+     * Delete every template and destroy the master key, leaving any stale copies undecryptable
+     */
+    async wipeAll() {
+        await this.ready();
+        for (const candidateId of await this.store.keys()) {
+            await this.wipe(candidateId);
+        }
+        await this.cipher.destroyKey();
+    }
+
+    async write(candidateId, descriptors, metadata, { modelVersion = FACE_MODEL_VERSION, enrolledAt, enrollmentCount = 1 }) {
+        if (!Array.isArray(descriptors) || descriptors.length === 0) {
+            throw new EnrollmentError('At least one face descriptor is required', candidateId);
+        }
+
+        const now = this.now();
+        const updatedAt = new Date(now).toISOString();
+        const record = {
+            candidateId,
+            sealed: await this.cipher.seal(candidateId, {
+                descriptors: descriptors.map(d => Array.from(d)),
+                metadata
+            }),
+            descriptorCount: descriptors.length,
+            modelVersion,
+            enrolledAt: enrolledAt || updatedAt,
+            updatedAt,
+            expiresAt: now + this.ttlMs,
+            enrollmentCount
+        };
+        await this.store.set(candidateId, record);
+        console.log(`Stored ${descriptors.length} encrypted face descriptors for candidate ${candidateId}`);
+        return record;
+    }
+}
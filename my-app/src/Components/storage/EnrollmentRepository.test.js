@@ -0,0 +1,156 @@
+/** @jest-environment node */
+import EnrollmentRepository, { FACE_MODEL_VERSION, LEGACY_CANDIDATE_ID, normalizeCandidateId, parseTemplateTtlDays } from './EnrollmentRepository.js';
+import { MemoryStore } from './IndexedDBStore.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const memoryStorage = () => {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+};
+
+const createRepository = (options = {}) => new EnrollmentRepository({
+    store: new MemoryStore(),
+    keyStore: new MemoryStore(),
+    legacyStorage: memoryStorage(),
+    ...options
+});
+
+const descriptors = (seed) => [new Float32Array([seed, 0.5, 0.25]), new Float32Array([seed, 0.4, 0.2])];
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+test('keeps one template per candidate instead of overwriting', async () => {
+    const repository = createRepository();
+    await repository.save('alice', { descriptors: descriptors(0.1), metadata: { totalImages: 3 } });
+    await repository.save('bob', { descriptors: descriptors(0.9) });
+
+    const alice = await repository.get('alice');
+    expect(alice.descriptors[0]).toBeInstanceOf(Float32Array);
+    expect(alice.descriptors[0][0]).toBeCloseTo(0.1);
+    expect(alice.metadata).toEqual({ totalImages: 3 });
+    expect(alice.modelVersion).toBe(FACE_MODEL_VERSION);
+    expect(alice.modelMismatch).toBe(false);
+    expect((await repository.get('bob')).descriptors[0][0]).toBeCloseTo(0.9);
+    expect((await repository.list()).map(entry => entry.candidateId)).toEqual(['alice', 'bob']);
+});
+
+test('re-enrollment replaces the template and keeps the first enrollment date', async () => {
+    const repository = createRepository();
+    const first = await repository.save('alice', { descriptors: descriptors(0.1) });
+
+    await expect(repository.save('alice', { descriptors: descriptors(0.2) })).rejects.toThrow('already enrolled');
+    await expect(repository.reEnroll('carol', { descriptors: descriptors(0.2) })).rejects.toThrow('not enrolled');
+
+    await repository.reEnroll('alice', { descriptors: descriptors(0.3) });
+    const alice = await repository.get('alice');
+    expect(alice.descriptors[0][0]).toBeCloseTo(0.3);
+    expect(alice.enrolledAt).toBe(first.enrolledAt);
+    expect(alice.enrollmentCount).toBe(2);
+});
+
+test('delete removes the candidate from storage and the list', async () => {
+    const repository = createRepository();
+    await repository.save('alice', { descriptors: descriptors(0.1) });
+    await repository.save('bob', { descriptors: descriptors(0.9) });
+
+    await repository.delete('alice');
+    expect(await repository.get('alice')).toBeNull();
+    expect((await repository.list()).map(entry => entry.candidateId)).toEqual(['bob']);
+});
+
+test('stores templates encrypted and bound to their candidate', async () => {
+    const store = new MemoryStore();
+    const repository = createRepository({ store });
+    await repository.save('alice', { descriptors: descriptors(0.125), metadata: { liveness: { passed: true } } });
+
+    const stored = await store.get('alice');
+    const plaintext = JSON.stringify(stored, (key, value) => (value instanceof Uint8Array ? Array.from(value) : value));
+    expect(plaintext).not.toContain('0.125');
+    expect(plaintext).not.toContain('liveness');
+
+    // Moving a sealed template to another candidate ID fails authentication
+    await store.set('mallory', { ...stored, candidateId: 'mallory' });
+    await expect(repository.get('mallory')).rejects.toThrow();
+});
+
+test('expired templates are wiped and wipeAll destroys the master key', async () => {
+    let now = Date.parse('2026-03-01T08:00:00Z');
+    const store = new MemoryStore();
+    const keyStore = new MemoryStore();
+    const repository = createRepository({ store, keyStore, ttlMs: 7 * DAY, now: () => now });
+    await repository.save('alice', { descriptors: descriptors(0.1) });
+    await repository.save('bob', { descriptors: descriptors(0.9) });
+
+    now += 8 * DAY;
+    await repository.save('carol', { descriptors: descriptors(0.5) });
+    expect((await repository.list()).map(entry => entry.candidateId)).toEqual(['carol']);
+    expect(await store.keys()).toEqual(['carol']);
+
+    await repository.wipeAll();
+    expect(await store.keys()).toEqual([]);
+    expect(await keyStore.keys()).toEqual([]);
+});
+
+test('a wipe from another repository is seen before the next template is sealed', async () => {
+    const store = new MemoryStore();
+    const keyStore = new MemoryStore();
+    const enrollmentPage = createRepository({ store, keyStore });
+    const proctoringPage = createRepository({ store, keyStore });
+    await enrollmentPage.save('alice', { descriptors: descriptors(0.1) });
+    expect((await proctoringPage.get('alice')).descriptors).toHaveLength(2);
+
+    await proctoringPage.wipeAll();
+    await enrollmentPage.save('bob', { descriptors: descriptors(0.9) });
+
+    // Sealed under the new master key, so any repository can still open it
+    expect((await createRepository({ store, keyStore }).get('bob')).descriptors).toHaveLength(2);
+    expect(await keyStore.keys()).toHaveLength(1);
+});
+
+test('a malformed template lifetime falls back to the default', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(parseTemplateTtlDays(undefined)).toBe(30);
+    expect(parseTemplateTtlDays('7')).toBe(7);
+    expect(parseTemplateTtlDays('30d')).toBe(30);
+    expect(parseTemplateTtlDays('-1')).toBe(30);
+    expect(console.warn).toHaveBeenCalledTimes(2);
+});
+
+test('migrates plaintext localStorage templates and deletes them', async () => {
+    const legacyStorage = memoryStorage();
+    legacyStorage.setItem('enrolledDescriptors', JSON.stringify([[0.1, 0.2, 0.3]]));
+    legacyStorage.setItem('enrollmentData', JSON.stringify({ totalImages: 3 }));
+    legacyStorage.setItem('enrollment:index', JSON.stringify(['alice']));
+    legacyStorage.setItem('enrollment:alice', JSON.stringify({
+        candidateId: 'alice',
+        descriptors: [[0.4, 0.5, 0.6]],
+        metadata: {},
+        modelVersion: FACE_MODEL_VERSION,
+        enrolledAt: '2026-01-10T10:00:00.000Z',
+        enrollmentCount: 2
+    }));
+
+    const repository = createRepository({ legacyStorage });
+    expect((await repository.list()).map(entry => entry.candidateId)).toEqual(['alice', LEGACY_CANDIDATE_ID]);
+
+    const alice = await repository.get('alice');
+    expect(alice.descriptors[0][0]).toBeCloseTo(0.4);
+    expect(alice.enrolledAt).toBe('2026-01-10T10:00:00.000Z');
+    expect((await repository.get(LEGACY_CANDIDATE_ID)).metadata).toEqual({ totalImages: 3 });
+    for (const key of ['enrolledDescriptors', 'enrollmentData', 'enrollment:index', 'enrollment:alice']) {
+        expect(legacyStorage.getItem(key)).toBeNull();
+    }
+});
+
+test('rejects unusable candidate IDs', () => {
+    expect(normalizeCandidateId('  S-1024.b ')).toBe('S-1024.b');
+    expect(() => normalizeCandidateId('')).toThrow('Candidate ID');
+    expect(() => normalizeCandidateId('a/b')).toThrow('Candidate ID');
+});
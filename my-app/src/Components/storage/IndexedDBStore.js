@@ -0,0 +1,103 @@
+// Minimal promise wrapper around one IndexedDB object store.
+// All stores live in one database; add new object stores to DATABASE and bump its version.
+
+export const DATABASE = {
+    NAME: 'proctoring',
+    VERSION: 3,
+    STORES: ['templates', 'keys', 'sessions', 'session_records', 'recording_chunks']
+};
+
+const openConnections = new Map();
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export function openDatabase(database = DATABASE) {
+    if (!openConnections.has(database.NAME)) {
+        const request = indexedDB.open(database.NAME, database.VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            for (const storeName of database.STORES) {
+                if (!db.objectStoreNames.contains(storeName)) {
+                    db.createObjectStore(storeName);
+                }
+            }
+        };
+        const pending = promisify(request).catch(error => {
+            openConnections.delete(database.NAME);
+            throw error;
+        });
+        openConnections.set(database.NAME, pending);
+    }
+    return openConnections.get(database.NAME);
+}
+
+/**
+ * Key-value access to one object store
+ * MemoryStore offers the same interface for tests and headless use
+ */
+export default class IndexedDBStore {
+    constructor(storeName, database = DATABASE) {
+        if (!database.STORES.includes(storeName)) {
+            throw new Error(`Unknown object store: ${storeName}`);
+        }
+        this.storeName = storeName;
+        this.database = database;
+    }
+
+    async transaction(mode, callback) {
+        const db = await openDatabase(this.database);
+        const tx = db.transaction(this.storeName, mode);
+        const done = new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+        // Resolve only once the transaction has committed
+        const [result] = await Promise.all([promisify(callback(tx.objectStore(this.storeName))), done]);
+        return result;
+    }
+
+    async get(key) {
+        const value = await this.transaction('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    set(key, value) {
+        return this.transaction('readwrite', store => store.put(value, key));
+    }
+
+    delete(key) {
+        return this.transaction('readwrite', store => store.delete(key));
+    }
+
+    keys() {
+        return this.transaction('readonly', store => store.getAllKeys());
+    }
+}
+
+export class MemoryStore {
+    constructor() {
+        this.items = new Map();
+    }
+
+    async get(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    async set(key, value) {
+        this.items.set(key, value);
+    }
+
+    async delete(key) {
+        this.items.delete(key);
+    }
+
+    async keys() {
+        return [...this.items.keys()];
+    }
+}
@@ -0,0 +1,214 @@
+import IndexedDBStore from "./IndexedDBStore.js";
+
+// Crash-safe copy of the running session in IndexedDB.
+// Session log entries, dashboard events, violation frames, integrity score changes and the
+// index of the full-session recording are appended as they happen, so a crash, a refresh or a closed laptop lid loses
+// at most the writes still queued.
+// An unfinished session can be loaded back and resumed under the same session_id;
+// finished sessions are kept until their export has been downloaded. Sessions not seen for
+// STALE_SESSION_MS are deleted, so abandoned evidence does not stay in the browser.
+
+// How often the session record notes that the session is still alive
+export const HEARTBEAT_MS = 5000;
+
+// Sessions last seen longer ago than this are no longer offered for resuming and are deleted
+export const STALE_SESSION_MS = 24 * 60 * 60 * 1000;
+
+export const RECORD_KINDS = {
+    LOG: 'log',
+    EVENT: 'event',
+    FRAME: 'frame',
+    CHUNK: 'chunk',
+    SCORE: 'score'
+};
+
+// Snapshot list holding each kind of record
+const SNAPSHOT_LISTS = {
+    [RECORD_KINDS.LOG]: 'logs',
+    [RECORD_KINDS.EVENT]: 'events',
+    [RECORD_KINDS.FRAME]: 'frames',
+    [RECORD_KINDS.CHUNK]: 'chunks',
+    [RECORD_KINDS.SCORE]: 'scores'
+};
+
+const SEQUENCE_DIGITS = 9;
+
+const recordPrefix = (sessionId) => `${sessionId}:`;
+const recordKey = (sessionId, kind, sequence) => `${sessionId}:${kind}:${String(sequence).padStart(SEQUENCE_DIGITS, '0')}`;
+
+/**
+ * Session persistence
+ * Options: sessionStore/recordStore (IndexedDBStore or MemoryStore)
+ */
+export default class SessionPersistence {
+    constructor(options = {}) {
+        this.sessions = options.sessionStore || new IndexedDBStore('sessions');
+        this.records = options.recordStore || new IndexedDBStore('session_records');
+        this.session = null;
+        this.lastHeartbeat = 0;
+        // Writes run one after another so records are stored in the order they happened
+        this.queue = Promise.resolve();
+    }
+
+    enqueue(task) {
+        this.queue = this.queue.then(task).catch(error => {
+            console.error('Failed to persist session data:', error);
+        });
+        return this.queue;
+    }
+
+    /**
+     * Open the stored record of a new session
+     */
+    begin(sessionId, candidateId, now) {
+        this.session = {
+            session_id: sessionId,
+            candidate_id: candidateId,
+            started_at: now,
+            last_seen_at: now,
+            ended_at: null,
+            counts: Object.fromEntries(Object.values(RECORD_KINDS).map(kind => [kind, 0]))
+        };
+        return this.writeSession(now);
+    }
+
+    /**
+     * Continue appending to a session loaded with load()
+     */
+    resume(snapshot, now) {
+        this.session = {
+            ...snapshot.session,
+            counts: Object.fromEntries(Object.entries(SNAPSHOT_LISTS).map(([kind, list]) => [kind, snapshot[list].length]))
+        };
+        return this.writeSession(now);
+    }
+
+    writeSession(now) {
+        this.lastHeartbeat = now;
+        this.session.last_seen_at = now;
+        const session = { ...this.session, counts: { ...this.session.counts } };
+        return this.enqueue(() => this.sessions.set(session.session_id, session));
+    }
+
+    /**
+     * Note that the session is alive, at most every HEARTBEAT_MS; the last heartbeat
+     * marks where an interruption began
+     */
+    heartbeat(now) {
+        if (!this.session || now - this.lastHeartbeat < HEARTBEAT_MS) return this.queue;
+        return this.writeSession(now);
+    }
+
+    append(kind, value) {
+        if (!this.session) return this.queue;
+        const key = recordKey(this.session.session_id, kind, this.session.counts[kind]++);
+        return this.enqueue(() => this.records.set(key, value));
+    }
+
+    appendLog(entry) {
+        return this.append(RECORD_KINDS.LOG, entry);
+    }
+
+    appendEvent(event) {
+        return this.append(RECORD_KINDS.EVENT, event);
+    }
+
+    appendFrame(frame) {
+        return this.append(RECORD_KINDS.FRAME, frame);
+    }
+
+    /**
+     * Index entry of a stored recording chunk (the video itself goes to the recording sink)
+     */
+    appendChunk(chunk) {
+        return this.append(RECORD_KINDS.CHUNK, chunk);
+    }
+
+    /**
+     * Integrity score change (IntegrityScoreEngine onChange), so lasting violations keep
+     * their durations across a resume
+     */
+    appendScore(change) {
+        return this.append(RECORD_KINDS.SCORE, change);
+    }
+
+    /**
+     * Mark the session as ended; it is no longer offered for resuming
+     */
+    finish(now) {
+        if (!this.session) return this.queue;
+        this.session.ended_at = now;
+        const done = this.writeSession(now);
+        this.session = null;
+        return done;
+    }
+
+    /**
+     * Wait for queued writes
+     */
+    flush() {
+        return this.queue;
+    }
+
+    /**
+     * Most recent session of the candidate that never ended, or null
+     */
+    async findUnfinished(candidateId) {
+        let latest = null;
+        for (const sessionId of await this.sessions.keys()) {
+            const session = await this.sessions.get(sessionId);
+            if (session && session.ended_at === null && session.candidate_id === (candidateId ?? null) &&
+                (!latest || session.session_id > latest.session_id)) {
+                latest = session;
+            }
+        }
+        return latest;
+    }
+
+    /**
+     * Stored session with its records in order: { session, logs, events, frames, chunks, scores }
+     */
+    async load(sessionId) {
+        const session = await this.sessions.get(sessionId);
+        if (!session) {
+            throw new Error(`No stored session ${sessionId}`);
+        }
+
+        const snapshot = { session, logs: [], events: [], frames: [], chunks: [], scores: [] };
+        const keys = (await this.records.keys()).filter(key => key.startsWith(recordPrefix(sessionId))).sort();
+        for (const key of keys) {
+            const kind = key.split(':')[1];
+            snapshot[SNAPSHOT_LISTS[kind]].push(await this.records.get(key));
+        }
+        return snapshot;
+    }
+
+    /**
+     * Delete every session, finished or not, last seen more than maxAgeMs before now;
+     * resolves to the deleted session ids
+     */
+    async discardStale(now, maxAgeMs = STALE_SESSION_MS) {
+        const stale = [];
+        for (const sessionId of await this.sessions.keys()) {
+            const session = await this.sessions.get(sessionId);
+            if (session && now - session.last_seen_at > maxAgeMs) {
+                await this.discard(session.session_id);
+                stale.push(session.session_id);
+            }
+        }
+        return stale;
+    }
+
+    /**
+     * Delete a session and all its records, e.g. once its export has been downloaded
+     */
+    async discard(sessionId) {
+        await this.flush();
+        for (const key of await this.records.keys()) {
+            if (key.startsWith(recordPrefix(sessionId))) {
+                await this.records.delete(key);
+            }
+        }
+        await this.sessions.delete(sessionId);
+    }
+}
@@ -0,0 +1,185 @@
+/** @jest-environment node */
+import SessionPersistence, { HEARTBEAT_MS, STALE_SESSION_MS } from './SessionPersistence.js';
+import { MemoryStore } from './IndexedDBStore.js';
+import ProctoringSystem from '../ProctoringSystem';
+import { VirtualClock } from '../Clock';
+import { ScriptedDetector } from '../detectors';
+import { VIOLATION_CODES } from '../violations/ViolationRegistry';
+import LandmarkRecorder from '../replay/LandmarkRecorder';
+import SessionReplayer from '../replay/SessionReplayer';
+
+const START = Date.UTC(2025, 0, 6, 9, 0, 0);
+
+const stores = () => ({ sessionStore: new MemoryStore(), recordStore: new MemoryStore() });
+
+const createSystem = (clock, persistence, resume = null, recorder = null) => {
+    const scripted = new ScriptedDetector({});
+    return new ProctoringSystem({}, {}, () => {}, () => {}, {
+        clock,
+        headless: true,
+        candidateId: 'alice',
+        persistence,
+        resume,
+        recorder,
+        detectors: { faceCount: scripted, landmarks: scripted, identity: scripted }
+    });
+};
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+test('records are appended in order and loaded back per session', async () => {
+    const persistence = new SessionPersistence(stores());
+    persistence.begin(1, 'alice', START);
+    for (let i = 0; i < 12; i++) persistence.appendLog({ n: i });
+    persistence.appendEvent({ message: 'first' });
+    persistence.appendFrame({ code: VIOLATION_CODES.NO_FACE });
+    persistence.finish(START + 1000);
+    persistence.begin(2, 'alice', START + 2000);
+    persistence.appendLog({ n: 'other' });
+    await persistence.flush();
+
+    const snapshot = await persistence.load(1);
+    expect(snapshot.logs.map(entry => entry.n)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]);
+    expect(snapshot.events).toEqual([{ message: 'first' }]);
+    expect(snapshot.frames).toEqual([{ code: VIOLATION_CODES.NO_FACE }]);
+    expect(snapshot.session.ended_at).toBe(START + 1000);
+
+    // Only the session that never ended can be resumed, and only by its candidate
+    expect((await persistence.findUnfinished('alice')).session_id).toBe(2);
+    expect(await persistence.findUnfinished('bob')).toBeNull();
+
+    await persistence.discard(1);
+    await expect(persistence.load(1)).rejects.toThrow('No stored session 1');
+    expect((await persistence.load(2)).logs).toHaveLength(1);
+});
+
+test('sessions not seen for a day are deleted with their records', async () => {
+    const persistence = new SessionPersistence(stores());
+    persistence.begin(1, 'alice', START);
+    persistence.appendFrame({ code: VIOLATION_CODES.NO_FACE });
+    persistence.finish(START + 1000);
+    persistence.begin(2, 'alice', START + 2000);
+    persistence.appendLog({ n: 0 });
+    persistence.heartbeat(START + STALE_SESSION_MS);
+    await persistence.flush();
+
+    // Session 2 is still within the limit thanks to its heartbeat
+    expect(await persistence.discardStale(START + STALE_SESSION_MS + 2000)).toEqual([1]);
+    await expect(persistence.load(1)).rejects.toThrow('No stored session 1');
+    expect(await persistence.records.keys()).toEqual([expect.stringMatching(/^2:/)]);
+    expect((await persistence.findUnfinished('alice')).session_id).toBe(2);
+
+    expect(await persistence.discardStale(START + 3 * STALE_SESSION_MS)).toEqual([2]);
+    expect(await persistence.findUnfinished('alice')).toBeNull();
+});
+
+test('heartbeats are throttled and mark the last time the session was alive', async () => {
+    const persistence = new SessionPersistence(stores());
+    persistence.begin(1, 'alice', START);
+    persistence.heartbeat(START + HEARTBEAT_MS / 2);
+    await persistence.flush();
+    expect((await persistence.load(1)).session.last_seen_at).toBe(START);
+
+    persistence.heartbeat(START + HEARTBEAT_MS);
+    await persistence.flush();
+    expect((await persistence.load(1)).session.last_seen_at).toBe(START + HEARTBEAT_MS);
+});
+
+test('a crashed session resumes with the same id, its evidence and an interruption', async () => {
+    const storage = stores();
+    const clock = new VirtualClock(START);
+    const first = createSystem(clock, new SessionPersistence(storage));
+    await first.detectorsReady;
+    first.beginSession();
+    clock.advance(10000);
+    first.atFrameTime(() => first.reportViolation(VIOLATION_CODES.NO_FACE));
+    first.persistence.heartbeat(clock.now());
+    await first.persistence.flush();
+    // The browser crashes here: the session is never ended
+
+    clock.advance(90000);
+    const lookup = new SessionPersistence(storage);
+    const unfinished = await lookup.findUnfinished('alice');
+    expect(unfinished.session_id).toBe(START);
+
+    const second = createSystem(clock, new SessionPersistence(storage), await lookup.load(unfinished.session_id));
+    await second.detectorsReady;
+    second.beginSession();
+    second.endSession();
+    await second.persistence.flush();
+
+    expect(second.sessionStartTime).toBe(START);
+    expect(second.getViolationCounts().by_code).toEqual({ NO_FACE: 1 });
+    expect(second.sessionLogs.every(entry => entry.session_id === START)).toBe(true);
+    expect(second.sessionLogs.map(entry => entry.type).filter(type => type !== 'event')).toEqual(['session_start', 'interruption', 'session_end']);
+    expect(second.sessionLogs.find(entry => entry.type === 'interruption')).toMatchObject({
+        interrupted_at: new Date(START + 10000).toISOString(),
+        gap_ms: 90000
+    });
+
+    // The stored copy holds the whole session and is no longer offered for resuming
+    expect((await lookup.load(START)).logs).toEqual(second.sessionLogs);
+    expect(await lookup.findUnfinished('alice')).toBeNull();
+});
+
+test('stopping before monitoring started neither stores nor exports a session', async () => {
+    const storage = stores();
+    const system = createSystem(new VirtualClock(START), new SessionPersistence(storage));
+    await system.detectorsReady;
+    jest.spyOn(system, 'downloadSessionLogs').mockImplementation(() => {});
+    jest.useFakeTimers();
+
+    // The candidate leaves while the calibration wizard is still open
+    system.stopMonitoring();
+    jest.runAllTimers();
+    jest.useRealTimers();
+    await system.persistence.flush();
+
+    expect(system.sessionLogs).toEqual([]);
+    expect(system.downloadSessionLogs).not.toHaveBeenCalled();
+    expect(await storage.sessionStore.keys()).toEqual([]);
+});
+
+test('a resumed session keeps violation durations and its recording replays to the same log', async () => {
+    const storage = stores();
+    const clock = new VirtualClock(START);
+    const faces = (system, count) => system.onFaceDetectionResults({ detections: Array.from({ length: count }, () => ({})) });
+
+    const first = createSystem(clock, new SessionPersistence(storage));
+    await first.detectorsReady;
+    first.beginSession();
+    faces(first, 1);
+    clock.advance(10000);
+    faces(first, 0);
+    clock.advance(30000);
+    faces(first, 1);
+    clock.advance(20000);
+    // Still out of view when the browser crashes, 10 s after the last heartbeat
+    faces(first, 0);
+    clock.advance(10000);
+    first.persistence.heartbeat(clock.now());
+    await first.persistence.flush();
+
+    clock.advance(90000);
+    const lookup = new SessionPersistence(storage);
+    const recorder = new LandmarkRecorder();
+    const second = createSystem(clock, new SessionPersistence(storage), await lookup.load(START), recorder);
+    await second.detectorsReady;
+    second.beginSession();
+    clock.advance(1000);
+    faces(second, 1);
+    clock.advance(5000);
+    second.endSession();
+
+    // 30 s for the first absence, and the second one up to the interruption
+    expect(second.integrityScore.getSummary(clock.now()).components.NO_FACE).toMatchObject({ count: 2, duration_ms: 40000 });
+
+    const recording = recorder.toJSON();
+    expect(recording.resumed.resumed_at).toBe(START + 160000);
+    expect(recording.frames).toHaveLength(1);
+    const replay = SessionReplayer.replay(recording);
+    expect(replay.differences).toEqual([]);
+    expect(replay.matches).toBe(true);
+});
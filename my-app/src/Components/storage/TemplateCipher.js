@@ -0,0 +1,89 @@
+// AES-GCM sealing of enrollment templates.
+// A random master key is created once as a non-extractable HKDF key and kept in IndexedDB;
+// every record is encrypted under its own key derived from it with a fresh salt.
+// This keeps templates out of plain sight in devtools and casual inspection of the database.
+// It does not protect them from anyone holding a copy of the browser profile: the master key
+// lives in the same database, and script running in the page can use it.
+
+const MASTER_KEY_ID = 'template-master-key';
+const KEY_INFO_PREFIX = 'proctoring/enrollment-template/v1/';
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+export default class TemplateCipher {
+    constructor(keyStore) {
+        this.keyStore = keyStore;
+        this.creatingKey = null;
+    }
+
+    /**
+     * The stored master key, read on every use: another instance (the enrollment page or a
+     * proctoring session) may have destroyed it, and sealing under a copy cached from before
+     * would leave a record nobody can open
+     */
+    async masterKey() {
+        const stored = await this.keyStore.get(MASTER_KEY_ID);
+        if (stored) return stored;
+
+        // Concurrent first uses share one new key
+        if (!this.creatingKey) {
+            this.creatingKey = this.createMasterKey().finally(() => {
+                this.creatingKey = null;
+            });
+        }
+        return this.creatingKey;
+    }
+
+    async createMasterKey() {
+        const material = crypto.getRandomValues(new Uint8Array(32));
+        const key = await crypto.subtle.importKey('raw', material, 'HKDF', false, ['deriveKey']);
+        material.fill(0);
+        await this.keyStore.set(MASTER_KEY_ID, key);
+        return key;
+    }
+
+    async deriveKey(salt, candidateId) {
+        return crypto.subtle.deriveKey(
+            { name: 'HKDF', hash: 'SHA-256', salt, info: new TextEncoder().encode(KEY_INFO_PREFIX + candidateId) },
+            await this.masterKey(),
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Encrypt a JSON-serializable payload bound to a candidate ID
+     */
+    async seal(candidateId, payload) {
+        const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+        const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+        const key = await this.deriveKey(salt, candidateId);
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(candidateId) },
+            key,
+            new TextEncoder().encode(JSON.stringify(payload))
+        );
+        return { salt, iv, ciphertext: new Uint8Array(ciphertext) };
+    }
+
+    /**
+     * Decrypt a sealed payload; throws when it was tampered with or sealed for another candidate
+     */
+    async open(candidateId, sealed) {
+        const key = await this.deriveKey(sealed.salt, candidateId);
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: sealed.iv, additionalData: new TextEncoder().encode(candidateId) },
+            key,
+            sealed.ciphertext
+        );
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    }
+
+    /**
+     * Delete the master key, leaving every sealed record undecryptable
+     */
+    async destroyKey() {
+        await this.keyStore.delete(MASTER_KEY_ID);
+    }
+}
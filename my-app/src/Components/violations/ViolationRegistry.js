@@ -0,0 +1,123 @@
+// Central registry of violation codes.
+// Every violation the proctoring system emits carries one of these codes, so counts,
+// scores and exports are grouped by code and category instead of by message text.
+// Messages are templates with {param} placeholders, kept per locale so the same
+// session can be shown in another language; missing translations fall back to English.
+
+export const VIOLATION_CATEGORIES = {
+    FACE: 'face',
+    ATTENTION: 'attention',
+    OBJECT: 'object',
+    ENVIRONMENT: 'environment',
+    AUDIO: 'audio'
+};
+
+// Ordered from least to most serious; SCORING.WEIGHTS has an entry under each upper-case name
+export const VIOLATION_SEVERITIES = {
+    LOW: 'low',
+    MEDIUM: 'medium',
+    HIGH: 'high',
+    CRITICAL: 'critical'
+};
+
+const { FACE, ATTENTION, OBJECT, ENVIRONMENT, AUDIO } = VIOLATION_CATEGORIES;
+const { LOW, MEDIUM, HIGH, CRITICAL } = VIOLATION_SEVERITIES;
+
+// code -> { category, severity } with the default severity of the code
+export const VIOLATIONS = {
+    NO_FACE: { category: FACE, severity: MEDIUM },
+    MULTIPLE_FACES: { category: FACE, severity: HIGH },
+    WRONG_PERSON: { category: FACE, severity: CRITICAL },
+    SUSTAINED_DISTRACTION: { category: ATTENTION, severity: LOW },
+    PROLONGED_EYE_CLOSURE: { category: ATTENTION, severity: LOW },
+    DROWSINESS: { category: ATTENTION, severity: LOW },
+    PROHIBITED_OBJECT: { category: OBJECT, severity: HIGH },
+    LEFT_EXAM_WINDOW: { category: ENVIRONMENT, severity: MEDIUM },
+    FULLSCREEN_EXIT: { category: ENVIRONMENT, severity: LOW },
+    SPLIT_SCREEN: { category: ENVIRONMENT, severity: MEDIUM },
+    CLIPBOARD_COPY: { category: ENVIRONMENT, severity: MEDIUM },
+    CLIPBOARD_CUT: { category: ENVIRONMENT, severity: MEDIUM },
+    CLIPBOARD_PASTE: { category: ENVIRONMENT, severity: HIGH },
+    PRINT_SCREEN: { category: ENVIRONMENT, severity: MEDIUM },
+    DEVTOOLS_SHORTCUT: { category: ENVIRONMENT, severity: MEDIUM },
+    APP_SWITCH_SHORTCUT: { category: ENVIRONMENT, severity: MEDIUM },
+    // Lip movement is what triggers it, but the evidence that counts is the voice audio
+    SPEAKING_ALOUD: { category: AUDIO, severity: HIGH },
+    SUSTAINED_SPEECH: { category: AUDIO, severity: MEDIUM },
+    MULTIPLE_VOICES: { category: AUDIO, severity: HIGH }
+};
+
+// Code names as constants, e.g. VIOLATION_CODES.NO_FACE === 'NO_FACE'
+export const VIOLATION_CODES = Object.fromEntries(Object.keys(VIOLATIONS).map(code => [code, code]));
+
+export const DEFAULT_LOCALE = 'en';
+
+// locale -> code -> { label, message }
+const MESSAGES = {
+    en: {
+        NO_FACE: { label: 'No face', message: 'No face detected' },
+        MULTIPLE_FACES: { label: 'Multiple faces', message: 'Multiple faces detected' },
+        WRONG_PERSON: { label: 'Wrong person', message: 'Wrong person detected (distance: {distance})' },
+        SUSTAINED_DISTRACTION: { label: 'Distraction', message: 'Sustained distraction detected' },
+        PROLONGED_EYE_CLOSURE: { label: 'Eyes closed', message: 'Eyes closed for a prolonged period' },
+        DROWSINESS: { label: 'Drowsiness', message: 'Drowsiness detected - eyes closed {percent}% of the time' },
+        PROHIBITED_OBJECT: { label: 'Prohibited object', message: 'Prohibited object detected: {object} ({percent}%)' },
+        LEFT_EXAM_WINDOW: { label: 'Left exam window', message: 'Away from exam window for {seconds}s ({reasons})' },
+        FULLSCREEN_EXIT: { label: 'Fullscreen exit', message: 'Out of fullscreen for {seconds}s' },
+        SPLIT_SCREEN: { label: 'Split screen', message: 'Split-screen window size for {seconds}s' },
+        CLIPBOARD_COPY: { label: 'Copy', message: 'Copy detected{details}' },
+        CLIPBOARD_CUT: { label: 'Cut', message: 'Cut detected{details}' },
+        CLIPBOARD_PASTE: { label: 'Paste', message: 'Paste detected{details}' },
+        PRINT_SCREEN: { label: 'Print screen', message: 'Print screen detected{details}' },
+        DEVTOOLS_SHORTCUT: { label: 'Developer tools', message: 'Developer tools shortcut detected{details}' },
+        APP_SWITCH_SHORTCUT: { label: 'App switch', message: 'App switch shortcut detected{details}' },
+        SPEAKING_ALOUD: { label: 'Speaking aloud', message: 'Speaking aloud detected - lip movement matches voice audio ({seconds}s)' },
+        SUSTAINED_SPEECH: { label: 'Sustained speech', message: 'Sustained speech detected ({seconds}s)' },
+        MULTIPLE_VOICES: { label: 'Multiple voices', message: 'Multiple voices detected ({seconds}s)' }
+    }
+};
+
+export class UnknownViolationError extends Error {
+    constructor(code) {
+        super(`Unknown violation code: ${code}`);
+        this.name = 'UnknownViolationError';
+        this.code = code;
+    }
+}
+
+/**
+ * Registry entry of a code; throws for codes that are not registered
+ */
+export function getViolation(code) {
+    const violation = VIOLATIONS[code];
+    if (!violation) throw new UnknownViolationError(code);
+    return violation;
+}
+
+/**
+ * Add or replace translations for a locale; codes left out fall back to English
+ */
+export function registerViolationMessages(locale, messages) {
+    for (const code of Object.keys(messages)) getViolation(code);
+    MESSAGES[locale] = { ...MESSAGES[locale], ...messages };
+}
+
+function catalogEntry(code, locale) {
+    getViolation(code);
+    return MESSAGES[locale]?.[code] ?? MESSAGES[DEFAULT_LOCALE][code];
+}
+
+/**
+ * Short name of a code for dashboards
+ */
+export function violationLabel(code, locale = DEFAULT_LOCALE) {
+    return catalogEntry(code, locale).label;
+}
+
+/**
+ * Fill in a code's message template; unknown placeholders are left as they are
+ */
+export function formatViolationMessage(code, params = {}, locale = DEFAULT_LOCALE) {
+    return catalogEntry(code, locale).message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+        params[name] === undefined || params[name] === null ? placeholder : String(params[name]));
+}
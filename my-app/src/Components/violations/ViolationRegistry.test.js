@@ -0,0 +1,39 @@
+/** @jest-environment node */
+import {
+    VIOLATIONS, VIOLATION_CODES, VIOLATION_CATEGORIES, VIOLATION_SEVERITIES,
+    formatViolationMessage, violationLabel, registerViolationMessages, getViolation
+} from './ViolationRegistry';
+import { DEFAULT_CONFIG } from '../policy/PolicySchema';
+
+test('every code has a category, a scored severity and an English message', () => {
+    const categories = Object.values(VIOLATION_CATEGORIES);
+    for (const [code, violation] of Object.entries(VIOLATIONS)) {
+        expect(VIOLATION_CODES[code]).toBe(code);
+        expect(categories).toContain(violation.category);
+        expect(DEFAULT_CONFIG.SCORING.WEIGHTS[violation.severity.toUpperCase()]).toBeGreaterThan(0);
+        expect(violationLabel(code)).toEqual(expect.any(String));
+        expect(formatViolationMessage(code)).toEqual(expect.any(String));
+    }
+    expect(Object.values(VIOLATION_SEVERITIES).map(severity => severity.toUpperCase())).toEqual(Object.keys(DEFAULT_CONFIG.SCORING.WEIGHTS));
+});
+
+test('messages fill in their parameters', () => {
+    expect(formatViolationMessage(VIOLATION_CODES.PROHIBITED_OBJECT, { object: 'phone', percent: 87 })).toBe('Prohibited object detected: phone (87%)');
+    expect(formatViolationMessage(VIOLATION_CODES.WRONG_PERSON, { distance: '0.712' })).toBe('Wrong person detected (distance: 0.712)');
+    // A missing parameter stays visible instead of printing "undefined"
+    expect(formatViolationMessage(VIOLATION_CODES.SUSTAINED_SPEECH)).toBe('Sustained speech detected ({seconds}s)');
+});
+
+test('translations fall back to English and unknown codes are rejected', () => {
+    registerViolationMessages('de', {
+        NO_FACE: { label: 'Kein Gesicht', message: 'Kein Gesicht erkannt' }
+    });
+
+    expect(formatViolationMessage(VIOLATION_CODES.NO_FACE, {}, 'de')).toBe('Kein Gesicht erkannt');
+    expect(violationLabel(VIOLATION_CODES.NO_FACE, 'de')).toBe('Kein Gesicht');
+    expect(formatViolationMessage(VIOLATION_CODES.MULTIPLE_FACES, {}, 'de')).toBe('Multiple faces detected');
+    expect(formatViolationMessage(VIOLATION_CODES.NO_FACE, {}, 'fr')).toBe('No face detected');
+
+    expect(() => getViolation('LOOKING_AWAY')).toThrow('Unknown violation code: LOOKING_AWAY');
+    expect(() => registerViolationMessages('de', { LOOKING_AWAY: { label: '', message: '' } })).toThrow(expect.objectContaining({ name: 'UnknownViolationError' }));
+});
@@ -1,16 +1,113 @@
 // React Component
 import React, { useRef, useEffect, useState } from "react";
 import Webcam from "react-webcam";
+import { useParams, useSearchParams } from "react-router-dom";
 import ProctoringSystem  from "./Components/ProctoringSystem.js";
+import LandmarkRecorder from "./Components/replay/LandmarkRecorder.js";
+import SessionPersistence from "./Components/storage/SessionPersistence.js";
+import { StoreRecordingSink, UploadRecordingSink } from "./Components/media/RecordingSinks.js";
+import CalibrationWizard from "./CalibrationWizard.jsx";
+import { getViolation, violationLabel } from "./Components/violations/ViolationRegistry.js";
+import { loadPolicyProfile, DEFAULT_PROFILE_NAME } from "./Components/policy/PolicyProfiles.js";
+
+// Record detector results for offline replay when enabled for the deployment
+const RECORD_LANDMARKS = process.env.REACT_APP_RECORD_LANDMARKS === 'true';
+
+// Full-session recordings (RECORDING.ENABLED) go to this upload service when set, otherwise to IndexedDB
+const RECORDING_UPLOAD_URL = process.env.REACT_APP_RECORDING_UPLOAD_URL || null;
+
+/**
+ * Delete a stored session with its records and any recording chunks kept in the browser
+ */
+const discardStoredSession = async (sessionId) => {
+    await new SessionPersistence().discard(sessionId);
+    if (!RECORDING_UPLOAD_URL) {
+        await new StoreRecordingSink().discard(sessionId);
+    }
+};
+
 const CornerWebcam = () => {
     const webcamRef = useRef(null);
     const proctoringSystemRef = useRef(null);
     const [isMonitoring, setIsMonitoring] = useState(false);
-    const [violations, setViolations] = useState({ total: 0, attention: 0 });
+    const [isCalibrating, setIsCalibrating] = useState(false);
+    const [violations, setViolations] = useState({ total: 0, attention: 0, environment: 0, audio: 0, byCode: {} });
     const [events, setEvents] = useState([]);
     const [sessionTime, setSessionTime] = useState('00:00');
+    const [integrityScore, setIntegrityScore] = useState(100);
+    const { candidateId } = useParams();
+    const [searchParams] = useSearchParams();
+    const policyName = searchParams.get('policy') || DEFAULT_PROFILE_NAME;
+    const [policy, setPolicy] = useState(null);
+    const [policyError, setPolicyError] = useState(null);
+    const [monitoringError, setMonitoringError] = useState(null);
+    // 'checking' for an interrupted session, 'offer' to resume one, 'error' when it cannot be
+    // loaded, then 'ready' with the stored session to resume (or none)
+    const [resume, setResume] = useState({ phase: 'checking', session: null, snapshot: null, error: null });
+
+    // An unfinished session of this candidate, e.g. after a crash or refresh, can be resumed
+    // instead of starting a new one so its evidence stays in one session. Sessions abandoned
+    // for longer than STALE_SESSION_MS are deleted first.
+    useEffect(() => {
+        let cancelled = false;
+        setResume({ phase: 'checking', session: null, snapshot: null, error: null });
+
+        const persistence = new SessionPersistence();
+        persistence.discardStale(Date.now())
+            .then(async stale => {
+                if (!RECORDING_UPLOAD_URL) {
+                    const sink = new StoreRecordingSink();
+                    for (const sessionId of stale) await sink.discard(sessionId);
+                }
+                return persistence.findUnfinished(candidateId);
+            })
+            .then(session => {
+                if (!cancelled) setResume({ phase: session ? 'offer' : 'ready', session, snapshot: null, error: null });
+            })
+            .catch(error => {
+                console.error('Failed to look for an interrupted session:', error);
+                if (!cancelled) setResume({ phase: 'ready', session: null, snapshot: null, error: null });
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [candidateId]);
+
+    // Load the exam policy profile selected by ?policy=<name>
+    useEffect(() => {
+        let cancelled = false;
+        setPolicy(null);
+        setPolicyError(null);
+
+        loadPolicyProfile(policyName)
+            .then(loaded => {
+                if (!cancelled) setPolicy(loaded);
+            })
+            .catch(error => {
+                console.error('Failed to load policy profile:', error);
+                if (!cancelled) setPolicyError(error.message);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [policyName]);
+
+    // Detector or model load failures reject startMonitoring; the session then stays idle
+    const startMonitoring = (system) => {
+        setMonitoringError(null);
+        setIsMonitoring(true);
+        system.startMonitoring().catch(error => {
+            console.error('Failed to start monitoring:', error);
+            setIsMonitoring(false);
+            setMonitoringError(error.message);
+        });
+    };
 
     useEffect(() => {
+        if (!policy || resume.phase !== 'ready') return;
+
         let interval;
         let timeInterval;
 
@@ -30,13 +127,25 @@ const CornerWebcam = () => {
                     (event) => {
                         setEvents(prev => [...prev.slice(-9), event]); // Keep last 10 events
                     },
-                    (total, attention) => {
-                        setViolations({ total, attention });
+                    (total, attention, environment, audio, counts) => {
+                        setViolations({ total, attention, environment, audio, byCode: counts.by_code });
+                    },
+                    {
+                        policy,
+                        candidateId,
+                        recorder: RECORD_LANDMARKS ? new LandmarkRecorder() : null,
+                        persistence: new SessionPersistence(),
+                        recordingSink: RECORDING_UPLOAD_URL ? new UploadRecordingSink(RECORDING_UPLOAD_URL) : null,
+                        resume: resume.snapshot
                     }
                 );
                 
-                proctoringSystemRef.current.startMonitoring();
-                setIsMonitoring(true);
+                // Monitoring refuses to start until the calibration wizard has an acceptable result
+                if (proctoringSystemRef.current.config.CALIBRATION.REQUIRE_TARGETS) {
+                    setIsCalibrating(true);
+                } else {
+                    startMonitoring(proctoringSystemRef.current);
+                }
                 
                 // Start session timer
                 timeInterval = setInterval(() => {
@@ -45,6 +154,7 @@ const CornerWebcam = () => {
                         const minutes = Math.floor(elapsed / 60000);
                         const seconds = Math.floor((elapsed % 60000) / 1000);
                         setSessionTime(`${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`);
+                        setIntegrityScore(proctoringSystemRef.current.getIntegrityScore());
                     }
                 }, 1000);
             }
@@ -56,12 +166,41 @@ const CornerWebcam = () => {
         return () => {
             clearInterval(interval);
             clearInterval(timeInterval);
-            if (proctoringSystemRef.current) {
+            setIsCalibrating(false);
+            // Leaving during calibration has no session to end or export
+            if (proctoringSystemRef.current?.isMonitoring) {
                 proctoringSystemRef.current.stopMonitoring();
-                proctoringSystemRef.current = null;
             }
+            proctoringSystemRef.current = null;
         };
-    }, []);
+    }, [policy, candidateId, resume]);
+
+    const resumeSession = async () => {
+        try {
+            const snapshot = await new SessionPersistence().load(resume.session.session_id);
+            setResume({ phase: 'ready', session: resume.session, snapshot, error: null });
+        } catch (error) {
+            console.error('Failed to load the interrupted session:', error);
+            setResume({ ...resume, phase: 'error', error: error.message });
+        }
+    };
+
+    // Decline the interrupted session: its stored evidence is deleted and a new session starts
+    const startNewSession = async () => {
+        try {
+            await discardStoredSession(resume.session.session_id);
+        } catch (error) {
+            console.error('Failed to discard the interrupted session:', error);
+        }
+        setResume({ phase: 'ready', session: null, snapshot: null, error: null });
+    };
+
+    const completeCalibration = (result) => {
+        if (!proctoringSystemRef.current) return;
+        proctoringSystemRef.current.applyCalibration(result);
+        setIsCalibrating(false);
+        startMonitoring(proctoringSystemRef.current);
+    };
 
     const stopMonitoring = () => {
         if (proctoringSystemRef.current) {
@@ -71,6 +210,20 @@ const CornerWebcam = () => {
         }
     };
 
+    const recalibrate = () => {
+        if (proctoringSystemRef.current) {
+            proctoringSystemRef.current.recalibrate();
+        }
+    };
+
+    const enterFullscreen = () => {
+        if (!document.fullscreenElement) {
+            document.documentElement.requestFullscreen().catch(error => {
+                console.error('Fullscreen request failed:', error);
+            });
+        }
+    };
+
     const videoConstraints = {
         width: 200,
         height: 150,
@@ -79,6 +232,32 @@ const CornerWebcam = () => {
 
     return (
         <div className="proctoring-container">
+            {isCalibrating && proctoringSystemRef.current && (
+                <CalibrationWizard system={proctoringSystemRef.current} onComplete={completeCalibration} />
+            )}
+
+            {resume.phase === 'offer' && (
+                <div className="resume-prompt">
+                    <h3>Interrupted session found</h3>
+                    <p>
+                        Your session started at {new Date(resume.session.started_at).toLocaleTimeString()} was interrupted
+                        at {new Date(resume.session.last_seen_at).toLocaleTimeString()}. It continues where it stopped;
+                        the interruption is recorded in the session log.
+                    </p>
+                    <button onClick={resumeSession} className="resume-button">Resume session</button>
+                    <button onClick={startNewSession} className="new-session-button">Start new session</button>
+                </div>
+            )}
+
+            {resume.phase === 'error' && (
+                <div className="resume-prompt">
+                    <h3>Interrupted session could not be loaded</h3>
+                    <p>{resume.error}</p>
+                    <button onClick={resumeSession} className="resume-button">Try again</button>
+                    <button onClick={startNewSession} className="new-session-button">Start new session</button>
+                </div>
+            )}
+
             {/* Webcam in corner */}
             <div className="webcam-corner">
                 <Webcam
@@ -102,6 +281,20 @@ const CornerWebcam = () => {
             <div className="proctoring-dashboard">
                 <div className="dashboard-header">
                     <h3>Proctoring System</h3>
+                    <button
+                        onClick={enterFullscreen}
+                        className="fullscreen-button"
+                        disabled={!isMonitoring}
+                    >
+                        Fullscreen
+                    </button>
+                    <button
+                        onClick={recalibrate}
+                        className="recalibrate-button"
+                        disabled={!isMonitoring}
+                    >
+                        Recalibrate
+                    </button>
                     <button 
                         onClick={stopMonitoring}
                         className="stop-button"
@@ -111,11 +304,23 @@ const CornerWebcam = () => {
                     </button>
                 </div>
 
+                <div className="policy-info">
+                    {policyError
+                        ? <span className="policy-error">{policyError}</span>
+                        : <span>Policy: {policy ? policy.name : `${policyName} (loading...)`}</span>}
+                    {monitoringError && <span className="policy-error"> · Monitoring failed: {monitoringError}</span>}
+                    <span> · Candidate: {candidateId}</span>
+                </div>
+
                 <div className="stats-grid">
                     <div className="stat-card">
                         <div className="stat-label">Session Time</div>
                         <div className="stat-value">{sessionTime}</div>
                     </div>
+                    <div className="stat-card">
+                        <div className="stat-label">Integrity Score</div>
+                        <div className="stat-value">{integrityScore}</div>
+                    </div>
                     <div className="stat-card">
                         <div className="stat-label">Total Violations</div>
                         <div className="stat-value">{violations.total}</div>
@@ -124,8 +329,28 @@ const CornerWebcam = () => {
                         <div className="stat-label">Attention Violations</div>
                         <div className="stat-value">{violations.attention}</div>
                     </div>
+                    <div className="stat-card">
+                        <div className="stat-label">Browser Violations</div>
+                        <div className="stat-value">{violations.environment}</div>
+                    </div>
+                    <div className="stat-card">
+                        <div className="stat-label">Audio Violations</div>
+                        <div className="stat-value">{violations.audio}</div>
+                    </div>
                 </div>
 
+                {Object.keys(violations.byCode).length > 0 && (
+                    <div className="violation-codes">
+                        <h4>Violations by Type</h4>
+                        {Object.entries(violations.byCode).map(([code, count]) => (
+                            <div key={code} className={`violation-code ${getViolation(code).severity}`}>
+                                <span>{violationLabel(code)}</span>
+                                <span className="violation-count">{count}</span>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
                 <div className="events-log">
                     <h4>Recent Events</h4>
                     <div className="events-list">
@@ -211,14 +436,73 @@ const CornerWebcam = () => {
                     font-size: 14px;
                 }
 
+                .fullscreen-button {
+                    background: #1976d2;
+                    color: white;
+                    border: none;
+                    padding: 8px 16px;
+                    border-radius: 4px;
+                    cursor: pointer;
+                    font-size: 14px;
+                    margin-left: auto;
+                    margin-right: 8px;
+                }
+
+                .recalibrate-button {
+                    background: #546e7a;
+                    color: white;
+                    border: none;
+                    padding: 8px 16px;
+                    border-radius: 4px;
+                    cursor: pointer;
+                    font-size: 14px;
+                    margin-right: 8px;
+                }
+
+                .fullscreen-button:disabled,
+                .recalibrate-button:disabled,
                 .stop-button:disabled {
                     background: #ccc;
                     cursor: not-allowed;
                 }
 
+                .policy-info {
+                    font-size: 12px;
+                    color: #666;
+                    margin-bottom: 10px;
+                }
+
+                .policy-error {
+                    color: #d32f2f;
+                }
+
+                .resume-prompt {
+                    position: fixed;
+                    top: 50%;
+                    left: 50%;
+                    transform: translate(-50%, -50%);
+                    z-index: 2000;
+                    width: 420px;
+                    background: white;
+                    border-radius: 8px;
+                    box-shadow: 0 4px 12px rgba(0,0,0,0.2);
+                    padding: 20px;
+                    text-align: center;
+                }
+
+                .resume-button {
+                    background: #1976d2;
+                    color: white;
+                    border: none;
+                    padding: 8px 16px;
+                    border-radius: 4px;
+                    cursor: pointer;
+                    font-size: 14px;
+                }
+
                 .stats-grid {
                     display: grid;
-                    grid-template-columns: repeat(3, 1fr);
+                    grid-template-columns: repeat(2, 1fr);
                     gap: 10px;
                     margin-bottom: 15px;
                 }
@@ -242,6 +526,37 @@ const CornerWebcam = () => {
                     color: #333;
                 }
 
+                .violation-codes {
+                    margin-bottom: 15px;
+                }
+
+                .violation-codes h4 {
+                    margin: 0 0 10px 0;
+                    color: #333;
+                }
+
+                .violation-code {
+                    display: flex;
+                    justify-content: space-between;
+                    padding: 4px 8px;
+                    margin-bottom: 3px;
+                    border-left: 3px solid #999;
+                    font-size: 12px;
+                }
+
+                .violation-code.medium {
+                    border-left-color: #f57c00;
+                }
+
+                .violation-code.high,
+                .violation-code.critical {
+                    border-left-color: #d32f2f;
+                }
+
+                .violation-count {
+                    font-weight: bold;
+                }
+
                 .events-log h4 {
                     margin: 0 0 10px 0;
                     color: #333;
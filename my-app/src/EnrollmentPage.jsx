@@ -1,121 +1,302 @@
-import React, { useRef, useEffect, useState } from "react";
+import React, { useRef, useEffect, useMemo, useState } from "react";
 import Webcam from "react-webcam";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useLocation } from "react-router-dom";
+import * as faceapi from "face-api.js";
+import ModelLoader from "./Components/ModelLoader.js";
+import MediaPipeDetector from "./Components/detectors/MediaPipeDetector.js";
+import { DEFAULT_CONFIG } from "./Components/policy/PolicySchema.js";
+import LivenessChallenge, { LIVENESS_STATES } from "./Components/enrollment/LivenessChallenge.js";
+import {
+  QUALITY_CONFIG,
+  POSE_INSTRUCTIONS,
+  REQUIRED_POSES,
+  assessFaceQuality,
+  nearestDescriptorDistance,
+  missingPoses
+} from "./Components/enrollment/ImageQuality.js";
+import EnrollmentRepository, { normalizeCandidateId } from "./Components/storage/EnrollmentRepository.js";
+
+const GUIDANCE_INTERVAL_MS = 800;
+
+// Draw an image or video frame to a canvas and read back its pixels
+const readPixels = (source) => {
+  const width = source.videoWidth || source.naturalWidth || source.width;
+  const height = source.videoHeight || source.naturalHeight || source.height;
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(source, 0, 0, width, height);
+  return ctx.getImageData(0, 0, width, height);
+};
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => resolve(img);
+  img.onerror = reject;
+  img.src = src;
+  setTimeout(() => reject(new Error('Image load timeout')), 10000);
+});
 
 const EnrollmentPage = () => {
   const webcamRef = useRef(null);
+  // Accepted captures: { src, descriptor, pose, quality }
   const [images, setImages] = useState([]);
   const [isProcessing, setIsProcessing] = useState(false);
+  const [isAssessing, setIsAssessing] = useState(false);
+  const [guidance, setGuidance] = useState('');
+  const [captureMessage, setCaptureMessage] = useState('');
   const [modelsLoaded, setModelsLoaded] = useState(false);
+  const [modelError, setModelError] = useState(null);
+  const [liveness, setLiveness] = useState({ state: LIVENESS_STATES.IDLE, instruction: '' });
+  const livenessRef = useRef(null);
+  const landmarkDetectorRef = useRef(null);
+  const repositoryRef = useRef(new EnrollmentRepository());
+  const [candidateId, setCandidateId] = useState('');
+  const [enrolledCandidates, setEnrolledCandidates] = useState([]);
   const navigate = useNavigate();
+  const location = useLocation();
 
   const loadModels = async () => {
-    if (!window.faceapi) {
-      console.error("face-api.js not loaded. Make sure <script> tag is in index.html");
-      return;
-    }
-
     try {
-      // Use CDN for reliable model loading
-      // const MODEL_URL = 'https://raw.githubusercontent.com/justadudewhohacks/face-api.js/master/weights/';
-      // const MODEL_URL ='https://github.com/justadudewhohacks/face-api.js/tree/master/weights'
-      const MODEL_URL = 'https://cdn.jsdelivr.net/gh/cgarciagl/face-api.js/weights/'
-      
-      await Promise.all([
-        window.faceapi.nets.ssdMobilenetv1.loadFromUri(MODEL_URL),
-        window.faceapi.nets.faceLandmark68Net.loadFromUri(MODEL_URL),
-        window.faceapi.nets.faceRecognitionNet.loadFromUri(MODEL_URL),
-      ]);
-
+      await ModelLoader.loadFaceApiModels(faceapi, ['ssdMobilenetv1', 'faceLandmark68Net', 'faceRecognitionNet']);
       setModelsLoaded(true);
       console.log("Models loaded successfully");
     } catch (error) {
       console.error("Error loading models:", error);
-      
-      // Fallback to different CDN
-      try {
-        const FALLBACK_URL = 'https://cdn.jsdelivr.net/npm/@vladmandic/face-api@latest/model/';
-        await Promise.all([
-          window.faceapi.nets.ssdMobilenetv1.loadFromUri(FALLBACK_URL),
-          window.faceapi.nets.faceLandmark68Net.loadFromUri(FALLBACK_URL),
-          window.faceapi.nets.faceRecognitionNet.loadFromUri(FALLBACK_URL),
-        ]);
-        setModelsLoaded(true);
-        console.log("Models loaded from fallback CDN");
-      } catch (fallbackError) {
-        console.error("Fallback model loading failed:", fallbackError);
-      }
+      setModelError(error.message);
+    }
+  };
+
+  const refreshCandidates = async () => {
+    try {
+      setEnrolledCandidates(await repositoryRef.current.list());
+    } catch (error) {
+      console.error("Error listing enrolled candidates:", error);
     }
   };
 
   useEffect(() => {
     loadModels();
+    refreshCandidates();
+
+    return () => {
+      livenessRef.current = null;
+      if (landmarkDetectorRef.current) {
+        landmarkDetectorRef.current.dispose();
+        landmarkDetectorRef.current = null;
+      }
+    };
   }, []);
 
-  const captureImage = () => {
-    if (webcamRef.current) {
-      const imageSrc = webcamRef.current.getScreenshot();
-      if (imageSrc && images.length < 3) {
-        setImages(prev => [...prev, imageSrc]);
+  const livenessPassed = liveness.state === LIVENESS_STATES.PASSED;
+
+  let candidateIdError = null;
+  try {
+    normalizeCandidateId(candidateId);
+  } catch (error) {
+    candidateIdError = error.message;
+  }
+
+  // Remember who passed the check; captures of any other face are refused
+  const bindLivenessFace = async (challenge) => {
+    let descriptor = null;
+    try {
+      const video = webcamRef.current && webcamRef.current.video;
+      const detection = video && await faceapi
+        .detectSingleFace(video, new faceapi.SsdMobilenetv1Options({ minConfidence: QUALITY_CONFIG.MIN_CONFIDENCE }))
+        .withFaceLandmarks()
+        .withFaceDescriptor();
+      descriptor = detection ? detection.descriptor : null;
+    } catch (error) {
+      console.error("Liveness face descriptor error:", error);
+    }
+    challenge.bindFace(descriptor, Date.now());
+    if (livenessRef.current === challenge) {
+      setLiveness({ state: challenge.state, instruction: challenge.instruction });
+    }
+  };
+
+  // Run the randomized liveness challenges on FaceMesh landmarks of the live webcam feed
+  const startLiveness = async () => {
+    try {
+      if (!landmarkDetectorRef.current) {
+        landmarkDetectorRef.current = new MediaPipeDetector(DEFAULT_CONFIG.MEDIAPIPE);
+        await landmarkDetectorRef.current.initialize();
       }
+    } catch (error) {
+      console.error("Failed to load liveness models:", error);
+      setLiveness({ state: LIVENESS_STATES.FAILED, instruction: `Liveness check unavailable: ${error.message}` });
+      return;
+    }
+
+    const challenge = new LivenessChallenge();
+    livenessRef.current = challenge;
+    challenge.start(Date.now());
+    setImages([]);
+    setLiveness({ state: challenge.state, instruction: challenge.instruction });
+
+    const step = async () => {
+      // Stop when unmounted or when a newer check replaced this one
+      if (livenessRef.current !== challenge) return;
+
+      const video = webcamRef.current && webcamRef.current.video;
+      if (video && video.readyState >= 2) {
+        try {
+          const results = await landmarkDetectorRef.current.detectLandmarks(video);
+          challenge.processFrame(results.multiFaceLandmarks, Date.now());
+          // A pass is only shown once the face is bound, so captures cannot start before it
+          if (challenge.state !== LIVENESS_STATES.PASSED) {
+            setLiveness({ state: challenge.state, instruction: challenge.instruction });
+          }
+        } catch (error) {
+          console.error("Liveness frame error:", error);
+        }
+      }
+
+      if (challenge.state === LIVENESS_STATES.NEUTRAL || challenge.state === LIVENESS_STATES.RUNNING) {
+        requestAnimationFrame(step);
+        return;
+      }
+      if (challenge.state === LIVENESS_STATES.PASSED) {
+        await bindLivenessFace(challenge);
+      }
+      console.log("Liveness check finished:", challenge.getResult());
+    };
+    requestAnimationFrame(step);
+  };
+
+  const capturedPoses = images.map(capture => capture.pose);
+  // Memoized so the guidance effect only restarts when the captures change
+  const neededPoses = useMemo(() => missingPoses(images.map(capture => capture.pose)), [images]);
+
+  // Live guidance on the webcam feed while captures are still needed
+  useEffect(() => {
+    if (!livenessPassed || !modelsLoaded || neededPoses.length === 0 || isAssessing) {
+      setGuidance('');
+      return undefined;
+    }
+
+    let running = false;
+    const interval = setInterval(async () => {
+      const video = webcamRef.current && webcamRef.current.video;
+      if (running || !video || video.readyState < 2) return;
+      running = true;
+      try {
+        const detection = await faceapi
+          .detectSingleFace(video, new faceapi.SsdMobilenetv1Options({ minConfidence: QUALITY_CONFIG.MIN_CONFIDENCE }))
+          .withFaceLandmarks();
+        if (!detection) {
+          setGuidance('No face detected - center your face in the frame');
+          return;
+        }
+        const quality = assessFaceQuality(detection, readPixels(video));
+        if (!quality.ok) {
+          setGuidance(quality.issues[0].message);
+        } else if (!neededPoses.includes(quality.pose)) {
+          setGuidance(POSE_INSTRUCTIONS[neededPoses[0]]);
+        } else {
+          setGuidance(`Good ${quality.pose} pose - capture now`);
+        }
+      } catch (error) {
+        console.error("Guidance error:", error);
+      } finally {
+        running = false;
+      }
+    }, GUIDANCE_INTERVAL_MS);
+
+    return () => clearInterval(interval);
+  }, [livenessPassed, modelsLoaded, neededPoses, isAssessing]);
+
+  // Assess a capture right away; only good, new poses with distinct descriptors are kept
+  const captureImage = async () => {
+    if (!livenessPassed || !webcamRef.current || images.length >= 3) return;
+
+    const imageSrc = webcamRef.current.getScreenshot();
+    if (!imageSrc) return;
+
+    setIsAssessing(true);
+    setCaptureMessage('');
+    try {
+      const img = await loadImage(imageSrc);
+      const detection = await faceapi
+        .detectSingleFace(img, new faceapi.SsdMobilenetv1Options({ minConfidence: QUALITY_CONFIG.MIN_CONFIDENCE }))
+        .withFaceLandmarks()
+        .withFaceDescriptor();
+
+      if (!detection) {
+        setCaptureMessage('No face detected in the capture. Please try again.');
+        return;
+      }
+
+      if (!livenessRef.current || !livenessRef.current.matchesFace(detection.descriptor)) {
+        setImages([]);
+        setLiveness({ state: LIVENESS_STATES.IDLE, instruction: '' });
+        setCaptureMessage('The captured face is not the one that passed the liveness check. Please repeat the check.');
+        return;
+      }
+
+      const quality = assessFaceQuality(detection, readPixels(img));
+      if (!quality.ok) {
+        setCaptureMessage(`Capture rejected: ${quality.issues.map(issue => issue.message).join(', ')}`);
+        return;
+      }
+      if (!neededPoses.includes(quality.pose)) {
+        setCaptureMessage(`A ${quality.pose} capture is already enrolled. ${POSE_INSTRUCTIONS[neededPoses[0]]}.`);
+        return;
+      }
+
+      const distance = nearestDescriptorDistance(detection.descriptor, images.map(capture => capture.descriptor));
+      if (distance < QUALITY_CONFIG.MIN_DESCRIPTOR_DISTANCE) {
+        setCaptureMessage('Capture is nearly identical to a previous one. Please change your pose slightly.');
+        return;
+      }
+
+      setImages(prev => [...prev, { src: imageSrc, descriptor: detection.descriptor, pose: quality.pose, quality }]);
+      console.log(`Accepted ${quality.pose} capture`, quality.metrics);
+    } catch (error) {
+      console.error("Capture assessment error:", error);
+      setCaptureMessage('Could not assess the capture. Please try again.');
+    } finally {
+      setIsAssessing(false);
     }
   };
 
   const proceed = async () => {
-    if (images.length < 3 || !modelsLoaded) return;
+    if (images.length < 3 || neededPoses.length > 0 || !modelsLoaded || candidateIdError) return;
+
+    // Captures are only accepted shortly after a passed liveness check
+    if (!livenessRef.current || !livenessRef.current.isValidAt(Date.now())) {
+      alert("The liveness check has expired. Please repeat it and capture your images again.");
+      setImages([]);
+      setLiveness({ state: LIVENESS_STATES.IDLE, instruction: '' });
+      return;
+    }
     
     setIsProcessing(true);
     
     try {
-      const descriptors = [];
-      
-      for (const imageSrc of images) {
-        // Create image element and wait for it to load
-        const img = new Image();
-        img.src = imageSrc;
-        
-        await new Promise((resolve, reject) => {
-          img.onload = resolve;
-          img.onerror = reject;
-          setTimeout(() => reject(new Error('Image load timeout')), 10000);
-        });
-        
-        // Wait a bit for the image to be fully ready
-        await new Promise(resolve => setTimeout(resolve, 100));
-        
-        // Detect face and get descriptor with more permissive settings
-        const detection = await window.faceapi
-          .detectSingleFace(img, new window.faceapi.SsdMobilenetv1Options({ 
-            minConfidence: 0.3
-          }))
-          .withFaceLandmarks()
-          .withFaceDescriptor();
-        
-        if (detection && detection.descriptor) {
-          // Convert to regular array for JSON serialization
-          descriptors.push(Array.from(detection.descriptor));
-          console.log(`Face detected and descriptor extracted for image ${descriptors.length}`);
-        } else {
-          console.warn(`No face detected in image ${descriptors.length + 1}`);
-        }
-      }
-      
-      if (descriptors.length > 0) {
-        // Save descriptors to localStorage
-        localStorage.setItem("enrolledDescriptors", JSON.stringify(descriptors));
-        console.log(`Successfully enrolled ${descriptors.length} face descriptors`);
-        
-        // Also save enrollment metadata
-        localStorage.setItem("enrollmentData", JSON.stringify({
+      const id = normalizeCandidateId(candidateId);
+      const repository = repositoryRef.current;
+      const enrollment = {
+        descriptors: images.map(capture => capture.descriptor),
+        metadata: {
           timestamp: new Date().toISOString(),
-          descriptorCount: descriptors.length,
-          totalImages: images.length
-        }));
-        
-        navigate("/proctoring");
+          totalImages: images.length,
+          captures: images.map(capture => ({ pose: capture.pose, quality: capture.quality.metrics })),
+          liveness: livenessRef.current.getResult()
+        }
+      };
+
+      if (await repository.exists(id)) {
+        if (!window.confirm(`Candidate ${id} is already enrolled. Replace the enrolled face?`)) return;
+        await repository.reEnroll(id, enrollment);
       } else {
-        alert("No faces detected in any of the captured images. Please ensure your face is clearly visible and try again.");
+        await repository.save(id, enrollment);
       }
+      
+      // Keep the exam policy (?policy=<name>) selected on the enrollment link
+      navigate(`/proctoring/${encodeURIComponent(id)}${location.search}`);
     } catch (error) {
       console.error("Enrollment error:", error);
       alert("Error during enrollment. Please try again.");
@@ -124,12 +305,34 @@ const EnrollmentPage = () => {
     }
   };
 
+  const deleteCandidate = async (id) => {
+    if (!window.confirm(`Delete the enrollment of candidate ${id}?`)) return;
+    try {
+      await repositoryRef.current.delete(id);
+      await refreshCandidates();
+    } catch (error) {
+      console.error("Error deleting enrollment:", error);
+    }
+  };
+
+  const wipeAllCandidates = async () => {
+    if (!window.confirm("Wipe all enrolled candidates from this machine? This cannot be undone.")) return;
+    try {
+      await repositoryRef.current.wipeAll();
+      await refreshCandidates();
+    } catch (error) {
+      console.error("Error wiping enrollments:", error);
+    }
+  };
+
   const retakeImage = (index) => {
     setImages(prev => prev.filter((_, i) => i !== index));
+    setCaptureMessage('');
   };
 
   const clearAll = () => {
     setImages([]);
+    setCaptureMessage('');
   };
 
   const videoConstraints = {
@@ -141,14 +344,35 @@ const EnrollmentPage = () => {
   return (
     <div style={{ textAlign: "center", padding: "20px", maxWidth: "800px", margin: "0 auto" }}>
       <h2>Face Enrollment</h2>
-      <p>Capture 3 clear face images for enrollment. Make sure your face is well-lit and centered.</p>
+      <p>Complete the liveness check, then capture 3 clear face images: one facing the camera and one turned slightly to each side. Make sure your face is well-lit and centered.</p>
       
-      {!modelsLoaded && (
+      {!modelsLoaded && !modelError && (
         <div style={{ color: "orange", marginBottom: "10px" }}>
           Loading face detection models...
         </div>
       )}
 
+      {modelError && (
+        <div style={{ color: "red", marginBottom: "10px" }}>
+          Face detection models could not be loaded: {modelError}
+        </div>
+      )}
+
+      <div style={{ marginBottom: "20px" }}>
+        <label>
+          Candidate ID:{' '}
+          <input
+            value={candidateId}
+            onChange={(e) => setCandidateId(e.target.value)}
+            placeholder="e.g. S-1024"
+            style={{ padding: "6px", width: "200px" }}
+          />
+        </label>
+        {candidateId && candidateIdError && (
+          <div style={{ color: "#d32f2f", fontSize: "12px", marginTop: "5px" }}>{candidateIdError}</div>
+        )}
+      </div>
+
       <div style={{ marginBottom: "20px" }}>
         <Webcam
           audio={false}
@@ -159,21 +383,59 @@ const EnrollmentPage = () => {
         />
       </div>
 
+      <div style={{ marginBottom: "20px" }}>
+        <div style={{
+          marginBottom: "10px",
+          fontWeight: "bold",
+          color: liveness.state === LIVENESS_STATES.FAILED ? 'red' : livenessPassed ? 'green' : '#333'
+        }}>
+          {liveness.instruction || 'Start the liveness check to enable capturing'}
+        </div>
+        <button
+          onClick={startLiveness}
+          disabled={!modelsLoaded || liveness.state === LIVENESS_STATES.NEUTRAL || liveness.state === LIVENESS_STATES.RUNNING}
+          style={{
+            padding: "10px 20px",
+            backgroundColor: (liveness.state === LIVENESS_STATES.NEUTRAL || liveness.state === LIVENESS_STATES.RUNNING) ? '#ccc' : '#673AB7',
+            color: 'white',
+            border: 'none',
+            borderRadius: '4px',
+            cursor: (liveness.state === LIVENESS_STATES.NEUTRAL || liveness.state === LIVENESS_STATES.RUNNING) ? 'not-allowed' : 'pointer'
+          }}
+        >
+          {liveness.state === LIVENESS_STATES.IDLE ? 'Start Liveness Check' : 'Restart Liveness Check'}
+        </button>
+      </div>
+
+      {livenessPassed && (
+        <div style={{ marginBottom: "10px" }}>
+          <div>
+            Poses: {REQUIRED_POSES.map(pose => (
+              <span key={pose} style={{ marginRight: "10px", color: capturedPoses.includes(pose) ? 'green' : '#999' }}>
+                {capturedPoses.includes(pose) ? '✓' : '○'} {pose}
+              </span>
+            ))}
+          </div>
+          {guidance && <div style={{ color: "#1976d2", marginTop: "5px" }}>{guidance}</div>}
+          {captureMessage && <div style={{ color: "#d32f2f", marginTop: "5px" }}>{captureMessage}</div>}
+        </div>
+      )}
+
       <div style={{ marginBottom: "20px" }}>
         <button
           onClick={captureImage}
-          disabled={images.length >= 3 || !modelsLoaded}
+          disabled={images.length >= 3 || !modelsLoaded || !livenessPassed || isAssessing}
           style={{ 
             marginRight: "10px", 
             padding: "10px 20px",
-            backgroundColor: (images.length >= 3 || !modelsLoaded) ? '#ccc' : '#2196F3',
+            backgroundColor: (images.length >= 3 || !modelsLoaded || !livenessPassed || isAssessing) ? '#ccc' : '#2196F3',
             color: 'white',
             border: 'none',
             borderRadius: '4px',
-            cursor: (images.length >= 3 || !modelsLoaded) ? 'not-allowed' : 'pointer'
+            cursor: (images.length >= 3 || !modelsLoaded || !livenessPassed || isAssessing) ? 'not-allowed' : 'pointer'
           }}
         >
-          Capture Image ({images.length}/3)
+          {isAssessing ? 'Checking...' : `Capture Image (${images.length}/3)`}
         </button>
 
         <button
@@ -194,14 +456,14 @@ const EnrollmentPage = () => {
 
         <button
           onClick={proceed}
-          disabled={images.length < 3 || !modelsLoaded || isProcessing}
+          disabled={images.length < 3 || neededPoses.length > 0 || !modelsLoaded || isProcessing || candidateIdError}
           style={{
             padding: "10px 20px",
-            backgroundColor: (images.length < 3 || !modelsLoaded || isProcessing) ? '#ccc' : '#4CAF50',
+            backgroundColor: (images.length < 3 || neededPoses.length > 0 || !modelsLoaded || isProcessing || candidateIdError) ? '#ccc' : '#4CAF50',
             color: 'white',
             border: 'none',
             borderRadius: '4px',
-            cursor: (images.length < 3 || !modelsLoaded || isProcessing) ? 'not-allowed' : 'pointer'
+            cursor: (images.length < 3 || neededPoses.length > 0 || !modelsLoaded || isProcessing || candidateIdError) ? 'not-allowed' : 'pointer'
           }}
         >
           {isProcessing ? 'Processing...' : 'Proceed to Proctoring'}
@@ -212,7 +474,7 @@ const EnrollmentPage = () => {
         {images.map((img, idx) => (
           <div key={idx} style={{ textAlign: "center" }}>
             <img
-              src={img}
+              src={img.src}
               alt={`capture-${idx + 1}`}
               style={{ 
                 width: "150px", 
@@ -222,6 +484,7 @@ const EnrollmentPage = () => {
                 objectFit: "cover"
               }}
             />
+            <div style={{ fontSize: "12px", marginTop: "3px" }}>{img.pose}</div>
             <div style={{ marginTop: "5px" }}>
               <button
                 onClick={() => retakeImage(idx)}
@@ -241,6 +504,55 @@ const EnrollmentPage = () => {
           </div>
         ))}
       </div>
+
+      {enrolledCandidates.length > 0 && (
+        <div style={{ marginTop: "30px", textAlign: "left" }}>
+          <h3>Enrolled Candidates</h3>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "14px" }}>
+            <thead>
+              <tr>
+                <th style={{ textAlign: "left" }}>Candidate ID</th>
+                <th style={{ textAlign: "left" }}>Enrolled</th>
+                <th style={{ textAlign: "left" }}>Descriptors</th>
+                <th style={{ textAlign: "left" }}>Expires</th>
+                <th style={{ textAlign: "left" }}>Model</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {enrolledCandidates.map(candidate => (
+                <tr key={candidate.candidateId}>
+                  <td>{candidate.candidateId}</td>
+                  <td>{new Date(candidate.updatedAt).toLocaleString()}</td>
+                  <td>{candidate.descriptorCount}</td>
+                  <td>{new Date(candidate.expiresAt).toLocaleDateString()}</td>
+                  <td>{candidate.modelVersion}</td>
+                  <td>
+                    <button
+                      onClick={() => setCandidateId(candidate.candidateId)}
+                      style={{ marginRight: "5px", padding: "3px 8px", fontSize: "12px" }}
+                    >
+                      Re-enroll
+                    </button>
+                    <button
+                      onClick={() => deleteCandidate(candidate.candidateId)}
+                      style={{ padding: "3px 8px", fontSize: "12px", backgroundColor: '#f44336', color: 'white', border: 'none', borderRadius: '4px' }}
+                    >
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button
+            onClick={wipeAllCandidates}
+            style={{ marginTop: "10px", padding: "5px 10px", fontSize: "12px", backgroundColor: '#b71c1c', color: 'white', border: 'none', borderRadius: '4px' }}
+          >
+            Wipe All Enrollments
+          </button>
+        </div>
+      )}
     </div>
   );
 };
@@ -3,3 +3,10 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom and jest's node sandbox do not expose WebCrypto; use Node's implementation
+import { webcrypto } from 'crypto';
+
+if (!global.crypto || !global.crypto.subtle) {
+  Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+}